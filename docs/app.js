@@ -16,10 +16,59 @@
  * - Implemented collapsible disclaimer per profile: 20 September 2024
  * - Adjusted dotpoints to use icons in place of bullets: 20 September 2024
  * - Moved disclaimer after profile list and before metrics table: 20 September 2024
+ * - Moved the scoring maths into the standalone scoring.js module: 19 October 2026
+ * - Added timestamped assessment history with timeline, restore and diff: 19 October 2026
+ * - Added the in-browser profile and criteria editor with custom profiles in local storage: 19 October 2026
+ * - Validated profiles.json against profiles.schema.json with an in-page diagnostics panel: 19 October 2026
+ * - Added full backup export and import with per-conflict resolution: 19 October 2026
+ * - Added CSV export of stored assessments and stored metric names with each score: 19 October 2026
+ * - Copied results as plain text and Markdown as well as HTML, with a fallback for browsers without ClipboardItem: 19 October 2026
+ * - Added user-defined report templates, selectable per category when copying: 19 October 2026
+ * - Added the printable /category/profile/report view: 19 October 2026
+ * - Added the Odoo CRM connector with Send to CRM and optional sending on save: 19 October 2026
+ * - Added outbound webhooks for entity and score events with a delivery log: 19 October 2026
+ * - Added the entity comparison view with a radar chart: 19 October 2026
+ * - Replaced the stored entity list with a sortable, filterable leaderboard: 19 October 2026
+ * - Explained the profile's scoring model in the breakdown, chart and reports, and edited it in the profile editor: 19 October 2026
+ * - Added the next best actions panel, optionally included in copied and printed reports: 19 October 2026
+ * - Added uncertainty mode with low and high scores, a Monte Carlo likelihood interval and histogram: 19 October 2026
+ * - Added share links that open a read-only view of a calculation, which can be saved as a new entity: 19 October 2026
+ * - Stored assessments by category, profile and criterion ID with a versioned schema, flagging removed and new criteria: 19 October 2026
+ * - Moved stored entities into IndexedDB with images as Blobs, showing storage usage and reporting full storage: 19 October 2026
+ * - Cropped, scaled down and re-encoded entity images, without EXIF data, when chosen and when imported: 19 October 2026
+ * - Added entity details, tags and custom fields to the edit modal, with search and tag filters for the entity list and leaderboard: 19 October 2026
+ * - Added the command palette for finding categories, profiles, criteria and entities: 19 October 2026
+ * - Registered the service worker for offline use and added the update available prompt: 19 October 2026
+ * - Translated the interface and profiles, formatted likelihoods for the chosen language and added /<locale>/ addresses: 19 October 2026
+ * - Gave the sliders value text, announced the likelihood, added the chart data table, keyboard-operable cards and high-contrast colours: 19 October 2026
+ * - Upgraded stored entities and backups against the en-AU categories, whatever language is chosen: 19 October 2026
+ * - Refreshed the entity list when another tab changes the stored entities: 19 October 2026
+ * - Only saved, and sent to the CRM, when the scores or likelihood changed: 19 October 2026
+ * - Sent category and profile IDs and slugs to webhooks, from one tab at a time: 19 October 2026
+ * - Counted criteria an entity was never scored on as contributing nothing in the comparison, and flagged them: 19 October 2026
+ * - Looked up the remaining interface text, including the print report, editor and webhook manager, in the message catalogues: 19 October 2026
+ * - Checked the criteria hash of share links, so they only open against the criteria they were made for: 19 October 2026
+ * - Gave the CSV export column headers in the chosen language: 19 October 2026
+ * - Left inverted criteria without a minimum score in the profile editor: 19 October 2026
+ * - Saved assessments once the user changes a score, rather than guessing from the scores whether they did: 19 October 2026
+ * - Filled the profile editor with the en-AU text of the profiles, so edits made in another language do not replace it: 19 October 2026
+ * - Started the sliders of inverted criteria at 5, the score that contributes nothing: 19 October 2026
+ * - Copied reports, command palette details and Odoo errors in the chosen language: 19 October 2026
+ * - Formatted the likelihood and its interval in reports for the chosen language: 19 October 2026
+ * - Formatted the likelihoods, scores and changes of history comparisons for the chosen language: 19 October 2026
+ * - Sent every saved assessment of a deleted entity to webhooks: 19 October 2026
+ * - Deleted and reverted custom profiles by ID: 19 October 2026
+ * - Noted in the history when older snapshots have been dropped: 19 October 2026
  */
 
 'use strict';
 
+/** @const {number} How long to wait after the last save before sending it to the CRM or webhooks, in milliseconds. */
+const SAVE_SETTLE_DELAY_MS = 3000;
+
+/** @const {number} How long the likelihood must stay unchanged before it is announced to screen readers, in milliseconds. */
+const ANNOUNCE_DELAY_MS = 1000;
+
 /**
  * @class LikelihoodCalculator
  * @classdesc Provides the functionality to load categories and profiles,
@@ -32,8 +81,20 @@ class LikelihoodCalculator {
      * Creates an instance of LikelihoodCalculator.
      */
     constructor() {
+        /** @type {?Object} The entity store (see storage.js), opened by init(). */
+        this.storage = null;
+        /** @type {boolean} Whether the last write to the entity store failed, so repeated failures are only reported once. */
+        this.storageWriteFailed = false;
+        /** @type {boolean} Whether the user has been warned that storage is nearly full. */
+        this.storageWarningShown = false;
         /** @type {Array<Object>} */
         this.categories = [];
+        /** @type {Array<Object>} Categories as shipped in profiles.json, in the chosen language, before custom profiles are merged in. */
+        this.shippedCategories = [];
+        /** @type {Array<Object>} Categories as shipped in profiles.json, with all their translations, for exports. */
+        this.shippedCategorySource = [];
+        /** @type {{categories: Array<Object>}} Custom categories and profiles from local storage. */
+        this.customProfiles = LikelihoodCustomProfiles.createEmpty();
         /** @type {HTMLElement} */
         this.categoryCardsContainer = document.getElementById('categoryCards');
         /** @type {HTMLElement} */
@@ -45,17 +106,45 @@ class LikelihoodCalculator {
         /** @type {HTMLElement} */
         this.percentageLikelihoodElement = document.getElementById('percentageLikelihood');
         /** @type {HTMLElement} */
+        this.scoringModelElement = document.getElementById('scoringModel');
+        /** @type {HTMLOListElement} */
+        this.nextActionsList = document.getElementById('nextActionsList');
+        /** @type {HTMLInputElement} */
+        this.includeNextActionsCheckbox = document.getElementById('includeNextActions');
+        /** @type {HTMLInputElement} */
+        this.uncertaintyModeInput = document.getElementById('uncertaintyMode');
+        /** @type {HTMLElement} */
+        this.uncertaintySummaryElement = document.getElementById('uncertaintySummary');
+        /** @type {?Chart} */
+        this.uncertaintyChart = null;
+        /** @type {?{categorySlug: string, profileSlug: string, scores: Array<number>, entityName: string}} The shared calculation being viewed, if any. */
+        this.sharedView = null;
+        /** @type {HTMLElement} */
+        this.sharedViewBanner = document.getElementById('sharedViewBanner');
+        /** @type {HTMLElement} */
         this.copyButton = document.getElementById('copyButton');
         /** @type {HTMLSelectElement} */
         this.investorSelect = document.getElementById('investorSelect');
+        /** @type {HTMLInputElement} */
+        this.investorSearch = document.getElementById('investorSearch');
+        /** @type {HTMLSelectElement} */
+        this.investorTagFilter = document.getElementById('investorTagFilter');
         /** @type {HTMLElement} */
         this.newInvestorButton = document.getElementById('newInvestorButton');
         /** @type {HTMLElement} */
         this.deleteInvestorButton = document.getElementById('deleteInvestorButton');
-        /** @type {HTMLElement} */
+        /** @type {HTMLTableElement} */
         this.investorListElement = document.getElementById('investorList');
         /** @type {HTMLImageElement} */
         this.investorImage = document.getElementById('investorImage');
+        /** @type {string} The stored image of the selected entity. */
+        this.displayedImage = '';
+        /** @type {string} The selected entity's image as a data URL, for reports copied or sent elsewhere. */
+        this.investorImageDataUrl = '';
+        /** @type {HTMLElement} */
+        this.criteriaChangesNotice = document.getElementById('criteriaChangesNotice');
+        /** @type {HTMLButtonElement} */
+        this.discardRemovedScoresButton = document.getElementById('discardRemovedScoresButton');
         /** @type {HTMLElement} */
         this.appContainer = document.getElementById('app');
         /** @type {HTMLElement} */
@@ -64,12 +153,16 @@ class LikelihoodCalculator {
         this.categoryProfileDetailsElement = document.getElementById('categoryProfileDetails');
         /** @type {HTMLElement} */
         this.categoryDetailsElement = document.getElementById('categoryDetails')
+        /** @type {HTMLElement} */
+        this.profileDiagnosticsElement = document.getElementById('profileDiagnostics');
         /** @type {number} */
         this.selectedCategoryIndex = 0;
         /** @type {number} */
         this.selectedProfileIndex = 0;
         /** @type {Array<Object>} */
         this.adjustedCriteria = [];
+        /** @type {boolean} True once the user has moved a slider or entered a range since the assessment was loaded. */
+        this.scoresChanged = false;
         /** @type {Chart|null} */
         this.likelihoodChart = null;
 
@@ -86,6 +179,176 @@ class LikelihoodCalculator {
         this.investorEditModalInstance = null;
         /** @type {string} */
         this.currentEditingInvestorName = '';
+        /** @type {string} The image chosen in the entity edit modal, as a data URL, until it is saved. */
+        this.pendingInvestorImage = '';
+        /** @type {HTMLElement} */
+        this.investorCustomFieldsElement = document.getElementById('investorCustomFields');
+        /** @type {HTMLElement} */
+        this.imageCropControls = document.getElementById('imageCropControls');
+        /** @type {HTMLSelectElement} */
+        this.imageMaxSizeSelect = document.getElementById('imageMaxSize');
+        /** @type {?{decoded: Object}} The chosen image while it is being cropped, decoded once for quick previews. */
+        this.imageCrop = null;
+
+        // Assessment history elements
+        /** @type {HTMLElement} */
+        this.investorHistoryContent = document.getElementById('investorHistoryContent');
+        /** @type {HTMLElement} */
+        this.investorHistoryEmpty = document.getElementById('investorHistoryEmpty');
+        /** @type {HTMLSelectElement} */
+        this.historyProfileSelect = document.getElementById('historyProfileSelect');
+        /** @type {HTMLElement} */
+        this.historyTableBody = document.querySelector('#historyTable tbody');
+        /** @type {HTMLButtonElement} */
+        this.historyDiffButton = document.getElementById('historyDiffButton');
+        /** @type {HTMLElement} */
+        this.historyDiffElement = document.getElementById('historyDiff');
+        this.historyDroppedNote = document.getElementById('historyDroppedNote');
+        /** @type {Chart|null} */
+        this.historyChart = null;
+
+        // Profile editor elements
+        /** @type {HTMLElement} */
+        this.profileEditorModal = document.getElementById('profileEditorModal');
+        /** @type {bootstrap.Modal} */
+        this.profileEditorModalInstance = null;
+        /** @type {HTMLFormElement} */
+        this.profileEditorForm = document.getElementById('profileEditorForm');
+        /** @type {HTMLSelectElement} */
+        this.editorCategorySelect = document.getElementById('editorCategorySelect');
+        /** @type {HTMLElement} */
+        this.editorCriteriaContainer = document.getElementById('editorCriteria');
+        /** @type {HTMLElement} */
+        this.editorPreviewTableBody = document.querySelector('#editorPreviewTable tbody');
+        /** @type {HTMLElement} */
+        this.editorErrorsElement = document.getElementById('editorErrors');
+        /**
+         * @type {{original: ?Object, criteria: Array<Object>, slugEdited: boolean, categories: Array<Object>, shippedCategories: Array<Object>}}
+         *     The categories are the shipped and custom categories as they read in en-AU.
+         */
+        this.editorState = { original: null, criteria: [], slugEdited: false, categories: [], shippedCategories: [] };
+
+        // Backup import elements
+        /** @type {HTMLElement} */
+        this.backupImportModal = document.getElementById('backupImportModal');
+        /** @type {bootstrap.Modal} */
+        this.backupImportModalInstance = null;
+        /** @type {HTMLInputElement} */
+        this.importDataInput = document.getElementById('importDataInput');
+        /** @type {HTMLElement} */
+        this.backupConflictTableBody = document.querySelector('#backupConflictTable tbody');
+        /** @type {?{backup: Object, conflicts: Array<Object>, failedImages: number}} */
+        this.pendingBackup = null;
+
+        // Report template elements
+        /** @type {HTMLSelectElement} */
+        this.reportTemplateSelect = document.getElementById('reportTemplateSelect');
+        /** @type {HTMLElement} */
+        this.reportTemplateModal = document.getElementById('reportTemplateModal');
+        /** @type {bootstrap.Modal} */
+        this.reportTemplateModalInstance = null;
+        /** @type {HTMLElement} */
+        this.templateListElement = document.getElementById('templateList');
+        /** @type {HTMLInputElement} */
+        this.templateNameInput = document.getElementById('templateNameInput');
+        /** @type {HTMLTextAreaElement} */
+        this.templateHtmlInput = document.getElementById('templateHtmlInput');
+        /** @type {HTMLIFrameElement} */
+        this.templatePreview = document.getElementById('templatePreview');
+        /** @type {string} The id of the template open in the template manager. */
+        this.editingTemplateId = '';
+
+        // Printable report elements
+        /** @type {HTMLElement} */
+        this.printReportElement = document.getElementById('printReport');
+        /** @type {HTMLElement} */
+        this.printReportContent = document.getElementById('printReportContent');
+        /** @type {Chart|null} */
+        this.printReportChart = null;
+
+        // CRM connector elements
+        /** @type {HTMLElement} */
+        this.crmSettingsModal = document.getElementById('crmSettingsModal');
+        /** @type {bootstrap.Modal} */
+        this.crmSettingsModalInstance = null;
+        /** @type {HTMLFormElement} */
+        this.crmSettingsForm = document.getElementById('crmSettingsForm');
+        /** @type {HTMLElement} */
+        this.crmSettingsStatus = document.getElementById('crmSettingsStatus');
+        /** @type {HTMLElement} */
+        this.crmStatusElement = document.getElementById('crmStatus');
+        /** @type {number|null} The pending send after a save. */
+        this.crmSendTimer = null;
+
+        // Webhook elements
+        /** @type {HTMLElement} */
+        this.webhookModal = document.getElementById('webhookModal');
+        /** @type {bootstrap.Modal} */
+        this.webhookModalInstance = null;
+        /** @type {HTMLFormElement} */
+        this.webhookForm = document.getElementById('webhookForm');
+        /** @type {number|null} The timer for the next queued delivery. */
+        this.webhookTimer = null;
+        /** @type {boolean} Whether the delivery queue is being processed. */
+        this.webhookProcessing = false;
+        /** @type {boolean} Whether deliveries were queued while the queue was being processed. */
+        this.webhookQueueDirty = false;
+        /** @type {Map<string, {data: Object, timer: number}>} Score saved events waiting for the scores to settle, keyed by entity and profile. */
+        this.pendingScoreEvents = new Map();
+
+        // Comparison elements
+        /** @type {HTMLElement} */
+        this.comparisonModal = document.getElementById('comparisonModal');
+        /** @type {bootstrap.Modal} */
+        this.comparisonModalInstance = null;
+        /** @type {HTMLElement} */
+        this.comparisonEntityList = document.getElementById('comparisonEntityList');
+        /** @type {Chart|null} */
+        this.comparisonChart = null;
+
+        // Leaderboard state
+        /** @type {HTMLInputElement} */
+        this.leaderboardFilter = document.getElementById('leaderboardFilter');
+        /** @type {HTMLSelectElement} */
+        this.leaderboardTagFilter = document.getElementById('leaderboardTagFilter');
+        /** @type {{key: string, direction: string}} The leaderboard sort column and direction. */
+        this.leaderboardSort = { key: 'best', direction: 'desc' };
+
+        // Offline support state
+        /** @type {?ServiceWorker} A new version of the service worker waiting to take over. */
+        this.waitingServiceWorker = null;
+
+        // Command palette state
+        /** @type {HTMLElement} */
+        this.commandPaletteModal = document.getElementById('commandPaletteModal');
+        /** @type {bootstrap.Modal} */
+        this.commandPaletteModalInstance = null;
+        /** @type {HTMLInputElement} */
+        this.commandPaletteInput = document.getElementById('commandPaletteInput');
+        /** @type {HTMLElement} */
+        this.commandPaletteResults = document.getElementById('commandPaletteResults');
+        /** @type {Array<Object>} Every entry that can be searched, built when the palette opens (see command-palette.js). */
+        this.commandPaletteEntries = [];
+        /** @type {Array<Object>} The entries currently listed. */
+        this.commandPaletteMatches = [];
+        /** @type {number} The index of the highlighted result. */
+        this.commandPaletteActiveIndex = 0;
+
+        // Accessibility elements
+        /** @type {HTMLElement} The live region that announces the likelihood to screen readers. */
+        this.likelihoodAnnouncer = document.getElementById('likelihoodAnnouncer');
+        /** @type {number|null} The pending likelihood announcement. */
+        this.announceTimer = null;
+        /** @type {HTMLElement} */
+        this.chartDataTable = document.getElementById('chartDataTable');
+        /** @type {HTMLInputElement} */
+        this.highContrastInput = document.getElementById('highContrastColors');
+
+        // Language state
+        /** @type {string} The language shown (see i18n.js). */
+        this.locale = this.detectLocale();
+        /** @type {function(string, Object=): string} Looks up interface messages; English until loadMessages() finishes. */
+        this.translator = LikelihoodI18n.createTranslator();
 
         /** @type {string} */
         this.savename = 'Entity'; // Default savename
@@ -99,12 +362,46 @@ class LikelihoodCalculator {
      * @private
      */
     init() {
-        this.loadCategories()
+        // Register the service worker, whether or not the profiles load
+        this.initOfflineSupport();
+        this.loadMessages()
+            .then(() => this.openStorage())
+            .then(() => this.loadCategories())
             .then(() => {
                 this.displayCategoryCards();
                 this.displayCategoryMenu();
                 // Initialize Bootstrap Modal
                 this.investorEditModalInstance = new bootstrap.Modal(this.investorEditModal);
+                // Initialise image cropping and resizing
+                this.initImageProcessing();
+                // Initialise assessment history controls
+                this.initHistoryManagement();
+                // Initialise the profile editor
+                this.initProfileEditor();
+                // Initialise backup, CSV export and import
+                this.initBackupManagement();
+                // Initialise report templates
+                this.initReportTemplates();
+                // Initialise the printable report view
+                this.initPrintReport();
+                // Initialise the CRM connector
+                this.initCrmConnector();
+                // Initialise webhooks
+                this.initWebhooks();
+                // Initialise the comparison view
+                this.initComparison();
+                // Initialise the next best actions report option
+                this.initNextActions();
+                // Initialise uncertainty mode
+                this.initUncertaintyMode();
+                // Initialise share links
+                this.initSharedView();
+                // Initialise entity details, search and tag filters
+                this.initEntityRecords();
+                // Initialise the command palette
+                this.initCommandPalette();
+                // Initialise high-contrast colours
+                this.initHighContrast();
                 // Handle URL slug
                 this.handleSlugNavigation();
                 // Handle explainer display
@@ -116,12 +413,156 @@ class LikelihoodCalculator {
             })
             .catch((error) => {
                 console.error('Error initializing the application:', error);
-                alert('Failed to initialise the application. Please try again later.');
+                alert(this.t('alert.initFailed'));
+            });
+    }
+
+    /**
+     * Register the service worker that keeps the calculator working offline, and offer to reload when a new version
+     * has been deployed. Checks for a new version whenever the page is shown again.
+     * @private
+     */
+    initOfflineSupport() {
+        const updateElement = document.getElementById('updateAvailable');
+        document.getElementById('updateReloadButton').addEventListener('click', () => {
+            if (!this.waitingServiceWorker) {
+                return;
+            }
+            navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+            LikelihoodOffline.activateUpdate(this.waitingServiceWorker);
+        });
+        document.getElementById('updateDismissButton').addEventListener('click', () => {
+            updateElement.style.display = 'none';
+        });
+        LikelihoodOffline.register(navigator.serviceWorker, (worker) => {
+            this.waitingServiceWorker = worker;
+            updateElement.style.display = 'block';
+        })
+            .then((registration) => {
+                if (!registration) {
+                    return;
+                }
+                document.addEventListener('visibilitychange', () => {
+                    if (document.visibilityState === 'visible') {
+                        registration.update().catch((error) => console.warn('Could not check for a new version:', error));
+                    }
+                });
+            })
+            .catch((error) => {
+                // The calculator still works online without the service worker
+                console.error('Error registering the service worker:', error);
             });
     }
 
+    /**
+     * Open the entity store, using IndexedDB where the browser allows it and local storage otherwise.
+     * Entities still in local storage are moved into IndexedDB the first time.
+     * @return {Promise<void>}
+     * @private
+     */
+    async openStorage() {
+        let indexedDB = null;
+        try {
+            indexedDB = window.indexedDB || null;
+        } catch (error) {
+            // Some browsers deny access to IndexedDB when site data is blocked
+            console.warn('IndexedDB is not accessible:', error);
+        }
+        this.storage = await LikelihoodStorage.open({
+            indexedDB: indexedDB,
+            localStorage: localStorage,
+            storageManager: navigator.storage,
+            onWriteError: (error) => this.handleStorageWriteError(error),
+            onWrite: () => {
+                this.storageWriteFailed = false;
+                this.updateStorageUsage();
+            },
+            onChange: () => this.handleStorageChange(),
+        });
+        if (this.storage.fallbackError) {
+            console.warn('IndexedDB could not be opened, so data is kept in local storage:', this.storage.fallbackError);
+        }
+        if (this.storage.unreachable) {
+            alert(this.t('alert.storageUnreachable'));
+        }
+        if (this.storage.migrated) {
+            console.info('Moved saved entities from local storage into IndexedDB.');
+        }
+        this.updateStorageUsage();
+    }
+
+    /**
+     * Show entities another tab has added, changed or deleted, keeping the selected entity selected.
+     * The inputs are left alone so that nothing is saved back.
+     * @private
+     */
+    handleStorageChange() {
+        if (this.categories.length === 0) {
+            return;
+        }
+        this.populateTagFilters();
+        this.populateInvestorSelect(this.investorSelect.value);
+        this.loadInvestorList();
+        this.updateStorageUsage();
+    }
+
+    /**
+     * Report a failed write to the entity store.
+     * The data stays in memory, so exporting a backup still includes the unsaved changes.
+     * @param {Error} error The error.
+     * @private
+     */
+    handleStorageWriteError(error) {
+        console.error('Error saving data:', error);
+        this.updateStorageUsage();
+        if (this.storageWriteFailed) {
+            return;
+        }
+        this.storageWriteFailed = true;
+        alert(LikelihoodStorage.isQuotaError(error)
+            ? this.t('alert.storageFull')
+            : this.t('alert.storageWriteFailed', { error: error.message || '' }));
+    }
+
+    /**
+     * Show how much storage is used, and warn once when it is nearly full.
+     * @return {Promise<void>}
+     * @private
+     */
+    async updateStorageUsage() {
+        const element = document.getElementById('storageUsage');
+        if (!element || !this.storage) {
+            return;
+        }
+        let estimate;
+        try {
+            estimate = await this.storage.estimate();
+        } catch (error) {
+            console.error('Error estimating storage usage:', error);
+            return;
+        }
+        const nearlyFull = LikelihoodStorage.isNearlyFull(estimate);
+        const location = this.t(this.storage.backend === 'indexeddb' ? 'storage.indexedDb' : 'storage.localStorage');
+        const percentage = estimate.quota ? Math.min(100, Math.round((estimate.usage / estimate.quota) * 100)) : 0;
+        const usage = LikelihoodStorage.formatBytes(estimate.usage);
+        document.getElementById('storageUsageText').textContent = estimate.quota
+            ? this.t('storage.usageOfQuota', { usage: usage, quota: LikelihoodStorage.formatBytes(estimate.quota), percentage: percentage, location: location })
+            : this.t('storage.usage', { usage: usage, location: location });
+        const bar = document.getElementById('storageUsageBar');
+        bar.style.width = `${percentage}%`;
+        bar.classList.toggle('bg-danger', nearlyFull);
+        bar.parentElement.setAttribute('aria-valuenow', percentage.toString());
+        bar.parentElement.style.display = estimate.quota ? '' : 'none';
+        document.getElementById('storageUsageWarning').style.display = nearlyFull ? 'block' : 'none';
+        if (nearlyFull && !this.storageWarningShown) {
+            this.storageWarningShown = true;
+            alert(this.t('alert.storageNearlyFull', { percentage: percentage }));
+        }
+    }
+
     /**
      * Load categories from the JSON file.
+     * The file is validated against profiles.schema.json first; invalid categories and profiles are skipped and reported in the diagnostics panel.
      * @return {Promise<void>}
      * @private
      */
@@ -132,12 +573,128 @@ class LikelihoodCalculator {
                 throw new Error('Network response was not ok ' + response.statusText);
             }
             const data = await response.json();
-            this.categories = data.categories;
+            const schema = await this.loadProfilesSchema();
+            if (schema) {
+                const result = LikelihoodValidator.validateProfiles(data, schema);
+                this.shippedCategorySource = LikelihoodValidator.removeInvalid(data, result.errors);
+                this.displayProfileDiagnostics(result, data);
+            } else {
+                this.shippedCategorySource = data.categories;
+            }
+            if (!Array.isArray(this.shippedCategorySource) || this.shippedCategorySource.length === 0) {
+                throw new Error('profiles.json does not contain any valid categories');
+            }
+            // Give the shipped definitions their IDs before translating them, so saved assessments are found in every language
+            LikelihoodStorageSchema.assignIds(this.shippedCategorySource);
+            this.shippedCategories = LikelihoodI18n.localiseCategories(this.shippedCategorySource, this.locale);
+            this.customProfiles = this.loadCustomProfiles();
+            this.categories = LikelihoodStorageSchema.assignIds(LikelihoodCustomProfiles.mergeCategories(this.shippedCategories, this.customProfiles));
         } catch (error) {
             console.error('Error loading categories:', error);
-            alert('Failed to load categories. Please try again later.');
+            alert(this.t('alert.categoriesFailed'));
             throw error;
         }
+        this.migrateStoredEntities();
+    }
+
+    /**
+     * Upgrade the stored entities to the current storage schema, which keys them by category, profile and criterion ID.
+     * @private
+     */
+    migrateStoredEntities() {
+        try {
+            const result = LikelihoodStorageSchema.migrateStorage(this.storage, this.getDefaultLocaleCategories(this.customProfiles));
+            if (result.migrated) {
+                console.info(`Upgraded saved entities from storage schema ${result.from} to ${result.to}.`);
+            }
+        } catch (error) {
+            console.error('Error upgrading saved entities:', error);
+            alert(this.t('alert.upgradeFailed', { error: error.message }));
+        }
+    }
+
+    /**
+     * Get the shipped and custom categories as they read in en-AU, with IDs, for upgrading stored entities.
+     * Schema 1 data is keyed by the en-AU names, which the translated categories on screen would not match.
+     * @param {{categories: Array<Object>}} customProfiles The custom definitions to merge.
+     * @return {Array<Object>}
+     * @private
+     */
+    getDefaultLocaleCategories(customProfiles) {
+        return LikelihoodStorageSchema.assignIds(LikelihoodCustomProfiles.mergeDefaultLocale(this.shippedCategorySource, customProfiles));
+    }
+
+    /**
+     * Load the JSON schema for profiles.json.
+     * @return {Promise<Object|null>} The schema, or null if it could not be loaded and validation should be skipped.
+     * @private
+     */
+    async loadProfilesSchema() {
+        try {
+            const response = await fetch('/profiles.schema.json');
+            if (!response.ok) {
+                throw new Error('Network response was not ok ' + response.statusText);
+            }
+            return await response.json();
+        } catch (error) {
+            console.error('Error loading the profiles schema, skipping validation:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Show the errors and warnings found in profiles.json, naming the file path and the offending category, profile or criterion.
+     * @param {{valid: boolean, errors: Array<Object>, warnings: Array<Object>}} result The result from LikelihoodValidator.validateProfiles().
+     * @param {Object} data The profiles data that was validated.
+     * @private
+     */
+    displayProfileDiagnostics(result, data) {
+        const issues = result.errors.concat(result.warnings);
+        this.profileDiagnosticsElement.innerHTML = '';
+        if (issues.length === 0) {
+            this.profileDiagnosticsElement.style.display = 'none';
+            return;
+        }
+        issues.forEach((issue) => {
+            const logMethod = issue.severity === 'error' ? console.error : console.warn;
+            logMethod(`profiles.json ${issue.severity}: ${issue.path}: ${issue.message}`);
+        });
+
+        const alertElement = document.createElement('div');
+        alertElement.className = `alert ${result.errors.length > 0 ? 'alert-danger' : 'alert-warning'}`;
+        alertElement.setAttribute('role', 'alert');
+
+        const heading = document.createElement('h2');
+        heading.className = 'h5 alert-heading';
+        heading.innerHTML = '<i class="fas fa-triangle-exclamation me-2"></i>';
+        heading.appendChild(document.createTextNode(this.t('diagnostics.heading')));
+        alertElement.appendChild(heading);
+
+        const summary = document.createElement('p');
+        summary.textContent = result.errors.length > 0
+            ? this.t('diagnostics.errors', { errors: result.errors.length, warnings: result.warnings.length })
+            : this.t('diagnostics.warnings', { warnings: result.warnings.length });
+        alertElement.appendChild(summary);
+
+        const list = document.createElement('ul');
+        list.className = 'mb-0 small';
+        issues.forEach((issue) => {
+            const item = document.createElement('li');
+            const badge = document.createElement('span');
+            badge.className = `badge me-2 ${issue.severity === 'error' ? 'text-bg-danger' : 'text-bg-warning'}`;
+            badge.textContent = this.t(issue.severity === 'error' ? 'diagnostics.error' : 'diagnostics.warning');
+            const pathElement = document.createElement('code');
+            pathElement.textContent = issue.path;
+            item.appendChild(badge);
+            item.appendChild(pathElement);
+            const context = LikelihoodValidator.describePath(data, issue.pathSegments);
+            item.appendChild(document.createTextNode(`${context ? ` (${context})` : ''}: ${issue.message}`));
+            list.appendChild(item);
+        });
+        alertElement.appendChild(list);
+
+        this.profileDiagnosticsElement.appendChild(alertElement);
+        this.profileDiagnosticsElement.style.display = 'block';
     }
 
     /**
@@ -145,6 +702,9 @@ class LikelihoodCalculator {
      * @private
      */
     displayCategoryCards() {
+        // Clear existing cards
+        this.categoryCardsContainer.innerHTML = '';
+
         // Sort categories by weight (ascending) and name
         this.categories.sort((a, b) => {
             if (a.weight !== b.weight) {
@@ -191,8 +751,14 @@ class LikelihoodCalculator {
             colDiv.appendChild(cardDiv);
             this.categoryCardsContainer.appendChild(colDiv);
 
-            // Add event listener for selection
-            cardDiv.addEventListener('click', () => this.handleCategoryCardClick(index));
+            // Choose the category with the mouse or keyboard, keeping keyboard focus on the profile that opens
+            this.makeCardOperable(cardDiv, () => {
+                this.handleCategoryCardClick(index);
+                const selectedCard = this.profileCardsContainer.querySelector('.selected-profile');
+                if (selectedCard) {
+                    selectedCard.focus();
+                }
+            });
         });
     }
 
@@ -201,13 +767,16 @@ class LikelihoodCalculator {
      * @private
      */
     displayCategoryMenu() {
+        // Clear existing menu items
+        this.categoryMenu.innerHTML = '';
+
         this.categories.forEach((category, index) => {
             const menuItem = document.createElement('li');
             menuItem.classList.add('nav-item');
 
             const link = document.createElement('a');
             link.classList.add('nav-link');
-            link.href = `/${category.slug}`;
+            link.href = this.localisePath(`/${category.slug}`);
             link.textContent = category.name;
             link.dataset.index = index.toString();
 
@@ -237,17 +806,22 @@ class LikelihoodCalculator {
      * @private
      */
     handleCategoryCardClick(index) {
+        // Choosing another category leaves a shared calculation
+        this.exitSharedView();
         this.selectedCategoryIndex = index;
         const selectedCategory = this.categories[this.selectedCategoryIndex];
 
         // Update savename
-        this.savename = selectedCategory.savename || 'Entity';
+        this.savename = selectedCategory.savename || this.t('app.savename');
 
         // Update labels with the new savename
         this.updateSavenameLabels();
 
+        // Select the report template chosen for this category
+        this.populateReportTemplateSelect();
+
         // Update URL with slug
-        history.pushState({}, '', `/${selectedCategory.slug}`);
+        history.pushState({}, '', this.localisePath(`/${selectedCategory.slug}`));
 
         // Update menu bar to highlight selected category
         this.updateMenuBar();
@@ -278,6 +852,8 @@ class LikelihoodCalculator {
             savenameLabelStored: document.getElementById('savenameLabelStored'),
             savenameLabelEditModal: document.getElementById('savenameLabelEditModal'),
             savenameLabelUpload: document.getElementById('savenameLabelUpload'),
+            savenameLabelShared: document.getElementById('savenameLabelShared'),
+            savenameLabelCustomFields: document.getElementById('savenameLabelCustomFields'),
         };
 
         for (const key in savenameElements) {
@@ -286,9 +862,11 @@ class LikelihoodCalculator {
             }
         }
 
+        this.investorSearch.setAttribute('aria-label', this.t('entity.searchLabel', this.getSavenameParams()));
+
         // Update alt attributes
-        this.investorImage.alt = `${this.savename} Image`;
-        this.modalInvestorImagePreview.alt = `${this.savename} Image`;
+        this.investorImage.alt = this.t('entity.image', this.getSavenameParams());
+        this.modalInvestorImagePreview.alt = this.t('entity.image', this.getSavenameParams());
     }
 
     /**
@@ -337,6 +915,12 @@ class LikelihoodCalculator {
             const cardTitle = document.createElement('h5');
             cardTitle.className = 'card-title mt-2';
             cardTitle.textContent = profile.name;
+            if (profile.custom) {
+                const badge = document.createElement('span');
+                badge.className = 'badge bg-info text-dark ms-2';
+                badge.textContent = this.t('profile.custom');
+                cardTitle.appendChild(badge);
+            }
             cardBody.appendChild(cardTitle);
 
             // Profile Description
@@ -351,8 +935,28 @@ class LikelihoodCalculator {
             colDiv.appendChild(cardDiv);
             this.profileCardsContainer.appendChild(colDiv);
 
-            // Add event listener for selection
-            cardDiv.addEventListener('click', () => this.handleProfileCardClick(index));
+            // Choose the profile with the mouse or keyboard
+            cardDiv.setAttribute('aria-pressed', 'false');
+            this.makeCardOperable(cardDiv, () => this.handleProfileCardClick(index));
+        });
+    }
+
+    /**
+     * Let a card be chosen with the keyboard as well as the mouse: it is focused with Tab and chosen with Enter or Space.
+     * @param {HTMLElement} card The card.
+     * @param {function(): void} onSelect Called when the card is chosen.
+     * @private
+     */
+    makeCardOperable(card, onSelect) {
+        card.tabIndex = 0;
+        card.setAttribute('role', 'button');
+        card.addEventListener('click', () => onSelect());
+        card.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' || event.key === ' ') {
+                // Stop Space scrolling the page
+                event.preventDefault();
+                onSelect();
+            }
         });
     }
 
@@ -362,24 +966,28 @@ class LikelihoodCalculator {
      * @private
      */
     handleProfileCardClick(index) {
+        // Choosing another profile leaves a shared calculation
+        this.exitSharedView();
         const previousSelected = this.profileCardsContainer.querySelector('.selected-profile');
         if (previousSelected) {
             previousSelected.classList.remove('selected-profile');
+            previousSelected.setAttribute('aria-pressed', 'false');
         }
         const selectedCard = this.profileCardsContainer.querySelector(`[data-index="${index}"]`);
         if (selectedCard) {
             selectedCard.classList.add('selected-profile');
+            selectedCard.setAttribute('aria-pressed', 'true');
         }
         this.selectedProfileIndex = index;
         const selectedCategory = this.categories[this.selectedCategoryIndex];
         const selectedProfile = selectedCategory.profiles[this.selectedProfileIndex];
 
         // Update URL with profile slug
-        const profileSlug = this.generateSlug(selectedProfile.name);
-        history.pushState({}, '', `/${selectedCategory.slug}/${profileSlug}`);
+        const profileSlug = this.getProfileSlug(selectedProfile);
+        history.pushState({}, '', this.localisePath(`/${selectedCategory.slug}/${profileSlug}`));
 
         // Update document title
-        document.title = `Likelihood Calculator | ${selectedCategory.name} - ${selectedProfile.name}`;
+        document.title = this.t('app.profileTitle', { category: selectedCategory.name, profile: selectedProfile.name });
 
         // Display criteria for the selected profile
         this.displayCriteria(selectedProfile);
@@ -400,35 +1008,44 @@ class LikelihoodCalculator {
      * @private
      */
     displayCriteria(profile) {
-        // Clear existing criteria
-        this.criteriaTableBody.innerHTML = '';
-
-        // Calculate total weights
-        let totalWeights = profile.criteria.reduce((sum, criterion) => sum + criterion.weight, 0);
+        // Normalise the weights so they total 100
+        const normalisation = LikelihoodScoring.normaliseWeights(profile.criteria);
+        this.adjustedCriteria = normalisation.criteria;
 
-        // Display a warning if totalWeights != 100
+        // Display a warning if the weights did not total 100
         const weightWarningElement = document.getElementById('weightWarning');
-        if (totalWeights !== 100) {
-            weightWarningElement.style.display = 'block';
-        } else {
-            weightWarningElement.style.display = 'none';
-        }
+        weightWarningElement.style.display = normalisation.adjusted ? 'block' : 'none';
 
-        // Adjust the weights proportionally
-        if (totalWeights !== 100) {
-            this.adjustedCriteria = profile.criteria.map(criterion => {
-                const adjustedWeight = (criterion.weight / totalWeights) * 100;
-                return { ...criterion, adjustedWeight: adjustedWeight };
-            });
-        } else {
-            // No adjustment needed
-            this.adjustedCriteria = profile.criteria.map(criterion => {
-                return { ...criterion, adjustedWeight: criterion.weight };
-            });
-        }
+        // Populate criteria table, with the range inputs used in uncertainty mode
+        this.renderCriteriaRows(this.criteriaTableBody, this.adjustedCriteria, () => {
+            this.scoresChanged = true;
+            this.calculateAndDisplayResults();
+        }, [], []);
+
+        // Reset results
+        this.showPercentageLikelihood('0%');
+
+        // Load saved inputs if available
+        this.loadSavedInputs();
+    }
+
+    /**
+     * Render criteria rows with score sliders into a table body.
+     * Used by the criteria table and by the profile editor preview.
+     * @param {HTMLElement} tableBody The table body to render into.
+     * @param {Array<Object>} criteria The criteria, including their adjusted weights.
+     * @param {function(): void} onInput Called after a slider moves.
+     * @param {Array<string>} [values] Initial slider values, by index; defaults to the score that contributes nothing, which
+     *     is 1, or 5 on inverted criteria.
+     * @param {?Array<{low: (number|undefined), high: (number|undefined)}>} [ranges] Initial score ranges, by index, for the
+     *     low and high inputs of uncertainty mode; leave out to render the rows without them.
+     * @private
+     */
+    renderCriteriaRows(tableBody, criteria, onInput, values = [], ranges = null) {
+        // Clear existing criteria
+        tableBody.innerHTML = '';
 
-        // Populate criteria table
-        this.adjustedCriteria.forEach((criterion, index) => {
+        criteria.forEach((criterion, index) => {
             const row = document.createElement('tr');
 
             // Metric with icon
@@ -455,36 +1072,80 @@ class LikelihoodCalculator {
             sliderInput.min = '1';
             sliderInput.max = '5';
             sliderInput.step = '0.25';
-            sliderInput.value = '1';
+            sliderInput.value = values[index] || LikelihoodScoring.worstScore(criterion).toString();
             sliderInput.name = 'score_' + index;
             sliderInput.dataset.weight = criterion.adjustedWeight.toString();
             sliderInput.classList.add('form-range');
-            sliderInput.setAttribute('aria-label', `Score for ${criterion.metric}`);
+            sliderInput.setAttribute('aria-label', this.t('a11y.scoreLabel', { metric: criterion.metric }));
             scoreCell.appendChild(sliderInput);
             row.appendChild(scoreCell);
 
+            // Low and high scores (uncertainty mode)
+            if (ranges) {
+                const rangeCell = document.createElement('td');
+                rangeCell.className = 'uncertainty-column';
+                const rangeGroup = document.createElement('div');
+                rangeGroup.className = 'uncertainty-range d-flex align-items-center gap-1';
+                ['low', 'high'].forEach((end, endIndex) => {
+                    if (endIndex > 0) {
+                        rangeGroup.appendChild(document.createTextNode('–'));
+                    }
+                    const input = document.createElement('input');
+                    input.type = 'number';
+                    input.min = '1';
+                    input.max = '5';
+                    input.step = '0.25';
+                    input.className = `form-control form-control-sm uncertainty-${end}`;
+                    input.placeholder = sliderInput.value;
+                    const range = ranges[index] || {};
+                    input.value = Number.isFinite(range[end]) ? range[end].toString() : '';
+                    input.setAttribute('aria-label', this.t(end === 'low' ? 'uncertainty.lowLabel' : 'uncertainty.highLabel', { metric: criterion.metric }));
+                    input.addEventListener('input', () => onInput());
+                    rangeGroup.appendChild(input);
+                });
+                rangeCell.appendChild(rangeGroup);
+                row.appendChild(rangeCell);
+            }
+
             // Descriptor
             const descriptorCell = document.createElement('td');
             const descriptorText = document.createElement('div');
             descriptorText.classList.add('score-descriptor');
-            descriptorText.textContent = this.getScoreDescriptor(criterion, parseFloat(sliderInput.value));
             descriptorCell.appendChild(descriptorText);
             row.appendChild(descriptorCell);
+            this.updateScoreDescriptor(sliderInput, criterion);
 
             // Event listener for slider input
             sliderInput.addEventListener('input', () => {
-                descriptorText.textContent = this.getScoreDescriptor(criterion, parseFloat(sliderInput.value));
-                this.calculateAndDisplayResults();
+                this.updateScoreDescriptor(sliderInput, criterion);
+                // Moving the slider scores a criterion added since the assessment was saved
+                if (sliderInput.dataset.unscored) {
+                    this.setUnscored(sliderInput, false);
+                }
+                // A blank end of the range follows the slider
+                row.querySelectorAll('.uncertainty-range input').forEach((input) => {
+                    input.placeholder = sliderInput.value;
+                });
+                onInput();
             });
 
-            this.criteriaTableBody.appendChild(row);
+            tableBody.appendChild(row);
         });
+    }
 
-        // Reset results
-        this.percentageLikelihoodElement.textContent = '0%';
-
-        // Load saved inputs if available
-        this.loadSavedInputs();
+    /**
+     * Show the descriptor of a slider's score beside it, and give it to screen readers as the slider's value text,
+     * e.g. '3.25, Sometimes responds'.
+     * @param {HTMLInputElement} input The slider, in its criteria table row.
+     * @param {Object} criterion The criterion it scores.
+     * @private
+     */
+    updateScoreDescriptor(input, criterion) {
+        const score = parseFloat(input.value);
+        const descriptor = this.getScoreDescriptor(criterion, score);
+        const scoreText = score.toLocaleString(this.locale);
+        input.closest('tr').querySelector('.score-descriptor').textContent = descriptor;
+        input.setAttribute('aria-valuetext', descriptor ? this.t('a11y.scoreValue', { score: scoreText, descriptor: descriptor }) : scoreText);
     }
 
     /**
@@ -520,29 +1181,36 @@ class LikelihoodCalculator {
     calculateAndDisplayResults() {
         try {
             const scores = this.getScores();
-            const weightedScores = this.calculateWeightedScores(scores);
-            const totalScore = this.calculateTotalScore(weightedScores);
-            const percentageLikelihood = (totalScore / 100) * 100;
+            const selectedProfile = this.categories[this.selectedCategoryIndex].profiles[this.selectedProfileIndex];
+            const result = LikelihoodScoring.scoreProfile(selectedProfile, scores);
+
+            // Display results, and announce them once the sliders settle
+            this.showPercentageLikelihood(LikelihoodScoring.formatPercentage(result.percentageLikelihood));
+            this.announceLikelihood();
+
+            // Update the breakdown table and the model explanation
+            this.updateBreakdownTable(scores, result);
 
-            // Display results
-            this.percentageLikelihoodElement.textContent = percentageLikelihood.toFixed(2) + '%';
+            // Update the next best actions
+            this.updateNextActions(selectedProfile, scores);
 
-            // Update the breakdown table
-            this.updateBreakdownTable(scores);
+            // Update the likelihood interval in uncertainty mode
+            this.updateUncertainty(selectedProfile, scores);
 
             // Update the chart
-            this.updateChart(percentageLikelihood, scores);
+            this.updateChart(result);
 
             // Save inputs and results
             this.saveInputsAndResults();
         } catch (error) {
             console.error('Error calculating scores:', error);
-            alert('An error occurred during calculation. Please check your inputs and try again.');
+            alert(this.t('alert.calculationFailed'));
         }
     }
 
     /**
      * Get scores input by the user.
+     * Scores with a low or high entered for uncertainty mode include them, whether or not the mode is on, so they are kept when saved.
      * @return {Array<Object>}
      * @private
      */
@@ -552,65 +1220,121 @@ class LikelihoodCalculator {
         scoreInputs.forEach((input, index) => {
             const score = parseFloat(input.value);
             const weight = parseFloat(this.adjustedCriteria[index].adjustedWeight);
-            scores.push({ score: score, weight: weight, index: index });
+            const criterion = this.adjustedCriteria[index];
+            const item = { id: criterion.id, score: score, weight: weight, index: index, metric: criterion.metric };
+            if (input.dataset.unscored) {
+                item.unscored = true;
+            }
+            const row = input.closest('tr');
+            ['low', 'high'].forEach((end) => {
+                const rangeInput = row.querySelector(`.uncertainty-${end}`);
+                const value = rangeInput ? parseFloat(rangeInput.value) : NaN;
+                if (Number.isFinite(value)) {
+                    item[end] = value;
+                }
+            });
+            scores.push(item);
         });
         return scores;
     }
 
     /**
-     * Calculate weighted scores for each criterion.
-     * @param {Array<Object>} scores The scores and weights for each criterion.
-     * @return {Array<number>}
+     * Initialise uncertainty mode, remembering whether it is on.
      * @private
      */
-    calculateWeightedScores(scores) {
-        return scores.map((item) => {
-            const criterion = this.adjustedCriteria[item.index];
-            const weightedScore = this.calculateCriterionWeightedScore(criterion, item.score);
-            return weightedScore;
+    initUncertaintyMode() {
+        this.uncertaintyModeInput.checked = localStorage.getItem('uncertaintyMode') === 'true';
+        document.getElementById('criteriaTable').classList.toggle('uncertainty-mode', this.uncertaintyModeInput.checked);
+        this.uncertaintyModeInput.addEventListener('change', () => {
+            localStorage.setItem('uncertaintyMode', this.uncertaintyModeInput.checked ? 'true' : 'false');
+            document.getElementById('criteriaTable').classList.toggle('uncertainty-mode', this.uncertaintyModeInput.checked);
+            this.updateUncertainty(this.categories[this.selectedCategoryIndex].profiles[this.selectedProfileIndex], this.getScores());
         });
     }
 
     /**
-     * Calculate the weighted score for a single criterion.
-     * @param {Object} criterion The criterion object.
-     * @param {number} score The user's score input for this criterion.
-     * @return {number} The weighted score.
+     * Simulate the likelihood over the score ranges and show the median, interval and histogram.
+     * Hidden when uncertainty mode is off.
+     * @param {Object} profile The selected profile.
+     * @param {Array<Object>} scores The current scores with their ranges.
      * @private
      */
-    calculateCriterionWeightedScore(criterion, score) {
-        let weightedScore = 0;
-        if (criterion.invert) {
-            // Inverted criterion: higher scores reduce likelihood
-            // Formula: weighted_score = ((5 - score) * adjustedWeight) / 4
-            weightedScore = ((5 - score) * criterion.adjustedWeight) / 4;
-        } else {
-            // Regular criterion
-            // Formula: weighted_score = ((score - 1) * adjustedWeight) / 4
-            weightedScore = ((score - 1) * criterion.adjustedWeight) / 4;
+    updateUncertainty(profile, scores) {
+        const chartContainer = document.getElementById('uncertaintyChartContainer');
+        if (!this.uncertaintyModeInput.checked) {
+            this.uncertaintySummaryElement.style.display = 'none';
+            chartContainer.style.display = 'none';
+            return;
+        }
+
+        const summary = LikelihoodUncertainty.simulate(profile, scores);
+        this.uncertaintySummaryElement.textContent = this.formatUncertainty(summary);
+        this.uncertaintySummaryElement.style.display = 'block';
+        chartContainer.style.display = 'block';
+
+        // Highlight the bins inside the interval
+        const labels = summary.histogram.map((bin) => `${bin.from}–${bin.to}%`);
+        const data = summary.histogram.map((bin) => bin.count);
+        const colors = summary.histogram.map((bin) => (bin.to > summary.low && bin.from <= summary.high ? '#36A2EB' : '#C9CBCF'));
+        if (this.uncertaintyChart) {
+            this.uncertaintyChart.data.labels = labels;
+            this.uncertaintyChart.data.datasets[0].data = data;
+            this.uncertaintyChart.data.datasets[0].backgroundColor = colors;
+            this.uncertaintyChart.update();
+            return;
         }
-        return weightedScore;
+        this.uncertaintyChart = new Chart(document.getElementById('uncertaintyChart').getContext('2d'), {
+            type: 'bar',
+            data: {
+                labels: labels,
+                datasets: [{
+                    label: this.t('uncertainty.simulatedAssessments'),
+                    data: data,
+                    backgroundColor: colors,
+                    barPercentage: 1,
+                    categoryPercentage: 1,
+                }],
+            },
+            options: {
+                plugins: {
+                    title: {
+                        display: true,
+                        text: this.t('uncertainty.chartTitle', { iterations: summary.iterations }),
+                    },
+                    legend: {
+                        display: false,
+                    },
+                },
+                scales: {
+                    x: { title: { display: true, text: this.t('uncertainty.likelihoodAxis') } },
+                    y: { beginAtZero: true, title: { display: true, text: this.t('uncertainty.simulationsAxis') } },
+                },
+            },
+        });
     }
 
     /**
-     * Calculate the total score by summing weighted scores.
-     * @param {Array<number>} weightedScores The weighted scores for each criterion.
-     * @return {number}
+     * Describe a simulation summary, e.g. 'Median 52.50% · 80% interval 41.25% to 63.75%'.
+     * @param {Object} summary The summary from LikelihoodUncertainty.simulate().
+     * @return {string}
      * @private
      */
-    calculateTotalScore(weightedScores) {
-        const totalScore = weightedScores.reduce((accumulator, currentValue) => {
-            return accumulator + currentValue;
-        }, 0);
-        return totalScore;
+    formatUncertainty(summary) {
+        return this.t('uncertainty.summary', {
+            median: this.formatPercentage(summary.median),
+            interval: summary.interval,
+            low: this.formatPercentage(summary.low),
+            high: this.formatPercentage(summary.high),
+        });
     }
 
     /**
-     * Update the breakdown table with current scores.
+     * Update the breakdown table with current scores, and explain which scoring model produced the likelihood.
      * @param {Array<Object>} scores The current scores.
+     * @param {Object} result The result from LikelihoodScoring.scoreProfile().
      * @private
      */
-    updateBreakdownTable(scores) {
+    updateBreakdownTable(scores, result) {
         const breakdownTableBody = document.querySelector('#breakdownTable tbody');
         // Clear existing rows
         breakdownTableBody.innerHTML = '';
@@ -623,66 +1347,163 @@ class LikelihoodCalculator {
             row.appendChild(metricCell);
             const scoreCell = document.createElement('td');
             scoreCell.textContent = item.score.toString();
+            // Flag scores below a gated criterion's minimum
+            const gate = result.gates.find((entry) => entry.index === item.index);
+            if (gate && result.model.type === 'gated') {
+                const note = document.createElement('small');
+                note.className = gate.met ? 'text-muted ms-1' : 'text-danger ms-1';
+                note.textContent = this.t(gate.met ? 'model.minimum' : 'model.belowMinimum', { minimum: gate.minimum });
+                scoreCell.appendChild(note);
+            }
             row.appendChild(scoreCell);
             breakdownTableBody.appendChild(row);
         });
+        this.scoringModelElement.textContent = this.t('model.summary', this.describeModel(result));
     }
 
     /**
-     * Update the pie chart based on the current scores and options.
-     * @param {number} percentageLikelihood The percentage likelihood.
-     * @param {Array<Object>} scores The scores and weights.
+     * Name the scoring model of a result and explain how it produced the likelihood, in the chosen language.
+     * These are the translated counterparts of the English `model.name` and `model.explanation` from
+     * LikelihoodScoring.scoreProfile(), which the command line tool shows.
+     * @param {Object} result The result from LikelihoodScoring.scoreProfile().
+     * @return {{name: string, explanation: string}}
      * @private
      */
-    updateChart(percentageLikelihood, scores) {
-        const pieChartOptionElement = document.querySelector('input[name="pieChartOption"]:checked');
-        const pieChartOption = pieChartOptionElement.value;
-
-        const labels = [];
-        const data = [];
-        const backgroundColors = [];
-
-        let totalWeightedScore = 0;
-        const weightedScores = [];
+    describeModel(result) {
+        const model = result.model;
+        const description = this.t(`model.${model.type}Description`);
+        const linear = this.formatPercentage(result.linearScore);
+        let explanation = description;
+        if (model.type === 'geometric') {
+            explanation = this.t('model.explainGeometric', { description: description, linear: linear });
+        } else if (model.type === 'logistic') {
+            explanation = this.t('model.explainLogistic', {
+                description: description,
+                linear: linear,
+                likelihood: this.formatPercentage(result.percentageLikelihood),
+                midpoint: model.midpoint,
+                steepness: model.steepness,
+            });
+        } else if (model.type === 'gated') {
+            const unmet = result.gates.filter((gate) => !gate.met);
+            if (result.gates.length === 0) {
+                explanation = this.t('model.explainGatedNoMinimums', { description: description });
+            } else if (unmet.length === 0) {
+                explanation = this.t('model.explainGatedMet', { description: description });
+            } else {
+                const reasons = unmet.map((gate) => this.t('model.gateUnmet', { metric: gate.metric, score: gate.score, minimum: gate.minimum })).join('; ');
+                const params = { description: description, reasons: reasons, linear: linear, cap: this.formatPercentage(model.cap) };
+                explanation = this.t(result.linearScore <= model.cap ? 'model.explainGatedWithinCap' : 'model.explainGatedCapped', params);
+            }
+        }
+        return { name: this.t(`model.${model.type}`), explanation: explanation };
+    }
 
-        // Calculate weighted scores and total score
-        scores.forEach((item, index) => {
-            const criterion = this.adjustedCriteria[index];
-            const weightedScore = this.calculateCriterionWeightedScore(criterion, item.score);
-            weightedScores.push(weightedScore);
-            totalWeightedScore += weightedScore;
+    /**
+     * Initialise the option to include the next best actions in reports, remembering the choice.
+     * @private
+     */
+    initNextActions() {
+        this.includeNextActionsCheckbox.checked = localStorage.getItem('includeNextActions') === 'true';
+        this.includeNextActionsCheckbox.addEventListener('change', () => {
+            localStorage.setItem('includeNextActions', this.includeNextActionsCheckbox.checked ? 'true' : 'false');
         });
+    }
 
-        if (pieChartOption === '100') {
-            // In "Show Full 100%" mode, display each metric's weighted score and the unlikelihood
-            scores.forEach((item, index) => {
-                const criterion = this.adjustedCriteria[index];
-                labels.push(criterion.metric);
+    /**
+     * Get the next best actions for the current scores, ranked by how much each would raise the likelihood.
+     * @param {Object} profile The selected profile.
+     * @param {Array<Object>} scores The current scores.
+     * @return {Array<Object>} The suggestions from LikelihoodSensitivity.analyseProfile().
+     * @private
+     */
+    getNextActions(profile, scores) {
+        return LikelihoodSensitivity.analyseProfile(profile, scores.map((item) => item.score)).suggestions;
+    }
+
+    /**
+     * Show the next best actions panel: each criterion that can still improve, with the likelihood it would add and
+     * the descriptor of the level to reach.
+     * @param {Object} profile The selected profile.
+     * @param {Array<Object>} scores The current scores.
+     * @private
+     */
+    updateNextActions(profile, scores) {
+        const suggestions = this.getNextActions(profile, scores);
+        this.nextActionsList.innerHTML = '';
+        suggestions.forEach((suggestion) => {
+            const item = document.createElement('li');
+            item.className = 'mb-1';
+            const metric = document.createElement('strong');
+            metric.textContent = suggestion.metric;
+            item.appendChild(metric);
+            item.appendChild(document.createTextNode(` ${suggestion.score} → ${suggestion.target}${suggestion.invert ? ` ${this.t('table.inverted')}` : ''} `));
+            const gain = document.createElement('span');
+            gain.className = suggestion.gain > 0 ? 'badge text-bg-success' : 'badge text-bg-secondary';
+            gain.textContent = LikelihoodSensitivity.formatGain(suggestion.gain);
+            item.appendChild(gain);
+            if (suggestion.descriptor) {
+                const action = document.createElement('div');
+                action.className = 'small text-muted';
+                action.textContent = this.t('actions.getTo', { descriptor: suggestion.descriptor });
+                item.appendChild(action);
+            }
+            this.nextActionsList.appendChild(item);
+        });
+        document.getElementById('nextActionsEmpty').style.display = suggestions.length === 0 ? 'block' : 'none';
+    }
+
+    /**
+     * Update the pie chart based on the scoring result and options.
+     * @param {Object} result The result from LikelihoodScoring.scoreProfile().
+     * @private
+     */
+    updateChart(result) {
+        const pieChartOptionElement = document.querySelector('input[name="pieChartOption"]:checked');
+        const pieChartOption = pieChartOptionElement.value;
+
+        const labels = [];
+        const data = [];
+        const backgroundColors = [];
+
+        const weightedScores = result.contributions.map((item) => item.weightedScore);
+        const totalWeightedScore = result.totalScore;
+
+        if (pieChartOption === '100') {
+            // In "Show Full 100%" mode, display each metric's weighted score and the unlikelihood
+            result.contributions.forEach((item, index) => {
+                labels.push(item.metric);
                 data.push(weightedScores[index]);
                 backgroundColors.push(this.getColor(index));
             });
             // Add unlikelihood slice
             const unlikelihood = 100 - totalWeightedScore;
             if (unlikelihood > 0) {
-                labels.push('Unlikelihood');
+                labels.push(this.t('chart.unlikelihood'));
                 data.push(unlikelihood);
-                backgroundColors.push('#CCCCCC'); // Grey colour for unlikelihood
+                backgroundColors.push(this.highContrastInput.checked ? '#FFFFFF' : '#CCCCCC'); // Grey, or white against the black borders
             }
         } else if (pieChartOption === 'likelihood') {
             // In "Show Percentage Likelihood" mode, display metrics' contributions proportionally
-            scores.forEach((item, index) => {
-                const criterion = this.adjustedCriteria[index];
-                labels.push(criterion.metric);
+            result.contributions.forEach((item, index) => {
+                labels.push(item.metric);
                 data.push(weightedScores[index]);
                 backgroundColors.push(this.getColor(index));
             });
         }
 
+        // Name the model in the chart title, since the slices depend on it
+        const title = this.t('model.chartTitle', { model: this.describeModel(result).name });
+        const borderColor = this.highContrastInput.checked ? '#000000' : '#FFFFFF';
+        this.updateChartDataTable(title, labels, data);
+
         // If the chart already exists, update it; otherwise, create it
         if (this.likelihoodChart) {
             this.likelihoodChart.data.labels = labels;
             this.likelihoodChart.data.datasets[0].data = data;
             this.likelihoodChart.data.datasets[0].backgroundColor = backgroundColors;
+            this.likelihoodChart.data.datasets[0].borderColor = borderColor;
+            this.likelihoodChart.options.plugins.title.text = title;
             this.likelihoodChart.update();
         } else {
             const ctxElement = document.getElementById('likelihoodChart');
@@ -694,10 +1515,15 @@ class LikelihoodCalculator {
                     datasets: [{
                         data: data,
                         backgroundColor: backgroundColors,
+                        borderColor: borderColor,
                     }],
                 },
                 options: {
                     plugins: {
+                        title: {
+                            display: true,
+                            text: title,
+                        },
                         legend: {
                             display: true,
                             labels: {
@@ -719,14 +1545,42 @@ class LikelihoodCalculator {
         }
     }
 
+    /**
+     * Show the chart's slices as a table, for screen readers and anyone who cannot tell the colours apart.
+     * @param {string} title The chart title, used as the caption.
+     * @param {Array<string>} labels The slice labels.
+     * @param {Array<number>} data The slice values.
+     * @private
+     */
+    updateChartDataTable(title, labels, data) {
+        const total = data.reduce((sum, value) => sum + value, 0);
+        this.chartDataTable.querySelector('caption').textContent = title;
+        const tbody = this.chartDataTable.querySelector('tbody');
+        tbody.innerHTML = '';
+        labels.forEach((label, index) => {
+            const row = document.createElement('tr');
+            const labelCell = document.createElement('th');
+            labelCell.scope = 'row';
+            labelCell.textContent = label;
+            const shareCell = document.createElement('td');
+            shareCell.textContent = this.formatPercentage(total > 0 ? data[index] / total * 100 : 0);
+            row.append(labelCell, shareCell);
+            tbody.appendChild(row);
+        });
+    }
+
     /**
      * Generate a colour based on the index.
+     * With high-contrast colours on, the Okabe–Ito palette is used, which stays distinct for colour-blind readers.
      * @param {number} index The index of the data point.
      * @return {string} The hexadecimal colour code.
      * @private
      */
     getColor(index) {
-        const colors = [
+        const colors = this.highContrastInput.checked ? [
+            '#E69F00', '#56B4E9', '#009E73', '#F0E442',
+            '#0072B2', '#D55E00', '#CC79A7', '#000000',
+        ] : [
             '#FF6384', '#36A2EB', '#FFCE56', '#4BC0C0',
             '#9966FF', '#FF9F40', '#C9CBCF', '#FF6384',
             '#36A2EB', '#FFCE56', '#4BC0C0', '#9966FF',
@@ -735,427 +1589,3733 @@ class LikelihoodCalculator {
         return colors[index % colors.length];
     }
 
+    /**
+     * Initialise high-contrast chart colours, remembering whether they are on.
+     * Until they are chosen, they follow the system's increased contrast setting.
+     * @private
+     */
+    initHighContrast() {
+        const stored = localStorage.getItem('highContrastColors');
+        this.highContrastInput.checked = stored === null
+            ? typeof window.matchMedia === 'function' && window.matchMedia('(prefers-contrast: more)').matches
+            : stored === 'true';
+        this.highContrastInput.addEventListener('change', () => {
+            localStorage.setItem('highContrastColors', this.highContrastInput.checked ? 'true' : 'false');
+            this.calculateAndDisplayResults();
+        });
+    }
+
     /**
      * Handle copy button click event.
+     * Writes the results as HTML with a plain text alternative, or as Markdown.
+     * @param {string} [format] 'rich' for HTML and plain text, or 'markdown'.
      * @private
      */
-    handleCopy() {
+    handleCopy(format = 'rich') {
         try {
-            const resultsHTML = this.generateResultsHTML();
-
-            // Create a Blob from the HTML
-            const blob = new Blob([resultsHTML], { type: 'text/html' });
+            const report = this.collectReportData();
+            const content = format === 'markdown'
+                ? { plain: LikelihoodReport.formatMarkdown(report) }
+                : { html: this.generateResultsHTML(report, this.getSelectedReportTemplate()), plain: LikelihoodReport.formatPlainText(report) };
 
-            // Create the ClipboardItem
-            const data = [new ClipboardItem({ 'text/html': blob })];
-
-            // Write to clipboard
-            navigator.clipboard.write(data).then(() => {
-                alert('Results copied to clipboard.');
+            this.writeToClipboard(content).then(() => {
+                alert(this.t(format === 'markdown' ? 'alert.copiedMarkdown' : 'alert.copied'));
             }).catch((error) => {
                 console.error('Copy failed:', error);
-                alert('An error occurred while copying results. Please try again.');
+                alert(this.t('alert.copyFailed'));
             });
         } catch (error) {
             console.error('Error copying results:', error);
-            alert('An error occurred while copying results. Please try again.');
+            alert(this.t('alert.copyFailed'));
         }
     }
 
     /**
-     * Generate HTML for the results to copy.
-     * @return {string}
+     * Write content to the clipboard.
+     * Uses the asynchronous Clipboard API with a ClipboardItem where available. Browsers without ClipboardItem,
+     * or that reject it, fall back to a copy event, and finally to writing the plain text alone.
+     * @param {{html: (string|undefined), plain: string}} content The HTML (optional) and plain text to write.
+     * @return {Promise<void>}
      * @private
      */
-    generateResultsHTML() {
-        const entityName = this.investorSelect.value;
-        const selectedCategory = this.categories[this.selectedCategoryIndex];
-        const profileName = selectedCategory.profiles[this.selectedProfileIndex].name;
-
-        let html = '<div style="font-family: Arial, sans-serif;">';
+    writeToClipboard(content) {
+        const fallback = () => {
+            if (this.copyWithCopyEvent(content)) {
+                return Promise.resolve();
+            }
+            if (navigator.clipboard && navigator.clipboard.writeText) {
+                return navigator.clipboard.writeText(content.plain);
+            }
+            return Promise.reject(new Error('Clipboard access is not available in this browser'));
+        };
 
-        // Entity details
-        html += `<h2>${this.savename} Name: ${entityName}</h2>`;
+        if (typeof ClipboardItem === 'undefined' || !navigator.clipboard || !navigator.clipboard.write) {
+            return fallback();
+        }
+        const items = { 'text/plain': new Blob([content.plain], { type: 'text/plain' }) };
+        if (content.html) {
+            items['text/html'] = new Blob([content.html], { type: 'text/html' });
+        }
+        return navigator.clipboard.write([new ClipboardItem(items)]).catch((error) => {
+            console.warn('ClipboardItem copy failed, using the fallback:', error);
+            return fallback();
+        });
+    }
 
-        // Entity Image
-        const entityImageSrc = this.investorImage.src;
-        if (entityImageSrc) {
-            html += `<img src="${entityImageSrc}" alt="${this.savename} Image" style="max-width: 200px;"/>`;
+    /**
+     * Copy content by handling a synchronous copy event, for browsers without the asynchronous Clipboard API.
+     * @param {{html: (string|undefined), plain: string}} content The HTML (optional) and plain text to write.
+     * @return {boolean} True if the browser performed the copy.
+     * @private
+     */
+    copyWithCopyEvent(content) {
+        const onCopy = (event) => {
+            event.clipboardData.setData('text/plain', content.plain);
+            if (content.html) {
+                event.clipboardData.setData('text/html', content.html);
+            }
+            event.preventDefault();
+        };
+        document.addEventListener('copy', onCopy);
+        try {
+            return document.execCommand('copy');
+        } catch (error) {
+            return false;
+        } finally {
+            document.removeEventListener('copy', onCopy);
         }
+    }
+
+    /**
+     * Collect the results of the current assessment for the clipboard formats.
+     * @return {Object} The report, as described in report.js.
+     * @private
+     */
+    collectReportData() {
+        const selectedCategory = this.categories[this.selectedCategoryIndex];
+        const scores = this.getScores();
+        const result = LikelihoodScoring.scoreProfile(selectedCategory.profiles[this.selectedProfileIndex], scores);
+        const nextActions = this.includeNextActionsCheckbox.checked
+            ? this.getNextActions(selectedCategory.profiles[this.selectedProfileIndex], scores).map((suggestion, index) => ({
+                rank: index + 1,
+                metric: suggestion.metric,
+                score: suggestion.score,
+                target: suggestion.target,
+                gain: LikelihoodSensitivity.formatGain(suggestion.gain),
+                descriptor: suggestion.descriptor,
+            }))
+            : [];
+        return {
+            savename: this.savename,
+            entityName: this.sharedView ? this.sharedView.entityName : this.investorSelect.value,
+            categoryName: selectedCategory.name,
+            profileName: selectedCategory.profiles[this.selectedProfileIndex].name,
+            likelihood: this.formatPercentage(LikelihoodHistory.parsePercentage(this.getPercentageLikelihood())),
+            model: this.describeModel(result),
+            date: this.formatTimestamp(Date.now(), false),
+            imageSrc: this.investorImageDataUrl,
+            chartImage: this.likelihoodChart ? this.likelihoodChart.toBase64Image() : '',
+            breakdown: scores.map((item) => ({
+                metric: this.adjustedCriteria[item.index].metric,
+                score: item.score,
+            })),
+            criteria: scores.map((item) => {
+                const criterion = this.adjustedCriteria[item.index];
+                return {
+                    metric: criterion.metric,
+                    description: criterion.description || '',
+                    score: item.score,
+                    descriptor: this.getScoreDescriptor(criterion, item.score),
+                    weight: parseFloat(criterion.adjustedWeight.toFixed(2)),
+                };
+            }),
+            disclaimer: selectedCategory.disclaimer || null,
+            nextActions: nextActions.length > 0 ? { items: nextActions } : null,
+            uncertainty: this.uncertaintyModeInput.checked ? this.getReportUncertainty(selectedCategory.profiles[this.selectedProfileIndex], scores) : null,
+            labels: LikelihoodReport.getLabels(this.translator),
+        };
+    }
 
-        // Profile Name
-        html += `<h3>Profile: ${profileName}</h3>`;
+    /**
+     * Get the likelihood interval of the current scores for reports.
+     * @param {Object} profile The selected profile.
+     * @param {Array<Object>} scores The current scores with their ranges.
+     * @return {{median: string, low: string, high: string, interval: number}}
+     * @private
+     */
+    getReportUncertainty(profile, scores) {
+        const summary = LikelihoodUncertainty.simulate(profile, scores);
+        return {
+            median: this.formatPercentage(summary.median),
+            low: this.formatPercentage(summary.low),
+            high: this.formatPercentage(summary.high),
+            interval: summary.interval,
+        };
+    }
 
-        // Main Content Wrapper
-        html += '<div style="display: flex; flex-wrap: wrap;">';
+    /**
+     * Generate HTML for the results to copy.
+     * @param {Object} [report] The report from collectReportData().
+     * @param {{html: string}} [template] The report template; defaults to the shipped layout.
+     * @return {string}
+     * @private
+     */
+    generateResultsHTML(report = this.collectReportData(), template = LikelihoodReport.getDefaultTemplate()) {
+        return LikelihoodReport.formatHtml(report, template.html);
+    }
 
-        // Pie Chart Column
-        html += '<div style="flex: 2;">';
-        // Pie Chart as Image
-        if (this.likelihoodChart) {
-            const chartDataURL = this.likelihoodChart.toBase64Image();
-            html += `<img src="${chartDataURL}" alt="Likelihood Chart" style="max-width: 100%; height: auto;" />`;
+    /**
+     * Load the user's report templates from local storage.
+     * @return {Array<{id: string, name: string, html: string}>}
+     * @private
+     */
+    loadReportTemplates() {
+        try {
+            const templatesJson = localStorage.getItem('reportTemplates');
+            const templates = templatesJson ? JSON.parse(templatesJson) : [];
+            return Array.isArray(templates) ? templates : [];
+        } catch (error) {
+            console.error('Error loading report templates:', error);
+            return [];
         }
-        html += '</div>';
+    }
 
-        // Report Column
-        html += '<div style="flex: 1; padding-left: 20px;">';
-        // Percentage Likelihood
-        html += `<h3>Percentage Likelihood</h3><h1>${this.percentageLikelihoodElement.textContent}</h1>`;
+    /**
+     * Get every report template, the shipped default first.
+     * @return {Array<{id: string, name: string, html: string}>}
+     * @private
+     */
+    getReportTemplates() {
+        return [Object.assign(LikelihoodReport.getDefaultTemplate(), { name: this.t('template.default') })].concat(this.loadReportTemplates());
+    }
 
-        // Breakdown Table
-        html += '<table border="1" cellpadding="5" cellspacing="0" style="border-collapse: collapse; width: 100%;">';
-        html += '<tr><th>Metric</th><th>Score</th></tr>';
-        const breakdownTableBody = document.querySelector('#breakdownTable tbody');
-        const rows = breakdownTableBody.querySelectorAll('tr');
-        rows.forEach((row) => {
-            const cells = row.cells;
-            const metric = cells[0].textContent || '';
-            const score = cells[1].textContent || '';
-            html += `<tr><td>${metric.trim()}</td><td>${score.trim()}</td></tr>`;
-        });
-        html += '</table>';
-        html += '</div>'; // Close Report Column
-        html += '</div>'; // Close Main Content Wrapper
+    /**
+     * Get the report template chosen for each category slug.
+     * @return {Object<string, string>}
+     * @private
+     */
+    loadReportTemplateSelection() {
+        try {
+            return JSON.parse(localStorage.getItem('reportTemplateSelection') || '{}');
+        } catch (error) {
+            console.error('Error loading report template selection:', error);
+            return {};
+        }
+    }
 
-        // Criteria Table
-        html += '<h3>Criteria Details</h3>';
-        html += '<table border="1" cellpadding="5" cellspacing="0" style="border-collapse: collapse; width: 100%;">';
-        html += '<tr><th>Metric</th><th>Description</th><th>Score</th><th>Descriptor</th></tr>';
+    /**
+     * Get the report template selected for copying.
+     * @return {{id: string, name: string, html: string}}
+     * @private
+     */
+    getSelectedReportTemplate() {
+        const templates = this.getReportTemplates();
+        return templates.find((template) => template.id === this.reportTemplateSelect.value) || templates[0];
+    }
 
-        const criteriaRows = this.criteriaTableBody.querySelectorAll('tr');
-        criteriaRows.forEach((row) => {
-            const cells = row.cells;
-            const metricCell = cells[0].textContent || '';
-            const descriptionCell = cells[1].textContent || '';
-            const inputElement = cells[2].querySelector('input[type="range"]');
-            const scoreValue = inputElement.value;
-            const descriptorCell = cells[3].textContent || '';
+    /**
+     * Populate the report template select, selecting the template chosen for the current category.
+     * @private
+     */
+    populateReportTemplateSelect() {
+        const category = this.categories[this.selectedCategoryIndex];
+        const templates = this.getReportTemplates();
+        const selectedId = this.loadReportTemplateSelection()[category.slug];
 
-            html += `<tr><td>${metricCell.trim()}</td><td>${descriptionCell.trim()}</td><td>${scoreValue}</td><td>${descriptorCell.trim()}</td></tr>`;
+        this.reportTemplateSelect.innerHTML = '';
+        templates.forEach((template) => {
+            const option = document.createElement('option');
+            option.value = template.id;
+            option.textContent = template.name;
+            this.reportTemplateSelect.appendChild(option);
         });
-        html += '</table>';
+        this.reportTemplateSelect.value = templates.some((template) => template.id === selectedId)
+            ? selectedId
+            : LikelihoodReport.DEFAULT_TEMPLATE_ID;
+    }
 
-        html += '</div>';
+    /**
+     * Initialise report template event listeners.
+     * @private
+     */
+    initReportTemplates() {
+        this.reportTemplateModalInstance = new bootstrap.Modal(this.reportTemplateModal);
+
+        // Remember the template chosen for each category
+        this.reportTemplateSelect.addEventListener('change', () => {
+            const selection = this.loadReportTemplateSelection();
+            selection[this.categories[this.selectedCategoryIndex].slug] = this.reportTemplateSelect.value;
+            localStorage.setItem('reportTemplateSelection', JSON.stringify(selection));
+        });
+        document.getElementById('manageTemplatesButton').addEventListener('click', () => this.openTemplateManager());
+        document.getElementById('templateNewButton').addEventListener('click', () => this.handleTemplateNew(false));
+        document.getElementById('templateDuplicateButton').addEventListener('click', () => this.handleTemplateNew(true));
+        document.getElementById('templateSaveButton').addEventListener('click', () => this.handleTemplateSave());
+        document.getElementById('templateDeleteButton').addEventListener('click', () => this.handleTemplateDelete());
+        this.templateHtmlInput.addEventListener('input', () => this.updateTemplatePreview());
+
+        // List the placeholders
+        const placeholderList = document.getElementById('templatePlaceholders');
+        LikelihoodReport.PLACEHOLDERS.forEach((item) => {
+            const term = document.createElement('dt');
+            const code = document.createElement('code');
+            code.textContent = item.placeholder;
+            term.appendChild(code);
+            const definition = document.createElement('dd');
+            definition.textContent = this.t(item.message);
+            placeholderList.appendChild(term);
+            placeholderList.appendChild(definition);
+        });
+    }
 
-        return html;
+    /**
+     * Open the template manager with the selected template.
+     * @private
+     */
+    openTemplateManager() {
+        this.selectTemplateInManager(this.reportTemplateSelect.value);
+        this.reportTemplateModalInstance.show();
     }
 
     /**
-     * Handle new entity creation.
+     * Show a template in the template manager. The shipped default is read-only.
+     * @param {string} id The template id.
      * @private
      */
-    handleNewInvestor() {
-        const entityName = prompt(`Enter new ${this.savename} name:`);
-        if (entityName) {
-            const entities = this.getEntitiesFromLocalStorage();
-            if (entities[entityName]) {
-                alert(`A ${this.savename} with that name already exists.`);
-                return;
+    selectTemplateInManager(id) {
+        const templates = this.getReportTemplates();
+        const template = templates.find((item) => item.id === id) || templates[0];
+        const readOnly = template.id === LikelihoodReport.DEFAULT_TEMPLATE_ID;
+        this.editingTemplateId = template.id;
+
+        this.templateListElement.innerHTML = '';
+        templates.forEach((item) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `list-group-item list-group-item-action${item.id === template.id ? ' active' : ''}`;
+            button.textContent = item.name;
+            if (item.id === template.id) {
+                button.setAttribute('aria-current', 'true');
             }
-            entities[entityName] = {};
-            this.saveEntitiesToLocalStorage(entities);
-            this.populateInvestorSelect(entityName);
-            this.loadInvestorList();
-        }
+            button.addEventListener('click', () => this.selectTemplateInManager(item.id));
+            this.templateListElement.appendChild(button);
+        });
+
+        this.templateNameInput.value = template.name;
+        this.templateHtmlInput.value = template.html;
+        this.templateNameInput.readOnly = readOnly;
+        this.templateHtmlInput.readOnly = readOnly;
+        document.getElementById('templateReadOnlyNote').style.display = readOnly ? 'block' : 'none';
+        document.getElementById('templateSaveButton').disabled = readOnly;
+        document.getElementById('templateDeleteButton').style.display = readOnly ? 'none' : 'inline-block';
+        this.updateTemplatePreview();
     }
 
     /**
-     * Populate the entity select dropdown.
-     * @param {string} [selectEntityName] Entity name to select after populating.
+     * Render the template being edited with the current results, or show why it cannot be rendered.
      * @private
      */
-    populateInvestorSelect(selectEntityName = '') {
-        const entities = this.getEntitiesFromLocalStorage();
-        // Clear existing options
-        this.investorSelect.innerHTML = '';
-        // Populate entity select
-        Object.keys(entities).forEach((name) => {
-            const option = document.createElement('option');
-            option.value = name;
-            option.textContent = name;
-            this.investorSelect.appendChild(option);
-        });
-        // Select the specified entity
-        if (selectEntityName) {
-            this.investorSelect.value = selectEntityName;
+    updateTemplatePreview() {
+        const errorElement = document.getElementById('templateError');
+        const error = LikelihoodReport.validateTemplate(this.templateHtmlInput.value);
+        errorElement.textContent = error || '';
+        errorElement.style.display = error ? 'block' : 'none';
+        if (error) {
+            return;
+        }
+        try {
+            this.templatePreview.srcdoc = this.generateResultsHTML(this.collectReportData(), { html: this.templateHtmlInput.value });
+        } catch (previewError) {
+            console.error('Error previewing report template:', previewError);
         }
     }
 
     /**
-     * Load entities from local storage.
+     * Create a new template, either blank or as a copy of the one being shown.
+     * @param {boolean} duplicate Whether to copy the template being shown.
      * @private
      */
-    loadEntities() {
-        this.populateInvestorSelect();
-        this.loadInvestorList();
+    handleTemplateNew(duplicate) {
+        const source = this.getReportTemplates().find((item) => item.id === this.editingTemplateId);
+        const template = {
+            id: `template-${Date.now().toString(36)}`,
+            name: duplicate && source ? this.t('template.copyName', { name: source.name }) : this.t('template.newName'),
+            html: duplicate && source ? source.html : '<h2>{{savename}}: {{entityName}}</h2>\n<p>{{profileName}}: {{likelihood}}</p>\n',
+        };
+        localStorage.setItem('reportTemplates', JSON.stringify(LikelihoodReport.saveTemplate(this.loadReportTemplates(), template)));
+        this.populateReportTemplateSelect();
+        this.selectTemplateInManager(template.id);
+        this.templateNameInput.focus();
     }
 
     /**
-     * Get entities from local storage for the current category.
-     * @return {Object}
+     * Save the template being edited.
      * @private
      */
-    getEntitiesFromLocalStorage() {
-        const entitiesJson = localStorage.getItem('entities');
-        const entitiesData = entitiesJson ? JSON.parse(entitiesJson) : {};
-        const categoryName = this.categories[this.selectedCategoryIndex].name;
-        if (!entitiesData[categoryName]) {
-            entitiesData[categoryName] = {};
+    handleTemplateSave() {
+        const name = this.templateNameInput.value.trim();
+        const html = this.templateHtmlInput.value;
+        if (!name) {
+            alert(this.t('alert.templateNameRequired'));
+            return;
+        }
+        const error = LikelihoodReport.validateTemplate(html);
+        if (error) {
+            alert(this.t('alert.templateSaveFailed', { error: error }));
+            return;
         }
-        return entitiesData[categoryName];
+        const templates = LikelihoodReport.saveTemplate(this.loadReportTemplates(), { id: this.editingTemplateId, name: name, html: html });
+        localStorage.setItem('reportTemplates', JSON.stringify(templates));
+        this.populateReportTemplateSelect();
+        this.selectTemplateInManager(this.editingTemplateId);
     }
 
     /**
-     * Save entities to local storage for the current category.
-     * @param {Object} entities Entities data to save.
+     * Delete the template being edited.
      * @private
      */
-    saveEntitiesToLocalStorage(entities) {
-        const entitiesJson = localStorage.getItem('entities');
-        const entitiesData = entitiesJson ? JSON.parse(entitiesJson) : {};
-        const categoryName = this.categories[this.selectedCategoryIndex].name;
-        entitiesData[categoryName] = entities;
-        localStorage.setItem('entities', JSON.stringify(entitiesData));
+    handleTemplateDelete() {
+        const template = this.getReportTemplates().find((item) => item.id === this.editingTemplateId);
+        if (!template || !confirm(this.t('confirm.deleteTemplate', { name: template.name }))) {
+            return;
+        }
+        localStorage.setItem('reportTemplates', JSON.stringify(LikelihoodReport.deleteTemplate(this.loadReportTemplates(), template.id)));
+        this.populateReportTemplateSelect();
+        this.selectTemplateInManager(LikelihoodReport.DEFAULT_TEMPLATE_ID);
     }
 
     /**
-     * Handle entity selection change event.
+     * Initialise printable report event listeners.
      * @private
      */
-    handleInvestorChange() {
-        // Load saved inputs if available
-        this.loadSavedInputs();
+    initPrintReport() {
+        document.getElementById('printReportButton').addEventListener('click', () => this.displayPrintReport(true));
+        document.getElementById('printReportPrintButton').addEventListener('click', () => window.print());
+        document.getElementById('printReportBackButton').addEventListener('click', () => {
+            this.hidePrintReport();
+            this.handleProfileCardClick(this.selectedProfileIndex);
+        });
+    }
 
-        // Load entity image
+    /**
+     * Get the URL of the printable report for the current category, profile and entity.
+     * @return {string}
+     * @private
+     */
+    getPrintReportUrl() {
+        const category = this.categories[this.selectedCategoryIndex];
+        const profileSlug = this.getProfileSlug(category.profiles[this.selectedProfileIndex]);
         const entityName = this.investorSelect.value;
-        const entities = this.getEntitiesFromLocalStorage();
-        const entityData = entities[entityName];
-        if (entityData && entityData.image) {
-            this.investorImage.src = entityData.image;
-            this.investorImage.style.display = 'block';
-        } else {
-            this.investorImage.src = '';
-            this.investorImage.style.display = 'none';
-        }
+        return this.localisePath(`/${category.slug}/${profileSlug}/report${entityName ? `?entity=${encodeURIComponent(entityName)}` : ''}`);
     }
 
     /**
-     * Save user inputs and results to local storage.
+     * Show the printable report of the current assessment in place of the calculator.
+     * The report holds the entity image, likelihood, chart, breakdown, criteria descriptors, category disclaimer and
+     * generation date, and is styled by the print stylesheet so that the browser's "Save as PDF" gives a clean page.
+     * @param {boolean} pushState Whether to add the report URL to the browser history (false when it is already the current URL).
      * @private
      */
-    saveInputsAndResults() {
-        const entityName = this.investorSelect.value;
-        if (!entityName) {
-            return;
+    displayPrintReport(pushState) {
+        const report = this.collectReportData();
+        const result = LikelihoodScoring.scoreProfile(this.categories[this.selectedCategoryIndex].profiles[this.selectedProfileIndex], this.getScores());
+
+        if (pushState) {
+            history.pushState({}, '', this.getPrintReportUrl());
+        } else {
+            history.replaceState({}, '', this.getPrintReportUrl());
+        }
+        document.title = this.t('report.title', { name: report.entityName || report.profileName, category: report.categoryName, profile: report.profileName });
+
+        this.printReportContent.innerHTML = '';
+
+        // Heading with the entity image
+        const header = document.createElement('header');
+        header.className = 'd-flex justify-content-between align-items-start mb-3';
+        const headingBlock = document.createElement('div');
+        const heading = document.createElement('h1');
+        heading.id = 'printReportTitle';
+        heading.className = 'h2 mt-0 mb-1';
+        heading.textContent = report.entityName || this.t('report.noEntity', this.getSavenameParams());
+        headingBlock.appendChild(heading);
+        const subheading = document.createElement('p');
+        subheading.className = 'text-muted mb-0';
+        subheading.textContent = this.t('report.subheading', Object.assign({ category: report.categoryName, profile: report.profileName }, this.getSavenameParams()));
+        headingBlock.appendChild(subheading);
+        const dateElement = document.createElement('p');
+        dateElement.className = 'small text-muted mb-0';
+        dateElement.textContent = this.t('report.generated', { date: this.formatTimestamp(Date.now()) });
+        headingBlock.appendChild(dateElement);
+        header.appendChild(headingBlock);
+        if (report.imageSrc) {
+            const image = document.createElement('img');
+            image.src = report.imageSrc;
+            image.alt = this.t('entity.image', this.getSavenameParams());
+            image.className = 'print-report-image img-thumbnail';
+            header.appendChild(image);
+        }
+        this.printReportContent.appendChild(header);
+
+        // Likelihood, chart and breakdown
+        const summaryRow = document.createElement('div');
+        summaryRow.className = 'row g-3 mb-3 print-report-summary';
+        const chartColumn = document.createElement('div');
+        chartColumn.className = 'col-6 print-report-chart';
+        const chartCanvas = document.createElement('canvas');
+        chartCanvas.setAttribute('role', 'img');
+        chartCanvas.setAttribute('aria-label', this.t('chart.label'));
+        chartColumn.appendChild(chartCanvas);
+        summaryRow.appendChild(chartColumn);
+
+        const breakdownColumn = document.createElement('div');
+        breakdownColumn.className = 'col-6';
+        const likelihoodLabel = document.createElement('p');
+        likelihoodLabel.className = 'mb-0 fw-bold';
+        likelihoodLabel.textContent = this.t('results.heading');
+        breakdownColumn.appendChild(likelihoodLabel);
+        const likelihoodValue = document.createElement('p');
+        likelihoodValue.className = 'display-5 fw-bold mb-3';
+        likelihoodValue.textContent = report.likelihood;
+        breakdownColumn.appendChild(likelihoodValue);
+        if (report.uncertainty) {
+            const intervalElement = document.createElement('p');
+            intervalElement.textContent = this.t('uncertainty.summary', report.uncertainty);
+            breakdownColumn.appendChild(intervalElement);
+        }
+        const modelElement = document.createElement('p');
+        modelElement.className = 'small';
+        modelElement.textContent = this.t('model.summary', report.model);
+        breakdownColumn.appendChild(modelElement);
+        breakdownColumn.appendChild(this.createPrintReportTable(
+            [this.t('table.metric'), this.t('table.score'), this.t('table.weight'), this.t('table.contribution')],
+            result.contributions.map((item) => [
+                item.metric + (item.invert ? ` ${this.t('table.inverted')}` : ''),
+                item.score.toString(),
+                `${item.adjustedWeight.toFixed(2)}%`,
+                item.weightedScore.toFixed(2),
+            ]),
+        ));
+        summaryRow.appendChild(breakdownColumn);
+        this.printReportContent.appendChild(summaryRow);
+
+        // Criteria descriptors
+        const criteriaHeading = document.createElement('h2');
+        criteriaHeading.className = 'h5';
+        criteriaHeading.textContent = this.t('report.criteriaHeading');
+        this.printReportContent.appendChild(criteriaHeading);
+        this.printReportContent.appendChild(this.createPrintReportTable(
+            [this.t('table.metric'), this.t('table.description'), this.t('table.score'), this.t('table.descriptor')],
+            report.criteria.map((row) => [row.metric, row.description, row.score.toString(), row.descriptor]),
+        ));
+
+        // Next best actions, when included
+        if (report.nextActions) {
+            const actionsHeading = document.createElement('h2');
+            actionsHeading.className = 'h5';
+            actionsHeading.textContent = this.t('actions.heading');
+            this.printReportContent.appendChild(actionsHeading);
+            this.printReportContent.appendChild(this.createPrintReportTable(
+                [this.t('table.rank'), this.t('table.metric'), this.t('table.score'), this.t('table.target'), this.t('table.gain'), this.t('table.getTo')],
+                report.nextActions.items.map((item) => [item.rank.toString(), item.metric, item.score.toString(), item.target.toString(), item.gain, item.descriptor]),
+            ));
         }
-        const selectedCategory = this.categories[this.selectedCategoryIndex];
-        const profileName = selectedCategory.profiles[this.selectedProfileIndex].name;
-        const scores = this.getScores();
-        const percentageLikelihood = this.percentageLikelihoodElement.textContent || '0%';
 
-        const entities = this.getEntitiesFromLocalStorage();
-        if (!entities[entityName]) {
-            entities[entityName] = {};
+        // Category disclaimer
+        if (report.disclaimer) {
+            const disclaimerSection = document.createElement('section');
+            disclaimerSection.className = 'print-report-disclaimer border-top pt-2 mt-3 small';
+            const disclaimerHeading = document.createElement('h2');
+            disclaimerHeading.className = 'h6';
+            disclaimerHeading.textContent = report.disclaimer.heading || this.t('report.disclaimer');
+            disclaimerSection.appendChild(disclaimerHeading);
+            this.appendDisclaimerContent(disclaimerSection, report.disclaimer);
+            this.printReportContent.appendChild(disclaimerSection);
         }
-        if (!entities[entityName][selectedCategory.name]) {
-            entities[entityName][selectedCategory.name] = {};
+
+        document.body.classList.add('report-mode');
+        this.printReportElement.style.display = 'block';
+        window.scrollTo(0, 0);
+
+        // Draw the chart without animation so that it is complete when printed
+        if (this.printReportChart) {
+            this.printReportChart.destroy();
         }
-        entities[entityName][selectedCategory.name][profileName] = {
-            scores: scores,
-            percentageLikelihood: percentageLikelihood,
-        };
-        this.saveEntitiesToLocalStorage(entities);
-        this.loadInvestorList();
+        const chartData = this.likelihoodChart ? this.likelihoodChart.data : { labels: [], datasets: [{ data: [] }] };
+        this.printReportChart = new Chart(chartCanvas.getContext('2d'), {
+            type: 'pie',
+            data: {
+                labels: chartData.labels.slice(),
+                datasets: [{
+                    data: chartData.datasets[0].data.slice(),
+                    backgroundColor: (chartData.datasets[0].backgroundColor || []).slice(),
+                }],
+            },
+            options: {
+                animation: false,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: this.t('model.chartTitle', { model: report.model.name }),
+                    },
+                    legend: {
+                        position: 'bottom',
+                    },
+                },
+            },
+        });
     }
 
     /**
-     * Load saved inputs for the selected entity and profile.
+     * Create a table for the printable report.
+     * @param {Array<string>} headings The column headings.
+     * @param {Array<Array<string>>} rows The cell text of each row.
+     * @return {HTMLTableElement}
      * @private
      */
-    loadSavedInputs() {
-        const entityName = this.investorSelect.value;
-        if (!entityName) {
-            return;
-        }
-        const selectedCategory = this.categories[this.selectedCategoryIndex];
-        const profileName = selectedCategory.profiles[this.selectedProfileIndex].name;
-
-        const entities = this.getEntitiesFromLocalStorage();
-        const entityData = entities[entityName];
-        if (entityData && entityData[selectedCategory.name] && entityData[selectedCategory.name][profileName]) {
-            const savedData = entityData[selectedCategory.name][profileName];
-            const savedScores = savedData.scores;
-            const scoreInputs = this.criteriaTableBody.querySelectorAll('input[type="range"]');
-            scoreInputs.forEach((input, index) => {
-                input.value = savedScores[index].score.toString();
-                // Update descriptor
-                const descriptorCell = input.parentElement.nextElementSibling;
-                const criterion = this.adjustedCriteria[index];
-                const descriptorText = descriptorCell.querySelector('.score-descriptor');
-                descriptorText.textContent = this.getScoreDescriptor(criterion, parseFloat(input.value));
-            });
-            this.percentageLikelihoodElement.textContent = savedData.percentageLikelihood;
-        } else {
-            // Reset inputs and results
-            const scoreInputs = this.criteriaTableBody.querySelectorAll('input[type="range"]');
-            scoreInputs.forEach((input, index) => {
-                input.value = '1';
-                const descriptorCell = input.parentElement.nextElementSibling;
-                const descriptorText = descriptorCell.querySelector('.score-descriptor');
-                descriptorText.textContent = this.getScoreDescriptor(this.adjustedCriteria[index], 1);
+    createPrintReportTable(headings, rows) {
+        const table = document.createElement('table');
+        table.className = 'table table-sm table-bordered print-report-table';
+        const headerRow = table.createTHead().insertRow();
+        headings.forEach((heading) => {
+            const cell = document.createElement('th');
+            cell.scope = 'col';
+            cell.textContent = heading;
+            headerRow.appendChild(cell);
+        });
+        const body = table.createTBody();
+        rows.forEach((cells) => {
+            const row = body.insertRow();
+            cells.forEach((text) => {
+                row.insertCell().textContent = text;
             });
-            this.percentageLikelihoodElement.textContent = '0%';
-        }
+        });
+        return table;
+    }
 
-        // Load entity image
-        if (entityData && entityData.image) {
-            this.investorImage.src = entityData.image;
-            this.investorImage.style.display = 'block';
-        } else {
-            this.investorImage.src = '';
-            this.investorImage.style.display = 'none';
+    /**
+     * Hide the printable report and show the calculator again.
+     * @private
+     */
+    hidePrintReport() {
+        document.body.classList.remove('report-mode');
+        this.printReportElement.style.display = 'none';
+        if (this.printReportChart) {
+            this.printReportChart.destroy();
+            this.printReportChart = null;
         }
     }
 
     /**
-     * Load entity list with existing calculations.
+     * Load the Odoo connector settings from local storage.
+     * @return {Object} The settings, with defaults for anything missing.
      * @private
      */
-    loadInvestorList() {
-        // Clear existing list
-        this.investorListElement.innerHTML = '';
-        const entities = this.getEntitiesFromLocalStorage();
-        Object.keys(entities).forEach((entityName) => {
-            const entityData = entities[entityName];
-            const listItem = document.createElement('li');
-            listItem.classList.add('list-group-item', 'd-flex', 'align-items-center');
-            listItem.dataset.name = entityName;
-
-            // Entity Image
-            const entityProfiles = entityData;
-            const profilesCount = Object.keys(entityProfiles).filter((key) => key !== 'image').length;
-            const imageSrc = entityData.image || '';
-
-            if (imageSrc) {
-                const imgElement = document.createElement('img');
-                imgElement.src = imageSrc;
-                imgElement.alt = `${this.savename} Image`;
-                imgElement.classList.add('img-thumbnail', 'me-2');
-                imgElement.style.width = '50px';
-                imgElement.style.height = '50px';
-                listItem.appendChild(imgElement);
-            }
+    loadCrmSettings() {
+        try {
+            return LikelihoodOdoo.normaliseConfig(JSON.parse(localStorage.getItem('odooSettings') || '{}'));
+        } catch (error) {
+            console.error('Error loading CRM settings:', error);
+            return LikelihoodOdoo.normaliseConfig({});
+        }
+    }
 
-            // Entity Name and Profile Count
-            const textContent = document.createElement('div');
-            textContent.textContent = `${entityName} - ${profilesCount} profile(s) saved`;
-            listItem.appendChild(textContent);
+    /**
+     * Initialise CRM connector event listeners.
+     * @private
+     */
+    initCrmConnector() {
+        this.crmSettingsModalInstance = new bootstrap.Modal(this.crmSettingsModal);
+        document.getElementById('sendToCrmButton').addEventListener('click', () => this.handleSendToCrm(false));
+        document.getElementById('crmSettingsButton').addEventListener('click', () => this.openCrmSettings());
+        document.getElementById('crmTestButton').addEventListener('click', () => this.handleCrmTest());
+        this.crmSettingsForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.handleCrmSettingsSave();
+        });
+        this.crmSettingsForm.querySelectorAll('input[name="crmMode"]').forEach((radio) => {
+            radio.addEventListener('change', () => this.updateCrmFieldMappingState());
+        });
+    }
 
-            this.investorListElement.appendChild(listItem);
+    /**
+     * Open the CRM settings with the stored values.
+     * @private
+     */
+    openCrmSettings() {
+        const settings = this.loadCrmSettings();
+        const form = this.crmSettingsForm;
+        form.elements.crmUrl.value = settings.url;
+        form.elements.crmDatabase.value = settings.database;
+        form.elements.crmLogin.value = settings.login;
+        form.elements.crmApiKey.value = settings.apiKey;
+        form.elements.crmModel.value = settings.model;
+        form.elements.crmMatchField.value = settings.matchField;
+        form.elements.crmMode.value = settings.mode;
+        form.elements.crmLikelihoodField.value = settings.fieldMapping.likelihood;
+        form.elements.crmBreakdownField.value = settings.fieldMapping.breakdown;
+        form.elements.crmReportField.value = settings.fieldMapping.report;
+        form.elements.crmSendOnSave.checked = settings.sendOnSave;
+        this.updateCrmFieldMappingState();
+        this.showCrmSettingsStatus('', '');
+        this.crmSettingsModalInstance.show();
+    }
 
-            // Add click event to open modal
-            listItem.addEventListener('click', () => this.handleInvestorListItemClick(entityName));
+    /**
+     * Read the CRM settings form.
+     * @return {Object}
+     * @private
+     */
+    getCrmSettingsFromForm() {
+        const form = this.crmSettingsForm;
+        return LikelihoodOdoo.normaliseConfig({
+            url: form.elements.crmUrl.value.trim(),
+            database: form.elements.crmDatabase.value.trim(),
+            login: form.elements.crmLogin.value.trim(),
+            apiKey: form.elements.crmApiKey.value.trim(),
+            model: form.elements.crmModel.value.trim(),
+            matchField: form.elements.crmMatchField.value.trim(),
+            mode: form.elements.crmMode.value,
+            fieldMapping: {
+                likelihood: form.elements.crmLikelihoodField.value.trim(),
+                breakdown: form.elements.crmBreakdownField.value.trim(),
+                report: form.elements.crmReportField.value.trim(),
+            },
+            sendOnSave: form.elements.crmSendOnSave.checked,
         });
     }
 
     /**
-     * Handle delete entity button click event.
+     * Enable the field mapping inputs only when writing to fields.
      * @private
      */
-    handleDeleteInvestor() {
+    updateCrmFieldMappingState() {
+        const disabled = this.crmSettingsForm.elements.crmMode.value !== 'fields';
+        document.getElementById('crmFieldMapping').disabled = disabled;
+    }
+
+    /**
+     * Show a message in the CRM settings modal.
+     * @param {string} message The message; empty to hide it.
+     * @param {string} type The Bootstrap alert type, e.g. 'success' or 'danger'.
+     * @private
+     */
+    showCrmSettingsStatus(message, type) {
+        this.crmSettingsStatus.textContent = message;
+        this.crmSettingsStatus.className = `alert alert-${type} py-2 small`;
+        this.crmSettingsStatus.style.display = message ? 'block' : 'none';
+    }
+
+    /**
+     * Show the result of the last send next to the Send to CRM button.
+     * @param {string} message The message.
+     * @param {boolean} isError Whether the send failed.
+     * @private
+     */
+    showCrmStatus(message, isError) {
+        this.crmStatusElement.textContent = message;
+        this.crmStatusElement.className = `small ${isError ? 'text-danger' : 'text-success'}`;
+    }
+
+    /**
+     * Validate and save the CRM settings.
+     * @private
+     */
+    handleCrmSettingsSave() {
+        const settings = this.getCrmSettingsFromForm();
+        const problems = LikelihoodOdoo.validateConfig(settings);
+        if (problems.length > 0) {
+            this.showCrmSettingsStatus(problems.map((key) => this.t(key)).join(' '), 'danger');
+            return;
+        }
+        localStorage.setItem('odooSettings', JSON.stringify(settings));
+        this.crmSettingsModalInstance.hide();
+    }
+
+    /**
+     * Test the connection with the settings in the form.
+     * @private
+     */
+    async handleCrmTest() {
+        const settings = this.getCrmSettingsFromForm();
+        const problems = LikelihoodOdoo.validateConfig(settings);
+        if (problems.length > 0) {
+            this.showCrmSettingsStatus(problems.map((key) => this.t(key)).join(' '), 'danger');
+            return;
+        }
+        this.showCrmSettingsStatus(this.t('crm.connecting'), 'info');
+        try {
+            const result = await LikelihoodOdoo.testConnection(settings);
+            this.showCrmSettingsStatus(this.t('crm.connected', { uid: result.uid, model: settings.model, count: result.recordCount }), 'success');
+        } catch (error) {
+            console.error('Error testing the CRM connection:', error);
+            this.showCrmSettingsStatus(this.describeCrmError(error), 'danger');
+        }
+    }
+
+    /**
+     * Send the current assessment a few seconds after the last save, if sending on save is enabled.
+     * Saves happen on every score change, so this waits for the scores to settle.
+     * @private
+     */
+    scheduleCrmSend() {
+        if (!this.loadCrmSettings().sendOnSave) {
+            return;
+        }
+        clearTimeout(this.crmSendTimer);
+        this.crmSendTimer = setTimeout(() => {
+            this.crmSendTimer = null;
+            this.handleSendToCrm(true);
+        }, SAVE_SETTLE_DELAY_MS);
+    }
+
+    /**
+     * Send the current assessment to the CRM.
+     * @param {boolean} automatic Whether the send followed a save; failures are then only shown in the status line.
+     * @private
+     */
+    async handleSendToCrm(automatic) {
         const entityName = this.investorSelect.value;
         if (!entityName) {
-            alert(`Please select a ${this.savename.toLowerCase()} to delete.`);
+            if (!automatic) {
+                alert(this.t('alert.selectEntityFirst', this.getSavenameParams()));
+            }
             return;
         }
-        if (confirm(`Are you sure you want to delete ${this.savename.toLowerCase()} "${entityName}"? This action cannot be undone.`)) {
-            const entities = this.getEntitiesFromLocalStorage();
-            delete entities[entityName];
-            this.saveEntitiesToLocalStorage(entities);
-            this.populateInvestorSelect();
+        const settings = this.loadCrmSettings();
+        if (!automatic && LikelihoodOdoo.validateConfig(settings).length > 0) {
+            this.openCrmSettings();
+            return;
+        }
+
+        const report = this.collectReportData();
+        this.showCrmStatus(this.t('crm.sending', { entity: entityName }), false);
+        try {
+            const record = await LikelihoodOdoo.sendAssessment(settings, {
+                entityName: entityName,
+                profileName: report.profileName,
+                likelihood: this.getPercentageLikelihood(),
+                breakdown: report.breakdown,
+                reportHtml: this.generateResultsHTML(report, this.getSelectedReportTemplate()),
+            });
+            this.showCrmStatus(this.t('crm.sent', { model: settings.model, name: record.name, id: record.id, time: this.formatTimestamp(Date.now()) }), false);
+        } catch (error) {
+            console.error('Error sending to the CRM:', error);
+            this.showCrmStatus(this.describeCrmError(error), true);
+            if (!automatic) {
+                alert(this.t('alert.odooFailed', { error: this.describeCrmError(error) }));
+            }
+        }
+    }
+
+    /**
+     * Describe a failure to reach or update the CRM in the chosen language.
+     * @param {Error} error The error, usually an OdooError.
+     * @return {string}
+     * @private
+     */
+    describeCrmError(error) {
+        return error instanceof LikelihoodOdoo.OdooError ? LikelihoodOdoo.describe(error.key, error.params, this.translator) : error.message;
+    }
+
+    /**
+     * Initialise webhook event listeners and send any deliveries left from an earlier visit.
+     * @private
+     */
+    initWebhooks() {
+        this.webhookModalInstance = new bootstrap.Modal(this.webhookModal);
+        document.getElementById('webhooksButton').addEventListener('click', () => this.openWebhookManager());
+        document.getElementById('webhookNewButton').addEventListener('click', () => this.editWebhook(null));
+        document.getElementById('webhookRetryButton').addEventListener('click', () => {
+            LikelihoodWebhooks.retryNow(localStorage);
+            this.processWebhookQueue();
+        });
+        document.getElementById('webhookClearLogButton').addEventListener('click', () => {
+            LikelihoodWebhooks.clearLog(localStorage);
+            this.displayWebhookLog();
+        });
+        this.webhookForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.handleWebhookSave();
+        });
+
+        // List the events
+        const eventsContainer = document.getElementById('webhookEvents');
+        LikelihoodWebhooks.EVENTS.forEach((item) => {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'form-check form-check-inline';
+            const checkbox = document.createElement('input');
+            checkbox.className = 'form-check-input';
+            checkbox.type = 'checkbox';
+            checkbox.name = 'webhookEvent';
+            checkbox.id = `webhookEvent-${item.event}`;
+            checkbox.value = item.event;
+            const label = document.createElement('label');
+            label.className = 'form-check-label';
+            label.htmlFor = checkbox.id;
+            label.textContent = this.t(`webhook.event.${item.event}`);
+            wrapper.appendChild(checkbox);
+            wrapper.appendChild(label);
+            eventsContainer.appendChild(wrapper);
+        });
+
+        // Deliveries are held while offline
+        window.addEventListener('online', () => this.processWebhookQueue());
+        window.addEventListener('offline', () => this.displayWebhookLog());
+        // Queue score events that are still settling when the page is closed
+        window.addEventListener('pagehide', () => this.flushScoreSavedWebhooks());
+        this.processWebhookQueue();
+    }
+
+    /**
+     * Build the webhook event data for an entity and profile.
+     * @param {string} entityName The entity name.
+     * @param {Object} profile The profile.
+     * @param {Array<{id: string, metric: string, score: number, weight: number}>} scores The scores.
+     * @param {?string} percentageLikelihood The likelihood as displayed, e.g. '42.50%', or null if there is none.
+     * @return {Object} The category and profile by ID and slug, which stay the same in every language, and the rest.
+     * @private
+     */
+    getWebhookEventData(entityName, profile, scores, percentageLikelihood) {
+        const category = this.categories[this.selectedCategoryIndex];
+        return {
+            category: category.id,
+            categorySlug: category.slug,
+            profile: profile.id,
+            profileSlug: this.getProfileSlug(profile),
+            entity: entityName,
+            likelihood: percentageLikelihood === null ? null : LikelihoodHistory.parsePercentage(percentageLikelihood),
+            scores: scores,
+        };
+    }
+
+    /**
+     * Queue an event for the subscribed webhooks and start sending.
+     * @param {string} event The event name.
+     * @param {Object} data The event data from getWebhookEventData().
+     * @private
+     */
+    fireWebhookEvent(event, data) {
+        if (LikelihoodWebhooks.enqueue(localStorage, event, data) > 0) {
+            this.processWebhookQueue();
+        }
+    }
+
+    /**
+     * Fire a score saved event once the scores of an entity and profile stop changing.
+     * Saves happen on every score change, so only the settled scores are sent.
+     * @param {Object} data The event data from getWebhookEventData().
+     * @private
+     */
+    scheduleScoreSavedWebhook(data) {
+        const key = JSON.stringify([data.category, data.entity, data.profile]);
+        const pending = this.pendingScoreEvents.get(key);
+        if (pending) {
+            clearTimeout(pending.timer);
+        }
+        const timer = setTimeout(() => {
+            this.pendingScoreEvents.delete(key);
+            this.fireWebhookEvent('score.saved', data);
+        }, SAVE_SETTLE_DELAY_MS);
+        this.pendingScoreEvents.set(key, { data: data, timer: timer });
+    }
+
+    /**
+     * Fire pending score saved events now.
+     * @param {string} [entityName] Only fire the events of this entity; defaults to all.
+     * @private
+     */
+    flushScoreSavedWebhooks(entityName) {
+        this.pendingScoreEvents.forEach((pending, key) => {
+            if (entityName === undefined || pending.data.entity === entityName) {
+                clearTimeout(pending.timer);
+                this.pendingScoreEvents.delete(key);
+                this.fireWebhookEvent('score.saved', pending.data);
+            }
+        });
+    }
+
+    /**
+     * Send the deliveries that are due and schedule the next retry.
+     * @private
+     */
+    async processWebhookQueue() {
+        if (this.webhookProcessing) {
+            this.webhookQueueDirty = true;
+            return;
+        }
+        this.webhookProcessing = true;
+        clearTimeout(this.webhookTimer);
+        this.webhookTimer = null;
+        let outcome;
+        try {
+            do {
+                this.webhookQueueDirty = false;
+                outcome = await LikelihoodWebhooks.processQueue(localStorage, {
+                    online: navigator.onLine,
+                    locks: navigator.locks,
+                });
+            } while (this.webhookQueueDirty);
+        } catch (error) {
+            console.error('Error delivering webhooks:', error);
+        } finally {
+            this.webhookProcessing = false;
+        }
+        if (outcome && outcome.nextAttempt !== null && navigator.onLine) {
+            this.webhookTimer = setTimeout(() => this.processWebhookQueue(), Math.max(0, outcome.nextAttempt - Date.now()));
+        }
+        this.displayWebhookLog();
+    }
+
+    /**
+     * Open the webhook manager.
+     * @private
+     */
+    openWebhookManager() {
+        this.displayWebhooks();
+        this.editWebhook(null);
+        this.displayWebhookLog();
+        this.webhookModalInstance.show();
+    }
+
+    /**
+     * List the configured webhooks.
+     * @private
+     */
+    displayWebhooks() {
+        const tableBody = document.querySelector('#webhookTable tbody');
+        tableBody.innerHTML = '';
+        const hooks = LikelihoodWebhooks.loadHooks(localStorage);
+        document.getElementById('webhookEmptyNote').style.display = hooks.length === 0 ? 'block' : 'none';
+        hooks.forEach((hook) => {
+            const row = document.createElement('tr');
+            [hook.name, hook.url, hook.events.join(', ')].forEach((text) => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                cell.className = 'text-break';
+                row.appendChild(cell);
+            });
+
+            const enabledCell = document.createElement('td');
+            const enabledSwitch = document.createElement('div');
+            enabledSwitch.className = 'form-check form-switch mb-0';
+            const enabledInput = document.createElement('input');
+            enabledInput.className = 'form-check-input';
+            enabledInput.type = 'checkbox';
+            enabledInput.checked = hook.enabled !== false;
+            enabledInput.setAttribute('aria-label', this.t('webhook.enable', { name: hook.name }));
+            enabledInput.addEventListener('change', () => {
+                LikelihoodWebhooks.saveHook(localStorage, { ...hook, enabled: enabledInput.checked });
+            });
+            enabledSwitch.appendChild(enabledInput);
+            enabledCell.appendChild(enabledSwitch);
+            row.appendChild(enabledCell);
+
+            const actionsCell = document.createElement('td');
+            actionsCell.className = 'text-nowrap';
+            const editButton = document.createElement('button');
+            editButton.type = 'button';
+            editButton.className = 'btn btn-sm btn-outline-secondary me-1';
+            editButton.textContent = this.t('action.edit');
+            editButton.addEventListener('click', () => this.editWebhook(hook));
+            const deleteButton = document.createElement('button');
+            deleteButton.type = 'button';
+            deleteButton.className = 'btn btn-sm btn-outline-danger';
+            deleteButton.textContent = this.t('action.delete');
+            deleteButton.addEventListener('click', () => {
+                if (confirm(this.t('confirm.deleteWebhook', { name: hook.name }))) {
+                    LikelihoodWebhooks.deleteHook(localStorage, hook.id);
+                    this.displayWebhooks();
+                    this.editWebhook(null);
+                    this.displayWebhookLog();
+                }
+            });
+            actionsCell.appendChild(editButton);
+            actionsCell.appendChild(deleteButton);
+            row.appendChild(actionsCell);
+            tableBody.appendChild(row);
+        });
+    }
+
+    /**
+     * Fill the webhook form with a webhook, or clear it to add a new one.
+     * @param {?Object} hook The webhook, or null for a new one.
+     * @private
+     */
+    editWebhook(hook) {
+        const form = this.webhookForm;
+        form.elements.webhookId.value = hook ? hook.id : '';
+        form.elements.webhookName.value = hook ? hook.name : '';
+        form.elements.webhookUrl.value = hook ? hook.url : '';
+        form.elements.webhookSecret.value = hook ? hook.secret || '' : '';
+        form.elements.webhookEnabled.checked = hook ? hook.enabled !== false : true;
+        form.querySelectorAll('input[name="webhookEvent"]').forEach((checkbox) => {
+            checkbox.checked = hook ? hook.events.includes(checkbox.value) : true;
+        });
+        document.getElementById('webhookFormHeading').textContent = hook ? this.t('webhook.edit', { name: hook.name }) : this.t('webhook.add');
+        document.getElementById('webhookError').style.display = 'none';
+    }
+
+    /**
+     * Save the webhook in the form.
+     * @private
+     */
+    handleWebhookSave() {
+        const form = this.webhookForm;
+        const hook = {
+            id: form.elements.webhookId.value,
+            name: form.elements.webhookName.value.trim(),
+            url: form.elements.webhookUrl.value.trim(),
+            events: Array.from(form.querySelectorAll('input[name="webhookEvent"]:checked')).map((checkbox) => checkbox.value),
+            secret: form.elements.webhookSecret.value,
+            enabled: form.elements.webhookEnabled.checked,
+        };
+        const errorElement = document.getElementById('webhookError');
+        try {
+            LikelihoodWebhooks.saveHook(localStorage, hook);
+        } catch (error) {
+            errorElement.textContent = error.message;
+            errorElement.style.display = 'block';
+            return;
+        }
+        this.displayWebhooks();
+        this.editWebhook(null);
+    }
+
+    /**
+     * Show the delivery log and the state of the queue.
+     * @private
+     */
+    displayWebhookLog() {
+        const tableBody = document.querySelector('#webhookLogTable tbody');
+        tableBody.innerHTML = '';
+        const badges = { delivered: 'bg-success', retrying: 'bg-warning text-dark', failed: 'bg-danger' };
+        const log = LikelihoodWebhooks.loadLog(localStorage);
+        log.forEach((entry) => {
+            const row = document.createElement('tr');
+            const details = entry.status === 'delivered'
+                ? `HTTP ${entry.responseStatus}`
+                : entry.error + (entry.nextAttempt ? this.t('webhook.nextAttempt', { time: this.formatTimestamp(entry.nextAttempt) }) : '');
+            [this.formatTimestamp(entry.updated), entry.hookName, entry.event].forEach((text) => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            const statusCell = document.createElement('td');
+            const badge = document.createElement('span');
+            badge.className = `badge ${badges[entry.status] || 'bg-secondary'}`;
+            badge.textContent = this.t(`webhook.status.${entry.status}`);
+            statusCell.appendChild(badge);
+            row.appendChild(statusCell);
+            [String(entry.attempts), details].forEach((text) => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            tableBody.appendChild(row);
+        });
+        document.getElementById('webhookLogEmptyNote').style.display = log.length === 0 ? 'block' : 'none';
+
+        const pending = LikelihoodWebhooks.loadQueue(localStorage).length;
+        const queueStatus = document.getElementById('webhookQueueStatus');
+        const deliveries = this.t(pending === 1 ? 'webhook.delivery' : 'webhook.deliveries', { count: pending });
+        if (!navigator.onLine && pending > 0) {
+            queueStatus.textContent = this.t('webhook.offline', { deliveries: deliveries });
+        } else {
+            queueStatus.textContent = pending > 0 ? this.t('webhook.waiting', { deliveries: deliveries }) : '';
+        }
+    }
+
+    /**
+     * Handle new entity creation.
+     * @private
+     */
+    handleNewInvestor() {
+        const entityName = prompt(this.t('prompt.newEntity', this.getSavenameParams()));
+        if (entityName) {
+            const entities = this.getEntitiesFromStorage();
+            if (entities[entityName]) {
+                alert(this.t('alert.entityExists', this.getSavenameParams()));
+                return;
+            }
+            entities[entityName] = {};
+            this.saveEntitiesToStorage(entities);
+            this.populateInvestorSelect(entityName);
             this.loadInvestorList();
-            // Reset inputs and results
-            this.displayCriteria(this.categories[this.selectedCategoryIndex].profiles[this.selectedProfileIndex]);
-            this.investorImage.src = '';
-            this.investorImage.style.display = 'none';
+            const profile = this.categories[this.selectedCategoryIndex].profiles[this.selectedProfileIndex];
+            this.fireWebhookEvent('entity.created', this.getWebhookEventData(entityName, profile, [], null));
+        }
+    }
+
+    /**
+     * Populate the entity select dropdown with the entities that match the search and tag filter.
+     * @param {string} [selectEntityName] Entity name to select after populating. It is listed even if it does not
+     *     match, so filtering never changes which entity is selected.
+     * @private
+     */
+    populateInvestorSelect(selectEntityName = '') {
+        const entities = this.getEntitiesFromStorage();
+        const filter = { query: this.investorSearch.value, tags: this.investorTagFilter.value ? [this.investorTagFilter.value] : [] };
+        // Clear existing options
+        this.investorSelect.innerHTML = '';
+        // Populate entity select
+        Object.keys(entities).forEach((name) => {
+            if (name !== selectEntityName && !LikelihoodEntityRecords.matches(name, LikelihoodEntityRecords.getDetails(entities[name]), filter)) {
+                return;
+            }
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            this.investorSelect.appendChild(option);
+        });
+        // Select the specified entity
+        if (selectEntityName) {
+            this.investorSelect.value = selectEntityName;
+        }
+    }
+
+    /**
+     * Load entities from local storage.
+     * @private
+     */
+    loadEntities() {
+        this.populateTagFilters();
+        this.populateInvestorSelect();
+        this.loadInvestorList();
+    }
+
+    /**
+     * Get the stored entities of the current category.
+     * @return {Object}
+     * @private
+     */
+    getEntitiesFromStorage() {
+        const entitiesJson = this.storage.getItem('entities');
+        const entitiesData = entitiesJson ? JSON.parse(entitiesJson) : {};
+        const categoryId = this.categories[this.selectedCategoryIndex].id;
+        if (!entitiesData[categoryId]) {
+            entitiesData[categoryId] = {};
+        }
+        return entitiesData[categoryId];
+    }
+
+    /**
+     * Save the stored entities of the current category.
+     * Write failures are reported by handleStorageWriteError().
+     * @param {Object} entities Entities data to save.
+     * @private
+     */
+    saveEntitiesToStorage(entities) {
+        const entitiesJson = this.storage.getItem('entities');
+        const entitiesData = entitiesJson ? JSON.parse(entitiesJson) : {};
+        entitiesData[this.categories[this.selectedCategoryIndex].id] = entities;
+        this.storage.setItem('entities', JSON.stringify(entitiesData));
+    }
+
+    /**
+     * Handle entity selection change event.
+     * @private
+     */
+    handleInvestorChange() {
+        // Choosing an entity leaves a shared calculation
+        if (this.sharedView) {
+            const category = this.categories[this.selectedCategoryIndex];
+            history.replaceState({}, '', this.localisePath(`/${category.slug}/${this.sharedView.profileSlug}`));
+            this.exitSharedView();
+        }
+        // Load saved inputs if available
+        this.loadSavedInputs();
+
+        // Load entity image
+        const entityName = this.investorSelect.value;
+        const entities = this.getEntitiesFromStorage();
+        const entityData = entities[entityName];
+        this.displayEntityImage(entityData && entityData.image);
+    }
+
+    /**
+     * Show an entity's image, or hide the image if it has none.
+     * The image is also read as a data URL for reports that leave the page, which cannot use the object URL of an
+     * image stored as a Blob.
+     * @param {string} [image] The stored image.
+     * @private
+     */
+    displayEntityImage(image = '') {
+        this.displayedImage = image || '';
+        this.investorImageDataUrl = '';
+        this.investorImage.src = this.storage.getImageUrl(this.displayedImage);
+        this.investorImage.style.display = this.displayedImage ? 'block' : 'none';
+        if (!this.displayedImage) {
+            return;
+        }
+        this.storage.getImageDataUrl(this.displayedImage)
+            .then((dataUrl) => {
+                // Another entity may have been selected in the meantime
+                if (this.displayedImage === image) {
+                    this.investorImageDataUrl = dataUrl;
+                }
+            })
+            .catch((error) => console.error('Error reading the entity image:', error));
+    }
+
+    /**
+     * Save user inputs and results to local storage, unless they are the same as those last saved.
+     * @private
+     */
+    saveInputsAndResults() {
+        const entityName = this.investorSelect.value;
+        // A shared calculation is read-only until it is saved as an entity
+        if (!entityName || this.sharedView) {
+            return;
+        }
+        const selectedCategory = this.categories[this.selectedCategoryIndex];
+        const profile = selectedCategory.profiles[this.selectedProfileIndex];
+        const scores = this.getScores();
+        const percentageLikelihood = this.getPercentageLikelihood();
+
+        const entities = this.getEntitiesFromStorage();
+        if (!entities[entityName]) {
+            entities[entityName] = {};
         }
+        if (!entities[entityName][selectedCategory.id]) {
+            entities[entityName][selectedCategory.id] = {};
+        }
+        const record = entities[entityName][selectedCategory.id][profile.id] || {};
+        // Keep the scores of criteria removed from the profile until they are discarded, so the change stays flagged
+        const removed = LikelihoodStorageSchema.alignScores(profile.criteria, record.scores).removed;
+        // Opening a profile or redrawing the chart recalculates without changing anything, which needs no save or CRM
+        // update; only the user's own changes are saved, even when they leave every slider where it started
+        const unchanged = !this.scoresChanged || (Array.isArray(record.scores)
+            && LikelihoodHistory.scoresEqual(record.scores, scores.concat(removed)) && record.percentageLikelihood === percentageLikelihood);
+        if (unchanged) {
+            return;
+        }
+        entities[entityName][selectedCategory.id][profile.id] = LikelihoodHistory.recordSnapshot(record, {
+            timestamp: Date.now(),
+            scores: scores.concat(removed),
+            percentageLikelihood: percentageLikelihood,
+        });
+        this.saveEntitiesToStorage(entities);
+        this.loadInvestorList();
+        this.scheduleCrmSend();
+        this.scheduleScoreSavedWebhook(this.getWebhookEventData(entityName, profile, scores, percentageLikelihood));
+    }
+
+    /**
+     * Load saved inputs for the selected entity and profile.
+     * @private
+     */
+    loadSavedInputs() {
+        this.scoresChanged = false;
+        this.showCriteriaChanges([], 0);
+        const entityName = this.investorSelect.value;
+        if (!entityName) {
+            return;
+        }
+        const selectedCategory = this.categories[this.selectedCategoryIndex];
+        const profile = selectedCategory.profiles[this.selectedProfileIndex];
+
+        const entities = this.getEntitiesFromStorage();
+        const entityData = entities[entityName];
+        if (entityData && entityData[selectedCategory.id] && entityData[selectedCategory.id][profile.id]) {
+            const savedData = entityData[selectedCategory.id][profile.id];
+            // Match the saved scores to the criteria by ID, so reordered, added and removed criteria are handled
+            const aligned = LikelihoodStorageSchema.alignScores(this.adjustedCriteria, savedData.scores);
+            const scoreInputs = this.criteriaTableBody.querySelectorAll('input[type="range"]');
+            scoreInputs.forEach((input, index) => {
+                // Criteria added since the assessment was saved start at the score that contributes nothing, as the engine counts them
+                const item = aligned.scores[index] || { score: LikelihoodScoring.worstScore(this.adjustedCriteria[index]) };
+                input.value = item.score.toString();
+                // Update descriptor and range
+                const row = input.closest('tr');
+                this.updateScoreDescriptor(input, this.adjustedCriteria[index]);
+                this.setRangeInputs(row, item);
+                this.setUnscored(input, aligned.unscored.includes(index));
+            });
+            this.showPercentageLikelihood(savedData.percentageLikelihood);
+            this.showCriteriaChanges(aligned.removed, aligned.unscored.length);
+        } else {
+            // Reset inputs and results
+            const scoreInputs = this.criteriaTableBody.querySelectorAll('input[type="range"]');
+            scoreInputs.forEach((input, index) => {
+                const score = LikelihoodScoring.worstScore(this.adjustedCriteria[index]);
+                input.value = score.toString();
+                const row = input.closest('tr');
+                this.updateScoreDescriptor(input, this.adjustedCriteria[index]);
+                this.setRangeInputs(row, { score: score });
+            });
+            this.showPercentageLikelihood('0%');
+        }
+
+        // Load entity image
+        this.displayEntityImage(entityData && entityData.image);
+    }
+
+    /**
+     * Flag a criterion that was added to the profile after the assessment was saved, until its slider is moved.
+     * @param {HTMLInputElement} input The criterion's slider.
+     * @param {boolean} unscored True to flag it, false to clear the flag.
+     * @private
+     */
+    setUnscored(input, unscored) {
+        const metricCell = input.closest('tr').cells[0];
+        const badge = metricCell.querySelector('.unscored-badge');
+        if (!unscored) {
+            delete input.dataset.unscored;
+            if (badge) {
+                badge.remove();
+            }
+            return;
+        }
+        input.dataset.unscored = 'true';
+        if (!badge) {
+            const newBadge = document.createElement('span');
+            newBadge.className = 'badge text-bg-warning ms-2 unscored-badge';
+            newBadge.textContent = this.t('criterion.new');
+            newBadge.title = this.t('criterion.newTitle');
+            metricCell.appendChild(newBadge);
+        }
+    }
+
+    /**
+     * Show which criteria changed since the selected entity's assessment was saved, or hide the notice.
+     * @param {Array<Object>} removed The saved scores of criteria that are no longer in the profile.
+     * @param {number} unscoredCount The number of criteria added since, which are flagged in the table.
+     * @private
+     */
+    showCriteriaChanges(removed, unscoredCount) {
+        const messages = [];
+        if (removed.length > 0) {
+            const scores = removed.map((item) => `${item.metric || this.t('criterion.unnamed')} (${item.score})`);
+            messages.push(this.t('criterion.removedScores', { scores: scores.join(', ') }));
+        }
+        if (unscoredCount > 0) {
+            messages.push(this.t('criterion.unscored', { count: unscoredCount }));
+        }
+        document.getElementById('criteriaChangesMessage').textContent = messages.join(' ');
+        this.discardRemovedScoresButton.style.display = removed.length > 0 ? 'inline-block' : 'none';
+        this.criteriaChangesNotice.style.display = messages.length > 0 ? 'block' : 'none';
+    }
+
+    /**
+     * Discard the kept scores of criteria removed from the profile from the selected entity's assessment.
+     * The assessment history still holds them.
+     * @private
+     */
+    handleDiscardRemovedScores() {
+        const entityName = this.investorSelect.value;
+        const selectedCategory = this.categories[this.selectedCategoryIndex];
+        const profile = selectedCategory.profiles[this.selectedProfileIndex];
+        const entities = this.getEntitiesFromStorage();
+        const records = entities[entityName] && entities[entityName][selectedCategory.id];
+        if (!records || !records[profile.id]) {
+            return;
+        }
+        if (!confirm(this.t('confirm.discardRemovedScores', { entity: entityName, profile: profile.name }))) {
+            return;
+        }
+        records[profile.id] = LikelihoodHistory.recordSnapshot(records[profile.id], {
+            timestamp: Date.now(),
+            scores: this.getScores(),
+            percentageLikelihood: this.getPercentageLikelihood(),
+        }, { coalesce: false });
+        this.saveEntitiesToStorage(entities);
+        this.loadSavedInputs();
+    }
+
+    /**
+     * Get the name of a profile of the current category from its ID.
+     * @param {string} profileId The profile ID.
+     * @return {string} The name, or the ID itself for a profile that no longer exists.
+     * @private
+     */
+    getProfileNameById(profileId) {
+        const profile = this.categories[this.selectedCategoryIndex].profiles.find((item) => item.id === profileId);
+        return profile ? profile.name : profileId;
+    }
+
+    /**
+     * Set the low and high inputs of a criteria table row.
+     * @param {HTMLTableRowElement} row The row.
+     * @param {{score: number, low: (number|undefined), high: (number|undefined)}} item The stored score and range.
+     * @private
+     */
+    setRangeInputs(row, item) {
+        ['low', 'high'].forEach((end) => {
+            const input = row.querySelector(`.uncertainty-${end}`);
+            if (input) {
+                input.value = Number.isFinite(item[end]) ? item[end].toString() : '';
+                input.placeholder = item.score.toString();
+            }
+        });
+    }
+
+    /**
+     * Load the leaderboard of stored entities for the current category.
+     * Shows each entity's likelihood per profile, best profile, average and last update, sorted and filtered as chosen.
+     * @private
+     */
+    loadInvestorList() {
+        const selectedCategory = this.categories[this.selectedCategoryIndex];
+        const profileIds = selectedCategory.profiles.map((profile) => profile.id);
+        const allRows = LikelihoodLeaderboard.buildRows(this.getEntitiesFromStorage(), selectedCategory.id, profileIds);
+
+        // Fall back to the best likelihood when the sorted profile is not in this category
+        const profileKeys = profileIds.map((id) => LikelihoodLeaderboard.profileKey(id));
+        if (!['name', 'best', 'average', 'updated'].concat(profileKeys).includes(this.leaderboardSort.key)) {
+            this.leaderboardSort = { key: 'best', direction: 'desc' };
+        }
+        const rows = LikelihoodLeaderboard.sortRows(
+            LikelihoodLeaderboard.filterRows(allRows, this.leaderboardFilter.value, this.leaderboardTagFilter.value ? [this.leaderboardTagFilter.value] : []),
+            this.leaderboardSort.key,
+            this.leaderboardSort.direction,
+        );
+
+        // Header with sortable columns
+        this.investorListElement.innerHTML = '';
+        const headRow = this.investorListElement.createTHead().insertRow();
+        const columns = [{ key: 'name', label: this.savename }]
+            .concat(selectedCategory.profiles.map((profile) => ({ key: LikelihoodLeaderboard.profileKey(profile.id), label: profile.name })))
+            .concat([
+                { key: 'best', label: this.t('leaderboard.best') },
+                { key: 'average', label: this.t('leaderboard.average') },
+                { key: 'updated', label: this.t('leaderboard.updated') },
+            ]);
+        columns.forEach((column) => {
+            const cell = document.createElement('th');
+            cell.scope = 'col';
+            const sorted = this.leaderboardSort.key === column.key;
+            cell.setAttribute('aria-sort', sorted ? (this.leaderboardSort.direction === 'asc' ? 'ascending' : 'descending') : 'none');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-link btn-sm p-0 text-decoration-none text-reset fw-bold text-nowrap';
+            button.textContent = column.label;
+            if (sorted) {
+                const icon = document.createElement('i');
+                icon.className = `fas fa-sort-${this.leaderboardSort.direction === 'asc' ? 'up' : 'down'} ms-1`;
+                icon.setAttribute('aria-hidden', 'true');
+                button.appendChild(icon);
+            }
+            button.addEventListener('click', () => {
+                // Names sort A to Z first, numbers highest first
+                const direction = sorted
+                    ? (this.leaderboardSort.direction === 'asc' ? 'desc' : 'asc')
+                    : (column.key === 'name' ? 'asc' : 'desc');
+                this.leaderboardSort = { key: column.key, direction: direction };
+                this.loadInvestorList();
+            });
+            cell.appendChild(button);
+            headRow.appendChild(cell);
+        });
+
+        const body = this.investorListElement.createTBody();
+        if (rows.length === 0) {
+            const cell = body.insertRow().insertCell();
+            cell.colSpan = columns.length;
+            cell.className = 'text-muted';
+            cell.textContent = allRows.length === 0
+                ? this.t('leaderboard.empty', this.getSavenameParams())
+                : this.t('leaderboard.noMatches', this.getSavenameParams());
+            return;
+        }
+
+        rows.forEach((row) => {
+            const tableRow = body.insertRow();
+            tableRow.dataset.name = row.name;
+            tableRow.style.cursor = 'pointer';
+            const targetProfile = row.best ? this.getProfileNameById(row.best.profile) : selectedCategory.profiles[this.selectedProfileIndex].name;
+
+            // Entity image, name and edit button
+            const nameCell = document.createElement('th');
+            nameCell.scope = 'row';
+            const nameWrapper = document.createElement('div');
+            nameWrapper.className = 'd-flex align-items-center gap-2';
+            if (row.image) {
+                const imgElement = document.createElement('img');
+                imgElement.src = this.storage.getImageUrl(row.image);
+                imgElement.alt = this.t('entity.image', this.getSavenameParams());
+                imgElement.classList.add('img-thumbnail');
+                imgElement.style.width = '40px';
+                imgElement.style.height = '40px';
+                nameWrapper.appendChild(imgElement);
+            }
+            nameWrapper.appendChild(this.createLeaderboardLink(row.name, targetProfile, row.name));
+            row.details.tags.forEach((tag) => {
+                const badge = document.createElement('span');
+                badge.className = 'badge rounded-pill text-bg-light border';
+                badge.textContent = tag;
+                nameWrapper.appendChild(badge);
+            });
+            const editButton = document.createElement('button');
+            editButton.type = 'button';
+            editButton.className = 'btn btn-sm btn-link p-0 ms-auto';
+            editButton.title = this.t('leaderboard.edit', { name: row.name });
+            editButton.setAttribute('aria-label', editButton.title);
+            editButton.innerHTML = '<i class="fas fa-pen-to-square" aria-hidden="true"></i>';
+            editButton.addEventListener('click', (event) => {
+                event.stopPropagation();
+                this.handleInvestorListItemClick(row.name);
+            });
+            nameWrapper.appendChild(editButton);
+            nameCell.appendChild(nameWrapper);
+            tableRow.appendChild(nameCell);
+
+            // Likelihood per profile
+            selectedCategory.profiles.forEach((profile) => {
+                const cell = tableRow.insertCell();
+                const likelihood = row.likelihoods[profile.id];
+                if (likelihood === null) {
+                    cell.textContent = '–';
+                    cell.className = 'text-muted';
+                } else {
+                    cell.appendChild(this.createLeaderboardLink(row.name, profile.name, this.formatPercentage(likelihood)));
+                    if (row.best && row.best.profile === profile.id) {
+                        cell.classList.add('fw-bold');
+                    }
+                }
+            });
+
+            tableRow.insertCell().textContent = row.best ? this.getProfileNameById(row.best.profile) : '–';
+            tableRow.insertCell().textContent = row.average === null ? '–' : this.formatPercentage(row.average);
+            tableRow.insertCell().textContent = row.updated === null ? '–' : this.formatTimestamp(row.updated);
+
+            tableRow.addEventListener('click', () => this.openLeaderboardEntry(row.name, targetProfile));
+        });
+    }
+
+    /**
+     * Create a link to an entity's assessment for a profile, using the slug route.
+     * @param {string} entityName The entity name.
+     * @param {string} profileName The profile name.
+     * @param {string} text The link text.
+     * @return {HTMLAnchorElement}
+     * @private
+     */
+    createLeaderboardLink(entityName, profileName, text) {
+        const category = this.categories[this.selectedCategoryIndex];
+        const profile = category.profiles.find((item) => item.name === profileName);
+        const profileSlug = profile ? this.getProfileSlug(profile) : this.generateSlug(profileName);
+        const link = document.createElement('a');
+        link.href = this.localisePath(`/${category.slug}/${profileSlug}?entity=${encodeURIComponent(entityName)}`);
+        link.textContent = text;
+        link.addEventListener('click', (event) => {
+            // Let modified clicks open the route in a new tab
+            if (event.ctrlKey || event.metaKey || event.shiftKey || event.button !== 0) {
+                event.stopPropagation();
+                return;
+            }
+            event.preventDefault();
+            event.stopPropagation();
+            this.openLeaderboardEntry(entityName, profileName);
+        });
+        return link;
+    }
+
+    /**
+     * Select an entity and profile from the leaderboard.
+     * @param {string} entityName The entity name.
+     * @param {string} profileName The profile name.
+     * @private
+     */
+    openLeaderboardEntry(entityName, profileName) {
+        const category = this.categories[this.selectedCategoryIndex];
+        const profileIndex = category.profiles.findIndex((profile) => profile.name === profileName);
+        // The entity is listed even if the search or tag filter would hide it
+        this.populateInvestorSelect(entityName);
+        this.handleProfileCardClick(profileIndex === -1 ? this.selectedProfileIndex : profileIndex);
+        this.handleInvestorChange();
+        this.investorSelect.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    /**
+     * Initialise the command palette, opened with Ctrl-K (Cmd-K on a Mac) or the Search button in the navigation bar.
+     * @private
+     */
+    initCommandPalette() {
+        this.commandPaletteModalInstance = new bootstrap.Modal(this.commandPaletteModal);
+        document.getElementById('commandPaletteButton').addEventListener('click', () => this.openCommandPalette());
+        document.addEventListener('keydown', (event) => {
+            if (!(event.ctrlKey || event.metaKey) || event.altKey || event.shiftKey || event.key.toLowerCase() !== 'k') {
+                return;
+            }
+            event.preventDefault();
+            if (this.commandPaletteModal.classList.contains('show')) {
+                this.commandPaletteInput.select();
+            } else if (!document.querySelector('.modal.show')) {
+                // Opening over another window would leave both open
+                this.openCommandPalette();
+            }
+        });
+        this.commandPaletteModal.addEventListener('shown.bs.modal', () => this.commandPaletteInput.focus());
+        this.commandPaletteInput.addEventListener('input', () => this.renderCommandPaletteResults());
+        this.commandPaletteInput.addEventListener('keydown', (event) => {
+            if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+                event.preventDefault();
+                const count = this.commandPaletteMatches.length;
+                if (count > 0) {
+                    this.setCommandPaletteActiveIndex((this.commandPaletteActiveIndex + (event.key === 'ArrowDown' ? 1 : count - 1)) % count);
+                }
+            } else if (event.key === 'Enter') {
+                event.preventDefault();
+                const entry = this.commandPaletteMatches[this.commandPaletteActiveIndex];
+                if (entry) {
+                    this.selectCommandPaletteEntry(entry);
+                }
+            }
+        });
+    }
+
+    /**
+     * Open the command palette with an empty search.
+     * The entries are rebuilt each time so that they include entities saved since it was last opened.
+     * @private
+     */
+    openCommandPalette() {
+        const entitiesJson = this.storage.getItem('entities');
+        this.commandPaletteEntries = LikelihoodCommandPalette.buildEntries(this.categories, entitiesJson ? JSON.parse(entitiesJson) : {});
+        this.commandPaletteInput.value = '';
+        this.renderCommandPaletteResults();
+        this.commandPaletteModalInstance.show();
+    }
+
+    /**
+     * List the entries matching the command palette search, highlighting the first.
+     * @private
+     */
+    renderCommandPaletteResults() {
+        const icons = {
+            category: 'fa-layer-group',
+            profile: 'fa-id-card',
+            criterion: 'fa-sliders',
+            entity: 'fa-user',
+        };
+        const detailMessages = {
+            category: 'palette.category',
+            criterion: 'palette.criterion',
+            entity: 'palette.entity',
+        };
+        this.commandPaletteMatches = LikelihoodCommandPalette.search(this.commandPaletteEntries, this.commandPaletteInput.value);
+        this.commandPaletteResults.innerHTML = '';
+        this.commandPaletteMatches.forEach((entry, index) => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.id = `commandPaletteResult${index}`;
+            item.className = 'list-group-item list-group-item-action d-flex align-items-center gap-3';
+            item.setAttribute('role', 'option');
+            item.tabIndex = -1;
+            const icon = document.createElement('i');
+            icon.className = `fas ${icons[entry.type]} fa-fw`;
+            icon.setAttribute('aria-hidden', 'true');
+            item.appendChild(icon);
+            const text = document.createElement('span');
+            text.className = 'flex-grow-1';
+            text.textContent = entry.label;
+            item.appendChild(text);
+            const detail = document.createElement('small');
+            detail.className = 'text-muted text-end';
+            detail.textContent = detailMessages[entry.type]
+                ? this.t(detailMessages[entry.type], { profile: entry.detail, category: entry.detail, savename: entry.savename || this.t('app.savename') })
+                : entry.detail;
+            item.appendChild(detail);
+            item.addEventListener('mousemove', () => {
+                if (this.commandPaletteActiveIndex !== index) {
+                    this.setCommandPaletteActiveIndex(index);
+                }
+            });
+            item.addEventListener('click', () => this.selectCommandPaletteEntry(entry));
+            this.commandPaletteResults.appendChild(item);
+        });
+        document.getElementById('commandPaletteEmpty').style.display = this.commandPaletteMatches.length === 0 ? 'block' : 'none';
+        this.setCommandPaletteActiveIndex(0);
+    }
+
+    /**
+     * Highlight a command palette result.
+     * @param {number} index The index of the result.
+     * @private
+     */
+    setCommandPaletteActiveIndex(index) {
+        this.commandPaletteActiveIndex = index;
+        const items = this.commandPaletteResults.querySelectorAll('[role="option"]');
+        items.forEach((item, itemIndex) => {
+            item.classList.toggle('active', itemIndex === index);
+            item.setAttribute('aria-selected', itemIndex === index ? 'true' : 'false');
+        });
+        if (items[index]) {
+            this.commandPaletteInput.setAttribute('aria-activedescendant', items[index].id);
+            items[index].scrollIntoView({ block: 'nearest' });
+        } else {
+            this.commandPaletteInput.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    /**
+     * Open a command palette entry through the usual category and profile selection, which updates the URL.
+     * @param {Object} entry The entry.
+     * @private
+     */
+    selectCommandPaletteEntry(entry) {
+        this.commandPaletteModalInstance.hide();
+        this.hidePrintReport();
+        const category = this.categories[entry.categoryIndex];
+        if (entry.type === 'category' || entry.categoryIndex !== this.selectedCategoryIndex || this.appContainer.style.display !== 'block') {
+            this.handleCategoryCardClick(entry.categoryIndex);
+        }
+        if (entry.type === 'entity') {
+            this.openLeaderboardEntry(entry.entityName, category.profiles[entry.profileIndex].name);
+            return;
+        }
+        if (entry.profileIndex !== null) {
+            this.handleProfileCardClick(entry.profileIndex);
+        }
+        if (entry.type === 'criterion') {
+            const slider = this.criteriaTableBody.querySelector(`input[name="score_${entry.criterionIndex}"]`);
+            if (slider) {
+                slider.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                slider.focus({ preventScroll: true });
+            }
+        }
+    }
+
+    /**
+     * Initialise comparison view event listeners.
+     * @private
+     */
+    initComparison() {
+        this.comparisonModalInstance = new bootstrap.Modal(this.comparisonModal);
+        document.getElementById('compareButton').addEventListener('click', () => this.openComparison());
+        this.comparisonEntityList.addEventListener('change', () => this.displayComparison());
+    }
+
+    /**
+     * Get the stored assessments of the current profile, highest likelihood first.
+     * @return {Array<{name: string, scores: Array<Object>, likelihood: number}>}
+     * @private
+     */
+    getProfileAssessments() {
+        const selectedCategory = this.categories[this.selectedCategoryIndex];
+        const profile = selectedCategory.profiles[this.selectedProfileIndex];
+        const entities = this.getEntitiesFromStorage();
+        return Object.keys(entities)
+            .filter((name) => {
+                const profiles = entities[name][selectedCategory.id];
+                return profiles && profiles[profile.id] && Array.isArray(profiles[profile.id].scores);
+            })
+            .map((name) => {
+                const scores = entities[name][selectedCategory.id][profile.id].scores;
+                return { name: name, scores: scores, likelihood: LikelihoodComparison.scoreAssessment(profile, scores).likelihood };
+            })
+            .sort((a, b) => b.likelihood - a.likelihood || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Open the comparison view with the three most likely entities ticked.
+     * @private
+     */
+    openComparison() {
+        const assessments = this.getProfileAssessments();
+        const profile = this.categories[this.selectedCategoryIndex].profiles[this.selectedProfileIndex];
+        if (assessments.length < 2) {
+            alert(this.t('alert.compareNeedsTwo', Object.assign({ profile: profile.name }, this.getSavenameParams())));
+            return;
+        }
+        document.getElementById('comparisonProfileName').textContent = profile.name;
+
+        this.comparisonEntityList.innerHTML = '';
+        assessments.forEach((assessment, index) => {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'form-check';
+            const checkbox = document.createElement('input');
+            checkbox.className = 'form-check-input';
+            checkbox.type = 'checkbox';
+            checkbox.id = `comparisonEntity${index}`;
+            checkbox.value = assessment.name;
+            checkbox.checked = index < 3;
+            const label = document.createElement('label');
+            label.className = 'form-check-label';
+            label.htmlFor = checkbox.id;
+            label.textContent = `${assessment.name} (${this.formatPercentage(assessment.likelihood)})`;
+            wrapper.appendChild(checkbox);
+            wrapper.appendChild(label);
+            this.comparisonEntityList.appendChild(wrapper);
+        });
+
+        this.comparisonModalInstance.show();
+        this.displayComparison();
+    }
+
+    /**
+     * Show the comparison table and radar chart for the ticked entities.
+     * @private
+     */
+    displayComparison() {
+        const profile = this.categories[this.selectedCategoryIndex].profiles[this.selectedProfileIndex];
+        const ticked = Array.from(this.comparisonEntityList.querySelectorAll('input:checked')).map((checkbox) => checkbox.value);
+        const assessments = this.getProfileAssessments().filter((assessment) => ticked.includes(assessment.name));
+        const results = document.getElementById('comparisonResults');
+        const emptyNote = document.getElementById('comparisonEmptyNote');
+        if (assessments.length < 2) {
+            results.style.display = 'none';
+            emptyNote.style.display = 'block';
+            if (this.comparisonChart) {
+                this.comparisonChart.destroy();
+                this.comparisonChart = null;
+            }
+            return;
+        }
+        results.style.display = 'block';
+        emptyNote.style.display = 'none';
+
+        const comparison = LikelihoodComparison.compareAssessments(profile, assessments);
+        this.renderComparisonTable(comparison);
+        this.renderComparisonChart(comparison);
+    }
+
+    /**
+     * Render the side by side table of scores and likelihoods.
+     * @param {Object} comparison The comparison from LikelihoodComparison.compareAssessments().
+     * @private
+     */
+    renderComparisonTable(comparison) {
+        const table = document.getElementById('comparisonTable');
+        table.innerHTML = '';
+
+        const head = table.createTHead().insertRow();
+        [this.t('comparison.criterion'), this.t('table.weight')].concat(comparison.entities.map((entity) => entity.name), [this.t('comparison.difference')]).forEach((text) => {
+            const cell = document.createElement('th');
+            cell.scope = 'col';
+            cell.textContent = text;
+            head.appendChild(cell);
+        });
+
+        const body = table.createTBody();
+        comparison.criteria.forEach((criterion) => {
+            const row = body.insertRow();
+            if (criterion.highlighted) {
+                row.classList.add('table-warning');
+            }
+            const metricCell = document.createElement('th');
+            metricCell.scope = 'row';
+            metricCell.textContent = criterion.metric;
+            if (criterion.invert) {
+                const note = document.createElement('span');
+                note.className = 'small text-muted ms-1';
+                note.textContent = this.t('table.inverted');
+                metricCell.appendChild(note);
+            }
+            row.appendChild(metricCell);
+            row.insertCell().textContent = `${criterion.adjustedWeight.toFixed(2)}%`;
+            criterion.scores.forEach((score, index) => {
+                const cell = row.insertCell();
+                cell.textContent = score === null ? this.t('comparison.notScored') : String(score);
+                if (score === null) {
+                    cell.classList.add('text-muted', 'fst-italic');
+                }
+                if (criterion.best.includes(index)) {
+                    cell.classList.add('fw-bold');
+                }
+            });
+            const differenceCell = row.insertCell();
+            differenceCell.textContent = criterion.impact > 0 ? this.t('comparison.spread', { spread: criterion.spread, points: criterion.impact.toFixed(2) }) : '–';
+            if (criterion.highlighted) {
+                differenceCell.classList.add('fw-bold');
+            }
+        });
+
+        const footer = table.createTFoot().insertRow();
+        const labelCell = document.createElement('th');
+        labelCell.scope = 'row';
+        labelCell.colSpan = 2;
+        labelCell.textContent = this.t('comparison.likelihood');
+        footer.appendChild(labelCell);
+        const likelihoods = comparison.entities.map((entity) => entity.likelihood);
+        comparison.entities.forEach((entity) => {
+            const cell = footer.insertCell();
+            cell.textContent = this.formatPercentage(entity.likelihood);
+            if (entity.likelihood === Math.max(...likelihoods)) {
+                cell.classList.add('fw-bold');
+            }
+        });
+        footer.insertCell().textContent = this.t('comparison.points', { points: (Math.max(...likelihoods) - Math.min(...likelihoods)).toFixed(2) });
+
+        document.getElementById('comparisonMissingNote').style.display = comparison.entities.some((entity) => entity.missing.length > 0) ? 'block' : 'none';
+    }
+
+    /**
+     * Render a radar chart overlaying the criterion scores of each entity.
+     * @param {Object} comparison The comparison from LikelihoodComparison.compareAssessments().
+     * @private
+     */
+    renderComparisonChart(comparison) {
+        if (this.comparisonChart) {
+            this.comparisonChart.destroy();
+        }
+        const ctx = document.getElementById('comparisonChart').getContext('2d');
+        this.comparisonChart = new Chart(ctx, {
+            type: 'radar',
+            data: {
+                labels: comparison.criteria.map((criterion) => criterion.metric + (criterion.invert ? ` ${this.t('table.inverted')}` : '')),
+                datasets: comparison.entities.map((entity, index) => ({
+                    label: entity.name,
+                    data: entity.scores,
+                    borderColor: this.getColor(index),
+                    // Translucent fill so that overlapping entities stay visible
+                    backgroundColor: this.getColor(index) + '33',
+                    pointBackgroundColor: this.getColor(index),
+                })),
+            },
+            options: {
+                scales: {
+                    r: {
+                        // Start below the lowest score so that scores of 1 stand off the centre
+                        min: LikelihoodScoring.MIN_SCORE - 1,
+                        max: LikelihoodScoring.MAX_SCORE,
+                        ticks: { stepSize: 1 },
+                    },
+                },
+                plugins: {
+                    legend: {
+                        position: 'bottom',
+                    },
+                },
+            },
+        });
+    }
+
+    /**
+     * Handle delete entity button click event.
+     * @private
+     */
+    handleDeleteInvestor() {
+        const entityName = this.investorSelect.value;
+        if (!entityName) {
+            alert(this.t('alert.selectEntityToDelete', this.getSavenameParams()));
+            return;
+        }
+        if (confirm(this.t('confirm.deleteEntity', Object.assign({ entity: entityName }, this.getSavenameParams())))) {
+            const entities = this.getEntitiesFromStorage();
+            const selectedCategory = this.categories[this.selectedCategoryIndex];
+            const profile = selectedCategory.profiles[this.selectedProfileIndex];
+            const profiles = entities[entityName][selectedCategory.id] || {};
+            const record = profiles[profile.id] || { scores: [], percentageLikelihood: null };
+            // Profiles the entity was saved in that no longer exist are sent too, by ID alone
+            const assessments = Object.keys(profiles).map((profileId) => {
+                const savedProfile = selectedCategory.profiles.find((item) => item.id === profileId);
+                const saved = profiles[profileId] || {};
+                return {
+                    profile: profileId,
+                    profileSlug: savedProfile ? this.getProfileSlug(savedProfile) : null,
+                    likelihood: saved.percentageLikelihood ? LikelihoodHistory.parsePercentage(saved.percentageLikelihood) : null,
+                    scores: saved.scores || [],
+                };
+            });
+            delete entities[entityName];
+            this.saveEntitiesToStorage(entities);
+            this.flushScoreSavedWebhooks(entityName);
+            this.fireWebhookEvent('entity.deleted', Object.assign(
+                this.getWebhookEventData(entityName, profile, record.scores, record.percentageLikelihood),
+                { assessments: assessments },
+            ));
+            this.populateInvestorSelect();
+            this.loadInvestorList();
+            // Reset inputs and results
+            this.displayCriteria(this.categories[this.selectedCategoryIndex].profiles[this.selectedProfileIndex]);
+            this.displayEntityImage();
+        }
+    }
+
+    /**
+     * Handle entity list item click event to open modal.
+     * @param {string} entityName The name of the entity to edit.
+     * @private
+     */
+    handleInvestorListItemClick(entityName) {
+        this.currentEditingInvestorName = entityName;
+        this.clearImageCrop();
+        const entities = this.getEntitiesFromStorage();
+        const entityData = entities[entityName];
+
+        // Load existing image
+        if (entityData && entityData.image) {
+            this.modalInvestorImagePreview.src = this.storage.getImageUrl(entityData.image);
+            this.modalInvestorImagePreview.style.display = 'block';
+        } else {
+            this.modalInvestorImagePreview.src = '';
+            this.modalInvestorImagePreview.style.display = 'none';
+        }
+
+        // Reset the image input
+        this.modalInvestorImageInput.value = '';
+
+        // Load the details
+        const details = LikelihoodEntityRecords.getDetails(entityData);
+        document.getElementById('investorWebsite').value = details.website;
+        document.getElementById('investorContact').value = details.contact;
+        document.getElementById('investorEmail').value = details.email;
+        document.getElementById('investorTags').value = details.tags.join(', ');
+        document.getElementById('investorNotes').value = details.notes;
+        document.getElementById('newCustomFieldLabel').value = '';
+        this.renderCustomFieldInputs(details.custom);
+        this.renderTagSuggestions();
+        this.showDetailsErrors([]);
+
+        // Display the assessment history
+        this.displayInvestorHistory(entityName);
+
+        // Show modal
+        this.investorEditModalInstance.show();
+    }
+
+    /**
+     * Initialise the entity search, the tag filters and the custom field editor.
+     * @private
+     */
+    initEntityRecords() {
+        this.investorSearch.addEventListener('input', () => this.populateInvestorSelect(this.investorSelect.value));
+        this.investorSearch.addEventListener('keydown', (event) => {
+            // Enter selects the first match
+            if (event.key !== 'Enter') {
+                return;
+            }
+            event.preventDefault();
+            const entities = this.getEntitiesFromStorage();
+            const filter = { query: this.investorSearch.value, tags: this.investorTagFilter.value ? [this.investorTagFilter.value] : [] };
+            const match = Object.keys(entities).find((name) => LikelihoodEntityRecords.matches(name, LikelihoodEntityRecords.getDetails(entities[name]), filter));
+            if (match && match !== this.investorSelect.value) {
+                this.populateInvestorSelect(match);
+                this.investorSelect.dispatchEvent(new Event('change'));
+            }
+        });
+        this.investorTagFilter.addEventListener('change', () => this.populateInvestorSelect(this.investorSelect.value));
+        this.leaderboardFilter.addEventListener('input', () => this.loadInvestorList());
+        this.leaderboardTagFilter.addEventListener('change', () => this.loadInvestorList());
+
+        document.getElementById('addCustomFieldButton').addEventListener('click', () => this.handleAddCustomField());
+        document.getElementById('newCustomFieldLabel').addEventListener('keydown', (event) => {
+            // Enter adds the field rather than submitting the modal
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                this.handleAddCustomField();
+            }
+        });
+        document.getElementById('investorTagSuggestions').addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-tag]');
+            if (!button) {
+                return;
+            }
+            const tagsInput = document.getElementById('investorTags');
+            tagsInput.value = LikelihoodEntityRecords.normaliseTags(`${tagsInput.value},${button.dataset.tag}`).join(', ');
+            this.renderTagSuggestions();
+        });
+        document.getElementById('investorTags').addEventListener('input', () => this.renderTagSuggestions());
+    }
+
+    /**
+     * Fill the tag filters of the entity select and the leaderboard with the tags of the current category, keeping
+     * the chosen tags where they are still used.
+     * @private
+     */
+    populateTagFilters() {
+        const tags = LikelihoodEntityRecords.collectTags(this.getEntitiesFromStorage());
+        [this.investorTagFilter, this.leaderboardTagFilter].forEach((select) => {
+            const selected = select.value;
+            select.innerHTML = '';
+            const allOption = document.createElement('option');
+            allOption.value = '';
+            allOption.textContent = this.t('filter.allTags');
+            select.appendChild(allOption);
+            tags.forEach((tag) => {
+                const option = document.createElement('option');
+                option.value = tag;
+                option.textContent = tag;
+                select.appendChild(option);
+            });
+            select.value = tags.includes(selected) ? selected : '';
+        });
+    }
+
+    /**
+     * Show the tags used by other entities that the edited entity does not have yet, as buttons that add them.
+     * @private
+     */
+    renderTagSuggestions() {
+        const container = document.getElementById('investorTagSuggestions');
+        const current = LikelihoodEntityRecords.normaliseTags(document.getElementById('investorTags').value)
+            .map((tag) => tag.toLowerCase());
+        container.innerHTML = '';
+        LikelihoodEntityRecords.collectTags(this.getEntitiesFromStorage())
+            .filter((tag) => !current.includes(tag.toLowerCase()))
+            .forEach((tag) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'btn btn-sm btn-outline-secondary py-0';
+                button.dataset.tag = tag;
+                button.title = this.t('tags.add', { tag: tag });
+                button.innerHTML = '<i class="fas fa-plus me-1" aria-hidden="true"></i>';
+                button.appendChild(document.createTextNode(tag));
+                container.appendChild(button);
+            });
+    }
+
+    /**
+     * Render an input for each custom field defined for the current savename.
+     * @param {Object<string, string>} values The values to show, keyed by field ID.
+     * @private
+     */
+    renderCustomFieldInputs(values) {
+        const fields = LikelihoodEntityRecords.loadFields(localStorage, this.savename);
+        this.investorCustomFieldsElement.innerHTML = '';
+        fields.forEach((field) => {
+            const column = document.createElement('div');
+            column.className = 'col-md-6';
+            const inputId = `customField-${field.id}`;
+            const label = document.createElement('label');
+            label.className = 'form-label';
+            label.htmlFor = inputId;
+            label.textContent = `${field.label}:`;
+            const group = document.createElement('div');
+            group.className = 'input-group';
+            const input = document.createElement('input');
+            input.type = field.type;
+            input.id = inputId;
+            input.className = 'form-control';
+            input.dataset.fieldId = field.id;
+            input.value = values[field.id] || '';
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'btn btn-outline-danger';
+            removeButton.title = this.t('fields.remove', { field: field.label });
+            removeButton.setAttribute('aria-label', removeButton.title);
+            removeButton.innerHTML = '<i class="fas fa-trash-alt" aria-hidden="true"></i>';
+            removeButton.addEventListener('click', () => this.handleRemoveCustomField(field));
+            group.appendChild(input);
+            group.appendChild(removeButton);
+            column.appendChild(label);
+            column.appendChild(group);
+            this.investorCustomFieldsElement.appendChild(column);
+        });
+    }
+
+    /**
+     * Read the custom field values entered in the edit modal.
+     * @return {Object<string, string>} The values, keyed by field ID.
+     * @private
+     */
+    getCustomFieldValues() {
+        const values = {};
+        this.investorCustomFieldsElement.querySelectorAll('input[data-field-id]').forEach((input) => {
+            values[input.dataset.fieldId] = input.value.trim();
+        });
+        return values;
+    }
+
+    /**
+     * Handle adding a custom field for every entity with the current savename.
+     * @private
+     */
+    handleAddCustomField() {
+        const labelInput = document.getElementById('newCustomFieldLabel');
+        const fields = LikelihoodEntityRecords.loadFields(localStorage, this.savename);
+        let field;
+        try {
+            field = LikelihoodEntityRecords.createField(fields, labelInput.value, document.getElementById('newCustomFieldType').value);
+        } catch (error) {
+            alert(error.message);
+            labelInput.focus();
+            return;
+        }
+        const values = this.getCustomFieldValues();
+        LikelihoodEntityRecords.saveFields(localStorage, this.savename, fields.concat(field));
+        this.renderCustomFieldInputs(values);
+        labelInput.value = '';
+        document.getElementById(`customField-${field.id}`).focus();
+    }
+
+    /**
+     * Handle removing a custom field. Values already stored with entities are kept, so adding the field again restores them.
+     * @param {Object} field The field definition.
+     * @private
+     */
+    handleRemoveCustomField(field) {
+        if (!confirm(this.t('confirm.removeCustomField', Object.assign({ field: field.label }, this.getSavenameParams())))) {
+            return;
+        }
+        const values = this.getCustomFieldValues();
+        const fields = LikelihoodEntityRecords.loadFields(localStorage, this.savename).filter((item) => item.id !== field.id);
+        LikelihoodEntityRecords.saveFields(localStorage, this.savename, fields);
+        this.renderCustomFieldInputs(values);
+    }
+
+    /**
+     * Show the problems with entered details, or hide them when there are none.
+     * @param {Array<string>} errors The error messages.
+     * @private
+     */
+    showDetailsErrors(errors) {
+        const errorsElement = document.getElementById('investorDetailsErrors');
+        errorsElement.innerHTML = '';
+        errors.forEach((message) => {
+            const paragraph = document.createElement('p');
+            paragraph.className = 'mb-0';
+            paragraph.textContent = message;
+            errorsElement.appendChild(paragraph);
+        });
+        errorsElement.style.display = errors.length > 0 ? 'block' : 'none';
+    }
+
+    /**
+     * Initialise image cropping and the maximum image size setting.
+     * @private
+     */
+    initImageProcessing() {
+        LikelihoodImages.MAX_SIZES.forEach((size) => {
+            const option = document.createElement('option');
+            option.value = size.toString();
+            option.textContent = this.t('image.sizeOption', { size: size });
+            this.imageMaxSizeSelect.appendChild(option);
+        });
+        this.imageMaxSizeSelect.value = this.getImageMaxSize().toString();
+        this.imageMaxSizeSelect.addEventListener('change', () => {
+            localStorage.setItem('imageMaxSize', this.imageMaxSizeSelect.value);
+            this.renderImageCrop();
+        });
+        ['imageCropZoom', 'imageCropX', 'imageCropY'].forEach((id) => {
+            document.getElementById(id).addEventListener('input', () => this.renderImageCrop());
+        });
+        this.investorEditModal.addEventListener('hidden.bs.modal', () => this.clearImageCrop());
+    }
+
+    /**
+     * Get the maximum side length of saved images.
+     * @return {number}
+     * @private
+     */
+    getImageMaxSize() {
+        return LikelihoodImages.normaliseMaxSize(localStorage.getItem('imageMaxSize'));
+    }
+
+    /**
+     * Handle modal entity image upload.
+     * The image is decoded once and shown as it will be saved, cropped to a square and scaled down, with controls to
+     * choose the crop.
+     * @param {Event} event The change event.
+     * @return {Promise<void>}
+     * @private
+     */
+    async handleModalInvestorImageUpload(event) {
+        const fileInput = event.target;
+        const file = fileInput.files && fileInput.files[0];
+        this.clearImageCrop();
+        if (!file) {
+            return;
+        }
+        let decoded;
+        try {
+            decoded = await LikelihoodImages.decodeImage(file);
+        } catch (error) {
+            console.error('Error reading image:', error);
+            alert(this.t('alert.readFileFailed', { file: file.name, error: error.message }));
+            fileInput.value = '';
+            return;
+        }
+        // Another file may have been chosen while this one was decoded
+        if (!fileInput.files || fileInput.files[0] !== file) {
+            decoded.close();
+            return;
+        }
+        this.imageCrop = { decoded: decoded };
+        document.getElementById('imageCropZoom').value = '1';
+        document.getElementById('imageCropX').value = '0.5';
+        document.getElementById('imageCropY').value = '0.5';
+        this.imageCropControls.style.display = 'block';
+        this.renderImageCrop();
+    }
+
+    /**
+     * Crop, scale and encode the chosen image with the current crop and maximum size, and preview it.
+     * @private
+     */
+    renderImageCrop() {
+        if (!this.imageCrop) {
+            return;
+        }
+        const crop = {
+            zoom: document.getElementById('imageCropZoom').value,
+            x: document.getElementById('imageCropX').value,
+            y: document.getElementById('imageCropY').value,
+        };
+        try {
+            const result = LikelihoodImages.renderImage(this.imageCrop.decoded, crop, this.getImageMaxSize());
+            this.pendingInvestorImage = result.dataUrl;
+            this.modalInvestorImagePreview.src = result.dataUrl;
+            this.modalInvestorImagePreview.style.display = 'block';
+            const type = result.type.replace('image/', '').toUpperCase();
+            const bytes = LikelihoodStorage.formatBytes(LikelihoodImages.dataUrlBytes(result.dataUrl));
+            document.getElementById('imageCropInfo').textContent = this.t('image.cropInfo', { size: result.size, type: type, bytes: bytes });
+        } catch (error) {
+            console.error('Error resizing image:', error);
+            alert(this.t('alert.imageFailed'));
+        }
+    }
+
+    /**
+     * Discard the image being cropped, if any.
+     * @private
+     */
+    clearImageCrop() {
+        if (this.imageCrop) {
+            this.imageCrop.decoded.close();
+            this.imageCrop = null;
+        }
+        this.pendingInvestorImage = '';
+        this.imageCropControls.style.display = 'none';
+    }
+
+    /**
+     * Handle entity edit form submission.
+     * @param {Event} event The submit event.
+     * @private
+     */
+    handleInvestorEditFormSubmit(event) {
+        event.preventDefault();
+
+        const websiteInput = document.getElementById('investorWebsite');
+        websiteInput.value = LikelihoodEntityRecords.normaliseWebsite(websiteInput.value);
+        const details = {
+            website: websiteInput.value,
+            contact: document.getElementById('investorContact').value,
+            email: document.getElementById('investorEmail').value.trim(),
+            notes: document.getElementById('investorNotes').value,
+            tags: LikelihoodEntityRecords.normaliseTags(document.getElementById('investorTags').value),
+            custom: this.getCustomFieldValues(),
+        };
+        const errors = LikelihoodEntityRecords.validateDetails(details);
+        this.showDetailsErrors(errors);
+        if (errors.length > 0) {
+            return;
+        }
+
+        const entities = this.getEntitiesFromStorage();
+        if (!entities[this.currentEditingInvestorName]) {
+            entities[this.currentEditingInvestorName] = {};
+        }
+        const entityData = entities[this.currentEditingInvestorName];
+
+        // Keep the values of custom fields that have been removed, so adding the field again restores them
+        details.custom = Object.assign({}, LikelihoodEntityRecords.getDetails(entityData).custom, details.custom);
+        LikelihoodEntityRecords.setDetails(entityData, details);
+
+        // Save the image if a new one was chosen
+        if (this.pendingInvestorImage) {
+            entityData.image = this.pendingInvestorImage;
+            this.clearImageCrop();
+        }
+
+        this.saveEntitiesToStorage(entities);
+        this.populateTagFilters();
+        this.populateInvestorSelect(this.investorSelect.value);
+        this.loadInvestorList();
+
+        // Update image if the current entity is selected
+        const savedEntity = this.getEntitiesFromStorage()[this.currentEditingInvestorName];
+        if (this.investorSelect.value === this.currentEditingInvestorName && savedEntity && savedEntity.image) {
+            this.displayEntityImage(savedEntity.image);
+        }
+
+        // Close modal
+        this.investorEditModalInstance.hide();
+    }
+
+    /**
+     * Initialise assessment history event listeners.
+     * @private
+     */
+    initHistoryManagement() {
+        this.historyProfileSelect.addEventListener('change', () => {
+            this.renderHistoryTable(this.currentEditingInvestorName, this.historyProfileSelect.value);
+        });
+        this.historyDiffButton.addEventListener('click', () => this.handleHistoryDiff());
+    }
+
+    /**
+     * Get the stored profile records of an entity for the current category.
+     * @param {string} entityName The name of the entity.
+     * @return {Object<string, Object>} Profile records keyed by profile ID.
+     * @private
+     */
+    getEntityProfileRecords(entityName) {
+        const entities = this.getEntitiesFromStorage();
+        const categoryId = this.categories[this.selectedCategoryIndex].id;
+        const entityData = entities[entityName];
+        return (entityData && entityData[categoryId]) || {};
+    }
+
+    /**
+     * Format a timestamp for display.
+     * @param {number} timestamp Milliseconds since the epoch.
+     * @param {boolean} [includeTime=true] Whether to include the time of day.
+     * @return {string}
+     * @private
+     */
+    formatTimestamp(timestamp, includeTime = true) {
+        const date = new Date(timestamp);
+        if (!includeTime) {
+            return date.toLocaleDateString(this.locale);
+        }
+        return date.toLocaleString(this.locale, { dateStyle: 'medium', timeStyle: 'short' });
+    }
+
+    /**
+     * Display the assessment history timeline for an entity.
+     * @param {string} entityName The name of the entity.
+     * @param {string} [profileId] ID of the profile to list snapshots for; defaults to the selected profile.
+     * @private
+     */
+    displayInvestorHistory(entityName, profileId = '') {
+        const records = this.getEntityProfileRecords(entityName);
+        const profileIds = Object.keys(records);
+
+        if (profileIds.length === 0) {
+            this.investorHistoryEmpty.style.display = 'block';
+            this.investorHistoryContent.style.display = 'none';
+            if (this.historyChart) {
+                this.historyChart.destroy();
+                this.historyChart = null;
+            }
+            return;
+        }
+        this.investorHistoryEmpty.style.display = 'none';
+        this.investorHistoryContent.style.display = 'block';
+
+        // Populate the profile select
+        this.historyProfileSelect.innerHTML = '';
+        profileIds.forEach((id) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = this.getProfileNameById(id);
+            this.historyProfileSelect.appendChild(option);
+        });
+        const selectedProfileId = this.categories[this.selectedCategoryIndex].profiles[this.selectedProfileIndex].id;
+        const preferredProfileId = profileId || selectedProfileId;
+        this.historyProfileSelect.value = profileIds.includes(preferredProfileId) ? preferredProfileId : profileIds[0];
+
+        this.renderHistoryChart(records);
+        this.renderHistoryTable(entityName, this.historyProfileSelect.value);
+    }
+
+    /**
+     * Render a line chart of likelihood over time, one line per profile.
+     * @param {Object<string, Object>} records Profile records keyed by profile ID.
+     * @private
+     */
+    renderHistoryChart(records) {
+        const datasets = Object.keys(records).map((profileId, index) => {
+            const history = LikelihoodHistory.getHistory(records[profileId]);
+            return {
+                label: this.getProfileNameById(profileId),
+                data: history.map((snapshot) => {
+                    return { x: snapshot.timestamp, y: LikelihoodHistory.parsePercentage(snapshot.percentageLikelihood) };
+                }),
+                borderColor: this.getColor(index),
+                backgroundColor: this.getColor(index),
+                tension: 0.2,
+            };
+        });
+
+        if (this.historyChart) {
+            this.historyChart.destroy();
+        }
+        const ctx = document.getElementById('investorHistoryChart').getContext('2d');
+        this.historyChart = new Chart(ctx, {
+            type: 'line',
+            data: { datasets: datasets },
+            options: {
+                scales: {
+                    x: {
+                        type: 'linear',
+                        ticks: {
+                            callback: (value) => this.formatTimestamp(value, false),
+                        },
+                    },
+                    y: {
+                        min: 0,
+                        max: 100,
+                        ticks: {
+                            callback: (value) => value + '%',
+                        },
+                    },
+                },
+                plugins: {
+                    tooltip: {
+                        callbacks: {
+                            title: (items) => this.formatTimestamp(items[0].parsed.x),
+                        },
+                    },
+                },
+            },
+        });
+    }
+
+    /**
+     * Render the snapshot list for a profile, newest first.
+     * @param {string} entityName The name of the entity.
+     * @param {string} profileId The ID of the profile.
+     * @private
+     */
+    renderHistoryTable(entityName, profileId) {
+        this.historyTableBody.innerHTML = '';
+        this.historyDiffElement.innerHTML = '';
+        this.historyDiffButton.disabled = true;
+
+        const record = this.getEntityProfileRecords(entityName)[profileId];
+        const history = LikelihoodHistory.getHistory(record);
+        const dropped = (record && record.droppedSnapshots) || 0;
+        this.historyDroppedNote.textContent = dropped > 0 ? this.t('history.dropped', { max: LikelihoodHistory.MAX_SNAPSHOTS, count: dropped }) : '';
+        this.historyDroppedNote.style.display = dropped > 0 ? 'block' : 'none';
+        for (let index = history.length - 1; index >= 0; index--) {
+            const snapshot = history[index];
+            const row = document.createElement('tr');
+
+            // Compare checkbox
+            const compareCell = document.createElement('td');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.classList.add('form-check-input');
+            checkbox.value = index.toString();
+            checkbox.setAttribute('aria-label', this.t('history.compareSnapshot', { time: this.formatTimestamp(snapshot.timestamp) }));
+            checkbox.addEventListener('change', () => this.updateHistoryDiffButton());
+            compareCell.appendChild(checkbox);
+            row.appendChild(compareCell);
+
+            // Date
+            const dateCell = document.createElement('td');
+            dateCell.textContent = this.formatTimestamp(snapshot.timestamp);
+            row.appendChild(dateCell);
+
+            // Likelihood
+            const likelihoodCell = document.createElement('td');
+            likelihoodCell.textContent = this.formatPercentage(LikelihoodHistory.parsePercentage(snapshot.percentageLikelihood));
+            row.appendChild(likelihoodCell);
+
+            // Restore
+            const actionCell = document.createElement('td');
+            actionCell.classList.add('text-end');
+            if (index !== history.length - 1) {
+                const restoreButton = document.createElement('button');
+                restoreButton.type = 'button';
+                restoreButton.classList.add('btn', 'btn-outline-primary', 'btn-sm');
+                restoreButton.textContent = this.t('history.restore');
+                restoreButton.addEventListener('click', () => this.handleHistoryRestore(entityName, profileId, index));
+                actionCell.appendChild(restoreButton);
+            } else {
+                actionCell.textContent = this.t('history.current');
+            }
+            row.appendChild(actionCell);
+
+            this.historyTableBody.appendChild(row);
+        }
+    }
+
+    /**
+     * Enable the compare button when exactly two snapshots are ticked.
+     * @private
+     */
+    updateHistoryDiffButton() {
+        const checkboxes = this.historyTableBody.querySelectorAll('input[type="checkbox"]');
+        const checkedCount = this.historyTableBody.querySelectorAll('input[type="checkbox"]:checked').length;
+        checkboxes.forEach((checkbox) => {
+            checkbox.disabled = checkedCount >= 2 && !checkbox.checked;
+        });
+        this.historyDiffButton.disabled = checkedCount !== 2;
+    }
+
+    /**
+     * Handle the compare button click event by showing the differences between two snapshots.
+     * @private
+     */
+    handleHistoryDiff() {
+        const profileId = this.historyProfileSelect.value;
+        const history = LikelihoodHistory.getHistory(this.getEntityProfileRecords(this.currentEditingInvestorName)[profileId]);
+        const selected = Array.from(this.historyTableBody.querySelectorAll('input[type="checkbox"]:checked'))
+            .map((checkbox) => parseInt(checkbox.value, 10))
+            .sort((a, b) => a - b);
+        if (selected.length !== 2) {
+            return;
+        }
+
+        const from = history[selected[0]];
+        const to = history[selected[1]];
+        const profile = this.categories[this.selectedCategoryIndex].profiles.find((item) => item.id === profileId);
+        const criteria = profile ? profile.criteria : [];
+        const diff = LikelihoodHistory.diffSnapshots(from, to, criteria);
+
+        this.historyDiffElement.innerHTML = '';
+
+        const heading = document.createElement('p');
+        const change = diff.likelihoodChange;
+        heading.textContent = this.t('history.diffHeading', {
+            from: this.formatTimestamp(from.timestamp),
+            to: this.formatTimestamp(to.timestamp),
+            earlier: this.formatPercentage(LikelihoodHistory.parsePercentage(from.percentageLikelihood)),
+            later: this.formatPercentage(LikelihoodHistory.parsePercentage(to.percentageLikelihood)),
+            change: (change >= 0 ? '+' : '') + change.toLocaleString(this.locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 }),
+        });
+        this.historyDiffElement.appendChild(heading);
+
+        const table = document.createElement('table');
+        table.classList.add('table', 'table-sm', 'table-bordered');
+        const thead = document.createElement('thead');
+        const headRow = document.createElement('tr');
+        [this.t('table.metric'), this.t('history.earlier'), this.t('history.later'), this.t('history.change')].forEach((label) => {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            th.textContent = label;
+            headRow.appendChild(th);
+        });
+        thead.appendChild(headRow);
+        table.appendChild(thead);
+
+        const tbody = document.createElement('tbody');
+        diff.rows.forEach((item, index) => {
+            const row = document.createElement('tr');
+            [item.metric, item.from, item.to].forEach((value) => {
+                const cell = document.createElement('td');
+                if (value === null) {
+                    cell.textContent = '-';
+                } else {
+                    cell.textContent = typeof value === 'number' ? value.toLocaleString(this.locale) : value;
+                }
+                row.appendChild(cell);
+            });
+            const changeCell = document.createElement('td');
+            if (item.change === null) {
+                changeCell.textContent = '-';
+            } else {
+                changeCell.textContent = (item.change > 0 ? '+' : '') + item.change.toLocaleString(this.locale);
+                // Colour by effect on likelihood, so inverted criteria read the right way round
+                const effect = criteria[index] && criteria[index].invert ? -item.change : item.change;
+                if (effect > 0) {
+                    changeCell.classList.add('text-success');
+                } else if (effect < 0) {
+                    changeCell.classList.add('text-danger');
+                }
+            }
+            row.appendChild(changeCell);
+            tbody.appendChild(row);
+        });
+        table.appendChild(tbody);
+        this.historyDiffElement.appendChild(table);
+    }
+
+    /**
+     * Restore a snapshot as the current assessment for a profile.
+     * The restore is itself recorded as a new snapshot, so nothing is lost.
+     * @param {string} entityName The name of the entity.
+     * @param {string} profileId The ID of the profile.
+     * @param {number} index The index of the snapshot in the history.
+     * @private
+     */
+    handleHistoryRestore(entityName, profileId, index) {
+        const entities = this.getEntitiesFromStorage();
+        const categoryId = this.categories[this.selectedCategoryIndex].id;
+        const records = entities[entityName] && entities[entityName][categoryId];
+        const snapshot = records ? LikelihoodHistory.getHistory(records[profileId])[index] : undefined;
+        if (!snapshot) {
+            return;
+        }
+        if (!confirm(this.t('confirm.restoreSnapshot', { profile: this.getProfileNameById(profileId), time: this.formatTimestamp(snapshot.timestamp) }))) {
+            return;
+        }
+
+        records[profileId] = LikelihoodHistory.recordSnapshot(records[profileId], {
+            timestamp: Date.now(),
+            scores: snapshot.scores,
+            percentageLikelihood: snapshot.percentageLikelihood,
+        }, { coalesce: false });
+        this.saveEntitiesToStorage(entities);
+
+        // Refresh the calculator if the restored assessment is on screen
+        const selectedProfileId = this.categories[this.selectedCategoryIndex].profiles[this.selectedProfileIndex].id;
+        if (this.investorSelect.value === entityName && selectedProfileId === profileId) {
+            this.loadSavedInputs();
+            this.calculateAndDisplayResults();
+        }
+
+        this.loadInvestorList();
+        this.displayInvestorHistory(entityName, profileId);
+    }
+
+    /**
+     * Load custom categories and profiles from local storage.
+     * @return {{categories: Array<Object>}}
+     * @private
+     */
+    loadCustomProfiles() {
+        try {
+            const customProfilesJson = localStorage.getItem('customProfiles');
+            return customProfilesJson ? JSON.parse(customProfilesJson) : LikelihoodCustomProfiles.createEmpty();
+        } catch (error) {
+            console.error('Error loading custom profiles:', error);
+            return LikelihoodCustomProfiles.createEmpty();
+        }
+    }
+
+    /**
+     * Save custom categories and profiles to local storage and redisplay the categories.
+     * @param {{categories: Array<Object>}} customProfiles The custom definitions to save.
+     * @private
+     */
+    saveCustomProfiles(customProfiles) {
+        localStorage.setItem('customProfiles', JSON.stringify(customProfiles));
+        this.customProfiles = customProfiles;
+        this.categories = LikelihoodStorageSchema.assignIds(LikelihoodCustomProfiles.mergeCategories(this.shippedCategories, this.customProfiles));
+        this.displayCategoryCards();
+        this.displayCategoryMenu();
+    }
+
+    /**
+     * Select a category and profile by category slug and profile ID.
+     * Falls back to the first profile, or the highest ordered category, if they no longer exist.
+     * @param {string} categorySlug The category slug.
+     * @param {string} profileId The profile ID.
+     * @private
+     */
+    navigateToProfile(categorySlug, profileId) {
+        const categoryIndex = this.categories.findIndex((category) => category.slug === categorySlug);
+        if (categoryIndex === -1) {
+            this.selectHighestOrderedCategory();
+            return;
+        }
+        this.handleCategoryCardClick(categoryIndex);
+        const profileIndex = this.categories[categoryIndex].profiles.findIndex((profile) => profile.id === profileId);
+        this.handleProfileCardClick(profileIndex === -1 ? 0 : profileIndex);
+    }
+
+    /**
+     * Trigger a download of generated content.
+     * @param {string} filename The suggested file name.
+     * @param {string} content The file content.
+     * @param {string} type The MIME type.
+     * @private
+     */
+    downloadFile(filename, content, type) {
+        const blob = new Blob([content], { type: type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Initialise profile editor event listeners.
+     * @private
+     */
+    initProfileEditor() {
+        this.profileEditorModalInstance = new bootstrap.Modal(this.profileEditorModal);
+
+        document.getElementById('newProfileButton').addEventListener('click', () => this.openProfileEditor(false));
+        document.getElementById('editProfileButton').addEventListener('click', () => this.openProfileEditor(true));
+        document.getElementById('exportProfilesButton').addEventListener('click', () => this.handleExportCustomProfiles());
+
+        this.editorCategorySelect.addEventListener('change', () => this.handleEditorCategoryChange());
+        document.getElementById('editorCategoryName').addEventListener('input', (event) => {
+            // Suggest a slug for new categories until one is typed
+            if (this.editorCategorySelect.value === '' && !this.editorState.slugEdited) {
+                document.getElementById('editorCategorySlug').value = this.generateSlug(event.target.value);
+            }
+        });
+        document.getElementById('editorCategorySlug').addEventListener('input', () => {
+            this.editorState.slugEdited = true;
+        });
+        document.getElementById('editorAddCriterionButton').addEventListener('click', () => {
+            this.editorState.criteria.push(this.createBlankCriterion());
+            this.renderCriterionEditors();
+            this.updateEditorPreview();
+        });
+        document.getElementById('editorDeleteButton').addEventListener('click', () => this.handleProfileEditorDelete());
+
+        // Scoring model
+        const modelSelect = document.getElementById('editorProfileModel');
+        Object.keys(LikelihoodScoring.MODELS).forEach((type) => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = this.t(`model.${type}`);
+            modelSelect.appendChild(option);
+        });
+        modelSelect.addEventListener('change', () => {
+            this.editorState.model.type = modelSelect.value;
+            this.updateEditorModelFields();
+            // The criterion minimums are only shown for the gated model
+            this.renderCriterionEditors();
+            this.updateEditorPreview();
+        });
+        [['editorModelMidpoint', 'midpoint'], ['editorModelSteepness', 'steepness'], ['editorModelCap', 'cap']].forEach(([id, field]) => {
+            document.getElementById(id).addEventListener('input', (event) => {
+                this.editorState.model[field] = parseFloat(event.target.value);
+                this.updateEditorPreview();
+            });
+        });
+        this.profileEditorForm.addEventListener('submit', (event) => this.handleProfileEditorSave(event));
+    }
+
+    /**
+     * Create an empty criterion for the profile editor.
+     * @return {Object}
+     * @private
+     */
+    createBlankCriterion() {
+        return {
+            metric: '',
+            description: '',
+            weight: 10,
+            icon: '',
+            invert: false,
+            scoreDescriptors: { '1': '', '2': '', '3': '', '4': '', '5': '' },
+        };
+    }
+
+    /**
+     * Open the profile editor.
+     * @param {boolean} editExisting True to edit the selected profile, false to create a new one.
+     * @private
+     */
+    openProfileEditor(editExisting) {
+        // Edit the en-AU text, which is what custom definitions hold, rather than the translation on screen
+        const categories = this.getDefaultLocaleCategories(this.customProfiles);
+        const selectedCategory = this.categories[this.selectedCategoryIndex];
+        const category = categories.find((item) => item.id === selectedCategory.id) || selectedCategory;
+        const selectedProfile = selectedCategory.profiles[this.selectedProfileIndex];
+        const profile = editExisting
+            ? category.profiles.find((item) => item.id === selectedProfile.id) || selectedProfile
+            : null;
+
+        // Work on copies so closing the editor leaves the profile untouched
+        this.editorState = {
+            categories: categories,
+            shippedCategories: LikelihoodI18n.localiseCategories(this.shippedCategorySource, LikelihoodI18n.DEFAULT_LOCALE),
+            original: profile ? {
+                categorySlug: category.slug,
+                profileId: profile.id,
+                profileName: profile.name,
+                custom: Boolean(profile.custom),
+                overrides: Boolean(profile.overrides),
+            } : null,
+            criteria: profile
+                ? profile.criteria.map((criterion) => ({ ...criterion, scoreDescriptors: { ...criterion.scoreDescriptors } }))
+                : [this.createBlankCriterion()],
+            model: this.getEditableModel(profile),
+            slugEdited: false,
+        };
+
+        // Category select
+        this.editorCategorySelect.innerHTML = '';
+        categories.forEach((item) => {
+            const option = document.createElement('option');
+            option.value = item.slug;
+            option.textContent = item.name;
+            this.editorCategorySelect.appendChild(option);
+        });
+        const newCategoryOption = document.createElement('option');
+        newCategoryOption.value = '';
+        newCategoryOption.textContent = this.t('editor.newCategory');
+        this.editorCategorySelect.appendChild(newCategoryOption);
+        this.editorCategorySelect.value = category.slug;
+        this.handleEditorCategoryChange();
+
+        // Profile fields
+        document.getElementById('editorProfileName').value = profile ? profile.name : '';
+        document.getElementById('editorProfileIcon').value = profile ? profile.icon || '' : '';
+        document.getElementById('editorProfileDescription').value = profile ? profile.description || '' : '';
+        document.getElementById('editorProfileLongDescription').value = profile ? profile.longdescription || '' : '';
+        document.getElementById('editorProfileModel').value = this.editorState.model.type;
+        document.getElementById('editorModelMidpoint').value = this.editorState.model.midpoint.toString();
+        document.getElementById('editorModelSteepness').value = this.editorState.model.steepness.toString();
+        document.getElementById('editorModelCap').value = this.editorState.model.cap.toString();
+        this.updateEditorModelFields();
+
+        // Delete is only offered for custom profiles; for an edited shipped profile it reverts the edit
+        const deleteButton = document.getElementById('editorDeleteButton');
+        deleteButton.style.display = profile && profile.custom ? 'inline-block' : 'none';
+        deleteButton.textContent = this.t(profile && profile.overrides ? 'editor.revert' : 'editor.delete');
+
+        this.editorErrorsElement.style.display = 'none';
+        document.getElementById('editorLocaleNote').style.display = this.locale === LikelihoodI18n.DEFAULT_LOCALE ? 'none' : 'block';
+        this.editorPreviewTableBody.innerHTML = '';
+        this.renderCriterionEditors();
+        this.updateEditorPreview();
+
+        this.profileEditorModalInstance.show();
+    }
+
+    /**
+     * Get the scoring model of a profile as editable settings.
+     * A model the engine does not know falls back to the default, so the editor can still open the profile.
+     * @param {?Object} profile The profile, or null for a new one.
+     * @return {{type: string, midpoint: number, steepness: number, cap: number}}
+     * @private
+     */
+    getEditableModel(profile) {
+        let model;
+        try {
+            model = LikelihoodScoring.resolveModel(profile || {});
+        } catch (error) {
+            console.warn('Unknown scoring model, editing with the default:', error);
+            model = LikelihoodScoring.resolveModel({});
+        }
+        return { type: model.type, midpoint: model.midpoint, steepness: model.steepness, cap: model.cap };
+    }
+
+    /**
+     * Show the parameters and description of the scoring model selected in the profile editor.
+     * @private
+     */
+    updateEditorModelFields() {
+        const type = this.editorState.model.type;
+        document.getElementById('editorProfileModelHelp').textContent = this.t(`model.${type}Description`);
+        this.profileEditorModal.querySelectorAll('[data-model-option]').forEach((element) => {
+            element.style.display = element.dataset.modelOption === type ? '' : 'none';
+        });
+    }
+
+    /**
+     * Fill the category fields of the profile editor from the selected category.
+     * @private
+     */
+    handleEditorCategoryChange() {
+        const category = this.editorState.categories.find((item) => item.slug === this.editorCategorySelect.value);
+        const slugInput = document.getElementById('editorCategorySlug');
+        const maxWeight = this.editorState.categories.reduce((max, item) => Math.max(max, item.weight || 0), 0);
+
+        this.editorState.slugEdited = false;
+        document.getElementById('editorCategoryName').value = category ? category.name : '';
+        slugInput.value = category ? category.slug : '';
+        slugInput.readOnly = Boolean(category);
+        document.getElementById('editorCategoryDescription').value = category ? category.description || '' : '';
+        document.getElementById('editorCategoryIcon').value = category ? category.icon || '' : '';
+        document.getElementById('editorCategorySavename').value = category ? category.savename || '' : '';
+        document.getElementById('editorCategoryWeight').value = category ? (category.weight || 0).toString() : (maxWeight + 1).toString();
+    }
+
+    /**
+     * Create a labelled input for a criterion editor.
+     * @param {string} id The input id.
+     * @param {string} labelText The label text.
+     * @param {string} value The initial value.
+     * @param {function(string): void} onInput Called with the new value on input.
+     * @param {string} [type='text'] The input type.
+     * @return {HTMLElement} A wrapper holding the label and input.
+     * @private
+     */
+    createEditorField(id, labelText, value, onInput, type = 'text') {
+        const wrapper = document.createElement('div');
+        const label = document.createElement('label');
+        label.className = 'form-label small';
+        label.htmlFor = id;
+        label.textContent = labelText;
+        const input = document.createElement('input');
+        input.type = type;
+        input.id = id;
+        input.className = 'form-control form-control-sm';
+        input.value = value;
+        if (type === 'number') {
+            input.min = '0';
+            input.step = 'any';
+        }
+        input.addEventListener('input', () => onInput(input.value));
+        wrapper.appendChild(label);
+        wrapper.appendChild(input);
+        return wrapper;
+    }
+
+    /**
+     * Render the editors for each criterion in the profile editor.
+     * @private
+     */
+    renderCriterionEditors() {
+        this.editorCriteriaContainer.innerHTML = '';
+        const criteria = this.editorState.criteria;
+
+        criteria.forEach((criterion, index) => {
+            const card = document.createElement('div');
+            card.className = 'card mb-3';
+            const cardBody = document.createElement('div');
+            cardBody.className = 'card-body';
+
+            // Heading and ordering controls
+            const header = document.createElement('div');
+            header.className = 'd-flex align-items-center mb-2';
+            const title = document.createElement('strong');
+            title.className = 'me-auto';
+            title.textContent = this.t('editor.criterion', { number: index + 1 });
+            header.appendChild(title);
+            [
+                { label: this.t('editor.moveUp', { number: index + 1 }), icon: 'fas fa-arrow-up', disabled: index === 0, action: () => criteria.splice(index - 1, 0, criteria.splice(index, 1)[0]) },
+                { label: this.t('editor.moveDown', { number: index + 1 }), icon: 'fas fa-arrow-down', disabled: index === criteria.length - 1, action: () => criteria.splice(index + 1, 0, criteria.splice(index, 1)[0]) },
+                { label: this.t('editor.remove', { number: index + 1 }), icon: 'fas fa-trash', disabled: criteria.length === 1, action: () => criteria.splice(index, 1) },
+            ].forEach((control) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'btn btn-outline-secondary btn-sm ms-1';
+                button.disabled = control.disabled;
+                button.setAttribute('aria-label', control.label);
+                const iconElement = document.createElement('i');
+                control.icon.split(' ').forEach((cls) => iconElement.classList.add(cls));
+                button.appendChild(iconElement);
+                button.addEventListener('click', () => {
+                    control.action();
+                    this.renderCriterionEditors();
+                    this.updateEditorPreview();
+                });
+                header.appendChild(button);
+            });
+            cardBody.appendChild(header);
+
+            const row = document.createElement('div');
+            row.className = 'row g-2';
+            const prefix = `editorCriterion${index}`;
+            const addColumn = (columnClass, element) => {
+                const column = document.createElement('div');
+                column.className = columnClass;
+                column.appendChild(element);
+                row.appendChild(column);
+            };
+            const update = (field) => (value) => {
+                criterion[field] = value;
+                this.updateEditorPreview();
+            };
+
+            addColumn('col-md-4', this.createEditorField(`${prefix}Metric`, this.t('table.metric'), criterion.metric || '', update('metric')));
+            addColumn('col-md-2', this.createEditorField(`${prefix}Weight`, this.t('table.weight'), (criterion.weight !== undefined ? criterion.weight : '').toString(), (value) => {
+                criterion.weight = parseFloat(value);
+                this.updateEditorPreview();
+            }, 'number'));
+            addColumn('col-md-4', this.createEditorField(`${prefix}Icon`, this.t('editor.criterionIcon'), criterion.icon || '', update('icon')));
+
+            // Invert checkbox
+            const invertWrapper = document.createElement('div');
+            invertWrapper.className = 'form-check mt-md-4';
+            const invertInput = document.createElement('input');
+            invertInput.type = 'checkbox';
+            invertInput.className = 'form-check-input';
+            invertInput.id = `${prefix}Invert`;
+            invertInput.checked = Boolean(criterion.invert);
+            invertInput.addEventListener('change', () => {
+                criterion.invert = invertInput.checked;
+                if (criterion.invert && typeof criterion.minimum === 'number') {
+                    delete criterion.minimum;
+                }
+                if (this.editorState.model.type === 'gated') {
+                    this.renderCriterionEditors();
+                }
+                this.updateEditorPreview();
+            });
+            const invertLabel = document.createElement('label');
+            invertLabel.className = 'form-check-label small';
+            invertLabel.htmlFor = invertInput.id;
+            invertLabel.textContent = this.t('editor.invert');
+            invertWrapper.appendChild(invertInput);
+            invertWrapper.appendChild(invertLabel);
+            addColumn('col-md-2', invertWrapper);
+
+            const gated = this.editorState.model.type === 'gated';
+            addColumn(gated ? 'col-md-10' : 'col-12', this.createEditorField(`${prefix}Description`, this.t('table.description'), criterion.description || '', update('description')));
+
+            // Minimum score, for the gated model
+            if (gated) {
+                const minimumWrapper = document.createElement('div');
+                const minimumLabel = document.createElement('label');
+                minimumLabel.className = 'form-label small';
+                minimumLabel.htmlFor = `${prefix}Minimum`;
+                minimumLabel.textContent = this.t('editor.minimum');
+                const minimumSelect = document.createElement('select');
+                minimumSelect.id = `${prefix}Minimum`;
+                minimumSelect.className = 'form-select form-select-sm';
+                ['', '1', '2', '3', '4', '5'].forEach((value) => {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.textContent = value || this.t('editor.noMinimum');
+                    minimumSelect.appendChild(option);
+                });
+                minimumSelect.value = typeof criterion.minimum === 'number' ? criterion.minimum.toString() : '';
+                // A higher score is worse on an inverted criterion, so it cannot have a minimum
+                minimumSelect.disabled = Boolean(criterion.invert);
+                minimumSelect.addEventListener('change', () => {
+                    if (minimumSelect.value) {
+                        criterion.minimum = parseInt(minimumSelect.value, 10);
+                    } else {
+                        delete criterion.minimum;
+                    }
+                    this.updateEditorPreview();
+                });
+                minimumWrapper.appendChild(minimumLabel);
+                minimumWrapper.appendChild(minimumSelect);
+                addColumn('col-md-2', minimumWrapper);
+            }
+
+            // Score descriptors 1 to 5
+            for (let score = 1; score <= 5; score++) {
+                const key = score.toString();
+                addColumn('col-md', this.createEditorField(`${prefix}Descriptor${key}`, this.t('editor.scoreDescriptor', { score: key }), criterion.scoreDescriptors[key] || '', (value) => {
+                    criterion.scoreDescriptors[key] = value;
+                    this.updateEditorPreview();
+                }));
+            }
+
+            cardBody.appendChild(row);
+            card.appendChild(cardBody);
+            this.editorCriteriaContainer.appendChild(card);
+        });
+    }
+
+    /**
+     * Update the live preview of the profile being edited.
+     * @private
+     */
+    updateEditorPreview() {
+        const criteria = this.editorState.criteria.map((criterion) => {
+            return { ...criterion, metric: criterion.metric || '(unnamed)', weight: Number.isFinite(criterion.weight) ? criterion.weight : 0 };
+        });
+        const totalWeight = criteria.reduce((sum, criterion) => sum + criterion.weight, 0);
+        const warningElement = document.getElementById('editorPreviewWarning');
+        const likelihoodElement = document.getElementById('editorPreviewLikelihood');
+        document.getElementById('editorWeightTotal').textContent = totalWeight.toString();
+
+        if (totalWeight <= 0) {
+            this.editorPreviewTableBody.innerHTML = '';
+            likelihoodElement.textContent = this.formatPercentage(0);
+            warningElement.textContent = this.t('editor.noWeight');
+            warningElement.style.display = 'block';
+            return;
+        }
+
+        const normalisation = LikelihoodScoring.normaliseWeights(criteria);
+        if (normalisation.adjusted) {
+            warningElement.textContent = this.t('editor.weightTotal', { total: totalWeight });
+            warningElement.style.display = 'block';
+        } else {
+            warningElement.style.display = 'none';
+        }
+
+        // Keep the preview sliders where they were
+        const values = Array.from(this.editorPreviewTableBody.querySelectorAll('input[type="range"]')).map((input) => input.value);
+        const updateLikelihood = () => {
+            const scores = Array.from(this.editorPreviewTableBody.querySelectorAll('input[type="range"]')).map((input) => parseFloat(input.value));
+            const result = LikelihoodScoring.scoreProfile({ criteria: criteria, model: this.editorState.model }, scores);
+            likelihoodElement.textContent = this.formatPercentage(result.percentageLikelihood);
+        };
+        this.renderCriteriaRows(this.editorPreviewTableBody, normalisation.criteria, updateLikelihood, values);
+        updateLikelihood();
+    }
+
+    /**
+     * Collect and check the category and profile definition from the profile editor.
+     * @return {{categoryFields: Object, profile: Object, errors: Array<string>}}
+     * @private
+     */
+    collectEditorDefinition() {
+        const errors = [];
+        const value = (id) => document.getElementById(id).value.trim();
+
+        // Category
+        const isNewCategory = this.editorCategorySelect.value === '';
+        const categoryFields = {
+            name: value('editorCategoryName'),
+            slug: value('editorCategorySlug'),
+            description: value('editorCategoryDescription'),
+            icon: value('editorCategoryIcon'),
+            weight: parseFloat(value('editorCategoryWeight')) || 0,
+            savename: value('editorCategorySavename'),
+        };
+        if (!categoryFields.name) {
+            errors.push(this.t('editor.error.categoryName'));
+        }
+        if (!/^[a-z0-9-]+$/.test(categoryFields.slug)) {
+            errors.push(this.t('editor.error.categorySlug'));
+        } else if (isNewCategory && this.editorState.categories.some((category) => category.slug === categoryFields.slug)) {
+            errors.push(this.t('editor.error.categoryExists', { slug: categoryFields.slug }));
+        }
+        ['description', 'icon', 'savename'].forEach((field) => {
+            if (!categoryFields[field]) {
+                delete categoryFields[field];
+            }
+        });
+
+        // Only keep the details that differ from a shipped category, so later updates to profiles.json still show
+        const shippedCategory = this.editorState.shippedCategories.find((category) => category.slug === categoryFields.slug);
+        if (shippedCategory) {
+            Object.keys(categoryFields).forEach((field) => {
+                if (field !== 'slug' && categoryFields[field] === shippedCategory[field]) {
+                    delete categoryFields[field];
+                }
+            });
+        }
+
+        // Profile
+        const profile = { id: '', name: value('editorProfileName') };
+        if (value('editorProfileDescription')) {
+            profile.description = value('editorProfileDescription');
+        }
+        if (value('editorProfileLongDescription')) {
+            profile.longdescription = value('editorProfileLongDescription');
+        }
+        if (value('editorProfileIcon')) {
+            profile.icon = value('editorProfileIcon');
+        }
+        const model = this.collectEditorModel(errors);
+        if (model) {
+            profile.model = model;
+        }
+        const gated = this.editorState.model.type === 'gated';
+        const profileSlug = this.generateSlug(profile.name);
+        const original = this.editorState.original;
+        const targetCategory = this.editorState.categories.find((category) => category.slug === categoryFields.slug);
+        if (!profileSlug) {
+            errors.push(this.t('editor.error.profileName'));
+        } else {
+            const isOriginal = (item) => original && original.categorySlug === categoryFields.slug && this.generateSlug(original.profileName) === this.generateSlug(item.name);
+            if (targetCategory && targetCategory.profiles.some((item) => this.generateSlug(item.name) === profileSlug && !isOriginal(item))) {
+                errors.push(this.t('editor.error.profileExists', { name: profile.name }));
+            }
+        }
+        // Keep the profile's ID so its saved assessments follow a rename; a new profile gets one from its name
+        const takenIds = new Set(((targetCategory && targetCategory.profiles) || [])
+            .filter((item) => !(original && original.categorySlug === categoryFields.slug && item.id === original.profileId))
+            .map((item) => item.id));
+        profile.id = original && !takenIds.has(original.profileId)
+            ? original.profileId
+            : LikelihoodStorageSchema.createId(profile.name, takenIds);
+
+        // Criteria
+        const metrics = new Set();
+        profile.criteria = this.editorState.criteria.map((criterion, index) => {
+            const label = this.t('editor.criterion', { number: index + 1 });
+            const metric = (criterion.metric || '').trim();
+            if (!metric) {
+                errors.push(this.t('editor.error.metric', { criterion: label }));
+            } else if (metrics.has(metric)) {
+                errors.push(this.t('editor.error.metricRepeated', { criterion: label, metric: metric }));
+            }
+            metrics.add(metric);
+            if (!Number.isFinite(criterion.weight) || criterion.weight <= 0) {
+                errors.push(this.t('editor.error.weight', { criterion: label }));
+            }
+
+            const result = {
+                id: criterion.id,
+                metric: metric,
+                description: (criterion.description || '').trim(),
+                weight: criterion.weight,
+            };
+            if ((criterion.icon || '').trim()) {
+                result.icon = criterion.icon.trim();
+            }
+            if (criterion.invert) {
+                result.invert = true;
+            }
+            if (gated && !criterion.invert && typeof criterion.minimum === 'number') {
+                result.minimum = criterion.minimum;
+            }
+            result.scoreDescriptors = {};
+            for (let score = 1; score <= 5; score++) {
+                const descriptor = (criterion.scoreDescriptors[score.toString()] || '').trim();
+                if (!descriptor) {
+                    errors.push(this.t('editor.error.descriptor', { criterion: label, score: score }));
+                }
+                result.scoreDescriptors[score.toString()] = descriptor;
+            }
+            return result;
+        });
+        if (profile.criteria.length === 0) {
+            errors.push(this.t('editor.error.criteria'));
+        }
+        // Existing criteria keep their IDs so their saved scores follow a rename; new ones get one from their metric
+        LikelihoodStorageSchema.assignItemIds(profile.criteria, (criterion) => criterion.metric);
+
+        return { categoryFields: categoryFields, profile: profile, errors: errors };
+    }
+
+    /**
+     * Collect and check the scoring model from the profile editor.
+     * Only the parameters the model uses and that differ from the defaults are kept, and a model without any is
+     * written as its type name; the linear model with no parameters is left out altogether.
+     * @param {Array<string>} errors Collected error messages.
+     * @return {(string|Object|undefined)} The profile's `model` setting, or undefined for the default.
+     * @private
+     */
+    collectEditorModel(errors) {
+        const { type, midpoint, steepness, cap } = this.editorState.model;
+        const defaults = LikelihoodScoring.resolveModel({ model: type });
+        const setting = { type: type };
+        if (type === 'logistic') {
+            if (!Number.isFinite(midpoint) || midpoint < 0 || midpoint > 100) {
+                errors.push(this.t('editor.error.midpoint'));
+            } else if (midpoint !== defaults.midpoint) {
+                setting.midpoint = midpoint;
+            }
+            if (!Number.isFinite(steepness) || steepness <= 0) {
+                errors.push(this.t('editor.error.steepness'));
+            } else if (steepness !== defaults.steepness) {
+                setting.steepness = steepness;
+            }
+        } else if (type === 'gated') {
+            if (!Number.isFinite(cap) || cap < 0 || cap > 100) {
+                errors.push(this.t('editor.error.cap'));
+            } else if (cap !== defaults.cap) {
+                setting.cap = cap;
+            }
+        }
+        if (Object.keys(setting).length > 1) {
+            return setting;
+        }
+        return type === LikelihoodScoring.DEFAULT_MODEL ? undefined : type;
+    }
+
+    /**
+     * Show validation errors in the profile editor.
+     * @param {Array<string>} errors The error messages.
+     * @private
+     */
+    showEditorErrors(errors) {
+        this.editorErrorsElement.innerHTML = '';
+        const heading = document.createElement('strong');
+        heading.textContent = this.t('editor.error.heading');
+        const list = document.createElement('ul');
+        list.className = 'mb-0';
+        errors.forEach((error) => {
+            const item = document.createElement('li');
+            item.textContent = error;
+            list.appendChild(item);
+        });
+        this.editorErrorsElement.appendChild(heading);
+        this.editorErrorsElement.appendChild(list);
+        this.editorErrorsElement.style.display = 'block';
+        this.editorErrorsElement.scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * Handle profile editor form submission.
+     * @param {Event} event The submit event.
+     * @private
+     */
+    handleProfileEditorSave(event) {
+        event.preventDefault();
+
+        const definition = this.collectEditorDefinition();
+        if (definition.errors.length > 0) {
+            this.showEditorErrors(definition.errors);
+            return;
+        }
+
+        try {
+            const customProfiles = LikelihoodCustomProfiles.saveProfile(
+                this.customProfiles, definition.categoryFields, definition.profile, this.editorState.original);
+            this.saveCustomProfiles(customProfiles);
+        } catch (error) {
+            console.error('Error saving profile:', error);
+            alert(this.t('alert.profileSaveFailed'));
+            return;
+        }
+
+        this.profileEditorModalInstance.hide();
+        this.navigateToProfile(definition.categoryFields.slug, definition.profile.id);
+    }
+
+    /**
+     * Handle the profile editor delete button, which deletes a custom profile or reverts an edited shipped profile.
+     * @private
+     */
+    handleProfileEditorDelete() {
+        const original = this.editorState.original;
+        if (!original || !original.custom) {
+            return;
+        }
+        const message = this.t(original.overrides ? 'confirm.revertProfile' : 'confirm.deleteProfile', { profile: original.profileName });
+        if (!confirm(message)) {
+            return;
+        }
+
+        try {
+            this.saveCustomProfiles(LikelihoodCustomProfiles.deleteProfile(this.customProfiles, original.categorySlug, { id: original.profileId, name: original.profileName }));
+        } catch (error) {
+            console.error('Error deleting profile:', error);
+            alert(this.t('alert.profileDeleteFailed'));
+            return;
+        }
+
+        this.profileEditorModalInstance.hide();
+        this.navigateToProfile(original.categorySlug, original.profileId);
+    }
+
+    /**
+     * Handle export custom profiles button click event.
+     * @private
+     */
+    handleExportCustomProfiles() {
+        if (this.customProfiles.categories.length === 0) {
+            alert(this.t('alert.noCustomProfiles'));
+            return;
+        }
+        const data = LikelihoodCustomProfiles.exportCategories(this.shippedCategorySource, this.customProfiles);
+        this.downloadFile('profiles.custom.json', JSON.stringify(data, null, 4) + '\n', 'application/json');
+    }
+
+    /**
+     * Initialise backup, CSV export and import event listeners.
+     * @private
+     */
+    initBackupManagement() {
+        this.backupImportModalInstance = new bootstrap.Modal(this.backupImportModal);
+
+        document.getElementById('exportAllDataButton').addEventListener('click', () => this.handleExportAllData());
+        document.getElementById('importDataButton').addEventListener('click', () => this.importDataInput.click());
+        this.importDataInput.addEventListener('change', (event) => this.handleImportDataFile(event));
+        this.backupImportModal.querySelectorAll('input[name="backupImportMode"]').forEach((input) => {
+            input.addEventListener('change', () => {
+                const merging = this.getBackupImportMode() === 'merge';
+                document.getElementById('backupConflicts').style.display = merging && this.pendingBackup && this.pendingBackup.conflicts.length > 0 ? 'block' : 'none';
+            });
+        });
+        this.backupImportModal.querySelectorAll('[data-resolve-all]').forEach((button) => {
+            button.addEventListener('click', () => {
+                this.backupConflictTableBody.querySelectorAll('select').forEach((select) => {
+                    select.value = button.dataset.resolveAll;
+                });
+            });
+        });
+        document.getElementById('backupImportConfirmButton').addEventListener('click', () => this.handleBackupImportConfirm());
+        document.getElementById('exportCsvButton').addEventListener('click', () => this.handleExportCsv());
     }
 
     /**
-     * Handle entity list item click event to open modal.
-     * @param {string} entityName The name of the entity to edit.
+     * Handle export all data button click event.
      * @private
      */
-    handleInvestorListItemClick(entityName) {
-        this.currentEditingInvestorName = entityName;
-        const entities = this.getEntitiesFromLocalStorage();
-        const entityData = entities[entityName];
-
-        // Load existing image
-        if (entityData && entityData.image) {
-            this.modalInvestorImagePreview.src = entityData.image;
-            this.modalInvestorImagePreview.style.display = 'block';
-        } else {
-            this.modalInvestorImagePreview.src = '';
-            this.modalInvestorImagePreview.style.display = 'none';
+    async handleExportAllData() {
+        try {
+            const backup = LikelihoodBackup.createBackup(this.storage);
+            // Images kept as Blobs are written into the backup as data URLs
+            backup.entities = await this.storage.inlineImages(backup.entities);
+            this.downloadFile(LikelihoodBackup.backupFilename(), JSON.stringify(backup, null, 2) + '\n', 'application/json');
+        } catch (error) {
+            console.error('Error exporting data:', error);
+            alert(this.t('alert.exportFailed'));
         }
+    }
 
-        // Reset the image input
-        this.modalInvestorImageInput.value = '';
-
-        // Show modal
-        this.investorEditModalInstance.show();
+    /**
+     * Handle export CSV button click event.
+     * Exports the stored assessments of the current category, or of every category when "Include all categories" is ticked.
+     * @private
+     */
+    handleExportCsv() {
+        try {
+            const entitiesData = JSON.parse(this.storage.getItem('entities') || '{}');
+            const allCategories = document.getElementById('exportCsvAllCategories').checked;
+            const selectedCategory = this.categories[this.selectedCategoryIndex];
+            const categoryIds = allCategories ? Object.keys(entitiesData) : [selectedCategory.id];
+            const headings = {};
+            Object.keys(LikelihoodCsv.HEADINGS).forEach((key) => {
+                headings[key] = this.t(`csv.${key}`);
+            });
+            const { csv, rowCount } = LikelihoodCsv.exportAssessments(entitiesData, this.categories, categoryIds, headings);
+            if (rowCount === 0) {
+                alert(this.t('alert.noAssessments'));
+                return;
+            }
+            const date = new Date().toISOString().slice(0, 10);
+            const filename = `likelihood-${allCategories ? 'all' : selectedCategory.slug}-${date}.csv`;
+            // The byte order mark makes spreadsheet applications read the file as UTF-8
+            this.downloadFile(filename, '\ufeff' + csv, 'text/csv;charset=utf-8');
+        } catch (error) {
+            console.error('Error exporting CSV:', error);
+            alert(this.t('alert.csvFailed'));
+        }
     }
 
     /**
-     * Handle modal entity image upload.
+     * Handle a backup file being chosen for import.
      * @param {Event} event The change event.
      * @private
      */
-    handleModalInvestorImageUpload(event) {
+    handleImportDataFile(event) {
         const fileInput = event.target;
-        if (fileInput.files && fileInput.files[0]) {
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                const dataURL = e.target.result;
-                this.modalInvestorImagePreview.src = dataURL;
-                this.modalInvestorImagePreview.style.display = 'block';
-            };
-            reader.readAsDataURL(fileInput.files[0]);
+        const file = fileInput.files && fileInput.files[0];
+        if (!file) {
+            return;
         }
+        const reader = new FileReader();
+        reader.onload = async (e) => {
+            fileInput.value = '';
+            let backup;
+            let images;
+            try {
+                backup = LikelihoodBackup.parseBackup(e.target.result);
+                if (backup.entitiesSchemaVersion > LikelihoodStorageSchema.SCHEMA_VERSION) {
+                    throw new Error(this.t('backup.newerSchema', { schema: backup.entitiesSchemaVersion, supported: LikelihoodStorageSchema.SCHEMA_VERSION }));
+                }
+                // Upgrade older entities, including those of custom profiles that only exist in the backup
+                const categories = LikelihoodStorageSchema.assignIds(LikelihoodCustomProfiles.mergeCategories(this.getDefaultLocaleCategories(this.customProfiles), backup.customProfiles));
+                backup.entities = LikelihoodStorageSchema.migrateEntities(backup.entities, categories, backup.entitiesSchemaVersion);
+                backup.entitiesSchemaVersion = LikelihoodStorageSchema.SCHEMA_VERSION;
+                // Imported images are cropped, scaled down and stripped of EXIF data like those chosen in the app
+                images = await LikelihoodImages.processEntityImages(backup.entities, this.getImageMaxSize());
+            } catch (error) {
+                console.error('Error reading backup:', error);
+                alert(this.t('alert.importFileFailed', { file: file.name, error: error.message }));
+                return;
+            }
+            const localEntities = JSON.parse(this.storage.getItem('entities') || '{}');
+            this.pendingBackup = {
+                backup: backup,
+                conflicts: LikelihoodBackup.findConflicts(localEntities, backup.entities),
+                failedImages: images.failed,
+            };
+            this.displayBackupImport(file.name);
+        };
+        reader.onerror = () => {
+            console.error('Error reading backup:', reader.error);
+            alert(this.t('alert.readFileFailed', { file: file.name, error: '' }));
+        };
+        reader.readAsText(file);
     }
 
     /**
-     * Handle entity edit form submission.
-     * @param {Event} event The submit event.
+     * Get the selected backup import mode.
+     * @return {string} 'merge' or 'replace'.
      * @private
      */
-    handleInvestorEditFormSubmit(event) {
-        event.preventDefault();
+    getBackupImportMode() {
+        const selected = this.backupImportModal.querySelector('input[name="backupImportMode"]:checked');
+        return selected ? selected.value : 'merge';
+    }
 
-        const entities = this.getEntitiesFromLocalStorage();
-        const entityData = entities[this.currentEditingInvestorName];
+    /**
+     * Show the import modal for the pending backup, listing any conflicts with a choice of which record to keep.
+     * @param {string} filename The name of the backup file.
+     * @private
+     */
+    displayBackupImport(filename) {
+        const { backup, conflicts, failedImages } = this.pendingBackup;
+        const entityCount = Object.values(backup.entities)
+            .reduce((total, categoryEntities) => total + Object.keys(categoryEntities || {}).length, 0);
+        const exported = Date.parse(backup.exported);
+        const summary = document.getElementById('backupImportSummary');
+        const counts = {
+            filename: filename,
+            entities: entityCount,
+            categories: backup.customProfiles.categories.length,
+            conflicts: conflicts.length,
+            images: failedImages,
+        };
+        const parts = [Number.isNaN(exported)
+            ? this.t('backup.summary', counts)
+            : this.t('backup.summaryExported', Object.assign({ date: this.formatTimestamp(exported) }, counts))];
+        if (failedImages > 0) {
+            parts.push(this.t('backup.failedImages', counts));
+        }
+        summary.textContent = parts.join(' ');
 
-        // Save image if available
-        if (this.modalInvestorImagePreview.src) {
-            if (!entityData) {
-                entities[this.currentEditingInvestorName] = {};
+        document.getElementById('backupImportModeMerge').checked = true;
+        document.getElementById('backupConflicts').style.display = conflicts.length > 0 ? 'block' : 'none';
+
+        this.backupConflictTableBody.innerHTML = '';
+        conflicts.forEach((conflict) => {
+            const row = document.createElement('tr');
+
+            // Conflicts are keyed by ID; show names where the category and profile still exist
+            const category = LikelihoodStorageSchema.findCategory(this.categories, conflict.category);
+            const profileCategory = LikelihoodStorageSchema.findCategory(this.categories, conflict.profileCategory);
+            const profile = profileCategory ? LikelihoodStorageSchema.findProfile(profileCategory, conflict.profile) : undefined;
+            const profileName = profile ? profile.name : conflict.profile;
+
+            const entityCell = document.createElement('td');
+            entityCell.textContent = conflict.entity;
+            const entityCategory = document.createElement('div');
+            entityCategory.className = 'small text-muted';
+            entityCategory.textContent = category ? category.name : conflict.category;
+            entityCell.appendChild(entityCategory);
+            row.appendChild(entityCell);
+
+            const profileCell = document.createElement('td');
+            profileCell.textContent = profileName;
+            if (conflict.profileCategory !== conflict.category) {
+                const profileCategoryElement = document.createElement('div');
+                profileCategoryElement.className = 'small text-muted';
+                profileCategoryElement.textContent = profileCategory ? profileCategory.name : conflict.profileCategory;
+                profileCell.appendChild(profileCategoryElement);
             }
-            entities[this.currentEditingInvestorName].image = this.modalInvestorImagePreview.src;
-        }
+            row.appendChild(profileCell);
+
+            [conflict.local, conflict.incoming].forEach((record) => {
+                const cell = document.createElement('td');
+                const updated = LikelihoodBackup.recordUpdated(record);
+                cell.textContent = record.percentageLikelihood || '';
+                const updatedElement = document.createElement('div');
+                updatedElement.className = 'small text-muted';
+                updatedElement.textContent = updated ? this.formatTimestamp(updated) : this.t('backup.dateUnknown');
+                cell.appendChild(updatedElement);
+                row.appendChild(cell);
+            });
 
-        this.saveEntitiesToLocalStorage(entities);
-        this.loadInvestorList();
+            const keepCell = document.createElement('td');
+            const select = document.createElement('select');
+            select.className = 'form-select form-select-sm';
+            select.dataset.conflictId = conflict.id;
+            select.setAttribute('aria-label', this.t('backup.keepLabel', { entity: conflict.entity, profile: profileName }));
+            ['newest', 'local', 'incoming'].forEach((value) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = this.t(`backup.keep.${value}`);
+                select.appendChild(option);
+            });
+            keepCell.appendChild(select);
+            row.appendChild(keepCell);
 
-        // Update image if the current entity is selected
-        if (this.investorSelect.value === this.currentEditingInvestorName) {
-            this.investorImage.src = this.modalInvestorImagePreview.src;
-            this.investorImage.style.display = 'block';
+            this.backupConflictTableBody.appendChild(row);
+        });
+
+        this.backupImportModalInstance.show();
+    }
+
+    /**
+     * Handle import button click event in the import modal.
+     * @private
+     */
+    handleBackupImportConfirm() {
+        if (!this.pendingBackup) {
+            return;
         }
+        const mode = this.getBackupImportMode();
+        if (mode === 'replace' && !confirm(this.t('confirm.replaceAll'))) {
+            return;
+        }
+        const resolutions = {};
+        this.backupConflictTableBody.querySelectorAll('select').forEach((select) => {
+            resolutions[select.dataset.conflictId] = select.value;
+        });
 
-        // Close modal
-        this.investorEditModalInstance.hide();
+        try {
+            const result = LikelihoodBackup.applyBackup(this.storage, this.pendingBackup.backup, {
+                mode: mode,
+                resolutions: resolutions,
+            });
+            this.pendingBackup = null;
+            this.backupImportModalInstance.hide();
+
+            // Redisplay everything from the imported data
+            const category = this.categories[this.selectedCategoryIndex];
+            const profile = category.profiles[this.selectedProfileIndex];
+            this.saveCustomProfiles(this.loadCustomProfiles());
+            this.navigateToProfile(category.slug, profile.id);
+
+            alert(this.t(mode === 'replace' ? 'alert.importRestored' : 'alert.importMerged', result));
+        } catch (error) {
+            console.error('Error importing data:', error);
+            alert(this.t('alert.importFailed', { error: error.message }));
+        }
     }
 
     /**
@@ -1201,12 +5361,29 @@ class LikelihoodCalculator {
 
     /**
      * Handle URL slug navigation and 404 handling.
+     * Paths may start with a language prefix, e.g. /de/investment; going back or forward to a page in another
+     * language reloads it in that language, and a path without a prefix gains the chosen language's prefix.
      * @private
      */
     handleSlugNavigation() {
-        const pathname = window.location.pathname;
+        const { locale, path: pathname } = LikelihoodI18n.parsePath(window.location.pathname);
+        if ((locale || LikelihoodI18n.DEFAULT_LOCALE) !== this.locale) {
+            if (locale) {
+                window.location.reload();
+                return;
+            }
+            history.replaceState({}, '', this.localisePath(pathname) + window.location.search + window.location.hash);
+        }
         const pathSegments = pathname.split('/').filter(Boolean);
 
+        // Leave the printable report unless it is requested again below
+        this.hidePrintReport();
+
+        // Open a shared calculation from #share=…
+        if (LikelihoodPermalink.isShareFragment(window.location.hash) && this.enterSharedView(window.location.hash)) {
+            return;
+        }
+
         if (pathSegments.length === 0) {
             // No slug provided, select highest ordered category
             this.selectHighestOrderedCategory();
@@ -1226,12 +5403,27 @@ class LikelihoodCalculator {
             if (pathSegments.length > 1) {
                 const profileSlug = pathSegments[1];
                 const category = this.categories[categoryIndex];
-                const profileIndex = category.profiles.findIndex((profile) => this.generateSlug(profile.name) === profileSlug);
+                const profileIndex = category.profiles.findIndex((profile) => this.getProfileSlug(profile) === profileSlug);
                 if (profileIndex !== -1) {
+                    // Select the entity given by ?entity=<name>
+                    const entityName = new URLSearchParams(window.location.search).get('entity');
+                    const selectEntity = entityName && this.getEntitiesFromStorage()[entityName];
+                    if (selectEntity) {
+                        this.investorSelect.value = entityName;
+                    }
+                    if (pathSegments[2] === 'report') {
+                        // Printable report for /category/profile/report?entity=<name>
+                        this.handleProfileCardClick(profileIndex);
+                        this.displayPrintReport(false);
+                        return;
+                    }
                     this.handleProfileCardClick(profileIndex);
+                    if (selectEntity) {
+                        this.handleInvestorChange();
+                    }
                 } else {
                     // Profile not found
-                    alert('The requested profile does not exist.');
+                    alert(this.t('alert.profileNotFound'));
                     // Default to first profile
                     this.handleProfileCardClick(0);
                 }
@@ -1241,21 +5433,406 @@ class LikelihoodCalculator {
             }
         } else {
             // Category not found
-            alert('The requested category does not exist.');
+            alert(this.t('alert.categoryNotFound'));
             // Redirect to highest ordered category
             this.selectHighestOrderedCategory();
         }
     }
 
+    /**
+     * Initialise the share link button and the shared calculation view.
+     * @private
+     */
+    initSharedView() {
+        document.getElementById('shareLinkButton').addEventListener('click', () => this.handleShareLink());
+        document.getElementById('saveSharedViewButton').addEventListener('click', () => this.handleSaveSharedView());
+        document.getElementById('closeSharedViewButton').addEventListener('click', () => {
+            const category = this.categories[this.selectedCategoryIndex];
+            history.pushState({}, '', this.localisePath(`/${category.slug}/${this.getProfileSlug(category.profiles[this.selectedProfileIndex])}`));
+            this.handleSlugNavigation();
+        });
+        // A share link pasted into the address bar of an open page only changes the fragment
+        window.addEventListener('hashchange', () => {
+            if (LikelihoodPermalink.isShareFragment(window.location.hash)) {
+                this.handleSlugNavigation();
+            }
+        });
+    }
+
+    /**
+     * Copy a link to the current calculation, including the selected entity's name, to the clipboard.
+     * @private
+     */
+    handleShareLink() {
+        const category = this.categories[this.selectedCategoryIndex];
+        let url;
+        try {
+            url = LikelihoodPermalink.buildUrl(window.location.origin + this.localisePath(''), {
+                categorySlug: category.slug,
+                profileSlug: this.getProfileSlug(category.profiles[this.selectedProfileIndex]),
+                criteriaHash: LikelihoodPermalink.hashCriteria(category.profiles[this.selectedProfileIndex].criteria),
+                scores: this.getScores().map((item) => item.score),
+                entityName: this.sharedView ? this.sharedView.entityName : this.investorSelect.value,
+            });
+        } catch (error) {
+            console.error('Error creating share link:', error);
+            alert(this.t('alert.shareFailed'));
+            return;
+        }
+        this.writeToClipboard({ plain: url }).then(() => {
+            alert(this.t('alert.shareCopied'));
+        }).catch((error) => {
+            console.warn('Could not copy the share link:', error);
+            prompt(this.t('prompt.copyShareLink'), url);
+        });
+    }
+
+    /**
+     * Show a shared calculation read-only.
+     * @param {string} hash The URL fragment holding the calculation.
+     * @return {boolean} True if the calculation was shown; false if it could not be, after telling the user why.
+     * @private
+     */
+    enterSharedView(hash) {
+        let shared;
+        try {
+            shared = LikelihoodPermalink.decodeFragment(hash);
+        } catch (error) {
+            console.error('Error opening shared calculation:', error);
+            alert(error.message);
+            return false;
+        }
+        const categoryIndex = this.categories.findIndex((category) => category.slug === shared.categorySlug);
+        const category = this.categories[categoryIndex];
+        const profileIndex = category ? category.profiles.findIndex((profile) => this.getProfileSlug(profile) === shared.profileSlug) : -1;
+        if (profileIndex === -1) {
+            alert(this.t('alert.sharedProfileMissing'));
+            return false;
+        }
+        const criteria = category.profiles[profileIndex].criteria;
+        if (LikelihoodPermalink.hashCriteria(criteria) !== shared.criteriaHash || criteria.length !== shared.scores.length) {
+            alert(this.t('alert.sharedProfileChanged'));
+            return false;
+        }
+
+        // Select the profile without an entity, so nothing stored is shown or changed
+        this.handleCategoryCardClick(categoryIndex);
+        this.investorSelect.value = '';
+        this.handleProfileCardClick(profileIndex);
+        this.sharedView = shared;
+        history.replaceState({}, '', this.localisePath(`/${category.slug}/${shared.profileSlug}#${LikelihoodPermalink.encodeFragment(shared)}`));
+
+        this.criteriaTableBody.querySelectorAll('input[type="range"]').forEach((input, index) => {
+            input.value = shared.scores[index].toString();
+            const row = input.closest('tr');
+            this.updateScoreDescriptor(input, this.adjustedCriteria[index]);
+            this.setRangeInputs(row, { score: shared.scores[index] });
+        });
+        this.setCriteriaReadOnly(true);
+        this.displayEntityImage();
+        this.calculateAndDisplayResults();
+
+        document.getElementById('sharedViewMessage').textContent = shared.entityName
+            ? this.t('shared.messageEntity', Object.assign({ entity: shared.entityName }, this.getSavenameParams()))
+            : this.t('shared.message', this.getSavenameParams());
+        this.sharedViewBanner.style.display = 'block';
+        this.sharedViewBanner.scrollIntoView({ block: 'nearest' });
+        return true;
+    }
+
+    /**
+     * Leave the shared calculation view, if it is showing.
+     * @private
+     */
+    exitSharedView() {
+        if (!this.sharedView) {
+            return;
+        }
+        this.sharedView = null;
+        this.sharedViewBanner.style.display = 'none';
+        this.setCriteriaReadOnly(false);
+    }
+
+    /**
+     * Enable or disable the score inputs of the criteria table.
+     * @param {boolean} readOnly True to disable them.
+     * @private
+     */
+    setCriteriaReadOnly(readOnly) {
+        this.criteriaTableBody.querySelectorAll('input').forEach((input) => {
+            input.disabled = readOnly;
+        });
+    }
+
+    /**
+     * Save the shared calculation as an entity of the user's own.
+     * Saving over an existing entity replaces its assessment for this profile (the previous one stays in its history).
+     * @private
+     */
+    handleSaveSharedView() {
+        const shared = this.sharedView;
+        const entityName = (prompt(this.t('prompt.saveShared', this.getSavenameParams()), shared.entityName) || '').trim();
+        if (!entityName) {
+            return;
+        }
+        const category = this.categories[this.selectedCategoryIndex];
+        const profile = category.profiles[this.selectedProfileIndex];
+        const entities = this.getEntitiesFromStorage();
+        const isNew = !entities[entityName];
+        if (!isNew && !confirm(this.t('confirm.replaceWithShared', Object.assign({ entity: entityName, profile: profile.name }, this.getSavenameParams())))) {
+            return;
+        }
+        if (isNew) {
+            entities[entityName] = {};
+            this.saveEntitiesToStorage(entities);
+        }
+
+        // Keep the shared scores, which are still on the sliders, and save them as the entity's assessment
+        this.exitSharedView();
+        history.replaceState({}, '', this.localisePath(`/${category.slug}/${shared.profileSlug}`));
+        this.populateInvestorSelect(entityName);
+        if (isNew) {
+            this.fireWebhookEvent('entity.created', this.getWebhookEventData(entityName, profile, [], null));
+        }
+        this.scoresChanged = true;
+        this.calculateAndDisplayResults();
+        const entityData = this.getEntitiesFromStorage()[entityName];
+        if (entityData && entityData.image) {
+            this.displayEntityImage(entityData.image);
+        }
+    }
+
+    /**
+     * Append the text, dot points, links and footer of a disclaimer to a container.
+     * @param {HTMLElement} container The element to append to.
+     * @param {Object} disclaimer The category disclaimer.
+     * @private
+     */
+    appendDisclaimerContent(container, disclaimer) {
+        // Text
+        if (disclaimer.text) {
+            const textElement = document.createElement('p');
+            textElement.textContent = disclaimer.text;
+            container.appendChild(textElement);
+        }
+
+        // Dot points
+        if (disclaimer.dotpoints && Array.isArray(disclaimer.dotpoints)) {
+            const ulElement = document.createElement('ul');
+            ulElement.classList.add('list-unstyled');
+            disclaimer.dotpoints.forEach((point) => {
+                const liElement = document.createElement('li');
+                liElement.classList.add('d-flex');
+
+                const iconSpan = document.createElement('span');
+                iconSpan.classList.add('me-2');
+
+                if (point.icon) {
+                    const iconElement = document.createElement('i');
+                    point.icon.split(' ').forEach((cls) => iconElement.classList.add(cls));
+                    iconSpan.appendChild(iconElement);
+                } else {
+                    iconSpan.textContent = '•';
+                }
+
+                const textSpan = document.createElement('span');
+                textSpan.textContent = point.text;
+
+                liElement.appendChild(iconSpan);
+                liElement.appendChild(textSpan);
+
+                ulElement.appendChild(liElement);
+            });
+            container.appendChild(ulElement);
+        }
+
+        // Links
+        if (disclaimer.links && Array.isArray(disclaimer.links)) {
+            const linksParagraph = document.createElement('p');
+            disclaimer.links.forEach((link, index) => {
+                const linkElement = document.createElement('a');
+                linkElement.href = link.url;
+                linkElement.target = '_blank';
+                linkElement.rel = 'noopener';
+                linkElement.textContent = link.name;
+                linksParagraph.appendChild(linkElement);
+                if (index < disclaimer.links.length - 1) {
+                    linksParagraph.appendChild(document.createTextNode(', '));
+                }
+            });
+            container.appendChild(linksParagraph);
+        }
+
+        // Footer
+        if (disclaimer.footer) {
+            const footerElement = document.createElement('p');
+            footerElement.classList.add('mb-0');
+            footerElement.textContent = disclaimer.footer;
+            container.appendChild(footerElement);
+        }
+    }
+
     /**
      * Generate a slug from a given string.
-     * Convert to lower-case hyphenated format.
      * @param {string} name The string to convert to a slug.
      * @return {string}
      * @private
      */
     generateSlug(name) {
-        return name.toLowerCase().replace(/[\s]+/g, '-').replace(/[^\w\-]+/g, '');
+        return LikelihoodScoring.generateSlug(name);
+    }
+
+    /**
+     * Get the slug of a profile used in addresses, which is the same in every language.
+     * @param {Object} profile The profile.
+     * @return {string}
+     * @private
+     */
+    getProfileSlug(profile) {
+        return profile.slug || this.generateSlug(profile.name);
+    }
+
+    /**
+     * Choose the language to show from the address, the language chosen before or the browser's languages.
+     * @return {string} The locale code.
+     * @private
+     */
+    detectLocale() {
+        let storedLocale = null;
+        try {
+            storedLocale = localStorage.getItem(LikelihoodI18n.STORAGE_KEY);
+        } catch (error) {
+            console.warn('Could not read the chosen language:', error);
+        }
+        return LikelihoodI18n.detectLocale(
+            LikelihoodI18n.parsePath(window.location.pathname).locale,
+            storedLocale,
+            navigator.languages || [navigator.language]
+        );
+    }
+
+    /**
+     * Load the interface messages of the chosen language and translate the page.
+     * Messages that are missing, or all of them if the catalogue cannot be loaded, are shown in English.
+     * @return {Promise<void>}
+     * @private
+     */
+    async loadMessages() {
+        document.documentElement.lang = this.locale;
+        if (this.locale !== LikelihoodI18n.DEFAULT_LOCALE) {
+            try {
+                const response = await fetch(`/locales/${this.locale}.json`);
+                if (!response.ok) {
+                    throw new Error('Network response was not ok ' + response.statusText);
+                }
+                this.translator = LikelihoodI18n.createTranslator(await response.json());
+            } catch (error) {
+                console.error(`Error loading the ${this.locale} messages, showing English:`, error);
+            }
+        }
+        LikelihoodI18n.applyTranslations(document, this.translator);
+        // Keep the home and random links in the chosen language
+        document.querySelectorAll('a[href="/"], a[href="/random"]').forEach((link) => {
+            link.setAttribute('href', this.localisePath(link.getAttribute('href')));
+        });
+        this.initLanguageSwitcher();
+    }
+
+    /**
+     * Fill the language switcher, and open the current page in the language chosen.
+     * @private
+     */
+    initLanguageSwitcher() {
+        const select = document.getElementById('localeSelect');
+        select.innerHTML = '';
+        LikelihoodI18n.LOCALES.forEach((locale) => {
+            const option = document.createElement('option');
+            option.value = locale.code;
+            option.lang = locale.code;
+            option.textContent = locale.name;
+            select.appendChild(option);
+        });
+        select.value = this.locale;
+        select.addEventListener('change', () => {
+            try {
+                localStorage.setItem(LikelihoodI18n.STORAGE_KEY, select.value);
+            } catch (error) {
+                console.warn('Could not save the chosen language:', error);
+            }
+            const path = LikelihoodI18n.parsePath(window.location.pathname).path;
+            window.location.assign(LikelihoodI18n.localisePath(path, select.value) + window.location.search + window.location.hash);
+        });
+    }
+
+    /**
+     * Look up an interface message in the chosen language.
+     * @param {string} key The message key (see i18n.js).
+     * @param {Object} [params] The values of the message's named parameters.
+     * @return {string}
+     * @private
+     */
+    t(key, params) {
+        return this.translator(key, params);
+    }
+
+    /**
+     * Get the savename parameters used by messages, such as "Please select or add a {savenameLower} first."
+     * @return {{savename: string, savenameLower: string}}
+     * @private
+     */
+    getSavenameParams() {
+        return { savename: this.savename, savenameLower: this.savename.toLowerCase() };
+    }
+
+    /**
+     * Add the chosen language's prefix to an address path.
+     * @param {string} path The path, e.g. '/investment/angel-investors'.
+     * @return {string}
+     * @private
+     */
+    localisePath(path) {
+        return LikelihoodI18n.localisePath(path, this.locale);
+    }
+
+    /**
+     * Format a likelihood as a percentage in the chosen language, e.g. '58.33%' or '58,33 %'.
+     * @param {number} value The likelihood, from 0 to 100.
+     * @return {string}
+     * @private
+     */
+    formatPercentage(value) {
+        return LikelihoodI18n.formatPercentage(value, this.locale);
+    }
+
+    /**
+     * Show the likelihood of the current assessment, keeping it as stored so it is saved the same in every language.
+     * @param {string} percentageLikelihood The likelihood as stored, e.g. '42.50%'.
+     * @private
+     */
+    showPercentageLikelihood(percentageLikelihood) {
+        this.percentageLikelihoodElement.dataset.value = percentageLikelihood;
+        this.percentageLikelihoodElement.textContent = this.formatPercentage(LikelihoodHistory.parsePercentage(percentageLikelihood));
+    }
+
+    /**
+     * Announce the likelihood shown to screen readers once it has stopped changing,
+     * so dragging a slider does not read out every step.
+     * @private
+     */
+    announceLikelihood() {
+        clearTimeout(this.announceTimer);
+        this.announceTimer = setTimeout(() => {
+            this.likelihoodAnnouncer.textContent = this.t('a11y.likelihood', { likelihood: this.percentageLikelihoodElement.textContent });
+        }, ANNOUNCE_DELAY_MS);
+    }
+
+    /**
+     * Get the likelihood of the current assessment as stored, e.g. '42.50%'.
+     * @return {string}
+     * @private
+     */
+    getPercentageLikelihood() {
+        return this.percentageLikelihoodElement.dataset.value || '0%';
     }
 
     /**
@@ -1270,7 +5847,7 @@ class LikelihoodCalculator {
 
         // Update the URL
         const selectedCategory = this.categories[0];
-        history.replaceState({}, '', `/${selectedCategory.slug}`);
+        history.replaceState({}, '', this.localisePath(`/${selectedCategory.slug}`));
     }
 
     /**
@@ -1289,8 +5866,8 @@ class LikelihoodCalculator {
 
         // Update the URL
         const categorySlug = category.slug;
-        const profileSlug = this.generateSlug(category.profiles[randomProfileIndex].name);
-        history.pushState({}, '', `/${categorySlug}/${profileSlug}`);
+        const profileSlug = this.getProfileSlug(category.profiles[randomProfileIndex]);
+        history.pushState({}, '', this.localisePath(`/${categorySlug}/${profileSlug}`));
     }
 
     /**
@@ -1299,9 +5876,11 @@ class LikelihoodCalculator {
      */
     initInvestorManagement() {
         this.copyButton.addEventListener('click', () => this.handleCopy());
+        document.getElementById('copyMarkdownButton').addEventListener('click', () => this.handleCopy('markdown'));
         this.newInvestorButton.addEventListener('click', () => this.handleNewInvestor());
         this.investorSelect.addEventListener('change', () => this.handleInvestorChange());
         this.deleteInvestorButton.addEventListener('click', () => this.handleDeleteInvestor());
+        this.discardRemovedScoresButton.addEventListener('click', () => this.handleDiscardRemovedScores());
 
         // Modal event listeners
         this.modalInvestorImageInput.addEventListener('change', (event) => this.handleModalInvestorImageUpload(event));
@@ -1355,7 +5934,7 @@ class LikelihoodCalculator {
         if (category.disclaimer) {
             const disclaimer = category.disclaimer;
             const categorySlug = category.slug;
-            const profileSlug = this.generateSlug(profile.name);
+            const profileSlug = this.getProfileSlug(profile);
             const disclaimerId = `disclaimer-${categorySlug}-${profileSlug}`;
 
             // Create accordion container
@@ -1382,7 +5961,7 @@ class LikelihoodCalculator {
             accordionButton.setAttribute('data-bs-target', `#${collapseId}`);
             accordionButton.setAttribute('aria-expanded', 'false');
             accordionButton.setAttribute('aria-controls', collapseId);
-            accordionButton.textContent = disclaimer.heading || 'Disclaimer';
+            accordionButton.textContent = disclaimer.heading || this.t('report.disclaimer');
 
             accordionHeader.appendChild(accordionButton);
 
@@ -1397,67 +5976,7 @@ class LikelihoodCalculator {
             accordionBody.classList.add('accordion-body');
 
             // Disclaimer content
-            // Text
-            if (disclaimer.text) {
-                const textElement = document.createElement('p');
-                textElement.textContent = disclaimer.text;
-                accordionBody.appendChild(textElement);
-            }
-
-            // Dot points
-            if (disclaimer.dotpoints && Array.isArray(disclaimer.dotpoints)) {
-                const ulElement = document.createElement('ul');
-                ulElement.classList.add('list-unstyled');
-                disclaimer.dotpoints.forEach((point) => {
-                    const liElement = document.createElement('li');
-                    liElement.classList.add('d-flex');
-
-                    const iconSpan = document.createElement('span');
-                    iconSpan.classList.add('me-2');
-
-                    if (point.icon) {
-                        const iconElement = document.createElement('i');
-                        point.icon.split(' ').forEach((cls) => iconElement.classList.add(cls));
-                        iconSpan.appendChild(iconElement);
-                    } else {
-                        iconSpan.textContent = '•';
-                    }
-
-                    const textSpan = document.createElement('span');
-                    textSpan.textContent = point.text;
-
-                    liElement.appendChild(iconSpan);
-                    liElement.appendChild(textSpan);
-
-                    ulElement.appendChild(liElement);
-                });
-                accordionBody.appendChild(ulElement);
-            }
-
-            // Links
-            if (disclaimer.links && Array.isArray(disclaimer.links)) {
-                const linksParagraph = document.createElement('p');
-                disclaimer.links.forEach((link, index) => {
-                    const linkElement = document.createElement('a');
-                    linkElement.href = link.url;
-                    linkElement.target = '_blank';
-                    linkElement.rel = 'noopener';
-                    linkElement.textContent = link.name;
-                    linksParagraph.appendChild(linkElement);
-                    if (index < disclaimer.links.length - 1) {
-                        linksParagraph.appendChild(document.createTextNode(', '));
-                    }
-                });
-                accordionBody.appendChild(linksParagraph);
-            }
-
-            // Footer
-            if (disclaimer.footer) {
-                const footerElement = document.createElement('p');
-                footerElement.classList.add('mb-0');
-                footerElement.textContent = disclaimer.footer;
-                accordionBody.appendChild(footerElement);
-            }
+            this.appendDisclaimerContent(accordionBody, disclaimer);
 
             collapseDiv.appendChild(accordionBody);
             accordionItemDiv.appendChild(accordionHeader);
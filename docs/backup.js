@@ -0,0 +1,428 @@
+/**
+ * Filename: backup.js
+ * Purpose: Creates and restores full backups of everything the Likelihood Calculator keeps in the browser.
+ * Description: A backup is a versioned JSON document holding the stored entities (with their details, images and assessment history), the custom profiles, the report templates, the app settings and the collapse state of each disclaimer. Importing a backup can replace the local data or merge into it; when the same entity and profile has an assessment on both sides, each conflict is resolved by keeping the local record, taking the incoming record, or taking whichever was updated most recently. Backups record the storage schema of their entities (see storage-schema.js); version 1 backups predate it and hold schema 1 entities, keyed by display names, which the app upgrades before importing. Loaded by the browser as a classic script (exposing the `LikelihoodBackup` global) and by Node through `require()`.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ * - Included report templates: 19 October 2026
+ * - Included the next best actions report setting: 19 October 2026
+ * - Included the uncertainty mode setting: 19 October 2026
+ * - Recorded the storage schema version of the entities (backup version 2): 19 October 2026
+ * - Read and wrote through the IndexedDB entity store: 19 October 2026
+ * - Included the maximum image size setting: 19 October 2026
+ * - Included entity details and the custom field definitions: 19 October 2026
+ */
+
+(function (root, factory) {
+    'use strict';
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./custom-profiles.js'));
+    } else {
+        root.LikelihoodBackup = factory(root.LikelihoodCustomProfiles);
+    }
+}(typeof self !== 'undefined' ? self : this, function (LikelihoodCustomProfiles) {
+    'use strict';
+
+    /** @const {string} Identifies a backup file. */
+    const FORMAT = 'likelihood-backup';
+    /** @const {number} The backup format version written by this module. */
+    const VERSION = 2;
+    /** @const {string} The local storage key holding the entities. */
+    const ENTITIES_KEY = 'entities';
+    /** @const {string} The local storage key holding the storage schema version of the entities. */
+    const ENTITIES_SCHEMA_KEY = 'entitiesSchemaVersion';
+    /** @const {string} The local storage key holding the custom profiles. */
+    const CUSTOM_PROFILES_KEY = 'customProfiles';
+    /** @const {string} The local storage key holding the report templates. */
+    const TEMPLATES_KEY = 'reportTemplates';
+    /** @const {Array<string>} Local storage keys backed up as settings. */
+    const SETTINGS_KEYS = ['visitCount', 'explainerCollapsed', 'reportTemplateSelection', 'includeNextActions', 'uncertaintyMode', 'imageMaxSize', 'entityFields'];
+    /** @const {Array<string>} Entity keys holding the entity's own data rather than its assessments. */
+    const ENTITY_FIELDS = ['image', 'entityDetails'];
+    /** @const {string} Prefix of the local storage keys holding disclaimer collapse states. */
+    const DISCLAIMER_PREFIX = 'disclaimerCollapsed-';
+    /** @const {Array<string>} The ways a conflict can be resolved. */
+    const RESOLUTIONS = ['local', 'incoming', 'newest'];
+
+    /**
+     * A stored assessment that exists both locally and in the backup with different contents.
+     * @typedef {Object} BackupConflict
+     * @property {string} id A stable identifier used to look up the chosen resolution.
+     * @property {string} category The ID of the category the entity is stored under.
+     * @property {string} entity The entity name.
+     * @property {string} profileCategory The ID of the category of the profile (stored inside the entity).
+     * @property {string} profile The profile ID.
+     * @property {Object} local The local record.
+     * @property {Object} incoming The incoming record.
+     */
+
+    /**
+     * Parse a JSON string, returning a fallback if it is missing or invalid.
+     * @param {?string} json The JSON string.
+     * @param {*} fallback The value to return instead.
+     * @return {*}
+     */
+    function parseJson(json, fallback) {
+        if (!json) {
+            return fallback;
+        }
+        try {
+            return JSON.parse(json);
+        } catch (error) {
+            return fallback;
+        }
+    }
+
+    /**
+     * Check that a value is a plain object.
+     * @param {*} value The value.
+     * @return {boolean}
+     */
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Read every backed up value from storage.
+     * @param {Storage} storage The storage to read, normally the entity store from storage.js.
+     * @param {number} [timestamp] The export time in milliseconds; defaults to now.
+     * @return {Object} The backup document.
+     */
+    function createBackup(storage, timestamp = Date.now()) {
+        const settings = {};
+        SETTINGS_KEYS.forEach((key) => {
+            const value = storage.getItem(key);
+            if (value !== null) {
+                settings[key] = value;
+            }
+        });
+
+        const disclaimers = {};
+        for (let index = 0; index < storage.length; index++) {
+            const key = storage.key(index);
+            if (key && key.startsWith(DISCLAIMER_PREFIX)) {
+                disclaimers[key.slice(DISCLAIMER_PREFIX.length)] = storage.getItem(key) === 'true';
+            }
+        }
+
+        return {
+            format: FORMAT,
+            version: VERSION,
+            exported: new Date(timestamp).toISOString(),
+            entities: parseJson(storage.getItem(ENTITIES_KEY), {}),
+            entitiesSchemaVersion: parseInt(storage.getItem(ENTITIES_SCHEMA_KEY), 10) || 1,
+            customProfiles: parseJson(storage.getItem(CUSTOM_PROFILES_KEY), LikelihoodCustomProfiles.createEmpty()),
+            reportTemplates: parseJson(storage.getItem(TEMPLATES_KEY), []),
+            settings: settings,
+            disclaimers: disclaimers,
+        };
+    }
+
+    /**
+     * Parse and check a backup file.
+     * @param {string} json The file contents.
+     * @return {Object} The backup document, with any missing sections filled in. Version 1 backups have
+     *     `entitiesSchemaVersion` 1.
+     * @throws {Error} If the file is not a backup or was written by a newer version.
+     */
+    function parseBackup(json) {
+        let backup;
+        try {
+            backup = JSON.parse(json);
+        } catch (error) {
+            throw new Error(`The file is not valid JSON: ${error.message}`);
+        }
+        if (!isObject(backup) || backup.format !== FORMAT) {
+            throw new Error('The file is not a Likelihood Calculator backup.');
+        }
+        if (!Number.isInteger(backup.version) || backup.version < 1) {
+            throw new Error('The backup does not have a valid version.');
+        }
+        if (backup.version > VERSION) {
+            throw new Error(`The backup is version ${backup.version}, but this version of the app only reads up to version ${VERSION}.`);
+        }
+        if (backup.entities !== undefined && !isObject(backup.entities)) {
+            throw new Error('The backup entities are not an object.');
+        }
+        return {
+            ...backup,
+            entities: backup.entities || {},
+            entitiesSchemaVersion: Number.isInteger(backup.entitiesSchemaVersion) ? backup.entitiesSchemaVersion : 1,
+            customProfiles: isObject(backup.customProfiles) && Array.isArray(backup.customProfiles.categories)
+                ? backup.customProfiles
+                : LikelihoodCustomProfiles.createEmpty(),
+            reportTemplates: Array.isArray(backup.reportTemplates) ? backup.reportTemplates.filter(isObject) : [],
+            settings: isObject(backup.settings) ? backup.settings : {},
+            disclaimers: isObject(backup.disclaimers) ? backup.disclaimers : {},
+        };
+    }
+
+    /**
+     * Visit every stored profile record.
+     * Entities are stored as `entities[categoryId][entity][profileCategoryId][profileId]`, alongside the entity's `image` and `entityDetails`.
+     * @param {Object} entities The stored entities.
+     * @param {function(string, string, string, string, Object)} callback Called with the category, entity, profile category, profile and record.
+     */
+    function forEachRecord(entities, callback) {
+        Object.keys(entities).forEach((category) => {
+            const categoryEntities = entities[category];
+            if (!isObject(categoryEntities)) {
+                return;
+            }
+            Object.keys(categoryEntities).forEach((entity) => {
+                const entityData = categoryEntities[entity];
+                if (!isObject(entityData)) {
+                    return;
+                }
+                Object.keys(entityData).forEach((profileCategory) => {
+                    const profiles = entityData[profileCategory];
+                    if (ENTITY_FIELDS.includes(profileCategory) || !isObject(profiles)) {
+                        return;
+                    }
+                    Object.keys(profiles).forEach((profile) => {
+                        callback(category, entity, profileCategory, profile, profiles[profile]);
+                    });
+                });
+            });
+        });
+    }
+
+    /**
+     * Build the identifier of a stored profile record.
+     * @param {string} category The ID of the category the entity is stored under.
+     * @param {string} entity The entity name.
+     * @param {string} profileCategory The ID of the category of the profile.
+     * @param {string} profile The profile ID.
+     * @return {string}
+     */
+    function recordId(category, entity, profileCategory, profile) {
+        return JSON.stringify([category, entity, profileCategory, profile]);
+    }
+
+    /**
+     * Get the time a record was last updated.
+     * Records saved before the assessment history was kept have no timestamp and count as the oldest.
+     * @param {Object} record The stored profile record.
+     * @return {number}
+     */
+    function recordUpdated(record) {
+        return (record && typeof record.updated === 'number') ? record.updated : 0;
+    }
+
+    /**
+     * Find the records that exist both locally and in the backup with different contents.
+     * @param {Object} localEntities The local entities.
+     * @param {Object} incomingEntities The entities from the backup.
+     * @return {Array<BackupConflict>}
+     */
+    function findConflicts(localEntities, incomingEntities) {
+        const conflicts = [];
+        forEachRecord(incomingEntities, (category, entity, profileCategory, profile, incoming) => {
+            const local = ((((localEntities[category] || {})[entity]) || {})[profileCategory] || {})[profile];
+            if (local && JSON.stringify(local) !== JSON.stringify(incoming)) {
+                conflicts.push({
+                    id: recordId(category, entity, profileCategory, profile),
+                    category: category,
+                    entity: entity,
+                    profileCategory: profileCategory,
+                    profile: profile,
+                    local: local,
+                    incoming: incoming,
+                });
+            }
+        });
+        return conflicts;
+    }
+
+    /**
+     * Choose between a local and an incoming record.
+     * @param {Object} local The local record.
+     * @param {Object} incoming The incoming record.
+     * @param {string} resolution 'local', 'incoming' or 'newest'; ties under 'newest' keep the local record.
+     * @return {Object}
+     */
+    function resolveRecord(local, incoming, resolution) {
+        if (resolution === 'incoming') {
+            return incoming;
+        }
+        if (resolution === 'newest') {
+            return recordUpdated(incoming) > recordUpdated(local) ? incoming : local;
+        }
+        return local;
+    }
+
+    /**
+     * Merge the entities from a backup into the local entities.
+     * Entities and records that only exist on one side are kept. Conflicting records are resolved using `resolutions`,
+     * falling back to `defaultResolution`. An entity's local image and details are kept; the incoming ones are used when there are none locally.
+     * @param {Object} localEntities The local entities.
+     * @param {Object} incomingEntities The entities from the backup.
+     * @param {Object<string, string>} [resolutions] Resolution per conflict id.
+     * @param {string} [defaultResolution] Resolution for conflicts not in `resolutions`.
+     * @return {{entities: Object, added: number, replaced: number, kept: number}} The merged entities and counts of records added, replaced and kept.
+     */
+    function mergeEntities(localEntities, incomingEntities, resolutions = {}, defaultResolution = 'newest') {
+        const merged = JSON.parse(JSON.stringify(localEntities));
+        const counts = { added: 0, replaced: 0, kept: 0 };
+
+        Object.keys(incomingEntities).forEach((category) => {
+            const incomingCategory = incomingEntities[category];
+            if (!isObject(incomingCategory)) {
+                return;
+            }
+            if (!isObject(merged[category])) {
+                merged[category] = {};
+            }
+            Object.keys(incomingCategory).forEach((entity) => {
+                const incomingEntity = incomingCategory[entity];
+                if (!isObject(incomingEntity)) {
+                    return;
+                }
+                if (!isObject(merged[category][entity])) {
+                    merged[category][entity] = {};
+                }
+                const target = merged[category][entity];
+                ENTITY_FIELDS.forEach((field) => {
+                    if (incomingEntity[field] && !target[field]) {
+                        target[field] = incomingEntity[field];
+                    }
+                });
+            });
+        });
+
+        forEachRecord(incomingEntities, (category, entity, profileCategory, profile, incoming) => {
+            const target = merged[category][entity];
+            if (!isObject(target[profileCategory])) {
+                target[profileCategory] = {};
+            }
+            const local = target[profileCategory][profile];
+            if (!local) {
+                target[profileCategory][profile] = incoming;
+                counts.added++;
+                return;
+            }
+            if (JSON.stringify(local) === JSON.stringify(incoming)) {
+                return;
+            }
+            const id = recordId(category, entity, profileCategory, profile);
+            const chosen = resolveRecord(local, incoming, resolutions[id] || defaultResolution);
+            target[profileCategory][profile] = chosen;
+            if (chosen === incoming) {
+                counts.replaced++;
+            } else {
+                counts.kept++;
+            }
+        });
+
+        return { entities: merged, ...counts };
+    }
+
+    /**
+     * Add the incoming custom profiles that do not exist locally; local custom profiles with the same name are kept.
+     * @param {{categories: Array<Object>}} local The local custom profiles.
+     * @param {{categories: Array<Object>}} incoming The custom profiles from the backup.
+     * @return {{categories: Array<Object>}}
+     */
+    function mergeCustomProfiles(local, incoming) {
+        let merged = local;
+        incoming.categories.forEach((incomingCategory) => {
+            const localCategory = merged.categories.find((category) => category.slug === incomingCategory.slug);
+            const localNames = ((localCategory && localCategory.profiles) || []).map((profile) => profile.name);
+            const categoryFields = localCategory || incomingCategory;
+            (incomingCategory.profiles || []).forEach((profile) => {
+                if (!localNames.includes(profile.name)) {
+                    merged = LikelihoodCustomProfiles.saveProfile(merged, categoryFields, profile);
+                }
+            });
+        });
+        return merged;
+    }
+
+    /**
+     * Write a backup into storage.
+     * In 'replace' mode all backed up keys are overwritten. In 'merge' mode entities are merged using the resolutions,
+     * custom profiles and report templates missing locally are added, and settings and disclaimer states are only restored where there is no local value.
+     * @param {Storage} storage The storage to write, normally the entity store from storage.js.
+     * @param {Object} backup The backup from parseBackup().
+     * @param {{mode: string, resolutions: (Object<string, string>|undefined), defaultResolution: (string|undefined)}} options The import options.
+     * @return {{added: number, replaced: number, kept: number}} Counts of assessment records added, replaced and kept.
+     */
+    function applyBackup(storage, backup, options) {
+        if (options.mode === 'replace') {
+            const previous = [];
+            for (let index = 0; index < storage.length; index++) {
+                const key = storage.key(index);
+                if (key && key.startsWith(DISCLAIMER_PREFIX)) {
+                    previous.push(key);
+                }
+            }
+            previous.forEach((key) => storage.removeItem(key));
+
+            let added = 0;
+            forEachRecord(backup.entities, () => {
+                added++;
+            });
+            storage.setItem(ENTITIES_KEY, JSON.stringify(backup.entities));
+            storage.setItem(CUSTOM_PROFILES_KEY, JSON.stringify(backup.customProfiles));
+            storage.setItem(TEMPLATES_KEY, JSON.stringify(backup.reportTemplates));
+            Object.keys(backup.settings).forEach((key) => {
+                if (SETTINGS_KEYS.includes(key)) {
+                    storage.setItem(key, String(backup.settings[key]));
+                }
+            });
+            Object.keys(backup.disclaimers).forEach((key) => {
+                storage.setItem(DISCLAIMER_PREFIX + key, backup.disclaimers[key] ? 'true' : 'false');
+            });
+            return { added: added, replaced: 0, kept: 0 };
+        }
+
+        const localEntities = parseJson(storage.getItem(ENTITIES_KEY), {});
+        const result = mergeEntities(localEntities, backup.entities, options.resolutions, options.defaultResolution);
+        storage.setItem(ENTITIES_KEY, JSON.stringify(result.entities));
+
+        const localProfiles = parseJson(storage.getItem(CUSTOM_PROFILES_KEY), LikelihoodCustomProfiles.createEmpty());
+        storage.setItem(CUSTOM_PROFILES_KEY, JSON.stringify(mergeCustomProfiles(localProfiles, backup.customProfiles)));
+
+        const localTemplates = parseJson(storage.getItem(TEMPLATES_KEY), []);
+        const newTemplates = backup.reportTemplates.filter((template) => !localTemplates.some((item) => item.id === template.id));
+        storage.setItem(TEMPLATES_KEY, JSON.stringify(localTemplates.concat(newTemplates)));
+
+        Object.keys(backup.settings).forEach((key) => {
+            if (SETTINGS_KEYS.includes(key) && storage.getItem(key) === null) {
+                storage.setItem(key, String(backup.settings[key]));
+            }
+        });
+        Object.keys(backup.disclaimers).forEach((key) => {
+            if (storage.getItem(DISCLAIMER_PREFIX + key) === null) {
+                storage.setItem(DISCLAIMER_PREFIX + key, backup.disclaimers[key] ? 'true' : 'false');
+            }
+        });
+
+        return { added: result.added, replaced: result.replaced, kept: result.kept };
+    }
+
+    /**
+     * Build the file name for a backup, e.g. 'likelihood-backup-2026-10-19.json'.
+     * @param {number} [timestamp] The export time in milliseconds; defaults to now.
+     * @return {string}
+     */
+    function backupFilename(timestamp = Date.now()) {
+        return `${FORMAT}-${new Date(timestamp).toISOString().slice(0, 10)}.json`;
+    }
+
+    return {
+        FORMAT: FORMAT,
+        VERSION: VERSION,
+        RESOLUTIONS: RESOLUTIONS,
+        createBackup: createBackup,
+        parseBackup: parseBackup,
+        findConflicts: findConflicts,
+        recordUpdated: recordUpdated,
+        mergeEntities: mergeEntities,
+        mergeCustomProfiles: mergeCustomProfiles,
+        applyBackup: applyBackup,
+        backupFilename: backupFilename,
+    };
+}));
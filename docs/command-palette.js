@@ -0,0 +1,180 @@
+/**
+ * Filename: command-palette.js
+ * Purpose: Builds and searches the entries of the command palette: categories, profiles, criteria and stored entities.
+ * Description: The palette (opened with Ctrl-K, or Cmd-K on a Mac) lists one entry per category, profile and criterion metric, and one per stored entity in each category it was saved in. Names are matched fuzzily, so the letters of the query only need to appear in order ("yceng" finds "Y Combinator Engagement"), with matches at the start of words and runs of consecutive letters ranked higher. Descriptions are searched for every word of the query and rank below name matches. Loaded by the browser as a classic script (exposing the `LikelihoodCommandPalette` global) and by Node through `require()`.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ * - Left the category and entity labels of the details to the app, so they are shown in the chosen language: 19 October 2026
+ */
+
+(function (root, factory) {
+    'use strict';
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./leaderboard.js'));
+    } else {
+        root.LikelihoodCommandPalette = factory(root.LikelihoodLeaderboard);
+    }
+}(typeof self !== 'undefined' ? self : this, function (LikelihoodLeaderboard) {
+    'use strict';
+
+    /** @const {Array<string>} The kinds of entry, in the order they are listed when they score the same. */
+    const TYPES = ['category', 'profile', 'entity', 'criterion'];
+
+    /** @const {number} The most results shown. */
+    const MAX_RESULTS = 20;
+
+    /**
+     * A command palette entry.
+     * @typedef {Object} PaletteEntry
+     * @property {string} type One of TYPES.
+     * @property {string} label The name shown and fuzzily matched.
+     * @property {string} detail Where the entry belongs, e.g. 'Investment › Angel Investors' for a criterion or the category
+     *     name for a profile or entity; empty for a category.
+     * @property {string} [savename] What the entity is called in its category, for entity entries; empty if the category
+     *     does not say.
+     * @property {string} description Text searched word by word, such as the description.
+     * @property {number} categoryIndex The index of the category to open.
+     * @property {?number} profileIndex The index of the profile to open, or null for a category.
+     * @property {number} [criterionIndex] The index of the criterion within the profile, for criterion entries.
+     * @property {string} [entityName] The entity to open, for entity entries.
+     */
+
+    /**
+     * Build the entries for a set of categories and their stored entities.
+     * Entities open with their best profile, or the first profile if they have no saved assessment.
+     * @param {Array<Object>} categories The categories, as loaded from profiles.json.
+     * @param {Object} entitiesData The stored entities, `entities[categoryId][entityName]`.
+     * @return {Array<PaletteEntry>}
+     */
+    function buildEntries(categories, entitiesData) {
+        const entries = [];
+        categories.forEach((category, categoryIndex) => {
+            entries.push({
+                type: 'category',
+                label: category.name,
+                detail: '',
+                description: category.description || '',
+                categoryIndex: categoryIndex,
+                profileIndex: null,
+            });
+            category.profiles.forEach((profile, profileIndex) => {
+                const detail = `${category.name} › ${profile.name}`;
+                entries.push({
+                    type: 'profile',
+                    label: profile.name,
+                    detail: category.name,
+                    description: profile.description || '',
+                    categoryIndex: categoryIndex,
+                    profileIndex: profileIndex,
+                });
+                profile.criteria.forEach((criterion, criterionIndex) => {
+                    entries.push({
+                        type: 'criterion',
+                        label: criterion.metric,
+                        detail: detail,
+                        description: criterion.description || '',
+                        categoryIndex: categoryIndex,
+                        profileIndex: profileIndex,
+                        criterionIndex: criterionIndex,
+                    });
+                });
+            });
+            const entities = (entitiesData || {})[category.id] || {};
+            const profileIds = category.profiles.map((profile) => profile.id);
+            LikelihoodLeaderboard.buildRows(entities, category.id, profileIds).forEach((row) => {
+                entries.push({
+                    type: 'entity',
+                    label: row.name,
+                    detail: category.name,
+                    savename: category.savename || '',
+                    description: row.details.tags.join(' '),
+                    categoryIndex: categoryIndex,
+                    profileIndex: row.best ? profileIds.indexOf(row.best.profile) : 0,
+                    entityName: row.name,
+                });
+            });
+        });
+        return entries;
+    }
+
+    /**
+     * Score how well a query fuzzily matches some text.
+     * Each letter of the query must appear in the text in order, ignoring case and spaces. Letters at the start of a
+     * word, straight after the previous match or at the very start earn extra points, letters skipped between
+     * matches cost points, and long texts lose a little. Matches that score too low are ignored.
+     * @example
+     * fuzzyScore('yceng', 'Y Combinator Engagement'); // a positive score
+     * fuzzyScore('xyz', 'Angel Investors'); // null
+     * @param {string} query The query.
+     * @param {string} text The text.
+     * @return {?number} The score, or null if the text does not match.
+     */
+    function fuzzyScore(query, text) {
+        const needle = query.toLowerCase().replace(/\s+/g, '');
+        const haystack = text.toLowerCase();
+        if (!needle) {
+            return 0;
+        }
+        let score = 0;
+        let position = -1;
+        for (const letter of needle) {
+            const found = haystack.indexOf(letter, position + 1);
+            if (found === -1) {
+                return null;
+            }
+            score += 1;
+            if (found === position + 1) {
+                score += 5;
+            } else if (position !== -1) {
+                score -= Math.min(found - position - 1, 3);
+            }
+            if (found === 0 || /[^a-z0-9]/.test(haystack[found - 1])) {
+                score += 8;
+            }
+            position = found;
+        }
+        // Letters scattered thinly through the text are more likely chance than what was meant
+        return score < needle.length * 2 ? null : score - haystack.length / 100;
+    }
+
+    /**
+     * Search the entries, best match first.
+     * Entries whose name does not match fuzzily still match when every word of the query appears in their description.
+     * @param {Array<PaletteEntry>} entries The entries.
+     * @param {string} query The query; when blank, the categories are returned.
+     * @param {number} [limit=MAX_RESULTS] The most results to return.
+     * @return {Array<PaletteEntry>}
+     */
+    function search(entries, query, limit = MAX_RESULTS) {
+        const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+        if (words.length === 0) {
+            return entries.filter((entry) => entry.type === 'category').slice(0, limit);
+        }
+        const scored = [];
+        entries.forEach((entry, index) => {
+            let score = fuzzyScore(query, entry.label);
+            if (score === null) {
+                const description = entry.description.toLowerCase();
+                if (!description || !words.every((word) => description.includes(word))) {
+                    return;
+                }
+                score = 0;
+            }
+            scored.push({ entry: entry, score: score, index: index });
+        });
+        scored.sort((a, b) => b.score - a.score
+            || TYPES.indexOf(a.entry.type) - TYPES.indexOf(b.entry.type)
+            || a.index - b.index);
+        return scored.slice(0, limit).map((item) => item.entry);
+    }
+
+    return {
+        TYPES: TYPES,
+        MAX_RESULTS: MAX_RESULTS,
+        buildEntries: buildEntries,
+        fuzzyScore: fuzzyScore,
+        search: search,
+    };
+}));
@@ -0,0 +1,114 @@
+/**
+ * Filename: comparison.js
+ * Purpose: Compares the stored assessments of several entities against one profile.
+ * Description: Aligns each entity's stored scores with the profile's criteria (by criterion ID, falling back to metric name and then position for older scores), recalculates each likelihood with the scoring engine so every entity is measured against the current criteria and weights (a criterion added since an entity was scored contributes nothing to its likelihood and is listed as missing), and ranks the criteria by how much the differences between entities move the likelihood so the biggest differences can be highlighted. Loaded by the browser as a classic script (exposing the `LikelihoodComparison` global) and by Node through `require()`.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ * - Aligned scores by criterion ID: 19 October 2026
+ * - Counted criteria an entity was never scored on as contributing nothing, rather than as a score of 1: 19 October 2026
+ */
+
+(function (root, factory) {
+    'use strict';
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./scoring.js'), require('./storage-schema.js'));
+    } else {
+        root.LikelihoodComparison = factory(root.LikelihoodScoring, root.LikelihoodStorageSchema);
+    }
+}(typeof self !== 'undefined' ? self : this, function (LikelihoodScoring, LikelihoodStorageSchema) {
+    'use strict';
+
+    /** @const {number} The number of criteria with the biggest differences to highlight. */
+    const HIGHLIGHT_COUNT = 3;
+
+    /**
+     * Align stored scores with a profile's criteria.
+     * @param {Object} profile The profile.
+     * @param {Array<{score: number, id: (string|undefined), metric: (string|undefined)}>} storedScores The stored scores.
+     * @return {Array<?number>} One score per criterion, or null where none is stored.
+     */
+    function alignScores(profile, storedScores) {
+        return LikelihoodStorageSchema.alignScores(profile.criteria, storedScores).scores
+            .map((item) => (item && typeof item.score === 'number' ? item.score : null));
+    }
+
+    /**
+     * Recalculate the likelihood of stored scores against a profile.
+     * Criteria without a stored score, such as those added since, are given the score that contributes nothing: filling
+     * them with the lowest score would give full marks on inverted criteria.
+     * @param {Object} profile The profile.
+     * @param {Array<Object>} storedScores The stored scores.
+     * @return {{scores: Array<?number>, missing: Array<string>, likelihood: number}} One score per criterion, or null
+     *     where none is stored, the metrics without a score and the likelihood.
+     */
+    function scoreAssessment(profile, storedScores) {
+        const scores = alignScores(profile, storedScores);
+        const filled = scores.map((score, index) => (score === null ? LikelihoodScoring.worstScore(profile.criteria[index]) : score));
+        return {
+            scores: scores,
+            missing: profile.criteria.filter((criterion, index) => scores[index] === null).map((criterion) => criterion.metric),
+            likelihood: LikelihoodScoring.scoreProfile(profile, filled).percentageLikelihood,
+        };
+    }
+
+    /**
+     * Compare the assessments of several entities against one profile.
+     * @example
+     * const comparison = compareAssessments(profile, [
+     *     { name: 'Acme', scores: [{ metric: 'Interest Level', score: 4 }] },
+     *     { name: 'Globex', scores: [{ metric: 'Interest Level', score: 2 }] },
+     * ]);
+     * @param {Object} profile The profile.
+     * @param {Array<{name: string, scores: Array<Object>}>} assessments The entities with their stored scores.
+     * @return {{entities: Array<{name: string, scores: Array<?number>, missing: Array<string>, likelihood: number}>, criteria: Array<{metric: string, invert: boolean, adjustedWeight: number, scores: Array<?number>, spread: number, impact: number, best: Array<number>, highlighted: boolean}>}}
+     *     The entities with their aligned scores, the metrics they were not scored on and recalculated likelihood, and per criterion the scores in entity order,
+     *     the spread between the highest and lowest score, its impact on the likelihood in percentage points,
+     *     the indexes of the entities with the best score and whether it is one of the biggest differences.
+     */
+    function compareAssessments(profile, assessments) {
+        const entities = assessments.map((assessment) => Object.assign({ name: assessment.name }, scoreAssessment(profile, assessment.scores)));
+
+        const normalisation = LikelihoodScoring.normaliseWeights(profile.criteria);
+        const criteria = normalisation.criteria.map((criterion, index) => {
+            const scores = entities.map((entity) => entity.scores[index]);
+            const present = scores.filter((score) => score !== null);
+            const spread = present.length > 1 ? Math.max(...present) - Math.min(...present) : 0;
+            const impact = present.length > 1
+                ? Math.abs(LikelihoodScoring.calculateCriterionWeightedScore(criterion, Math.max(...present))
+                    - LikelihoodScoring.calculateCriterionWeightedScore(criterion, Math.min(...present)))
+                : 0;
+            // For inverted criteria the lowest score is the best
+            const bestScore = present.length > 0 ? (criterion.invert ? Math.min(...present) : Math.max(...present)) : null;
+            const best = spread > 0 ? scores.map((score, entityIndex) => (score === bestScore ? entityIndex : -1)).filter((entityIndex) => entityIndex !== -1) : [];
+            return {
+                metric: criterion.metric,
+                invert: Boolean(criterion.invert),
+                adjustedWeight: criterion.adjustedWeight,
+                scores: scores,
+                spread: spread,
+                impact: impact,
+                best: best,
+                highlighted: false,
+            };
+        });
+
+        criteria
+            .filter((criterion) => criterion.impact > 0)
+            .sort((a, b) => b.impact - a.impact)
+            .slice(0, HIGHLIGHT_COUNT)
+            .forEach((criterion) => {
+                criterion.highlighted = true;
+            });
+
+        return { entities: entities, criteria: criteria };
+    }
+
+    return {
+        HIGHLIGHT_COUNT: HIGHLIGHT_COUNT,
+        alignScores: alignScores,
+        scoreAssessment: scoreAssessment,
+        compareAssessments: compareAssessments,
+    };
+}));
@@ -0,0 +1,178 @@
+/**
+ * Filename: csv-export.js
+ * Purpose: Exports stored assessments as CSV for spreadsheets and CRM importers.
+ * Description: Produces one row per entity and profile with the category, entity, profile, percentage likelihood, last updated time and one column per criterion metric. The headers of the fixed columns are passed in, so the app can give them in the chosen language; the metric column headers come from the criterion `metric` names: stored scores are matched to the profile's current criteria by ID so renamed criteria stay in one column, and older scores fall back to their stored metric name or position. Text that a spreadsheet would read as a formula (starting with `=`, `+`, `-`, `@`, a tab or a carriage return) is prefixed with `'`, so an entity or metric name cannot run a formula when the file is opened. Loaded by the browser as a classic script (exposing the `LikelihoodCsv` global) and by Node through `require()`.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ * - Read entities keyed by category and profile ID: 19 October 2026
+ * - Escaped text that spreadsheets would run as a formula, and took the column headers from the caller: 19 October 2026
+ */
+
+(function (root, factory) {
+    'use strict';
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./history.js'), require('./storage-schema.js'));
+    } else {
+        root.LikelihoodCsv = factory(root.LikelihoodHistory, root.LikelihoodStorageSchema);
+    }
+}(typeof self !== 'undefined' ? self : this, function (LikelihoodHistory, LikelihoodStorageSchema) {
+    'use strict';
+
+    /** @const {Array<string>} The keys of the columns before the metric columns. */
+    const FIXED_COLUMNS = ['category', 'entity', 'profile', 'likelihood', 'updated'];
+
+    /**
+     * @const {Object<string, string>} The English headers of the fixed columns, and of the metric column for a score with no metric name,
+     * where `{number}` is replaced by the position of the criterion.
+     */
+    const HEADINGS = {
+        category: 'Category',
+        entity: 'Entity',
+        profile: 'Profile',
+        likelihood: 'Likelihood (%)',
+        updated: 'Last Updated',
+        criterion: 'Criterion {number}',
+    };
+
+    /** @const {RegExp} The first characters that make spreadsheet applications read a cell as a formula. */
+    const FORMULA_START = /^[=+\-@\t\r]/;
+
+    /**
+     * A column of the export.
+     * @typedef {Object} Column
+     * @property {string} key The key of the column's values in each row.
+     * @property {string} heading The column header.
+     */
+
+    /**
+     * Check that a value is a plain object.
+     * @param {*} value The value.
+     * @return {boolean}
+     */
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Quote a CSV field if it contains a delimiter, quote or line break (RFC 4180).
+     * Text that would be read as a formula is prefixed with an apostrophe; numbers are left as they are.
+     * @example
+     * escapeField('=HYPERLINK("https://example.com")'); // '"\'=HYPERLINK(""https://example.com"")"'
+     * @param {*} value The field value.
+     * @return {string}
+     */
+    function escapeField(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (typeof value === 'string' && FORMULA_START.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Build the rows for the stored assessments of one or more categories.
+     * @param {Object} entitiesData The stored entities, keyed by category ID (the `entities` local storage value).
+     * @param {Array<Object>} categories The loaded categories, used to name categories, profiles and criteria.
+     * @param {Array<string>} categoryIds The IDs of the categories to export.
+     * @param {Object<string, string>} [headings] The column headers, keyed like HEADINGS; English by default.
+     * @return {{columns: Array<Column>, rows: Array<Object<string, (string|number)>>}} The columns in order and one row per entity and profile, keyed by column key.
+     */
+    function buildRows(entitiesData, categories, categoryIds, headings = HEADINGS) {
+        const metrics = [];
+        const rows = [];
+
+        categoryIds.forEach((categoryId) => {
+            const entities = entitiesData[categoryId];
+            if (!isObject(entities)) {
+                return;
+            }
+            // Data kept under a category or profile that no longer exists is named by its key
+            const category = LikelihoodStorageSchema.findCategory(categories, categoryId);
+            Object.keys(entities).forEach((entityName) => {
+                const entityData = entities[entityName];
+                const profiles = isObject(entityData) ? entityData[categoryId] : null;
+                if (!isObject(profiles)) {
+                    return;
+                }
+                Object.keys(profiles).forEach((profileId) => {
+                    const record = profiles[profileId];
+                    if (!isObject(record) || !Array.isArray(record.scores)) {
+                        return;
+                    }
+                    const profile = category ? LikelihoodStorageSchema.findProfile(category, profileId) : undefined;
+                    const likelihood = LikelihoodHistory.parsePercentage(record.percentageLikelihood);
+                    const row = {
+                        category: category ? category.name : categoryId,
+                        entity: entityName,
+                        profile: profile ? profile.name : profileId,
+                        likelihood: likelihood.toFixed(2),
+                        updated: typeof record.updated === 'number' ? new Date(record.updated).toISOString() : '',
+                    };
+                    record.scores.forEach((item, index) => {
+                        let criterion;
+                        if (profile && item.id) {
+                            criterion = profile.criteria.find((candidate) => candidate.id === item.id);
+                        } else if (profile && !item.metric) {
+                            criterion = profile.criteria[index];
+                        }
+                        const metric = (criterion && criterion.metric) || item.metric || headings.criterion.replace('{number}', index + 1);
+                        if (!metrics.includes(metric)) {
+                            metrics.push(metric);
+                        }
+                        // Metric keys are prefixed so that a metric cannot share a key with a fixed column
+                        row[`metric:${metric}`] = item.score;
+                    });
+                    rows.push(row);
+                });
+            });
+        });
+
+        rows.sort((a, b) => a.category.localeCompare(b.category)
+            || a.entity.localeCompare(b.entity)
+            || a.profile.localeCompare(b.profile));
+
+        const columns = FIXED_COLUMNS.map((key) => ({ key: key, heading: headings[key] }))
+            .concat(metrics.map((metric) => ({ key: `metric:${metric}`, heading: metric })));
+        return { columns: columns, rows: rows };
+    }
+
+    /**
+     * Format rows as CSV with CRLF line endings.
+     * @param {Array<Column>} columns The columns in order.
+     * @param {Array<Object<string, (string|number)>>} rows The rows keyed by column key; missing values are left empty.
+     * @return {string}
+     */
+    function toCsv(columns, rows) {
+        const lines = [columns.map((column) => escapeField(column.heading)).join(',')];
+        rows.forEach((row) => {
+            lines.push(columns.map((column) => escapeField(row[column.key])).join(','));
+        });
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Export the stored assessments of one or more categories as CSV.
+     * @example
+     * const csv = exportAssessments(JSON.parse(localStorage.getItem('entities')), categories, ['investment']);
+     * @param {Object} entitiesData The stored entities, keyed by category ID.
+     * @param {Array<Object>} categories The loaded categories.
+     * @param {Array<string>} categoryIds The IDs of the categories to export.
+     * @param {Object<string, string>} [headings] The column headers, keyed like HEADINGS; English by default.
+     * @return {{csv: string, rowCount: number}}
+     */
+    function exportAssessments(entitiesData, categories, categoryIds, headings = HEADINGS) {
+        const { columns, rows } = buildRows(entitiesData, categories, categoryIds, headings);
+        return { csv: toCsv(columns, rows), rowCount: rows.length };
+    }
+
+    return {
+        FIXED_COLUMNS: FIXED_COLUMNS,
+        HEADINGS: HEADINGS,
+        escapeField: escapeField,
+        buildRows: buildRows,
+        toCsv: toCsv,
+        exportAssessments: exportAssessments,
+    };
+}));
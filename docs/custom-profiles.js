@@ -0,0 +1,209 @@
+/**
+ * Filename: custom-profiles.js
+ * Purpose: Manages user-defined categories and profiles kept in local storage alongside the shipped profiles.json.
+ * Description: Custom definitions are stored in the same shape as profiles.json (`{categories: [...]}`). A custom category whose slug matches a shipped category overrides that category's details and adds to its profiles; a custom profile with the same ID as a shipped profile (or, failing that, the same name) replaces it, so an edited profile can be renamed. This module merges the two sources for display, saves and deletes custom profiles, and exports the custom definitions as profiles.json-compatible JSON. Loaded by the browser as a classic script (exposing the `LikelihoodCustomProfiles` global) and by Node through `require()`.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ * - Matched custom profiles to shipped profiles by ID: 19 October 2026
+ * - Merged the en-AU text of the shipped profiles for storage upgrades: 19 October 2026
+ * - Matched profiles by ID, then by name, when saving and deleting them too: 19 October 2026
+ */
+
+(function (root, factory) {
+    'use strict';
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./scoring.js'), require('./i18n.js'));
+    } else {
+        root.LikelihoodCustomProfiles = factory(root.LikelihoodScoring, root.LikelihoodI18n);
+    }
+}(typeof self !== 'undefined' ? self : this, function (LikelihoodScoring, LikelihoodI18n) {
+    'use strict';
+
+    /** @const {Array<string>} Category fields, other than profiles, that a custom category may set. */
+    const CATEGORY_FIELDS = ['id', 'name', 'slug', 'description', 'longdescription', 'icon', 'weight', 'savename', 'disclaimer'];
+
+    /**
+     * Create an empty custom definitions object.
+     * @return {{categories: Array<Object>}}
+     */
+    function createEmpty() {
+        return { categories: [] };
+    }
+
+    /**
+     * Copy the category fields (everything but profiles) of a category.
+     * @param {Object} category The category.
+     * @return {Object}
+     */
+    function pickCategoryFields(category) {
+        const fields = {};
+        CATEGORY_FIELDS.forEach((field) => {
+            if (category[field] !== undefined) {
+                fields[field] = category[field];
+            }
+        });
+        return fields;
+    }
+
+    /**
+     * Find a profile by its ID or, failing that, its name, so a renamed profile is still found.
+     * @param {Array<Object>} profiles The profiles to search.
+     * @param {{id: (string|undefined), name: string}} profile The profile to find.
+     * @return {number} The index of the profile, or -1 if it is not there.
+     */
+    function findProfileIndex(profiles, profile) {
+        const index = profile.id ? profiles.findIndex((item) => item.id === profile.id) : -1;
+        if (index !== -1) {
+            return index;
+        }
+        const slug = LikelihoodScoring.generateSlug(profile.name);
+        return profiles.findIndex((item) => LikelihoodScoring.generateSlug(item.name) === slug);
+    }
+
+    /**
+     * Merge custom definitions into the shipped categories.
+     *
+     * Merged custom categories and profiles are flagged with `custom: true`, and
+     * custom profiles replacing a shipped profile are also flagged with
+     * `overrides: true`. The inputs are not modified.
+     * @param {Array<Object>} shipped The categories from profiles.json.
+     * @param {{categories: Array<Object>}} custom The custom definitions.
+     * @return {Array<Object>}
+     */
+    function mergeCategories(shipped, custom) {
+        const merged = shipped.map((category) => ({ ...category, profiles: category.profiles.slice() }));
+
+        ((custom && custom.categories) || []).forEach((customCategory) => {
+            let target = merged.find((category) => category.slug === customCategory.slug);
+            if (!target && !(customCategory.profiles || []).length) {
+                // A new category needs at least one profile to be usable
+                return;
+            }
+            if (target) {
+                Object.assign(target, pickCategoryFields(customCategory));
+            } else {
+                target = { ...pickCategoryFields(customCategory), profiles: [], custom: true };
+                merged.push(target);
+            }
+
+            (customCategory.profiles || []).forEach((profile) => {
+                // A custom profile replaces the shipped profile with its ID, even if it has been renamed, or else its name
+                const index = findProfileIndex(target.profiles, profile);
+                if (index !== -1) {
+                    target.profiles[index] = { ...profile, custom: true, overrides: !target.profiles[index].custom };
+                } else {
+                    target.profiles.push({ ...profile, custom: true });
+                }
+            });
+        });
+
+        return merged;
+    }
+
+    /**
+     * Merge custom definitions into the shipped categories as they read in en-AU, whatever language is chosen.
+     * Stored entities and backups from before storage schema 2 are keyed by the en-AU names and metrics, so they must
+     * be upgraded against these categories rather than the translated ones shown on screen.
+     * @param {Array<Object>} shippedSource The categories from profiles.json, untranslated.
+     * @param {{categories: Array<Object>}} custom The custom definitions.
+     * @return {Array<Object>}
+     */
+    function mergeDefaultLocale(shippedSource, custom) {
+        return mergeCategories(LikelihoodI18n.localiseCategories(shippedSource, LikelihoodI18n.DEFAULT_LOCALE), custom);
+    }
+
+    /**
+     * Remove a profile from the custom definitions, dropping the category entry if nothing is left in it.
+     * @param {{categories: Array<Object>}} custom The custom definitions.
+     * @param {string} categorySlug The category slug.
+     * @param {{id: (string|undefined), name: string}} profile The profile, found by its ID or, failing that, its name.
+     * @return {{categories: Array<Object>}} The updated custom definitions.
+     */
+    function deleteProfile(custom, categorySlug, profile) {
+        const categories = custom.categories
+            .map((category) => {
+                if (category.slug !== categorySlug) {
+                    return category;
+                }
+                const profiles = (category.profiles || []).slice();
+                const index = findProfileIndex(profiles, profile);
+                if (index !== -1) {
+                    profiles.splice(index, 1);
+                }
+                return { ...category, profiles: profiles };
+            })
+            .filter((category) => category.profiles.length > 0 || Object.keys(category).some((key) => key !== 'slug' && key !== 'profiles'));
+        return { ...custom, categories: categories };
+    }
+
+    /**
+     * Save a profile into the custom definitions.
+     * @example
+     * custom = saveProfile(custom, { slug: 'investment' }, profile, { categorySlug: 'investment', profileId: 'angel-investors', profileName: 'Angel Investors' });
+     * @param {{categories: Array<Object>}} custom The custom definitions.
+     * @param {Object} categoryFields The category the profile belongs to; `slug` is required and any other fields replace the category's stored overrides.
+     * @param {Object} profile The profile definition.
+     * @param {{categorySlug: string, profileId: (string|undefined), profileName: string}|null} [original] Where the profile was
+     *     before editing, and its ID and name then, if it is being edited.
+     * @return {{categories: Array<Object>}} The updated custom definitions.
+     */
+    function saveProfile(custom, categoryFields, profile, original = null) {
+        let updated = { ...custom, categories: custom.categories.slice() };
+        if (original && original.profileName) {
+            updated = deleteProfile(updated, original.categorySlug, { id: original.profileId, name: original.profileName });
+        }
+
+        const fields = pickCategoryFields(categoryFields);
+        const index = updated.categories.findIndex((category) => category.slug === fields.slug);
+        if (index === -1) {
+            updated.categories.push({ ...fields, profiles: [profile] });
+        } else {
+            const category = updated.categories[index];
+            const profiles = (category.profiles || []).slice();
+            const existing = findProfileIndex(profiles, profile);
+            if (existing !== -1) {
+                profiles.splice(existing, 1);
+            }
+            profiles.push(profile);
+            updated.categories[index] = { ...fields, profiles: profiles };
+        }
+        return updated;
+    }
+
+    /**
+     * Export the custom definitions as a profiles.json-compatible object.
+     * Custom profiles of a shipped category are exported with that category's details so the result stands alone.
+     * @param {Array<Object>} shipped The categories from profiles.json.
+     * @param {{categories: Array<Object>}} custom The custom definitions.
+     * @return {{categories: Array<Object>}}
+     */
+    function exportCategories(shipped, custom) {
+        return {
+            categories: custom.categories.map((customCategory) => {
+                const shippedCategory = shipped.find((category) => category.slug === customCategory.slug);
+                return {
+                    ...(shippedCategory ? pickCategoryFields(shippedCategory) : {}),
+                    ...pickCategoryFields(customCategory),
+                    profiles: (customCategory.profiles || []).map((profile) => {
+                        const copy = { ...profile };
+                        delete copy.custom;
+                        delete copy.overrides;
+                        return copy;
+                    }),
+                };
+            }),
+        };
+    }
+
+    return {
+        CATEGORY_FIELDS: CATEGORY_FIELDS,
+        createEmpty: createEmpty,
+        mergeCategories: mergeCategories,
+        mergeDefaultLocale: mergeDefaultLocale,
+        saveProfile: saveProfile,
+        deleteProfile: deleteProfile,
+        exportCategories: exportCategories,
+    };
+}));
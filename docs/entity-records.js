@@ -0,0 +1,291 @@
+/**
+ * Filename: entity-records.js
+ * Purpose: Describes the details kept with each entity (website, contact person, email, notes, tags and custom fields) and searches entities by them.
+ * Description: Each stored entity may hold an `entityDetails` object next to its image and assessments. Custom fields are defined per savename, so every category that calls its entities "Investor" offers the same fields, and the definitions are kept in local storage under `entityFields`. Details are normalised when read so records saved before a field existed still work. Searching matches every word of the query against the name and all details, ignoring case, and the tag filter keeps entities that have every chosen tag. Loaded by the browser as a classic script (exposing the `LikelihoodEntityRecords` global) and by Node through `require()`.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ */
+
+(function (root, factory) {
+    'use strict';
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./storage-schema.js'));
+    } else {
+        root.LikelihoodEntityRecords = factory(root.LikelihoodStorageSchema);
+    }
+}(typeof self !== 'undefined' ? self : this, function (LikelihoodStorageSchema) {
+    'use strict';
+
+    /**
+     * @const {string} The entity key holding the details.
+     * Category IDs are lower case, so this key cannot clash with the assessments stored under them.
+     */
+    const DETAILS_KEY = 'entityDetails';
+
+    /** @const {string} The local storage key holding the custom field definitions of each savename. */
+    const FIELDS_KEY = 'entityFields';
+
+    /** @const {Array<string>} The types of custom field, matching HTML input types. */
+    const FIELD_TYPES = ['text', 'number', 'date', 'url'];
+
+    /**
+     * The details of an entity.
+     * @typedef {Object} EntityDetails
+     * @property {string} website The website URL.
+     * @property {string} contact The contact person.
+     * @property {string} email The email address.
+     * @property {string} notes Free-text notes.
+     * @property {Array<string>} tags The tags.
+     * @property {Object<string, string>} custom The custom field values, keyed by field ID.
+     */
+
+    /**
+     * A custom field definition.
+     * @typedef {Object} FieldDefinition
+     * @property {string} id The field ID, unique within the savename.
+     * @property {string} label The label shown in the editor.
+     * @property {string} type One of FIELD_TYPES.
+     */
+
+    /**
+     * Check that a value is a plain object.
+     * @param {*} value The value.
+     * @return {boolean}
+     */
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Read a value as a trimmed string.
+     * @param {*} value The value.
+     * @return {string}
+     */
+    function text(value) {
+        return typeof value === 'string' ? value.trim() : '';
+    }
+
+    /**
+     * Split and tidy a list of tags, dropping blanks and repeats (ignoring case) and keeping the first spelling.
+     * @example
+     * normaliseTags('seed, Fintech, fintech ,'); // ['seed', 'Fintech']
+     * @param {string|Array<string>} tags The tags, as an array or a comma-separated string.
+     * @return {Array<string>}
+     */
+    function normaliseTags(tags) {
+        const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+        const seen = new Set();
+        const result = [];
+        list.forEach((tag) => {
+            const trimmed = text(tag).replace(/\s+/g, ' ');
+            if (trimmed && !seen.has(trimmed.toLowerCase())) {
+                seen.add(trimmed.toLowerCase());
+                result.push(trimmed);
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Add https:// to a website entered without a scheme.
+     * @param {string} website The website.
+     * @return {string}
+     */
+    function normaliseWebsite(website) {
+        const trimmed = text(website);
+        return trimmed && !/^[a-z][a-z0-9+.-]*:/i.test(trimmed) ? `https://${trimmed}` : trimmed;
+    }
+
+    /**
+     * Read the details of a stored entity, filling in any that are missing.
+     * @param {Object} [entityData] The stored entity.
+     * @return {EntityDetails}
+     */
+    function getDetails(entityData) {
+        const details = isObject(entityData) && isObject(entityData[DETAILS_KEY]) ? entityData[DETAILS_KEY] : {};
+        const custom = {};
+        if (isObject(details.custom)) {
+            Object.keys(details.custom).forEach((id) => {
+                if (typeof details.custom[id] === 'string' && details.custom[id] !== '') {
+                    custom[id] = details.custom[id];
+                }
+            });
+        }
+        return {
+            website: text(details.website),
+            contact: text(details.contact),
+            email: text(details.email),
+            notes: typeof details.notes === 'string' ? details.notes : '',
+            tags: normaliseTags(Array.isArray(details.tags) ? details.tags : []),
+            custom: custom,
+        };
+    }
+
+    /**
+     * Check entered details.
+     * @param {EntityDetails} details The details.
+     * @return {Array<string>} Error messages; empty if the details are valid.
+     */
+    function validateDetails(details) {
+        const errors = [];
+        if (details.website) {
+            let url = null;
+            try {
+                url = new URL(details.website);
+            } catch (error) {
+                // Reported below
+            }
+            if (!url || !['http:', 'https:'].includes(url.protocol)) {
+                errors.push('The website must be a web address, such as https://example.com.');
+            }
+        }
+        if (details.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(details.email)) {
+            errors.push('The email address must look like name@example.com.');
+        }
+        return errors;
+    }
+
+    /**
+     * Store details on an entity, removing the details entirely when they are all blank.
+     * @param {Object} entityData The stored entity; it is updated in place.
+     * @param {EntityDetails} details The details.
+     */
+    function setDetails(entityData, details) {
+        const normalised = getDetails({ [DETAILS_KEY]: details });
+        const blank = !normalised.website && !normalised.contact && !normalised.email && !normalised.notes.trim()
+            && normalised.tags.length === 0 && Object.keys(normalised.custom).length === 0;
+        if (blank) {
+            delete entityData[DETAILS_KEY];
+        } else {
+            entityData[DETAILS_KEY] = normalised;
+        }
+    }
+
+    /**
+     * Read the custom field definitions of a savename.
+     * @param {Storage} storage The storage, normally window.localStorage.
+     * @param {string} savename The savename, e.g. 'Investor'.
+     * @return {Array<FieldDefinition>}
+     */
+    function loadFields(storage, savename) {
+        let definitions = {};
+        try {
+            definitions = JSON.parse(storage.getItem(FIELDS_KEY) || '{}');
+        } catch (error) {
+            return [];
+        }
+        const fields = isObject(definitions) && Array.isArray(definitions[savename]) ? definitions[savename] : [];
+        return fields
+            .filter((field) => isObject(field) && text(field.id) && text(field.label))
+            .map((field) => ({
+                id: text(field.id),
+                label: text(field.label),
+                type: FIELD_TYPES.includes(field.type) ? field.type : 'text',
+            }));
+    }
+
+    /**
+     * Save the custom field definitions of a savename.
+     * @param {Storage} storage The storage, normally window.localStorage.
+     * @param {string} savename The savename.
+     * @param {Array<FieldDefinition>} fields The definitions.
+     */
+    function saveFields(storage, savename, fields) {
+        let definitions = {};
+        try {
+            definitions = JSON.parse(storage.getItem(FIELDS_KEY) || '{}');
+        } catch (error) {
+            // Damaged definitions are replaced
+        }
+        if (!isObject(definitions)) {
+            definitions = {};
+        }
+        if (fields.length > 0) {
+            definitions[savename] = fields;
+        } else {
+            delete definitions[savename];
+        }
+        storage.setItem(FIELDS_KEY, JSON.stringify(definitions));
+    }
+
+    /**
+     * Define a new custom field.
+     * @param {Array<FieldDefinition>} fields The existing definitions.
+     * @param {string} label The label.
+     * @param {string} type The type.
+     * @return {FieldDefinition}
+     * @throws {Error} If the label is blank or already used.
+     */
+    function createField(fields, label, type) {
+        const trimmed = text(label);
+        if (!trimmed) {
+            throw new Error('Enter a name for the field.');
+        }
+        if (fields.some((field) => field.label.toLowerCase() === trimmed.toLowerCase())) {
+            throw new Error(`There is already a field called "${trimmed}".`);
+        }
+        return {
+            id: LikelihoodStorageSchema.createId(trimmed, new Set(fields.map((field) => field.id))),
+            label: trimmed,
+            type: FIELD_TYPES.includes(type) ? type : 'text',
+        };
+    }
+
+    /**
+     * Check whether an entity matches a search.
+     * Every word of the query must appear, ignoring case, in the name or any of the details.
+     * @example
+     * matches('Acme Ventures', details, { query: 'acme seed', tags: ['Fintech'] });
+     * @param {string} name The entity name.
+     * @param {EntityDetails} details The details.
+     * @param {{query: (string|undefined), tags: (Array<string>|undefined)}} filter The search text and the tags the entity must all have.
+     * @return {boolean}
+     */
+    function matches(name, details, filter) {
+        const tags = details.tags.map((tag) => tag.toLowerCase());
+        if ((filter.tags || []).some((tag) => !tags.includes(tag.toLowerCase()))) {
+            return false;
+        }
+        const words = (filter.query || '').toLowerCase().split(/\s+/).filter(Boolean);
+        if (words.length === 0) {
+            return true;
+        }
+        const haystack = [name, details.website, details.contact, details.email, details.notes]
+            .concat(details.tags, Object.values(details.custom))
+            .join('\n')
+            .toLowerCase();
+        return words.every((word) => haystack.includes(word));
+    }
+
+    /**
+     * List every tag used by a set of entities, sorted alphabetically.
+     * Tags spelt differently are listed once, with the first spelling found.
+     * @param {Object} entities The stored entities, keyed by name.
+     * @return {Array<string>}
+     */
+    function collectTags(entities) {
+        const tags = [];
+        Object.values(entities || {}).forEach((entityData) => {
+            tags.push(...getDetails(entityData).tags);
+        });
+        return normaliseTags(tags).sort((a, b) => a.localeCompare(b));
+    }
+
+    return {
+        DETAILS_KEY: DETAILS_KEY,
+        FIELDS_KEY: FIELDS_KEY,
+        FIELD_TYPES: FIELD_TYPES,
+        normaliseTags: normaliseTags,
+        normaliseWebsite: normaliseWebsite,
+        getDetails: getDetails,
+        validateDetails: validateDetails,
+        setDetails: setDetails,
+        loadFields: loadFields,
+        saveFields: saveFields,
+        createField: createField,
+        matches: matches,
+        collectTags: collectTags,
+    };
+}));
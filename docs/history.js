@@ -0,0 +1,187 @@
+/**
+ * Filename: history.js
+ * Purpose: Maintains the timestamped assessment history stored against each entity and profile.
+ * Description: Each time an assessment is saved, the scores and percentage likelihood are recorded as a snapshot in the profile's `history` array so that the way a relationship changes over time is kept rather than overwritten. Saves made in quick succession (such as while dragging a slider) are coalesced into a single snapshot, for up to SNAPSHOT_MAX_WAIT_MS from its first save so that steady editing still leaves a trail. Also provides the comparison of any two snapshots. Loaded by the browser as a classic script (exposing the `LikelihoodHistory` global) and by Node through `require()`.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ * - Compared snapshots by criterion ID: 19 October 2026
+ * - Compared the uncertainty ranges of scores too: 19 October 2026
+ * - Stopped coalescing saves into a snapshot once it has been open for SNAPSHOT_MAX_WAIT_MS: 19 October 2026
+ * - Counted the snapshots dropped beyond MAX_SNAPSHOTS, so the app can say that older history is gone: 19 October 2026
+ */
+
+(function (root, factory) {
+    'use strict';
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./storage-schema.js'));
+    } else {
+        root.LikelihoodHistory = factory(root.LikelihoodStorageSchema);
+    }
+}(typeof self !== 'undefined' ? self : this, function (LikelihoodStorageSchema) {
+    'use strict';
+
+    /** @const {number} Saves within this many milliseconds of the last snapshot replace it. */
+    const SNAPSHOT_COALESCE_MS = 5 * 60 * 1000;
+    /** @const {number} Saves this many milliseconds after the first save coalesced into the last snapshot start a new one, however close together they are. */
+    const SNAPSHOT_MAX_WAIT_MS = 30 * 60 * 1000;
+    /** @const {number} The maximum number of snapshots kept per profile. */
+    const MAX_SNAPSHOTS = 500;
+
+    /**
+     * Compare two stored score arrays, including any low and high scores from uncertainty mode.
+     * @param {Array<{score: number, low: (number|undefined), high: (number|undefined)}>} a The first scores.
+     * @param {Array<{score: number, low: (number|undefined), high: (number|undefined)}>} b The second scores.
+     * @return {boolean} True if both hold the same scores and ranges in the same order.
+     */
+    function scoresEqual(a, b) {
+        if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) {
+            return false;
+        }
+        return a.every((item, index) => item.score === b[index].score && item.low === b[index].low && item.high === b[index].high);
+    }
+
+    /**
+     * Parse a stored percentage likelihood such as '42.50%'.
+     * @param {string|number} value The stored value.
+     * @return {number}
+     */
+    function parsePercentage(value) {
+        const parsed = parseFloat(value);
+        return Number.isFinite(parsed) ? parsed : 0;
+    }
+
+    /**
+     * Record a snapshot against a stored profile record and update its current values.
+     *
+     * Records saved before history was introduced have their existing values kept
+     * as the first snapshot. A snapshot identical to the latest one is not
+     * recorded again. A coalesced snapshot keeps the time of its first save as
+     * `started`. Only the latest MAX_SNAPSHOTS are kept; the record's
+     * `droppedSnapshots` counts how many older snapshots have been dropped.
+     * @example
+     * recordSnapshot(record, { timestamp: Date.now(), scores: scores, percentageLikelihood: '42.50%' });
+     * @param {Object} record The stored profile record; may be empty.
+     * @param {{timestamp: number, scores: Array<Object>, percentageLikelihood: string}} snapshot The snapshot.
+     * @param {{coalesce: boolean}} [options] Set `coalesce` to false to always add a new snapshot.
+     * @return {Object} The updated record.
+     */
+    function recordSnapshot(record, snapshot, options = {}) {
+        const coalesce = options.coalesce !== false;
+        const history = Array.isArray(record.history) ? record.history.slice() : [];
+        const seeded = !Array.isArray(record.history) && Array.isArray(record.scores);
+        if (seeded) {
+            history.push({
+                timestamp: record.updated || snapshot.timestamp,
+                scores: record.scores,
+                percentageLikelihood: record.percentageLikelihood,
+            });
+        }
+
+        const last = history[history.length - 1];
+        if (!last || !scoresEqual(last.scores, snapshot.scores)) {
+            const entry = {
+                timestamp: snapshot.timestamp,
+                scores: snapshot.scores,
+                percentageLikelihood: snapshot.percentageLikelihood,
+            };
+            const started = last ? (last.started || last.timestamp) : snapshot.timestamp;
+            if (last && coalesce && !seeded
+                && snapshot.timestamp - last.timestamp < SNAPSHOT_COALESCE_MS
+                && snapshot.timestamp - started < SNAPSHOT_MAX_WAIT_MS) {
+                entry.started = started;
+                history[history.length - 1] = entry;
+            } else {
+                history.push(entry);
+            }
+        }
+
+        const updated = {
+            ...record,
+            scores: snapshot.scores,
+            percentageLikelihood: snapshot.percentageLikelihood,
+            updated: history[history.length - 1].timestamp,
+            history: history.slice(-MAX_SNAPSHOTS),
+        };
+        if (history.length > MAX_SNAPSHOTS) {
+            updated.droppedSnapshots = (record.droppedSnapshots || 0) + history.length - MAX_SNAPSHOTS;
+        }
+        return updated;
+    }
+
+    /**
+     * Get the history of a stored profile record, oldest first.
+     * @param {Object} record The stored profile record.
+     * @return {Array<{timestamp: number, started: (number|undefined), scores: Array<Object>, percentageLikelihood: string}>}
+     */
+    function getHistory(record) {
+        if (!record) {
+            return [];
+        }
+        if (Array.isArray(record.history)) {
+            return record.history;
+        }
+        if (Array.isArray(record.scores)) {
+            return [{ timestamp: record.updated || 0, scores: record.scores, percentageLikelihood: record.percentageLikelihood }];
+        }
+        return [];
+    }
+
+    /**
+     * Compare two snapshots.
+     * Scores are matched to the criteria by ID, so the rows follow the profile's current criteria in order, followed by
+     * any criteria that have since been removed from it.
+     * @param {Object} from The earlier snapshot.
+     * @param {Object} to The later snapshot.
+     * @param {Array<Object>} criteria The profile criteria, used for metric names.
+     * @return {{likelihoodChange: number, rows: Array<{metric: string, from: (number|null), to: (number|null), change: (number|null)}>}}
+     */
+    function diffSnapshots(from, to, criteria) {
+        const fromAligned = LikelihoodStorageSchema.alignScores(criteria, from.scores);
+        const toAligned = LikelihoodStorageSchema.alignScores(criteria, to.scores);
+        const pairs = criteria.map((criterion, index) => ({
+            metric: criterion.metric,
+            from: fromAligned.scores[index],
+            to: toAligned.scores[index],
+        }));
+
+        // Pair up the scores of removed criteria by ID, or by metric for scores stored without one
+        const removed = new Map();
+        [['from', fromAligned.removed], ['to', toAligned.removed]].forEach(([side, items]) => {
+            items.forEach((item) => {
+                const key = item.id || item.metric || `#${item.index}`;
+                if (!removed.has(key)) {
+                    removed.set(key, { metric: item.metric || 'Unnamed criterion', from: null, to: null });
+                }
+                removed.get(key)[side] = item;
+            });
+        });
+
+        const rows = pairs.concat(Array.from(removed.values())).map((pair) => {
+            const fromScore = pair.from ? pair.from.score : null;
+            const toScore = pair.to ? pair.to.score : null;
+            return {
+                metric: pair.metric,
+                from: fromScore,
+                to: toScore,
+                change: fromScore !== null && toScore !== null ? toScore - fromScore : null,
+            };
+        });
+        return {
+            likelihoodChange: parsePercentage(to.percentageLikelihood) - parsePercentage(from.percentageLikelihood),
+            rows: rows,
+        };
+    }
+
+    return {
+        SNAPSHOT_COALESCE_MS: SNAPSHOT_COALESCE_MS,
+        SNAPSHOT_MAX_WAIT_MS: SNAPSHOT_MAX_WAIT_MS,
+        MAX_SNAPSHOTS: MAX_SNAPSHOTS,
+        scoresEqual: scoresEqual,
+        parsePercentage: parsePercentage,
+        recordSnapshot: recordSnapshot,
+        getHistory: getHistory,
+        diffSnapshots: diffSnapshots,
+    };
+}));
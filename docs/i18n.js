@@ -0,0 +1,802 @@
+/**
+ * Filename: i18n.js
+ * Purpose: Translates the interface and the profile content, formats numbers for the chosen language, and reads and writes the language prefix of addresses.
+ * Description: Interface text is looked up by key in a message catalogue. The English catalogue is built in, as it is also the fallback for any message a translation leaves out; the other catalogues are loaded from `/locales/<locale>.json`. Messages may hold named parameters such as `{name}`, and messages for elements that contain other elements (such as the savename labels) use `{0}`, `{1}` and so on for those elements, which are kept in place; leading icons are kept too. Any text field in profiles.json may be a string or an object of translations keyed by locale code, e.g. `{"en-AU": "Angel Investors", "de": "Business Angels"}`; the en-AU text is required and used where a translation is missing. Profile addresses always use the slug of the en-AU name, so a link opens the same profile in every language. Addresses for languages other than en-AU start with the locale code, e.g. `/de/investment/angel-investors`. Loaded by the browser as a classic script (exposing the `LikelihoodI18n` global) and by Node through `require()`.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ * - Added the slider value text, likelihood announcement, chart table and high-contrast colour messages: 19 October 2026
+ * - Added the message for entities saved in an IndexedDB that cannot be opened: 19 October 2026
+ * - Added the comparison messages for criteria that were not scored: 19 October 2026
+ * - Added the messages for the rest of the interface, including the page itself, the print report, editor and webhook manager: 19 October 2026
+ * - Added the column headers of the CSV export: 19 October 2026
+ * - Added the profile editor's note that it edits the en-AU text: 19 October 2026
+ * - Added the report labels, command palette details and Odoo error messages: 19 October 2026
+ * - Added the CRM settings warning about the stored API key and cross-origin requests: 19 October 2026
+ * - Added the note that older history has been dropped: 19 October 2026
+ */
+
+(function (root, factory) {
+    'use strict';
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./scoring.js'));
+    } else {
+        root.LikelihoodI18n = factory(root.LikelihoodScoring);
+    }
+}(typeof self !== 'undefined' ? self : this, function (LikelihoodScoring) {
+    'use strict';
+
+    /** @const {string} The language of the built-in messages and the text every translated field must have. */
+    const DEFAULT_LOCALE = 'en-AU';
+
+    /** @const {Array<{code: string, name: string}>} The languages offered, each named in its own language. */
+    const LOCALES = [
+        { code: 'en-AU', name: 'English' },
+        { code: 'de', name: 'Deutsch' },
+        { code: 'ja', name: '日本語' },
+    ];
+
+    /** @const {string} The local storage key holding the chosen language. */
+    const STORAGE_KEY = 'locale';
+
+    /** @const {Object<string, string>} The English messages, keyed by message key. */
+    const MESSAGES = {
+        'a11y.likelihood': 'Likelihood {likelihood}',
+        'a11y.scoreLabel': 'Score for {metric}',
+        'a11y.scoreValue': '{score}, {descriptor}',
+        'about.arts': 'The Arts',
+        'about.categories': '{0} From investment opportunities to personal health, we cover a wide range of topics.',
+        'about.categoriesTitle': 'Comprehensive Categories:',
+        'about.community': 'The Likelihood Calculator is an open-source project, and we welcome contributions! Created by {0} on the land of the Gadigal and Wangal peoples of the Eora nation, it\'s designed to empower users everywhere.',
+        'about.communityHeading': 'Join Our Community',
+        'about.crm': 'Customer Relationship Management (CRM)',
+        'about.decisions': '{0} Understand the probabilities before taking action.',
+        'about.decisionsTitle': 'Make Informed Decisions:',
+        'about.discover': 'Ever wondered about the likelihood of securing that next round of investment? Curious about your health risks or the chances of acing your fitness goals? Planning a trip and want to assess travel feasibility? Or perhaps you\'re an artist pondering your breakthrough? Our calculator provides insights into these areas and more!',
+        'about.discoverHeading': 'What Can You Discover?',
+        'about.featuresHeading': 'Key Features',
+        'about.fitness': 'Fitness',
+        'about.goals': '{0} Align your expectations with practical insights.',
+        'about.goalsTitle': 'Set Realistic Goals:',
+        'about.health': 'Health',
+        'about.how': 'Simply select a category and choose a profile that suits your needs. You\'ll be guided through tailored criteria where you can input your personal or business information. Our algorithm evaluates your inputs to generate a customised {0}, helping you make informed decisions.',
+        'about.howHeading': 'How Does It Work?',
+        'about.improvement': '{0} Pinpoint factors that can enhance your outcomes.',
+        'about.improvementTitle': 'Identify Areas of Improvement:',
+        'about.insights': '{0} Receive detailed feedback based on your unique inputs.',
+        'about.insightsTitle': 'Personalised Insights:',
+        'about.interface': '{0} Intuitive design makes it easy and enjoyable to use.',
+        'about.interfaceTitle': 'User-Friendly Interface:',
+        'about.intro': 'We\'re thrilled to announce that our {0} has been massively expanded! Now encompassing categories like {1}, {2}, {3}, {4}, {5}, and more, it\'s your ultimate tool for assessing probabilities across life\'s many adventures.',
+        'about.investment': 'Investment',
+        'about.likelihoodScore': 'likelihood score',
+        'about.privacy': '{0} Your data stays on your device. We respect your privacy.',
+        'about.privacyTitle': 'Privacy Assurance:',
+        'about.reports': '{0} Easily copy and share your results with others.',
+        'about.reportsTitle': 'Shareable Reports:',
+        'about.start': 'Ready to explore the possibilities? Navigate through our categories and unlock insights tailored to you. The journey to informed decision-making begins here.',
+        'about.startHeading': 'Get Started Now!',
+        'about.together': 'Together, let\'s turn uncertainties into opportunities!',
+        'about.toggle': 'About This Calculator',
+        'about.travel': 'Travel',
+        'about.why': 'Our tool helps you:',
+        'about.whyHeading': 'Why Use the Likelihood Calculator?',
+        'about.workflow': 'After completing an assessment, click on "Copy Results to Clipboard" to save your report. You can paste your results into notes, emails, or your preferred {0} systems like {1} and {2}. This facilitates easy sharing with your team and stakeholders.',
+        'about.workflowHeading': 'Seamless Integration with Your Workflow',
+        'ack.createdBy': 'Created by Troy Kelly on the land of the Gadigal and Wangal peoples of the Eora nation.',
+        'ack.heading': 'Acknowledgment of Country',
+        'ack.text': 'We acknowledge and pay respect to the past, present and future Traditional Custodians and Elders of this nation and the continuation of cultural, spiritual, and educational practices of Aboriginal and Torres Strait Islander peoples.',
+        'action.cancel': 'Cancel',
+        'action.close': 'Close',
+        'action.copy': 'Copy Results to Clipboard',
+        'action.crmSettings': 'CRM Settings',
+        'action.delete': 'Delete',
+        'action.edit': 'Edit',
+        'action.manageTemplates': 'Manage Templates',
+        'action.markdown': 'Copy as Markdown',
+        'action.print': 'Printable Report',
+        'action.saveChanges': 'Save Changes',
+        'action.sendCrm': 'Send to CRM',
+        'action.share': 'Share Link',
+        'action.template': 'Report template',
+        'action.webhooks': 'Webhooks',
+        'actions.empty': 'Every criterion is already at its best score.',
+        'actions.getTo': 'Get to: {descriptor}',
+        'actions.heading': 'Next Best Actions',
+        'actions.help': 'How much the likelihood would rise if each criterion improved by one level, highest first.',
+        'actions.includeInReports': 'Include next best actions in copied and printed reports',
+        'app.name': 'Likelihood Calculator',
+        'app.profileTitle': 'Likelihood Calculator | {category} - {profile}',
+        'app.savename': 'Entity',
+        'backup.allIncoming': 'All Incoming',
+        'backup.allLocal': 'All Local',
+        'backup.allNewest': 'All Newest',
+        'backup.conflicts': 'Conflicts',
+        'backup.conflictsHelp': 'These assessments exist in this browser and in the backup with different scores. Choose which to keep for each one.',
+        'backup.dateUnknown': 'Date unknown',
+        'backup.entity': 'Entity',
+        'backup.export': 'Export All Data',
+        'backup.failedImages': '{images} image(s) could not be read and will not be imported.',
+        'backup.import': 'Import Data',
+        'backup.importButton': 'Import',
+        'backup.incoming': 'Incoming',
+        'backup.keep': 'Keep',
+        'backup.keep.incoming': 'Incoming',
+        'backup.keep.local': 'Local',
+        'backup.keep.newest': 'Newest',
+        'backup.keepLabel': 'Keep which assessment of {entity} for {profile}',
+        'backup.local': 'Local',
+        'backup.merge': 'Merge into the data in this browser',
+        'backup.mode': 'How should the backup be imported?',
+        'backup.newerSchema': 'Its saved entities use storage schema {schema}, but this version of the app only reads up to schema {supported}.',
+        'backup.profile': 'Profile',
+        'backup.replace': 'Replace all data in this browser',
+        'backup.resolveAll': 'Resolve all conflicts',
+        'backup.summary': '"{filename}" contains {entities} saved entity(ies) and {categories} custom profile category(ies). {conflicts} assessment(s) conflict with the data in this browser.',
+        'backup.summaryExported': '"{filename}" was exported {date} and contains {entities} saved entity(ies) and {categories} custom profile category(ies). {conflicts} assessment(s) conflict with the data in this browser.',
+        'backup.toolbar': 'Backup',
+        'category.heading': 'Select a Category',
+        'chart.full': 'Show Full 100%',
+        'chart.highContrast': 'High-contrast colours',
+        'chart.label': 'Likelihood Chart',
+        'chart.likelihood': 'Show Percentage Likelihood',
+        'chart.options': 'Pie Chart Display Options:',
+        'chart.showTable': 'Show the chart as a table',
+        'chart.unlikelihood': 'Unlikelihood',
+        'comparison.chartLabel': 'Radar chart of criterion scores',
+        'comparison.compare': 'Compare',
+        'comparison.criterion': 'Criterion',
+        'comparison.difference': 'Difference',
+        'comparison.empty': 'Tick at least two to compare them.',
+        'comparison.heading': 'Compare: {0}',
+        'comparison.help': 'The best score for each criterion is in bold. Highlighted rows are the criteria whose differences move the likelihood the most.',
+        'comparison.likelihood': 'Likelihood',
+        'comparison.missingNote': 'Criteria marked “not scored” were added after an entity was assessed. They add nothing to its likelihood until it is scored on them.',
+        'comparison.notScored': 'Not scored',
+        'comparison.points': '{points} pts',
+        'comparison.spread': '{spread} ({points} pts)',
+        'criterion.new': 'New',
+        'criterion.newTitle': 'Added to the profile since this assessment was saved. Move the slider to score it.',
+        'criterion.removedScores': 'Scores for criteria no longer in this profile are kept but not counted: {scores}.',
+        'criterion.unnamed': 'Unnamed criterion',
+        'criterion.unscored': '{count} criterion(s) marked New were added since this assessment was saved; move their sliders to score them.',
+        'crm.apiKey': 'API Key',
+        'crm.autoSend': 'Send automatically when an assessment is saved',
+        'crm.breakdownField': 'Breakdown (text)',
+        'crm.connected': 'Connected as user {uid}. {model} has {count} record(s).',
+        'crm.connecting': 'Connecting…',
+        'crm.database': 'Database',
+        'crm.fieldMapping': 'Field Mapping {0}',
+        'crm.fieldMappingHelp': '(leave blank to skip)',
+        'crm.heading': 'Odoo CRM Settings',
+        'crm.help': 'Results are sent from your browser straight to Odoo\'s JSON-RPC API, so the Odoo server must allow requests from this site. Odoo does not send the cross-origin (CORS) headers that allow this by itself, so put it behind a reverse proxy that adds them.',
+        'crm.keyWarning': 'The API key is saved unencrypted in this browser\'s storage, where any script running on this site can read it. It is not included in data exports. Use a key for an Odoo user with only the access the calculator needs, and revoke it in Odoo if this browser is shared.',
+        'crm.likelihoodField': 'Likelihood (number)',
+        'crm.login': 'Login',
+        'crm.matchField': 'Match Field',
+        'crm.matchFieldHelp': 'The record whose field equals the entity name is updated.',
+        'crm.mode': 'How should results be recorded?',
+        'crm.modeFields': 'Write to fields on the record',
+        'crm.modeNote': 'Post a note in the record\'s chatter',
+        'crm.model': 'Model',
+        'crm.modelLead': 'Lead/Opportunity',
+        'crm.modelPartner': 'Contact',
+        'crm.reportField': 'Report (HTML)',
+        'crm.save': 'Save Settings',
+        'crm.sending': 'Sending {entity} to Odoo…',
+        'crm.sent': 'Sent to {model} "{name}" (#{id}) at {time}.',
+        'crm.test': 'Test Connection',
+        'crm.url': 'Odoo URL',
+        'diagnostics.error': 'error',
+        'csv.category': 'Category',
+        'csv.criterion': 'Criterion {number}',
+        'csv.entity': 'Entity',
+        'csv.likelihood': 'Likelihood (%)',
+        'csv.profile': 'Profile',
+        'csv.updated': 'Last Updated',
+        'diagnostics.errors': '{errors} error(s) and {warnings} warning(s). Categories and profiles with errors have been skipped.',
+        'diagnostics.heading': 'Problems found in profiles.json',
+        'diagnostics.warning': 'warning',
+        'diagnostics.warnings': '{warnings} warning(s). All categories and profiles have been loaded.',
+        'editor.addCriterion': 'Add Criterion',
+        'editor.cap': 'Cap When a Minimum Is Missed (%):',
+        'editor.category': 'Category',
+        'editor.categoryLabel': 'Category:',
+        'editor.criteria': 'Criteria {0}',
+        'editor.criterion': 'Criterion {number}',
+        'editor.criterionIcon': 'Icon',
+        'editor.delete': 'Delete Profile',
+        'editor.description': 'Description:',
+        'editor.edit': 'Edit Profile',
+        'editor.error.cap': 'The cap must be between 0 and 100.',
+        'editor.error.categoryExists': 'A category with the slug "{slug}" already exists.',
+        'editor.error.categoryName': 'The category needs a name.',
+        'editor.error.categorySlug': 'The category slug may only contain lower-case letters, numbers and hyphens.',
+        'editor.error.criteria': 'The profile needs at least one criterion.',
+        'editor.error.descriptor': '{criterion} needs a descriptor for score {score}.',
+        'editor.error.heading': 'Please fix the following:',
+        'editor.error.metric': '{criterion} needs a metric name.',
+        'editor.error.metricRepeated': '{criterion} repeats the metric "{metric}".',
+        'editor.error.midpoint': 'The logistic midpoint must be between 0 and 100.',
+        'editor.error.profileExists': 'A profile called "{name}" already exists in this category.',
+        'editor.error.profileName': 'The profile needs a name.',
+        'editor.error.steepness': 'The logistic steepness must be above zero.',
+        'editor.error.weight': '{criterion} needs a weight above zero.',
+        'editor.export': 'Export Custom Profiles',
+        'editor.heading': 'Profile Editor',
+        'editor.icon': 'Icon:',
+        'editor.invert': 'Invert',
+        'editor.localeNote': 'The editor shows the English (Australia) text of each profile. A profile you save here is shown with this text in every language.',
+        'editor.longDescription': 'Long Description:',
+        'editor.midpoint': 'Midpoint (%):',
+        'editor.minimum': 'Minimum',
+        'editor.model': 'Scoring Model:',
+        'editor.moveDown': 'Move Down criterion {number}',
+        'editor.moveUp': 'Move Up criterion {number}',
+        'editor.name': 'Name:',
+        'editor.new': 'New Profile',
+        'editor.newCategory': 'New category…',
+        'editor.noMinimum': 'None',
+        'editor.noWeight': 'Give at least one criterion a weight above zero to preview the profile.',
+        'editor.order': 'Order:',
+        'editor.preview': 'Preview {0}',
+        'editor.previewLikelihood': '(likelihood: {0})',
+        'editor.profile': 'Profile',
+        'editor.remove': 'Remove criterion {number}',
+        'editor.revert': 'Revert to Shipped',
+        'editor.save': 'Save Profile',
+        'editor.savename': 'Save Name:',
+        'editor.savenamePlaceholder': 'Entity',
+        'editor.scoreDescriptor': 'Score {score}',
+        'editor.slug': 'Slug:',
+        'editor.steepness': 'Steepness:',
+        'editor.toolbar': 'Profile Editor',
+        'editor.totalWeight': '(total weight: {0})',
+        'editor.weightTotal': 'The weights total {total}, not 100. They will be scaled proportionally.',
+        'entity.delete': 'Delete {0}',
+        'entity.discardRemoved': 'Discard Old Scores',
+        'entity.image': '{savename} Image',
+        'entity.new': 'New {0}',
+        'entity.searchLabel': 'Search {savename} records',
+        'entity.searchPlaceholder': 'Search names, contacts, notes and tags',
+        'entity.searchShort': 'Search',
+        'entity.select': 'Select {0}:',
+        'entity.selectLabel': 'Select Entity',
+        'entityEdit.addField': 'Add Field',
+        'entityEdit.contact': 'Contact Person:',
+        'entityEdit.customFields': 'Custom Fields {0}',
+        'entityEdit.customFieldsScope': 'for every {0}',
+        'entityEdit.email': 'Email:',
+        'entityEdit.heading': 'Edit {0}',
+        'entityEdit.imageHelp': 'Images are cropped to a square, scaled down and saved without their location and camera details.',
+        'entityEdit.leftToRight': 'Left to right',
+        'entityEdit.maxImageSize': 'Maximum image size:',
+        'entityEdit.newField': 'New field name',
+        'entityEdit.newFieldType': 'New field type',
+        'entityEdit.notes': 'Notes:',
+        'entityEdit.tags': 'Tags:',
+        'entityEdit.tagsHelp': 'Separate tags with commas.',
+        'entityEdit.topToBottom': 'Top to bottom',
+        'entityEdit.upload': 'Upload {0} Image:',
+        'entityEdit.website': 'Website:',
+        'entityEdit.zoom': 'Zoom',
+        'field.date': 'Date',
+        'field.number': 'Number',
+        'field.text': 'Text',
+        'field.url': 'Web address',
+        'fields.remove': 'Remove the {field} field',
+        'filter.allTags': 'All tags',
+        'filter.byTag': 'Filter by tag',
+        'footer.eora': 'Gadigal and Wangal peoples of the Eora nation',
+        'footer.github': 'GitHub Repo',
+        'footer.projects': 'Our (real?) Projects',
+        'footer.repository': 'Repository',
+        'history.caption': 'Tick two snapshots to compare them.',
+        'history.change': 'Change',
+        'history.chartLabel': 'Likelihood Over Time Chart',
+        'history.compare': 'Compare',
+        'history.compareSelected': 'Compare Selected',
+        'history.compareSnapshot': 'Compare snapshot from {time}',
+        'history.current': 'Current',
+        'history.date': 'Date',
+        'history.diffHeading': '{from} → {to}: {earlier} → {later} ({change} points)',
+        'history.dropped': 'Only the latest {max} snapshots are kept; {count} older snapshot(s) have been removed.',
+        'history.earlier': 'Earlier',
+        'history.empty': 'No assessments have been saved yet.',
+        'history.heading': 'Assessment History',
+        'history.later': 'Later',
+        'history.likelihood': 'Likelihood',
+        'history.profile': 'Profile:',
+        'history.restore': 'Restore',
+        'image.cropInfo': 'Will be saved as a {size} × {size} pixel {type} image of {bytes}.',
+        'image.sizeOption': '{size} × {size} pixels',
+        'leaderboard.allCategories': 'Include all categories',
+        'leaderboard.average': 'Average',
+        'leaderboard.best': 'Best Profile',
+        'leaderboard.compare': 'Compare',
+        'leaderboard.edit': 'Edit {name}',
+        'leaderboard.empty': 'No {savenameLower} records saved yet.',
+        'leaderboard.exportCsv': 'Export CSV',
+        'leaderboard.noMatches': 'No {savenameLower} records match the search.',
+        'leaderboard.search': 'Search',
+        'leaderboard.stored': 'Stored {0}:',
+        'leaderboard.updated': 'Last Updated',
+        'model.belowMinimum': '(below minimum {minimum})',
+        'model.chartTitle': '{model} model',
+        'model.explainGatedCapped': '{description} {reasons}, so the likelihood is capped at {cap} (the linear total would be {linear}).',
+        'model.explainGatedMet': '{description} Every minimum is met, so the linear total stands.',
+        'model.explainGatedNoMinimums': '{description} No criterion has a minimum, so the linear total stands.',
+        'model.explainGatedWithinCap': '{description} {reasons}, but the linear total of {linear} is already within the cap of {cap}.',
+        'model.explainGeometric': '{description} The linear total would be {linear}.',
+        'model.explainLogistic': '{description} The linear total of {linear} maps to {likelihood} (midpoint {midpoint}%, steepness {steepness}).',
+        'model.gateUnmet': '{metric} scored {score}, below its minimum of {minimum}',
+        'model.gated': 'Gated',
+        'model.gatedDescription': 'The linear total, capped when a criterion with a minimum score does not reach it.',
+        'model.geometric': 'Weighted geometric mean',
+        'model.geometricDescription': 'Scores are multiplied together, weighted by importance, so one weak criterion pulls the likelihood down more than one strong criterion lifts it.',
+        'model.linear': 'Linear',
+        'model.linearDescription': 'Each criterion adds its share of the weight in proportion to its score.',
+        'model.logistic': 'Logistic curve',
+        'model.logisticDescription': 'The linear total is passed through an S-shaped curve, so changes matter most around the midpoint and have diminishing returns at either end.',
+        'model.minimum': '(minimum {minimum})',
+        'model.summary': 'Scoring model: {name}. {explanation}',
+        'nav.language': 'Language',
+        'nav.primary': 'Primary Navigation',
+        'nav.random': 'Random',
+        'nav.search': 'Search',
+        'nav.searchTitle': 'Search categories, profiles, criteria and saved entries (Ctrl+K)',
+        'nav.toggle': 'Toggle navigation',
+        'odoo.error.apiKeyRequired': 'The API key is required.',
+        'odoo.error.databaseRequired': 'The database is required.',
+        'odoo.error.http': 'Odoo responded with HTTP {status}.',
+        'odoo.error.loginRequired': 'The login is required.',
+        'odoo.error.manyRecords': 'More than one {model} record has {field} "{name}"; make the match field unique.',
+        'odoo.error.matchFieldRequired': 'The match field is required.',
+        'odoo.error.modelRequired': 'The model is required.',
+        'odoo.error.noFields': 'Map at least one field, or post the results as a note.',
+        'odoo.error.noRecord': 'No {model} record has {field} "{name}".',
+        'odoo.error.notConfigured': 'The Odoo connector is not configured: {problems}',
+        'odoo.error.notJson': 'Odoo returned a response that is not JSON. Check that the URL points at the Odoo server.',
+        'odoo.error.rejected': 'Odoo rejected the login "{login}" and API key for database "{database}".',
+        'odoo.error.rpc': 'Odoo error: {message}',
+        'odoo.error.rpcUnknown': 'Odoo error: Unknown error',
+        'odoo.error.unreachable': 'Could not reach Odoo at {endpoint}. Check the URL and that the server allows requests from this site (CORS).',
+        'odoo.error.url': 'The Odoo URL must start with http:// or https://.',
+        'palette.category': 'Category',
+        'palette.criterion': 'Criterion · {profile}',
+        'palette.empty': 'Nothing matches.',
+        'palette.entity': '{savename} · {category}',
+        'palette.keys': '{0} {1} to move, {2} to open, {3} to close',
+        'palette.placeholder': 'Search categories, profiles, criteria and saved entries',
+        'palette.results': 'Results',
+        'profile.custom': 'Custom',
+        'profile.select': 'Select Calculation Profile:',
+        'report.action': 'from {score} to {target} ({gain})',
+        'report.back': 'Back to Calculator',
+        'report.breakdown': 'Breakdown',
+        'report.criteriaHeading': 'Criteria Details',
+        'report.disclaimer': 'Disclaimer',
+        'report.entityName': '{savename} Name',
+        'report.generated': 'Generated {date}',
+        'report.model': 'Scoring Model',
+        'report.noEntity': 'No {savename} selected',
+        'report.print': 'Print / Save as PDF',
+        'report.profile': 'Profile',
+        'report.subheading': '{savename} assessment · {category} · {profile}',
+        'report.title': '{name} | {category} - {profile} Report',
+        'results.heading': 'Percentage Likelihood',
+        'shared.close': 'Close Shared View',
+        'shared.message': 'You are viewing a shared calculation. It is read-only and is not saved unless you save it as your own {savename}.',
+        'shared.messageEntity': 'You are viewing a shared calculation for {entity}. It is read-only and is not saved unless you save it as your own {savename}.',
+        'shared.save': 'Save as My Own {0}',
+        'storage.checking': 'Checking…',
+        'storage.indexedDb': 'IndexedDB',
+        'storage.label': 'Storage: {0}',
+        'storage.localStorage': 'local storage',
+        'storage.nearlyFull': 'Storage is nearly full.',
+        'storage.nearlyFullHelp': '{0} Use {1} to keep a backup, then delete entities or images you no longer need, or new changes may not be saved.',
+        'storage.note': '{0} All data is stored locally in your browser and is not seen by our servers. Clearing your browser data removes it, so use {1} to keep a backup or to move it to another browser.',
+        'storage.noteTitle': 'Note:',
+        'storage.usage': '{usage} used in {location}.',
+        'storage.usageOfQuota': '{usage} of {quota} used ({percentage}%) in {location}.',
+        'storage.used': 'Storage used',
+        'table.caption': 'Adjust the sliders to input your scores for each criterion.',
+        'table.contribution': 'Contribution',
+        'table.description': 'Description',
+        'table.descriptor': 'Descriptor',
+        'table.gain': 'Gain',
+        'table.getTo': 'Get To',
+        'table.inverted': '(inverted)',
+        'table.metric': 'Metric',
+        'table.range': 'Range',
+        'table.rank': 'Rank',
+        'table.score': 'Score',
+        'table.share': 'Share of chart',
+        'table.slice': 'Slice',
+        'table.target': 'Target',
+        'table.weight': 'Weight',
+        'tags.add': 'Add the tag {tag}',
+        'template.copyName': '{name} (copy)',
+        'template.default': 'Default',
+        'template.delete': 'Delete Template',
+        'template.duplicate': 'Duplicate',
+        'template.heading': 'Report Templates',
+        'template.html': 'HTML',
+        'template.name': 'Name',
+        'template.new': 'New Template',
+        'template.newName': 'New Template',
+        'template.placeholder.breakdown': 'Repeated for each criterion with {{metric}} and {{score}}',
+        'template.placeholder.categoryName': 'The category name',
+        'template.placeholder.chartImage': 'The chart image, for use in an img src',
+        'template.placeholder.criteria': 'Repeated for each criterion with {{metric}}, {{description}}, {{score}}, {{descriptor}} and {{weight}}',
+        'template.placeholder.date': 'The date the results were copied',
+        'template.placeholder.disclaimer': 'Shown when the category has a disclaimer, with {{heading}}, {{text}}, {{footer}}, {{#dotpoints}}{{text}}{{/dotpoints}} and {{#links}}{{name}} {{url}}{{/links}}',
+        'template.placeholder.empty': 'Shown only when a placeholder is empty',
+        'template.placeholder.entityName': 'The entity name',
+        'template.placeholder.imageSrc': 'The entity image, for use in an img src; wrap in {{#imageSrc}}…{{/imageSrc}} to skip it when there is none',
+        'template.placeholder.labels': 'The headings and labels in the chosen language: entityName, image, profile, chart, likelihood, model, breakdown, criteria, nextActions, metric, score, description and descriptor',
+        'template.placeholder.likelihood': 'The percentage likelihood, e.g. 42.50%',
+        'template.placeholder.modelExplanation': 'How the scoring model produced the likelihood',
+        'template.placeholder.modelName': 'The scoring model, e.g. Weighted geometric mean',
+        'template.placeholder.nextActions': 'Shown when next best actions are included, with {{#items}}…{{/items}} repeated for each criterion with {{rank}}, {{metric}}, {{score}}, {{target}}, {{gain}}, {{descriptor}}, and {{step}} and {{getTo}} describing them',
+        'template.placeholder.profileName': 'The profile name',
+        'template.placeholder.raw': 'Inserts a value without escaping HTML',
+        'template.placeholder.savename': 'What an entity is called in the category, e.g. Investor',
+        'template.placeholder.uncertainty': 'Shown in uncertainty mode, with {{median}}, {{low}} and {{high}} likelihoods, the {{interval}} percentage and the {{summary}} of them',
+        'template.placeholders': 'Placeholders',
+        'template.preview': 'Preview',
+        'template.previewTitle': 'Report template preview',
+        'template.readOnly': 'The default template cannot be changed. Duplicate it to make your own version.',
+        'template.save': 'Save Template',
+        'template.toolbar': 'Template Actions',
+        'uncertainty.chartLabel': 'Simulated likelihood histogram',
+        'uncertainty.chartTitle': 'Likelihood over {iterations} simulations',
+        'uncertainty.help': 'Give criteria you are unsure of a low and high score. A blank end uses the slider score.',
+        'uncertainty.highLabel': 'High score for {metric}',
+        'uncertainty.likelihoodAxis': 'Likelihood',
+        'uncertainty.lowLabel': 'Low score for {metric}',
+        'uncertainty.mode': 'Uncertainty mode',
+        'uncertainty.simulatedAssessments': 'Simulated assessments',
+        'uncertainty.simulationsAxis': 'Simulations',
+        'uncertainty.summary': 'Median {median} · {interval}% interval {low} to {high}',
+        'update.available': 'A new version of the calculator is available.',
+        'update.later': 'Later',
+        'update.reload': 'Reload',
+        'webhook.actions': 'Actions',
+        'webhook.add': 'Add Webhook',
+        'webhook.attempts': 'Attempts',
+        'webhook.clearLog': 'Clear Log',
+        'webhook.deliveries': '{count} deliveries',
+        'webhook.delivery': '{count} delivery',
+        'webhook.details': 'Details',
+        'webhook.edit': 'Edit {name}',
+        'webhook.empty': 'No webhooks yet.',
+        'webhook.enable': 'Enable {name}',
+        'webhook.enabled': 'Enabled',
+        'webhook.event': 'Event',
+        'webhook.event.entity.created': 'Entity created',
+        'webhook.event.entity.deleted': 'Entity deleted',
+        'webhook.event.score.saved': 'Score saved',
+        'webhook.events': 'Events',
+        'webhook.help': 'Webhooks POST a JSON payload to your URL when an entity is created or deleted and when scores are saved. The receiving server must allow requests from this site (CORS). Webhooks are kept in this browser only and are not included in data exports.',
+        'webhook.log': 'Delivery Log',
+        'webhook.logEmpty': 'Nothing has been sent yet.',
+        'webhook.logToolbar': 'Delivery Log Actions',
+        'webhook.name': 'Name',
+        'webhook.new': 'New Webhook',
+        'webhook.nextAttempt': '; next attempt {time}',
+        'webhook.offline': 'Offline: {deliveries} will be sent when you are back online.',
+        'webhook.optional': '(optional)',
+        'webhook.retry': 'Retry Now',
+        'webhook.save': 'Save Webhook',
+        'webhook.secret': 'Signing Secret {0}',
+        'webhook.secretHelp': 'Signs the timestamp and body of each delivery with HMAC-SHA256, sent as {0}.',
+        'webhook.status': 'Status',
+        'webhook.status.delivered': 'delivered',
+        'webhook.status.failed': 'failed',
+        'webhook.status.retrying': 'retrying',
+        'webhook.time': 'Time',
+        'webhook.url': 'URL',
+        'webhook.waiting': '{deliveries} waiting to be sent.',
+        'webhook.webhook': 'Webhook',
+        'weights.warning': '{0} The total weights for the selected profile do not add up to 100%. {1}',
+        'weights.warningTitle': 'Warning:',
+        'alert.calculationFailed': 'An error occurred during calculation. Please check your inputs and try again.',
+        'alert.categoriesFailed': 'Failed to load categories. Please try again later.',
+        'alert.categoryNotFound': 'The requested category does not exist.',
+        'alert.compareNeedsTwo': 'Save {profile} assessments for at least two {savenameLower} records to compare them.',
+        'alert.copied': 'Results copied to clipboard.',
+        'alert.copiedMarkdown': 'Results copied to clipboard as Markdown.',
+        'alert.copyFailed': 'An error occurred while copying results. Please try again.',
+        'alert.csvFailed': 'Failed to export the CSV. Please try again.',
+        'alert.entityExists': 'A {savename} with that name already exists.',
+        'alert.exportFailed': 'Failed to export your data. Please try again.',
+        'alert.imageFailed': 'Failed to resize the image. Please try a different image.',
+        'alert.importFailed': 'Failed to import the backup. {error}',
+        'alert.importFileFailed': 'Failed to import "{file}". {error}',
+        'alert.importMerged': 'Import complete: {added} assessment(s) added, {replaced} replaced and {kept} kept.',
+        'alert.importRestored': 'Import complete: {added} assessment(s) restored.',
+        'alert.initFailed': 'Failed to initialise the application. Please try again later.',
+        'alert.noAssessments': 'There are no saved assessments to export.',
+        'alert.noCustomProfiles': 'There are no custom profiles to export.',
+        'alert.odooFailed': 'Could not send to Odoo: {error}',
+        'alert.profileDeleteFailed': 'Failed to delete the profile. Please try again.',
+        'alert.profileNotFound': 'The requested profile does not exist.',
+        'alert.profileSaveFailed': 'Failed to save the profile. Please try again.',
+        'alert.readFileFailed': 'Failed to read "{file}". {error}',
+        'alert.selectEntityFirst': 'Please select or add a {savenameLower} first.',
+        'alert.selectEntityToDelete': 'Please select a {savenameLower} to delete.',
+        'alert.shareCopied': 'Share link copied to clipboard. Anyone with the link can see these scores.',
+        'alert.shareFailed': 'An error occurred while creating the share link. Please try again.',
+        'alert.sharedProfileChanged': 'The shared calculation no longer matches its profile, which has changed since the link was made.',
+        'alert.sharedProfileMissing': 'The shared calculation uses a profile that does not exist here.',
+        'alert.storageFull': 'Your browser\'s storage is full, so your latest changes were not saved. Use Export All Data to keep a backup, then delete entities or images you no longer need.',
+        'alert.storageNearlyFull': 'Your browser\'s storage is {percentage}% full. Use Export All Data to keep a backup, then delete entities or images you no longer need, or new changes may not be saved.',
+        'alert.storageUnreachable': 'Your saved entities are in IndexedDB, which this browser cannot open right now, so they are not shown. Changes you make now are kept in local storage and added to them when IndexedDB opens again.',
+        'alert.storageWriteFailed': 'Your latest changes could not be saved. Use Export All Data to keep a backup. {error}',
+        'alert.templateNameRequired': 'Please enter a template name.',
+        'alert.templateSaveFailed': 'The template could not be saved: {error}.',
+        'alert.upgradeFailed': 'Your saved data could not be upgraded. {error}',
+        'confirm.deleteEntity': 'Are you sure you want to delete {savenameLower} "{entity}"? This action cannot be undone.',
+        'confirm.deleteProfile': 'Are you sure you want to delete the profile "{profile}"? This action cannot be undone.',
+        'confirm.deleteTemplate': 'Are you sure you want to delete the template "{name}"? This action cannot be undone.',
+        'confirm.deleteWebhook': 'Delete the webhook "{name}" and its queued deliveries?',
+        'confirm.discardRemovedScores': 'Discard the old scores from {entity}\'s {profile} assessment? Earlier snapshots in its history keep them.',
+        'confirm.removeCustomField': 'Remove the "{field}" field from every {savename}?',
+        'confirm.replaceAll': 'Replace all data in this browser with the backup? This action cannot be undone.',
+        'confirm.replaceWithShared': 'A {savename} called "{entity}" already exists. Replace its {profile} assessment with the shared one?',
+        'confirm.restoreSnapshot': 'Restore the {profile} assessment from {time}?',
+        'confirm.revertProfile': 'Revert "{profile}" to the shipped version? Your changes will be lost.',
+        'prompt.copyShareLink': 'Copy this share link:',
+        'prompt.newEntity': 'Enter new {savename} name:',
+        'prompt.saveShared': 'Save the shared calculation as a {savename} named:',
+    };
+
+    /** @const {Object<string, Array<string>>} The translatable text fields of each part of profiles.json. */
+    const TEXT_FIELDS = {
+        category: ['name', 'description', 'longdescription', 'savename'],
+        disclaimer: ['heading', 'text', 'footer'],
+        profile: ['name', 'description', 'longdescription'],
+        criterion: ['metric', 'description'],
+    };
+
+    /**
+     * Check that a value is a plain object.
+     * @param {*} value The value.
+     * @return {boolean}
+     */
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Find the offered language that best matches a language code, ignoring case.
+     * @example
+     * matchLocale('de-CH'); // 'de'
+     * matchLocale('en-US'); // 'en-AU'
+     * @param {string} code The language code, e.g. from the browser.
+     * @return {?string} The locale code, or null if no offered language matches.
+     */
+    function matchLocale(code) {
+        if (typeof code !== 'string' || !code) {
+            return null;
+        }
+        const lower = code.toLowerCase();
+        const exact = LOCALES.find((locale) => locale.code.toLowerCase() === lower);
+        if (exact) {
+            return exact.code;
+        }
+        const language = lower.split('-')[0];
+        const sameLanguage = LOCALES.find((locale) => locale.code.toLowerCase().split('-')[0] === language);
+        return sameLanguage ? sameLanguage.code : null;
+    }
+
+    /**
+     * Choose the language to show: the one in the address, then the one chosen before, then the browser's, then en-AU.
+     * @param {?string} pathLocale The locale from the address prefix.
+     * @param {?string} storedLocale The locale chosen before.
+     * @param {Array<string>} [browserLanguages] The browser's preferred languages, `navigator.languages`.
+     * @return {string}
+     */
+    function detectLocale(pathLocale, storedLocale, browserLanguages = []) {
+        const candidates = [pathLocale, storedLocale].concat(browserLanguages);
+        for (const candidate of candidates) {
+            const locale = matchLocale(candidate);
+            if (locale) {
+                return locale;
+            }
+        }
+        return DEFAULT_LOCALE;
+    }
+
+    /**
+     * Split the language prefix from an address path.
+     * Only the codes of offered languages count as a prefix, so category slugs are never mistaken for one.
+     * @example
+     * parsePath('/de/investment/angel-investors'); // { locale: 'de', path: '/investment/angel-investors' }
+     * parsePath('/investment'); // { locale: null, path: '/investment' }
+     * @param {string} pathname The address path.
+     * @return {{locale: ?string, path: string}}
+     */
+    function parsePath(pathname) {
+        const match = /^\/([^/]+)(\/.*)?$/.exec(pathname);
+        if (match) {
+            const locale = LOCALES.find((item) => item.code === match[1]);
+            if (locale) {
+                return { locale: locale.code, path: match[2] || '/' };
+            }
+        }
+        return { locale: null, path: pathname };
+    }
+
+    /**
+     * Add the language prefix to an address path; en-AU addresses have none.
+     * @example
+     * localisePath('/investment', 'ja'); // '/ja/investment'
+     * @param {string} path The path, starting with '/'.
+     * @param {string} locale The locale code.
+     * @return {string}
+     */
+    function localisePath(path, locale) {
+        if (locale === DEFAULT_LOCALE) {
+            return path;
+        }
+        return path === '/' ? `/${locale}/` : `/${locale}${path}`;
+    }
+
+    /**
+     * Read a text field of profiles.json in a language.
+     * Falls back to a translation in the same language for another region, then the en-AU text, then any translation.
+     * @example
+     * localiseText({ 'en-AU': 'Angel Investors', de: 'Business Angels' }, 'de'); // 'Business Angels'
+     * @param {string|Object<string, string>} value The text, or its translations keyed by locale code.
+     * @param {string} locale The locale code.
+     * @return {string}
+     */
+    function localiseText(value, locale) {
+        if (!isObject(value)) {
+            return typeof value === 'string' ? value : '';
+        }
+        if (typeof value[locale] === 'string') {
+            return value[locale];
+        }
+        const language = locale.split('-')[0];
+        const sameLanguage = Object.keys(value).find((code) => code.split('-')[0] === language);
+        if (sameLanguage && typeof value[sameLanguage] === 'string') {
+            return value[sameLanguage];
+        }
+        if (typeof value[DEFAULT_LOCALE] === 'string') {
+            return value[DEFAULT_LOCALE];
+        }
+        const first = Object.values(value).find((text) => typeof text === 'string');
+        return first || '';
+    }
+
+    /**
+     * Replace the translatable fields of an object with their text in a language.
+     * @param {Object} item The object; it is updated in place.
+     * @param {Array<string>} fields The field names.
+     * @param {string} locale The locale code.
+     */
+    function localiseFields(item, fields, locale) {
+        fields.forEach((field) => {
+            if (item[field] !== undefined) {
+                item[field] = localiseText(item[field], locale);
+            }
+        });
+    }
+
+    /**
+     * Copy the categories from profiles.json with every text field in a language.
+     * Each profile also gets a `slug` from its en-AU name, which the app uses in addresses.
+     * @param {Array<Object>} categories The categories.
+     * @param {string} locale The locale code.
+     * @return {Array<Object>} The copy; the input is not modified.
+     */
+    function localiseCategories(categories, locale) {
+        const copy = JSON.parse(JSON.stringify(categories));
+        copy.forEach((category) => {
+            localiseFields(category, TEXT_FIELDS.category, locale);
+            if (isObject(category.disclaimer)) {
+                localiseFields(category.disclaimer, TEXT_FIELDS.disclaimer, locale);
+                (category.disclaimer.dotpoints || []).forEach((dotpoint) => localiseFields(dotpoint, ['text'], locale));
+                (category.disclaimer.links || []).forEach((link) => localiseFields(link, ['name'], locale));
+            }
+            (category.profiles || []).forEach((profile) => {
+                profile.slug = LikelihoodScoring.generateSlug(localiseText(profile.name, DEFAULT_LOCALE));
+                localiseFields(profile, TEXT_FIELDS.profile, locale);
+                (profile.criteria || []).forEach((criterion) => {
+                    localiseFields(criterion, TEXT_FIELDS.criterion, locale);
+                    if (isObject(criterion.scoreDescriptors)) {
+                        localiseFields(criterion.scoreDescriptors, Object.keys(criterion.scoreDescriptors), locale);
+                    }
+                });
+            });
+        });
+        return copy;
+    }
+
+    /**
+     * Fill the named parameters of a message.
+     * @example
+     * formatMessage('Delete "{name}"?', { name: 'Acme' }); // 'Delete "Acme"?'
+     * @param {string} message The message.
+     * @param {Object} [params] The parameter values; unknown parameters are left as they are.
+     * @return {string}
+     */
+    function formatMessage(message, params = {}) {
+        return message.replace(/\{([A-Za-z]\w*)\}/g, (placeholder, name) => (params[name] === undefined ? placeholder : String(params[name])));
+    }
+
+    /**
+     * Create a function that looks up messages in a catalogue, falling back to the English messages and then the key.
+     * @param {Object<string, string>} [catalogue] The messages of the chosen language.
+     * @return {function(string, Object=): string}
+     */
+    function createTranslator(catalogue = {}) {
+        return (key, params) => {
+            const message = typeof catalogue[key] === 'string' ? catalogue[key] : MESSAGES[key];
+            return message === undefined ? key : formatMessage(message, params);
+        };
+    }
+
+    /**
+     * Format a likelihood as a percentage for a language, with two decimal places.
+     * @example
+     * formatPercentage(58.3333, 'de'); // '58,33 %'
+     * @param {number} value The likelihood, from 0 to 100.
+     * @param {string} locale The locale code.
+     * @return {string}
+     */
+    function formatPercentage(value, locale) {
+        return new Intl.NumberFormat(locale, { style: 'percent', minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(value / 100);
+    }
+
+    /**
+     * Translate the text and attributes of the elements marked for translation.
+     * `data-i18n` replaces the text, keeping leading `<i>` icons and putting the other child elements where the message
+     * has `{0}`, `{1}` and so on. `data-i18n-placeholder`, `data-i18n-title` and `data-i18n-aria-label` set those attributes.
+     * @param {ParentNode} root The element or document to translate.
+     * @param {function(string, Object=): string} translate The translator from createTranslator().
+     */
+    function applyTranslations(root, translate) {
+        root.querySelectorAll('[data-i18n]').forEach((element) => {
+            const children = Array.from(element.children);
+            const icons = children.filter((child) => child.tagName === 'I');
+            const placeholders = children.filter((child) => child.tagName !== 'I');
+            const nodes = [];
+            translate(element.dataset.i18n).split(/(\{\d+\})/).forEach((part) => {
+                const match = /^\{(\d+)\}$/.exec(part);
+                if (match && placeholders[match[1]]) {
+                    nodes.push(placeholders[match[1]]);
+                } else if (part) {
+                    nodes.push(element.ownerDocument.createTextNode(part));
+                }
+            });
+            element.replaceChildren(...icons, ...nodes);
+        });
+        ['placeholder', 'title', 'aria-label'].forEach((attribute) => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach((element) => {
+                element.setAttribute(attribute, translate(element.getAttribute(`data-i18n-${attribute}`)));
+            });
+        });
+    }
+
+    return {
+        DEFAULT_LOCALE: DEFAULT_LOCALE,
+        LOCALES: LOCALES,
+        STORAGE_KEY: STORAGE_KEY,
+        MESSAGES: MESSAGES,
+        matchLocale: matchLocale,
+        detectLocale: detectLocale,
+        parsePath: parsePath,
+        localisePath: localisePath,
+        localiseText: localiseText,
+        localiseCategories: localiseCategories,
+        formatMessage: formatMessage,
+        createTranslator: createTranslator,
+        formatPercentage: formatPercentage,
+        applyTranslations: applyTranslations,
+    };
+}));
@@ -0,0 +1,335 @@
+/**
+ * Filename: images.js
+ * Purpose: Crops entity images to a square, scales them down and re-encodes them before they are stored.
+ * Description: Photos straight from a phone can be several megabytes, which fills browser storage and bloats copied reports. Images are decoded (turned upright according to their EXIF orientation), cropped to a square chosen by a zoom level and a horizontal and vertical position, scaled down to at most the configured size in several halving steps for a smooth result, and re-encoded as WebP, or JPEG where the browser cannot write WebP. Re-encoding through a canvas writes only the pixels, so EXIF data such as the location and camera details is removed. Imported WebP images that are already small enough are kept to avoid losing quality on every import, with their EXIF and XMP chunks cut out instead. The crop and size calculations are plain functions; decoding and encoding need a browser. Loaded by the browser as a classic script (exposing the `LikelihoodImages` global) and by Node through `require()`.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ * - Removed the EXIF and XMP metadata of imported WebP images that are kept as they are: 19 October 2026
+ */
+
+(function (root, factory) {
+    'use strict';
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LikelihoodImages = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /** @const {Array<number>} The maximum image sizes that can be chosen, in pixels along each side. */
+    const MAX_SIZES = [128, 256, 512, 1024];
+
+    /** @const {number} The maximum image size used when none is set. */
+    const DEFAULT_MAX_SIZE = 256;
+
+    /** @const {number} The highest zoom level of a crop. */
+    const MAX_ZOOM = 4;
+
+    /** @const {Array<string>} The image types to encode to, in order of preference. */
+    const OUTPUT_TYPES = ['image/webp', 'image/jpeg'];
+
+    /** @const {number} The encoding quality, from 0 to 1. */
+    const QUALITY = 0.85;
+
+    /** @const {Array<string>} The WebP chunks that hold metadata, such as the location and camera details. */
+    const WEBP_METADATA_CHUNKS = ['EXIF', 'XMP '];
+
+    /** @const {number} The flags of a WebP VP8X chunk that announce EXIF and XMP chunks. */
+    const VP8X_METADATA_FLAGS = 0x08 | 0x04;
+
+    /**
+     * A square crop of an image.
+     * @typedef {Object} Crop
+     * @property {number} zoom How far to zoom in, from 1 (the largest square that fits) to MAX_ZOOM.
+     * @property {number} x The horizontal position of the square, from 0 (left) to 1 (right).
+     * @property {number} y The vertical position of the square, from 0 (top) to 1 (bottom).
+     */
+
+    /**
+     * A decoded image.
+     * @typedef {Object} DecodedImage
+     * @property {CanvasImageSource} image The image, ready to draw.
+     * @property {number} width The width, in pixels.
+     * @property {number} height The height, in pixels.
+     * @property {function()} close Release the decoded image.
+     */
+
+    /**
+     * Clamp a number to a range, using a fallback for values that are not numbers.
+     * @param {*} value The value.
+     * @param {number} min The minimum.
+     * @param {number} max The maximum.
+     * @param {number} fallback The value to use if it is not a number.
+     * @return {number}
+     */
+    function clamp(value, min, max, fallback) {
+        const number = Number(value);
+        return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+    }
+
+    /**
+     * Fill in and limit a crop; a missing crop is the largest centred square.
+     * @param {Object} [crop] The crop.
+     * @return {Crop}
+     */
+    function normaliseCrop(crop = {}) {
+        return {
+            zoom: clamp(crop.zoom, 1, MAX_ZOOM, 1),
+            x: clamp(crop.x, 0, 1, 0.5),
+            y: clamp(crop.y, 0, 1, 0.5),
+        };
+    }
+
+    /**
+     * Read a maximum image size setting, using the default for anything not offered.
+     * @param {*} value The setting.
+     * @return {number}
+     */
+    function normaliseMaxSize(value) {
+        const size = parseInt(value, 10);
+        return MAX_SIZES.includes(size) ? size : DEFAULT_MAX_SIZE;
+    }
+
+    /**
+     * Work out the square of an image to keep.
+     * @example
+     * cropRect(400, 200, { zoom: 1, x: 0, y: 0.5 }); // { x: 0, y: 0, size: 200 }
+     * @param {number} width The image width.
+     * @param {number} height The image height.
+     * @param {Object} [crop] The crop.
+     * @return {{x: number, y: number, size: number}} The left and top of the square and the length of its sides.
+     */
+    function cropRect(width, height, crop) {
+        const normalised = normaliseCrop(crop);
+        const size = Math.min(width, height) / normalised.zoom;
+        return {
+            x: (width - size) * normalised.x,
+            y: (height - size) * normalised.y,
+            size: size,
+        };
+    }
+
+    /**
+     * Work out the side length of the saved image, which is never scaled up.
+     * @param {number} cropSize The side length of the crop.
+     * @param {number} maxSize The maximum side length.
+     * @return {number}
+     */
+    function outputSize(cropSize, maxSize) {
+        return Math.max(1, Math.round(Math.min(cropSize, maxSize)));
+    }
+
+    /**
+     * Estimate the size of the file a data URL holds.
+     * @param {string} dataUrl The data URL.
+     * @return {number} The size in bytes.
+     */
+    function dataUrlBytes(dataUrl) {
+        const data = dataUrl.slice(dataUrl.indexOf(',') + 1);
+        const padding = data.endsWith('==') ? 2 : (data.endsWith('=') ? 1 : 0);
+        return Math.floor((data.length * 3) / 4) - padding;
+    }
+
+    /**
+     * Remove the EXIF and XMP chunks from a WebP image, leaving the image data as it is.
+     * A WebP file is a RIFF container of chunks, each a four-character code, a little-endian length and the data padded
+     * to an even length; the VP8X chunk's flags say which metadata chunks follow, so they are cleared too.
+     * @param {string} dataUrl The image as a base64 data URL.
+     * @return {?string} The image without metadata, or null if it is not a WebP image that can be read this way.
+     */
+    function stripWebpMetadata(dataUrl) {
+        const match = /^data:image\/webp;base64,(.*)$/.exec(dataUrl);
+        if (!match) {
+            return null;
+        }
+        let bytes;
+        try {
+            bytes = Uint8Array.from(atob(match[1]), (character) => character.charCodeAt(0));
+        } catch (error) {
+            return null;
+        }
+        const view = new DataView(bytes.buffer);
+        const fourCC = (offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+        if (bytes.length < 12 || fourCC(0) !== 'RIFF' || fourCC(8) !== 'WEBP') {
+            return null;
+        }
+
+        const chunks = [];
+        let offset = 12;
+        while (offset + 8 <= bytes.length) {
+            const length = view.getUint32(offset + 4, true);
+            if (offset + 8 + length > bytes.length) {
+                return null;
+            }
+            const end = Math.min(offset + 8 + length + (length % 2), bytes.length);
+            if (!WEBP_METADATA_CHUNKS.includes(fourCC(offset))) {
+                const chunk = bytes.slice(offset, end);
+                if (fourCC(offset) === 'VP8X' && length > 0) {
+                    chunk[8] &= ~VP8X_METADATA_FLAGS;
+                }
+                chunks.push(chunk);
+            }
+            offset = end;
+        }
+        if (offset !== bytes.length) {
+            return null;
+        }
+
+        const output = new Uint8Array(12 + chunks.reduce((total, chunk) => total + chunk.length, 0));
+        output.set(bytes.subarray(0, 12));
+        new DataView(output.buffer).setUint32(4, output.length - 8, true);
+        let position = 12;
+        chunks.forEach((chunk) => {
+            output.set(chunk, position);
+            position += chunk.length;
+        });
+        let binary = '';
+        for (let index = 0; index < output.length; index += 0x8000) {
+            binary += String.fromCharCode(...output.subarray(index, index + 0x8000));
+        }
+        return `data:image/webp;base64,${btoa(binary)}`;
+    }
+
+    /**
+     * Decode an image file or data URL.
+     * ImageBitmap is used where available, as it can decode large photos off the main thread and applies the EXIF
+     * orientation; otherwise the image is loaded into an `<img>`, which browsers also show upright.
+     * @param {Blob|string} source The image file or data URL.
+     * @return {Promise<DecodedImage>}
+     * @throws {Error} If the image cannot be decoded.
+     */
+    async function decodeImage(source) {
+        const blob = typeof source === 'string' ? await (await fetch(source)).blob() : source;
+        if (typeof createImageBitmap === 'function') {
+            try {
+                const bitmap = await createImageBitmap(blob, { imageOrientation: 'from-image' });
+                return { image: bitmap, width: bitmap.width, height: bitmap.height, close: () => bitmap.close() };
+            } catch (error) {
+                // Some browsers cannot decode every format as an ImageBitmap; try an <img> instead
+            }
+        }
+        const url = URL.createObjectURL(blob);
+        try {
+            const image = new Image();
+            image.src = url;
+            await image.decode();
+            return { image: image, width: image.naturalWidth, height: image.naturalHeight, close: () => {} };
+        } catch (error) {
+            throw new Error('The file is not an image this browser can read.');
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    /**
+     * Create a canvas.
+     * @param {number} size The side length.
+     * @return {HTMLCanvasElement}
+     */
+    function createCanvas(size) {
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        return canvas;
+    }
+
+    /**
+     * Crop, scale and encode a decoded image.
+     * Large reductions are made by halving repeatedly, as one big step skips pixels and leaves the image jagged.
+     * @param {DecodedImage} decoded The decoded image.
+     * @param {Object} [crop] The crop.
+     * @param {number} maxSize The maximum side length.
+     * @return {{dataUrl: string, size: number, type: string}} The image as a data URL, its side length and its type.
+     */
+    function renderImage(decoded, crop, maxSize) {
+        const rect = cropRect(decoded.width, decoded.height, crop);
+        const size = outputSize(rect.size, maxSize);
+        let source = decoded.image;
+        let sourceRect = rect;
+        while (sourceRect.size / 2 > size) {
+            const step = createCanvas(Math.round(sourceRect.size / 2));
+            const context = step.getContext('2d');
+            context.imageSmoothingQuality = 'high';
+            context.drawImage(source, sourceRect.x, sourceRect.y, sourceRect.size, sourceRect.size, 0, 0, step.width, step.height);
+            source = step;
+            sourceRect = { x: 0, y: 0, size: step.width };
+        }
+        const canvas = createCanvas(size);
+        const context = canvas.getContext('2d');
+        context.imageSmoothingQuality = 'high';
+        context.drawImage(source, sourceRect.x, sourceRect.y, sourceRect.size, sourceRect.size, 0, 0, size, size);
+        for (const type of OUTPUT_TYPES) {
+            if (type === 'image/jpeg') {
+                // JPEG has no transparency, so transparent areas are filled with white rather than black
+                context.globalCompositeOperation = 'destination-over';
+                context.fillStyle = '#ffffff';
+                context.fillRect(0, 0, size, size);
+            }
+            const dataUrl = canvas.toDataURL(type, QUALITY);
+            // Browsers that cannot write a type return a PNG instead
+            if (dataUrl.startsWith(`data:${type}`)) {
+                return { dataUrl: dataUrl, size: size, type: type };
+            }
+        }
+        return { dataUrl: canvas.toDataURL(), size: size, type: 'image/png' };
+    }
+
+    /**
+     * Process every data URL image of a set of stored entities, such as those from a backup, with a centred crop.
+     * Images are processed one at a time to limit memory use. Images that cannot be read are removed.
+     * @param {Object} entitiesData The stored entities, `entities[categoryId][entityName]`; they are updated in place.
+     * @param {number} maxSize The maximum side length.
+     * @return {Promise<{processed: number, failed: number}>} How many images were processed and removed.
+     */
+    async function processEntityImages(entitiesData, maxSize) {
+        const result = { processed: 0, failed: 0 };
+        const entities = [];
+        Object.values(entitiesData || {}).forEach((categoryEntities) => {
+            Object.values(categoryEntities || {}).forEach((entityData) => {
+                if (entityData && typeof entityData.image === 'string' && entityData.image.startsWith('data:')) {
+                    entities.push(entityData);
+                }
+            });
+        });
+        for (const entityData of entities) {
+            let decoded;
+            try {
+                decoded = await decodeImage(entityData.image);
+            } catch (error) {
+                delete entityData.image;
+                result.failed++;
+                continue;
+            }
+            try {
+                // WebP images this app made are kept so that each import does not lose more quality, but another app
+                // can write EXIF or XMP into a WebP too, so that is cut out; anything else is re-encoded
+                const kept = decoded.width === decoded.height && decoded.width <= maxSize
+                    ? stripWebpMetadata(entityData.image)
+                    : null;
+                entityData.image = kept || renderImage(decoded, undefined, maxSize).dataUrl;
+                result.processed++;
+            } finally {
+                decoded.close();
+            }
+        }
+        return result;
+    }
+
+    return {
+        MAX_SIZES: MAX_SIZES,
+        DEFAULT_MAX_SIZE: DEFAULT_MAX_SIZE,
+        MAX_ZOOM: MAX_ZOOM,
+        normaliseCrop: normaliseCrop,
+        normaliseMaxSize: normaliseMaxSize,
+        cropRect: cropRect,
+        outputSize: outputSize,
+        dataUrlBytes: dataUrlBytes,
+        stripWebpMetadata: stripWebpMetadata,
+        decodeImage: decodeImage,
+        renderImage: renderImage,
+        processEntityImages: processEntityImages,
+    };
+}));
@@ -0,0 +1,160 @@
+/**
+ * Filename: leaderboard.js
+ * Purpose: Builds the leaderboard of stored entities for a category.
+ * Description: Produces one row per entity with its details, its stored likelihood for each profile of the category, its best profile, the average of its saved likelihoods and when it was last updated, and filters (by search text and tag) and sorts those rows. Entities without a value for the sort column always sort last. Loaded by the browser as a classic script (exposing the `LikelihoodLeaderboard` global) and by Node through `require()`.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ * - Keyed profiles by ID: 19 October 2026
+ * - Searched entity details and filtered by tag: 19 October 2026
+ */
+
+(function (root, factory) {
+    'use strict';
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./history.js'), require('./entity-records.js'));
+    } else {
+        root.LikelihoodLeaderboard = factory(root.LikelihoodHistory, root.LikelihoodEntityRecords);
+    }
+}(typeof self !== 'undefined' ? self : this, function (LikelihoodHistory, LikelihoodEntityRecords) {
+    'use strict';
+
+    /** @const {string} Prefix of the sort keys of profile columns, e.g. 'profile:angel-investors'. */
+    const PROFILE_KEY_PREFIX = 'profile:';
+
+    /**
+     * A leaderboard row.
+     * @typedef {Object} LeaderboardRow
+     * @property {string} name The entity name.
+     * @property {string} image The entity image, or an empty string.
+     * @property {Object} details The entity details, as described in entity-records.js.
+     * @property {Object<string, ?number>} likelihoods The stored likelihood for each profile ID, or null where none is saved.
+     * @property {?{profile: string, likelihood: number}} best The ID of the profile with the highest likelihood, and that likelihood.
+     * @property {?number} average The average of the saved likelihoods.
+     * @property {?number} updated When an assessment was last saved, in milliseconds since the epoch.
+     */
+
+    /**
+     * Build the leaderboard rows for a category.
+     * @param {Object} entities The stored entities of the category, keyed by entity name.
+     * @param {string} categoryId The category ID.
+     * @param {Array<string>} profileIds The IDs of the category's profiles, in column order.
+     * @return {Array<LeaderboardRow>} The rows in storage order.
+     */
+    function buildRows(entities, categoryId, profileIds) {
+        return Object.keys(entities).map((name) => {
+            const entityData = entities[name] || {};
+            const records = entityData[categoryId] || {};
+            const likelihoods = {};
+            let best = null;
+            let total = 0;
+            let count = 0;
+            let updated = null;
+
+            profileIds.forEach((profileId) => {
+                const record = records[profileId];
+                if (!record || !Array.isArray(record.scores)) {
+                    likelihoods[profileId] = null;
+                    return;
+                }
+                const likelihood = LikelihoodHistory.parsePercentage(record.percentageLikelihood);
+                likelihoods[profileId] = likelihood;
+                total += likelihood;
+                count += 1;
+                if (!best || likelihood > best.likelihood) {
+                    best = { profile: profileId, likelihood: likelihood };
+                }
+                if (typeof record.updated === 'number' && (updated === null || record.updated > updated)) {
+                    updated = record.updated;
+                }
+            });
+
+            return {
+                name: name,
+                image: entityData.image || '',
+                details: LikelihoodEntityRecords.getDetails(entityData),
+                likelihoods: likelihoods,
+                best: best,
+                average: count > 0 ? total / count : null,
+                updated: updated,
+            };
+        });
+    }
+
+    /**
+     * Keep the rows whose entity name or details contain every word of the query, ignoring case, and that have every tag.
+     * @param {Array<LeaderboardRow>} rows The rows.
+     * @param {string} query The filter text.
+     * @param {Array<string>} [tags] The tags each entity must have.
+     * @return {Array<LeaderboardRow>}
+     */
+    function filterRows(rows, query, tags = []) {
+        return rows.filter((row) => LikelihoodEntityRecords.matches(row.name, row.details, { query: query, tags: tags }));
+    }
+
+    /**
+     * Get the value a row is sorted by.
+     * @param {LeaderboardRow} row The row.
+     * @param {string} key The sort key: 'name', 'best', 'average', 'updated' or a profile key.
+     * @return {?(string|number)}
+     */
+    function sortValue(row, key) {
+        if (key.startsWith(PROFILE_KEY_PREFIX)) {
+            const likelihood = row.likelihoods[key.slice(PROFILE_KEY_PREFIX.length)];
+            return likelihood === undefined ? null : likelihood;
+        }
+        switch (key) {
+            case 'name':
+                return row.name;
+            case 'best':
+                return row.best ? row.best.likelihood : null;
+            case 'average':
+                return row.average;
+            case 'updated':
+                return row.updated;
+            default:
+                throw new Error(`Unknown sort key "${key}".`);
+        }
+    }
+
+    /**
+     * Sort rows by a column. Rows without a value sort last in either direction, and ties are sorted by name.
+     * @param {Array<LeaderboardRow>} rows The rows.
+     * @param {string} key The sort key: 'name', 'best', 'average', 'updated' or a profile key from profileKey().
+     * @param {string} direction 'asc' or 'desc'.
+     * @return {Array<LeaderboardRow>} A sorted copy.
+     */
+    function sortRows(rows, key, direction) {
+        const factor = direction === 'desc' ? -1 : 1;
+        return rows.slice().sort((a, b) => {
+            const valueA = sortValue(a, key);
+            const valueB = sortValue(b, key);
+            if (valueA === null || valueB === null) {
+                if (valueA !== valueB) {
+                    return valueA === null ? 1 : -1;
+                }
+            } else if (valueA !== valueB) {
+                const order = typeof valueA === 'string' ? valueA.localeCompare(valueB) : valueA - valueB;
+                return order * factor;
+            }
+            return a.name.localeCompare(b.name);
+        });
+    }
+
+    /**
+     * Get the sort key of a profile column.
+     * @param {string} profileId The profile ID.
+     * @return {string}
+     */
+    function profileKey(profileId) {
+        return PROFILE_KEY_PREFIX + profileId;
+    }
+
+    return {
+        buildRows: buildRows,
+        filterRows: filterRows,
+        sortRows: sortRows,
+        profileKey: profileKey,
+    };
+}));
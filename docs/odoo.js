@@ -0,0 +1,290 @@
+/**
+ * Filename: odoo.js
+ * Purpose: Sends assessment results to an Odoo CRM through its external JSON-RPC API.
+ * Description: Authenticates with a login and API key, finds the record of the configured model (for example `res.partner` or `crm.lead`) whose match field equals the entity name, and either posts the likelihood, breakdown and report HTML as a note in the record's chatter or writes them to mapped fields. Failures are raised as `OdooError`s carrying the key and parameters of a message in the catalogues of i18n.js, so the app can show them in the chosen language; their `message` is the English text. Loaded by the browser as a classic script (exposing the `LikelihoodOdoo` global) and by Node through `require()`, where it can be pointed at the mock server in bin/odoo-mock-server.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ * - Raised errors and listed settings problems by message key, so they are shown in the chosen language: 19 October 2026
+ */
+
+(function (root, factory) {
+    'use strict';
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./i18n.js'), require('./report.js'));
+    } else {
+        root.LikelihoodOdoo = factory(root.LikelihoodI18n, root.LikelihoodReport);
+    }
+}(typeof self !== 'undefined' ? self : this, function (LikelihoodI18n, LikelihoodReport) {
+    'use strict';
+
+    /** @const {string} The JSON-RPC endpoint path. */
+    const JSONRPC_PATH = '/jsonrpc';
+
+    /**
+     * The connector configuration.
+     * @typedef {Object} OdooConfig
+     * @property {string} url The Odoo base URL, e.g. 'https://example.odoo.com'.
+     * @property {string} database The database name.
+     * @property {string} login The login (usually an email address) the API key belongs to.
+     * @property {string} apiKey The API key.
+     * @property {string} model The model of the records to update, e.g. 'res.partner'.
+     * @property {string} matchField The field compared with the entity name to find the record.
+     * @property {string} mode 'note' to post in the chatter, or 'fields' to write the mapped fields.
+     * @property {{likelihood: string, breakdown: string, report: string}} fieldMapping The fields written in 'fields' mode; empty entries are skipped.
+     * @property {boolean} sendOnSave Whether to send automatically when an assessment is saved.
+     */
+
+    /** @const {OdooConfig} */
+    const DEFAULT_CONFIG = {
+        url: '',
+        database: '',
+        login: '',
+        apiKey: '',
+        model: 'res.partner',
+        matchField: 'name',
+        mode: 'note',
+        fieldMapping: { likelihood: '', breakdown: '', report: '' },
+        sendOnSave: false,
+    };
+
+    /** @const {Object<string, string>} The key of the message for each required setting that is left blank. */
+    const REQUIRED_MESSAGES = {
+        database: 'odoo.error.databaseRequired',
+        login: 'odoo.error.loginRequired',
+        apiKey: 'odoo.error.apiKeyRequired',
+        model: 'odoo.error.modelRequired',
+        matchField: 'odoo.error.matchFieldRequired',
+    };
+
+    /**
+     * Describe an error or settings problem.
+     * Parameters holding a list of message keys, such as the problems of an unconfigured connector, are described too
+     * and joined with spaces.
+     * @example
+     * describe('odoo.error.http', { status: '502 Bad Gateway' }); // 'Odoo responded with HTTP 502 Bad Gateway.'
+     * @param {string} key The message key.
+     * @param {Object} [params] The message parameters.
+     * @param {function(string, Object=): string} [translate] Looks up a message by key; English by default.
+     * @return {string}
+     */
+    function describe(key, params = {}, translate = LikelihoodI18n.createTranslator()) {
+        const values = {};
+        Object.keys(params).forEach((name) => {
+            values[name] = Array.isArray(params[name])
+                ? params[name].map((item) => describe(item, {}, translate)).join(' ')
+                : params[name];
+        });
+        return translate(key, values);
+    }
+
+    /**
+     * Error raised when Odoo cannot be reached or rejects a request.
+     */
+    class OdooError extends Error {
+        /**
+         * @param {string} key The key of the message describing the error.
+         * @param {Object} [params] The message parameters.
+         * @param {*} [details] The underlying error or the JSON-RPC error data.
+         */
+        constructor(key, params = {}, details) {
+            super(describe(key, params));
+            this.name = 'OdooError';
+            this.key = key;
+            this.params = params;
+            this.details = details;
+        }
+    }
+
+    /**
+     * Fill in any missing configuration with the defaults.
+     * @param {Object} [config] The stored configuration.
+     * @return {OdooConfig}
+     */
+    function normaliseConfig(config) {
+        const source = config || {};
+        return {
+            ...DEFAULT_CONFIG,
+            ...source,
+            fieldMapping: { ...DEFAULT_CONFIG.fieldMapping, ...(source.fieldMapping || {}) },
+        };
+    }
+
+    /**
+     * List the settings that are missing or invalid.
+     * @param {OdooConfig} config The configuration.
+     * @return {Array<string>} The keys of the messages describing the problems, empty if the connector can be used.
+     */
+    function validateConfig(config) {
+        const problems = [];
+        if (!/^https?:\/\/[^/]+/.test(config.url)) {
+            problems.push('odoo.error.url');
+        }
+        Object.keys(REQUIRED_MESSAGES).forEach((key) => {
+            if (!config[key] || !String(config[key]).trim()) {
+                problems.push(REQUIRED_MESSAGES[key]);
+            }
+        });
+        if (config.mode === 'fields' && !Object.values(config.fieldMapping).some((field) => field && field.trim())) {
+            problems.push('odoo.error.noFields');
+        }
+        return problems;
+    }
+
+    /**
+     * Make a JSON-RPC call.
+     * @param {OdooConfig} config The configuration.
+     * @param {string} service The service, 'common' or 'object'.
+     * @param {string} method The method.
+     * @param {Array<*>} args The arguments.
+     * @param {function(string, Object): Promise<Response>} [fetchImpl] The fetch implementation; defaults to the global fetch.
+     * @return {Promise<*>} The result.
+     * @throws {OdooError} If the server cannot be reached, responds with an HTTP error or returns a JSON-RPC error.
+     */
+    async function call(config, service, method, args, fetchImpl) {
+        const endpoint = config.url.replace(/\/+$/, '') + JSONRPC_PATH;
+        const doFetch = fetchImpl || fetch;
+        let response;
+        try {
+            response = await doFetch(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    jsonrpc: '2.0',
+                    method: 'call',
+                    params: { service: service, method: method, args: args },
+                    id: Date.now(),
+                }),
+            });
+        } catch (error) {
+            throw new OdooError('odoo.error.unreachable', { endpoint: endpoint }, error);
+        }
+        if (!response.ok) {
+            throw new OdooError('odoo.error.http', { status: `${response.status} ${response.statusText || ''}`.trim() });
+        }
+
+        let payload;
+        try {
+            payload = await response.json();
+        } catch (error) {
+            throw new OdooError('odoo.error.notJson', {}, error);
+        }
+        if (payload.error) {
+            const data = payload.error.data || {};
+            const message = data.message || payload.error.message;
+            throw new OdooError(message ? 'odoo.error.rpc' : 'odoo.error.rpcUnknown', { message: message }, payload.error);
+        }
+        return payload.result;
+    }
+
+    /**
+     * Authenticate and get the user id.
+     * @param {OdooConfig} config The configuration.
+     * @param {function(string, Object): Promise<Response>} [fetchImpl] The fetch implementation.
+     * @return {Promise<number>} The user id.
+     * @throws {OdooError} If the credentials are rejected.
+     */
+    async function authenticate(config, fetchImpl) {
+        const uid = await call(config, 'common', 'authenticate', [config.database, config.login, config.apiKey, {}], fetchImpl);
+        if (!uid) {
+            throw new OdooError('odoo.error.rejected', { login: config.login, database: config.database });
+        }
+        return uid;
+    }
+
+    /**
+     * Call a model method through execute_kw.
+     * @param {OdooConfig} config The configuration.
+     * @param {number} uid The user id from authenticate().
+     * @param {string} method The model method.
+     * @param {Array<*>} args The positional arguments.
+     * @param {Object} [kwargs] The keyword arguments.
+     * @param {function(string, Object): Promise<Response>} [fetchImpl] The fetch implementation.
+     * @return {Promise<*>}
+     */
+    function executeKw(config, uid, method, args, kwargs = {}, fetchImpl) {
+        return call(config, 'object', 'execute_kw', [config.database, uid, config.apiKey, config.model, method, args, kwargs], fetchImpl);
+    }
+
+    /**
+     * Check the connection, credentials and model.
+     * @param {OdooConfig} config The configuration.
+     * @param {function(string, Object): Promise<Response>} [fetchImpl] The fetch implementation.
+     * @return {Promise<{uid: number, recordCount: number}>} The user id and the number of records of the model.
+     */
+    async function testConnection(config, fetchImpl) {
+        const uid = await authenticate(config, fetchImpl);
+        const recordCount = await executeKw(config, uid, 'search_count', [[]], {}, fetchImpl);
+        return { uid: uid, recordCount: recordCount };
+    }
+
+    /**
+     * Format the breakdown as plain text, one criterion per line.
+     * @param {Array<{metric: string, score: number}>} breakdown The breakdown rows.
+     * @return {string}
+     */
+    function formatBreakdown(breakdown) {
+        return breakdown.map((row) => `${row.metric}: ${row.score}`).join('\n');
+    }
+
+    /**
+     * Send an assessment to the record matching the entity name.
+     * @param {OdooConfig} config The configuration.
+     * @param {{entityName: string, profileName: string, likelihood: string, breakdown: Array<Object>, reportHtml: string}} assessment The assessment.
+     * @param {function(string, Object): Promise<Response>} [fetchImpl] The fetch implementation.
+     * @return {Promise<{id: number, name: string}>} The record that was updated.
+     * @throws {OdooError} If the configuration is incomplete, no single record matches, or Odoo rejects the update.
+     */
+    async function sendAssessment(config, assessment, fetchImpl) {
+        const problems = validateConfig(config);
+        if (problems.length > 0) {
+            throw new OdooError('odoo.error.notConfigured', { problems: problems });
+        }
+        const uid = await authenticate(config, fetchImpl);
+
+        const records = await executeKw(config, uid, 'search_read', [[[config.matchField, '=', assessment.entityName]]], { fields: ['id', 'display_name'], limit: 2 }, fetchImpl);
+        if (!Array.isArray(records) || records.length === 0) {
+            throw new OdooError('odoo.error.noRecord', { model: config.model, field: config.matchField, name: assessment.entityName });
+        }
+        if (records.length > 1) {
+            throw new OdooError('odoo.error.manyRecords', { model: config.model, field: config.matchField, name: assessment.entityName });
+        }
+        const record = records[0];
+
+        if (config.mode === 'fields') {
+            const values = {};
+            const mapping = config.fieldMapping;
+            if (mapping.likelihood) {
+                values[mapping.likelihood] = parseFloat(assessment.likelihood) || 0;
+            }
+            if (mapping.breakdown) {
+                values[mapping.breakdown] = formatBreakdown(assessment.breakdown);
+            }
+            if (mapping.report) {
+                values[mapping.report] = assessment.reportHtml;
+            }
+            await executeKw(config, uid, 'write', [[record.id], values], {}, fetchImpl);
+        } else {
+            const heading = LikelihoodReport.escapeHtml(`${assessment.profileName}: ${assessment.likelihood}`);
+            const body = `<p><strong>${heading}</strong></p>${assessment.reportHtml}`;
+            await executeKw(config, uid, 'message_post', [[record.id]], { body: body, message_type: 'comment', subtype_xmlid: 'mail.mt_note' }, fetchImpl);
+        }
+
+        return { id: record.id, name: record.display_name || assessment.entityName };
+    }
+
+    return {
+        DEFAULT_CONFIG: DEFAULT_CONFIG,
+        OdooError: OdooError,
+        describe: describe,
+        normaliseConfig: normaliseConfig,
+        validateConfig: validateConfig,
+        call: call,
+        authenticate: authenticate,
+        executeKw: executeKw,
+        testConnection: testConnection,
+        formatBreakdown: formatBreakdown,
+        sendAssessment: sendAssessment,
+    };
+}));
@@ -0,0 +1,161 @@
+/**
+ * Filename: offline.js
+ * Purpose: Lists the files the service worker keeps for offline use, decides how each request is answered, and registers the service worker from the page.
+ * Description: The app shell (the page, its scripts, the interface translations and the manifest) and the third-party libraries vendored under /vendor are precached when the service worker installs, so the calculator works with no connection once it has been opened, and the first visit needs nothing but this site. Every calculator address (e.g. /investment/angel-investors) is answered with the cached page. profiles.json and its schema are served from the cache straight away and refreshed in the background (stale-while-revalidate), so edited profiles appear on the next visit without a new version. Other files from this site, such as icons, are cached the first time they load. When a new version of the service worker has installed, the page is told so it can offer to reload. Add new scripts to SHELL_URLS when adding them to index.html, and new translations when adding them to i18n.js. Loaded by the browser as a classic script and by the service worker through `importScripts()` (exposing the `LikelihoodOffline` global), and by Node through `require()`.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ * - Precached i18n.js and the interface translations: 19 October 2026
+ * - Served profiles.json from the versioned precache and pinned Chart.js to an exact version: 19 October 2026
+ * - Refreshed profiles.json stale-while-revalidate again and precached the vendored libraries instead of CDN files: 19 October 2026
+ */
+
+(function (root, factory) {
+    'use strict';
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LikelihoodOffline = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /** @const {string} The address of the service worker, which controls the whole site. */
+    const SERVICE_WORKER_URL = '/service-worker.js';
+
+    /** @const {string} The cached page that answers every calculator address. */
+    const SHELL_PAGE = '/';
+
+    /** @const {Array<string>} The files of this site that are precached and served from the cache first. */
+    const SHELL_URLS = [
+        SHELL_PAGE,
+        '/scoring.js',
+        '/i18n.js',
+        '/validator.js',
+        '/storage-schema.js',
+        '/storage.js',
+        '/images.js',
+        '/entity-records.js',
+        '/history.js',
+        '/custom-profiles.js',
+        '/backup.js',
+        '/csv-export.js',
+        '/report.js',
+        '/odoo.js',
+        '/webhooks.js',
+        '/comparison.js',
+        '/leaderboard.js',
+        '/command-palette.js',
+        '/sensitivity.js',
+        '/uncertainty.js',
+        '/permalink.js',
+        '/offline.js',
+        '/app.js',
+        '/locales/de.json',
+        '/locales/ja.json',
+        '/site.webmanifest?v=964',
+        '/favicon.ico?v=964',
+        '/android-chrome-192x192.png?v=964',
+    ];
+
+    /** @const {Array<string>} The data files that are precached and then refreshed stale-while-revalidate. */
+    const DATA_URLS = ['/profiles.json', '/profiles.schema.json'];
+
+    /**
+     * @const {Array<string>} The vendored third-party libraries that are precached: Bootstrap 5.3.3, Font Awesome 6.6.0 and Chart.js 4.5.1.
+     * The addresses must match index.html exactly, including the Font Awesome web fonts its stylesheet loads.
+     */
+    const VENDOR_URLS = [
+        '/vendor/bootstrap/css/bootstrap.min.css',
+        '/vendor/bootstrap/js/bootstrap.bundle.min.js',
+        '/vendor/font-awesome/css/all.min.css',
+        '/vendor/font-awesome/webfonts/fa-solid-900.woff2',
+        '/vendor/font-awesome/webfonts/fa-regular-400.woff2',
+        '/vendor/font-awesome/webfonts/fa-brands-400.woff2',
+        '/vendor/font-awesome/webfonts/fa-v4compatibility.woff2',
+        '/vendor/chart.js/chart.umd.min.js',
+    ];
+
+    /**
+     * Decide how the service worker answers a request.
+     * - 'shell': a page navigation on this site, answered with the cached page.
+     * - 'precache': a precached file, answered from the cache, or the network if it is missing.
+     * - 'stale-while-revalidate': a data file, answered from the cache while the network refreshes it.
+     * - 'runtime': another file from this site, answered from the cache or fetched and cached.
+     * - 'network': anything else, such as CRM and webhook requests, which is left to the browser.
+     * @example
+     * getStrategy('GET', 'navigate', 'https://likelihood.tools/investment', 'https://likelihood.tools'); // 'shell'
+     * @param {string} method The request method.
+     * @param {string} mode The request mode, e.g. 'navigate' or 'cors'.
+     * @param {string} url The request URL.
+     * @param {string} origin The origin of this site.
+     * @return {string}
+     */
+    function getStrategy(method, mode, url, origin) {
+        if (method !== 'GET') {
+            return 'network';
+        }
+        const parsed = new URL(url);
+        if (parsed.origin === origin) {
+            if (DATA_URLS.includes(parsed.pathname)) {
+                return 'stale-while-revalidate';
+            }
+            if (mode === 'navigate') {
+                return 'shell';
+            }
+            const path = parsed.pathname + parsed.search;
+            return SHELL_URLS.includes(path) || VENDOR_URLS.includes(path) ? 'precache' : 'runtime';
+        }
+        return 'network';
+    }
+
+    /**
+     * Register the service worker and report when an update is ready.
+     * An update is only reported when a page is already controlled, as the first install needs no reload.
+     * @param {?ServiceWorkerContainer} container The browser's service worker container, `navigator.serviceWorker`.
+     * @param {function(ServiceWorker): void} onUpdate Called with the new service worker once it is waiting to take over.
+     * @return {Promise<?ServiceWorkerRegistration>} The registration, or null if service workers are not available.
+     */
+    function register(container, onUpdate) {
+        if (!container) {
+            return Promise.resolve(null);
+        }
+        return container.register(SERVICE_WORKER_URL).then((registration) => {
+            if (registration.waiting && container.controller) {
+                onUpdate(registration.waiting);
+            }
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                if (!worker) {
+                    return;
+                }
+                worker.addEventListener('statechange', () => {
+                    if (worker.state === 'installed' && container.controller) {
+                        onUpdate(worker);
+                    }
+                });
+            });
+            return registration;
+        });
+    }
+
+    /**
+     * Ask a waiting service worker to take over; the page should reload when the container's controller changes.
+     * @param {ServiceWorker} worker The waiting service worker.
+     */
+    function activateUpdate(worker) {
+        worker.postMessage({ type: 'SKIP_WAITING' });
+    }
+
+    return {
+        SERVICE_WORKER_URL: SERVICE_WORKER_URL,
+        SHELL_PAGE: SHELL_PAGE,
+        SHELL_URLS: SHELL_URLS,
+        DATA_URLS: DATA_URLS,
+        VENDOR_URLS: VENDOR_URLS,
+        getStrategy: getStrategy,
+        register: register,
+        activateUpdate: activateUpdate,
+    };
+}));
@@ -0,0 +1,149 @@
+/**
+ * Filename: permalink.js
+ * Purpose: Encodes a calculation into a compact URL fragment so it can be shared as a link, and decodes it again.
+ * Description: A share fragment has the form `#share=2.<category-slug>.<profile-slug>.<criteria-hash>.<scores>[.<entity>]`. The scores are one letter per criterion, in criteria order, from `a` (1) to `q` (5) in steps of 0.25 to match the sliders, and the optional entity name is URI-encoded. As the scores are matched to criteria by position, the criteria hash records the IDs and order of the criteria they were given for, so a link made before the criteria were added, removed or reordered is recognised instead of scoring the wrong criteria. The fragment never reaches the server, so the calculation stays between the sender and the recipient. Loaded by the browser as a classic script (exposing the `LikelihoodPermalink` global) and by Node through `require()`.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ * - Added the criteria hash, so links no longer open against changed criteria: 19 October 2026
+ */
+
+(function (root, factory) {
+    'use strict';
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./scoring.js'));
+    } else {
+        root.LikelihoodPermalink = factory(root.LikelihoodScoring);
+    }
+}(typeof self !== 'undefined' ? self : this, function (LikelihoodScoring) {
+    'use strict';
+
+    /** @const {string} The fragment prefix that marks a shared calculation. */
+    const FRAGMENT_PREFIX = 'share=';
+
+    /** @const {string} The format version written into each fragment. */
+    const VERSION = '2';
+
+    /** @const {number} The score step encoded by each letter. */
+    const SCORE_STEP = 0.25;
+
+    /** @const {string} The letters encoding each score step, from the lowest score to the highest. */
+    const ALPHABET = 'abcdefghijklmnopq';
+
+    /**
+     * A shared calculation.
+     * @typedef {Object} SharedCalculation
+     * @property {string} categorySlug The category slug.
+     * @property {string} profileSlug The profile slug.
+     * @property {string} criteriaHash The hash of the criteria the scores were given for, from hashCriteria().
+     * @property {Array<number>} scores The score of each criterion, in criteria order.
+     * @property {string} entityName The entity name, or an empty string.
+     */
+
+    /**
+     * Check whether a URL fragment holds a shared calculation.
+     * @param {string} hash The fragment, with or without the leading '#'.
+     * @return {boolean}
+     */
+    function isShareFragment(hash) {
+        return (hash || '').replace(/^#/, '').startsWith(FRAGMENT_PREFIX);
+    }
+
+    /**
+     * Hash the IDs of a profile's criteria, in order, to check that shared scores still belong to them.
+     * Uses 32-bit FNV-1a, written in base 36.
+     * @example
+     * hashCriteria([{ id: 'personal-rapport' }, { id: 'track-record' }]); // 'w268jh'
+     * @param {Array<{id: string}>} criteria The criteria of the profile.
+     * @return {string}
+     */
+    function hashCriteria(criteria) {
+        const text = criteria.map((criterion) => criterion.id).join('\n');
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(36);
+    }
+
+    /**
+     * Encode a calculation as a URL fragment.
+     * Scores between steps are rounded to the nearest step.
+     * @example
+     * encodeFragment({ categorySlug: 'investment', profileSlug: 'angel-investors', criteriaHash: 'w268jh', scores: [3, 4.5], entityName: 'Acme' });
+     * // 'share=2.investment.angel-investors.w268jh.io.Acme'
+     * @param {SharedCalculation} calculation The calculation.
+     * @return {string} The fragment, without the leading '#'.
+     * @throws {RangeError} If a score is outside the score range.
+     */
+    function encodeFragment(calculation) {
+        const scores = calculation.scores.map((score) => {
+            if (!Number.isFinite(score) || score < LikelihoodScoring.MIN_SCORE || score > LikelihoodScoring.MAX_SCORE) {
+                throw new RangeError(`Score ${score} is outside ${LikelihoodScoring.MIN_SCORE} to ${LikelihoodScoring.MAX_SCORE}.`);
+            }
+            return ALPHABET[Math.round((score - LikelihoodScoring.MIN_SCORE) / SCORE_STEP)];
+        }).join('');
+        const parts = [VERSION, calculation.categorySlug, calculation.profileSlug, calculation.criteriaHash, scores];
+        if (calculation.entityName) {
+            parts.push(encodeURIComponent(calculation.entityName));
+        }
+        return FRAGMENT_PREFIX + parts.join('.');
+    }
+
+    /**
+     * Decode a URL fragment into a calculation.
+     * @param {string} hash The fragment, with or without the leading '#'.
+     * @return {SharedCalculation}
+     * @throws {Error} If the fragment is not a share fragment or is damaged.
+     */
+    function decodeFragment(hash) {
+        const fragment = (hash || '').replace(/^#/, '');
+        if (!fragment.startsWith(FRAGMENT_PREFIX)) {
+            throw new Error('The link does not contain a shared calculation.');
+        }
+        const parts = fragment.slice(FRAGMENT_PREFIX.length).split('.');
+        if (parts[0] !== VERSION) {
+            throw new Error('The shared calculation was made by a different version of the calculator.');
+        }
+        const [, categorySlug, profileSlug, criteriaHash, letters] = parts;
+        if (!categorySlug || !profileSlug || !/^[0-9a-z]+$/.test(criteriaHash || '') || !letters || !new RegExp(`^[${ALPHABET}]+$`).test(letters)) {
+            throw new Error('The shared calculation is incomplete or damaged. Ask for the link again.');
+        }
+        let entityName = '';
+        try {
+            // Entity names may contain dots, so they take the rest of the fragment
+            entityName = decodeURIComponent(parts.slice(5).join('.'));
+        } catch (error) {
+            throw new Error('The entity name in the shared calculation is damaged. Ask for the link again.');
+        }
+        return {
+            categorySlug: categorySlug,
+            profileSlug: profileSlug,
+            criteriaHash: criteriaHash,
+            scores: Array.from(letters).map((letter) => LikelihoodScoring.MIN_SCORE + ALPHABET.indexOf(letter) * SCORE_STEP),
+            entityName: entityName,
+        };
+    }
+
+    /**
+     * Build the share link of a calculation.
+     * The path selects the profile as usual, so the link still opens the right profile if the fragment is lost.
+     * @param {string} origin The site origin, e.g. 'https://likelihood.tools'.
+     * @param {SharedCalculation} calculation The calculation.
+     * @return {string}
+     */
+    function buildUrl(origin, calculation) {
+        return `${origin}/${calculation.categorySlug}/${calculation.profileSlug}#${encodeFragment(calculation)}`;
+    }
+
+    return {
+        FRAGMENT_PREFIX: FRAGMENT_PREFIX,
+        isShareFragment: isShareFragment,
+        hashCriteria: hashCriteria,
+        encodeFragment: encodeFragment,
+        decodeFragment: decodeFragment,
+        buildUrl: buildUrl,
+    };
+}));
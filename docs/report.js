@@ -0,0 +1,482 @@
+/**
+ * Filename: report.js
+ * Purpose: Formats the results of an assessment for copying to the clipboard as HTML, plain text or Markdown.
+ * Description: The app collects the entity name, profile, likelihood, breakdown and criteria descriptors into a report object; this module renders that object in each clipboard format so that pasting into a rich text editor, a plain-text CRM note, Slack or a Markdown wiki gives the same content. The HTML layout comes from a report template using Mustache-style placeholders (`{{name}}`, `{{{raw}}}`, `{{#section}}…{{/section}}` and `{{^inverted}}…{{/inverted}}`); the shipped layout is the default template and users can keep their own. Loaded by the browser as a classic script (exposing the `LikelihoodReport` global) and by Node through `require()`.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ * - Added report templates: 19 October 2026
+ * - Added the scoring model and its explanation: 19 October 2026
+ * - Added the optional next best actions: 19 October 2026
+ * - Added the likelihood interval from uncertainty mode: 19 October 2026
+ * - Described the placeholders by message key, so the template editor shows them in the chosen language: 19 October 2026
+ * - Took the headings and labels from the message catalogues, so reports are written in the chosen language: 19 October 2026
+ */
+
+(function (root, factory) {
+    'use strict';
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./i18n.js'));
+    } else {
+        root.LikelihoodReport = factory(root.LikelihoodI18n);
+    }
+}(typeof self !== 'undefined' ? self : this, function (LikelihoodI18n) {
+    'use strict';
+
+    /**
+     * The results of an assessment, as collected by the app.
+     * @typedef {Object} Report
+     * @property {string} savename What an entity is called in the category, e.g. 'Investor'.
+     * @property {string} entityName The entity name.
+     * @property {string} categoryName The category name.
+     * @property {string} profileName The profile name.
+     * @property {string} likelihood The formatted percentage likelihood, e.g. '42.50%'.
+     * @property {?{median: string, low: string, high: string, interval: number}} [uncertainty] The median likelihood and
+     *     interval from uncertainty mode, or null when it is off.
+     * @property {{name: string, explanation: string}} [model] The scoring model that produced the likelihood and how it did.
+     * @property {string} date The date the report was generated, formatted for display.
+     * @property {string} imageSrc The entity image URL, or an empty string.
+     * @property {string} chartImage The chart as a data URL, or an empty string.
+     * @property {Array<{metric: string, score: number}>} breakdown The score of each criterion.
+     * @property {Array<{metric: string, description: string, score: number, descriptor: string, weight: number}>} criteria The criteria details.
+     * @property {?Object} disclaimer The category disclaimer (heading, text, dotpoints, links and footer), or null.
+     * @property {?{items: Array<{rank: number, metric: string, score: number, target: number, gain: string, descriptor: string}>}} [nextActions]
+     *     The criteria ranked by how much one more level would raise the likelihood, or null when left out of the report.
+     * @property {Object<string, string>} [labels] The headings and labels from getLabels(), in the chosen language; English
+     *     when left out.
+     */
+
+    /** @const {string} The id of the shipped default template. */
+    const DEFAULT_TEMPLATE_ID = 'default';
+
+    /** @const {string} The shipped report layout. */
+    const DEFAULT_TEMPLATE = `<div style="font-family: Arial, sans-serif;">
+<h2>{{labels.entityName}}: {{entityName}}</h2>
+{{#imageSrc}}<img src="{{imageSrc}}" alt="{{labels.image}}" style="max-width: 200px;"/>{{/imageSrc}}
+<h3>{{labels.profile}}: {{profileName}}</h3>
+<div style="display: flex; flex-wrap: wrap;">
+<div style="flex: 2;">
+{{#chartImage}}<img src="{{chartImage}}" alt="{{labels.chart}}" style="max-width: 100%; height: auto;" />{{/chartImage}}
+</div>
+<div style="flex: 1; padding-left: 20px;">
+<h3>{{labels.likelihood}}</h3><h1>{{likelihood}}</h1>
+{{#uncertainty}}<p>{{summary}}</p>{{/uncertainty}}
+{{#model}}<p><strong>{{labels.model}}:</strong> {{name}}. {{explanation}}</p>{{/model}}
+<table border="1" cellpadding="5" cellspacing="0" style="border-collapse: collapse; width: 100%;">
+<tr><th>{{labels.metric}}</th><th>{{labels.score}}</th></tr>
+{{#breakdown}}<tr><td>{{metric}}</td><td>{{score}}</td></tr>
+{{/breakdown}}</table>
+</div>
+</div>
+<h3>{{labels.criteria}}</h3>
+<table border="1" cellpadding="5" cellspacing="0" style="border-collapse: collapse; width: 100%;">
+<tr><th>{{labels.metric}}</th><th>{{labels.description}}</th><th>{{labels.score}}</th><th>{{labels.descriptor}}</th></tr>
+{{#criteria}}<tr><td>{{metric}}</td><td>{{description}}</td><td>{{score}}</td><td>{{descriptor}}</td></tr>
+{{/criteria}}</table>
+{{#nextActions}}<h3>{{labels.nextActions}}</h3>
+<ol>
+{{#items}}<li><strong>{{metric}}</strong> {{step}}{{#getTo}} &ndash; {{getTo}}{{/getTo}}</li>
+{{/items}}</ol>
+{{/nextActions}}</div>
+`;
+
+    /**
+     * @const {Object<string, string>} The key of the message for each heading and label in a report. The messages keep
+     *     their parameters: `{savename}` in the entity labels, the uncertainty values in `interval`, and the action's
+     *     `{score}`, `{target}`, `{gain}` and `{descriptor}` in `action` and `getTo`.
+     */
+    const LABEL_MESSAGES = {
+        entityName: 'report.entityName',
+        image: 'entity.image',
+        profile: 'report.profile',
+        chart: 'chart.label',
+        likelihood: 'results.heading',
+        interval: 'uncertainty.summary',
+        model: 'report.model',
+        breakdown: 'report.breakdown',
+        criteria: 'report.criteriaHeading',
+        nextActions: 'actions.heading',
+        metric: 'table.metric',
+        score: 'table.score',
+        description: 'table.description',
+        descriptor: 'table.descriptor',
+        action: 'report.action',
+        getTo: 'actions.getTo',
+    };
+
+    /** @const {Array<{placeholder: string, message: string}>} The placeholders available to templates, with the key of the message describing each, for the template editor. */
+    const PLACEHOLDERS = [
+        { placeholder: '{{savename}}', message: 'template.placeholder.savename' },
+        { placeholder: '{{entityName}}', message: 'template.placeholder.entityName' },
+        { placeholder: '{{categoryName}}', message: 'template.placeholder.categoryName' },
+        { placeholder: '{{profileName}}', message: 'template.placeholder.profileName' },
+        { placeholder: '{{likelihood}}', message: 'template.placeholder.likelihood' },
+        { placeholder: '{{#uncertainty}}…{{/uncertainty}}', message: 'template.placeholder.uncertainty' },
+        { placeholder: '{{model.name}}', message: 'template.placeholder.modelName' },
+        { placeholder: '{{model.explanation}}', message: 'template.placeholder.modelExplanation' },
+        { placeholder: '{{date}}', message: 'template.placeholder.date' },
+        { placeholder: '{{imageSrc}}', message: 'template.placeholder.imageSrc' },
+        { placeholder: '{{chartImage}}', message: 'template.placeholder.chartImage' },
+        { placeholder: '{{#criteria}}…{{/criteria}}', message: 'template.placeholder.criteria' },
+        { placeholder: '{{#breakdown}}…{{/breakdown}}', message: 'template.placeholder.breakdown' },
+        { placeholder: '{{#nextActions}}…{{/nextActions}}', message: 'template.placeholder.nextActions' },
+        { placeholder: '{{labels.…}}', message: 'template.placeholder.labels' },
+        { placeholder: '{{#disclaimer}}…{{/disclaimer}}', message: 'template.placeholder.disclaimer' },
+        { placeholder: '{{^name}}…{{/name}}', message: 'template.placeholder.empty' },
+        { placeholder: '{{{name}}}', message: 'template.placeholder.raw' },
+    ];
+
+    /**
+     * Get the headings and labels of a report in a language.
+     * @example
+     * getLabels(translate).criteria; // 'Kriteriendetails' when translate looks up the German messages
+     * @param {function(string, Object=): string} [translate] Looks up a message by key; English by default.
+     * @return {Object<string, string>} The labels, keyed like LABEL_MESSAGES, with their parameters left unfilled.
+     */
+    function getLabels(translate = LikelihoodI18n.createTranslator()) {
+        const labels = {};
+        Object.keys(LABEL_MESSAGES).forEach((name) => {
+            labels[name] = translate(LABEL_MESSAGES[name]);
+        });
+        return labels;
+    }
+
+    /**
+     * Fill in the labels of a report and the text built from them: the uncertainty summary and each action's step.
+     * @param {Report} report The report.
+     * @return {Report} A copy of the report with `labels`, `uncertainty.summary` and `nextActions.items[].step` and
+     *     `getTo` filled in.
+     */
+    function prepareReport(report) {
+        const format = LikelihoodI18n.formatMessage;
+        const source = Object.assign(getLabels(), report.labels);
+        const labels = {};
+        Object.keys(source).forEach((name) => {
+            labels[name] = format(source[name], { savename: report.savename });
+        });
+        const prepared = Object.assign({}, report, { labels: labels });
+        if (report.uncertainty) {
+            prepared.uncertainty = Object.assign({}, report.uncertainty, { summary: format(source.interval, report.uncertainty) });
+        }
+        if (report.nextActions) {
+            prepared.nextActions = Object.assign({}, report.nextActions, {
+                items: report.nextActions.items.map((item) => Object.assign({}, item, {
+                    step: format(source.action, item),
+                    getTo: item.descriptor ? format(source.getTo, item) : '',
+                })),
+            });
+        }
+        return prepared;
+    }
+
+    /**
+     * Escape text for use in HTML.
+     * @param {*} value The text.
+     * @return {string}
+     */
+    function escapeHtml(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Escape text for use in a Markdown table cell or paragraph.
+     * @param {*} value The text.
+     * @return {string}
+     */
+    function escapeMarkdown(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/([\\`*_{}\[\]<>#|])/g, '\\$1')
+            .replace(/\r?\n/g, ' ');
+    }
+
+    /**
+     * Parse a template into a tree of text, value and section nodes.
+     * @param {string} template The template.
+     * @return {Array<Object>} The nodes.
+     * @throws {Error} If a section is not closed or is closed out of order.
+     */
+    function parseTemplate(template) {
+        const tagPattern = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([#^/]?)\s*([\w.]+)\s*\}\}/g;
+        const rootNodes = [];
+        const stack = [{ name: null, children: rootNodes }];
+        let lastIndex = 0;
+        let match;
+
+        while ((match = tagPattern.exec(template)) !== null) {
+            const current = stack[stack.length - 1];
+            if (match.index > lastIndex) {
+                current.children.push({ type: 'text', value: template.slice(lastIndex, match.index) });
+            }
+            lastIndex = tagPattern.lastIndex;
+
+            if (match[1]) {
+                current.children.push({ type: 'value', name: match[1], raw: true });
+            } else if (match[2] === '#' || match[2] === '^') {
+                const section = { type: 'section', name: match[3], inverted: match[2] === '^', children: [] };
+                current.children.push(section);
+                stack.push(section);
+            } else if (match[2] === '/') {
+                if (current.name !== match[3]) {
+                    throw new Error(current.name
+                        ? `{{/${match[3]}}} closes a section that is not open; expected {{/${current.name}}}`
+                        : `{{/${match[3]}}} closes a section that is not open`);
+                }
+                stack.pop();
+            } else {
+                current.children.push({ type: 'value', name: match[3], raw: false });
+            }
+        }
+        if (stack.length > 1) {
+            throw new Error(`{{#${stack[stack.length - 1].name}}} is not closed`);
+        }
+        if (lastIndex < template.length) {
+            rootNodes.push({ type: 'text', value: template.slice(lastIndex) });
+        }
+        return rootNodes;
+    }
+
+    /**
+     * Look up a (possibly dotted) name, starting with the innermost context.
+     * @param {Array<*>} contexts The context stack, outermost first.
+     * @param {string} name The name, or '.' for the current context.
+     * @return {*}
+     */
+    function lookup(contexts, name) {
+        if (name === '.') {
+            return contexts[contexts.length - 1];
+        }
+        const [first, ...rest] = name.split('.');
+        for (let index = contexts.length - 1; index >= 0; index--) {
+            const context = contexts[index];
+            if (context !== null && typeof context === 'object' && Object.prototype.hasOwnProperty.call(context, first)) {
+                return rest.reduce((value, part) => (value !== null && value !== undefined ? value[part] : undefined), context[first]);
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Render parsed template nodes.
+     * @param {Array<Object>} nodes The nodes from parseTemplate().
+     * @param {Array<*>} contexts The context stack.
+     * @return {string}
+     */
+    function renderNodes(nodes, contexts) {
+        return nodes.map((node) => {
+            if (node.type === 'text') {
+                return node.value;
+            }
+            const value = lookup(contexts, node.name);
+            if (node.type === 'value') {
+                if (value === null || value === undefined) {
+                    return '';
+                }
+                return node.raw ? String(value) : escapeHtml(value);
+            }
+            const empty = !value || (Array.isArray(value) && value.length === 0);
+            if (node.inverted) {
+                return empty ? renderNodes(node.children, contexts) : '';
+            }
+            if (empty) {
+                return '';
+            }
+            if (Array.isArray(value)) {
+                return value.map((item) => renderNodes(node.children, contexts.concat([item]))).join('');
+            }
+            return renderNodes(node.children, typeof value === 'object' ? contexts.concat([value]) : contexts);
+        }).join('');
+    }
+
+    /**
+     * Render a report template.
+     * @example
+     * renderTemplate('<h2>{{entityName}}</h2>{{#criteria}}<p>{{metric}}: {{score}}</p>{{/criteria}}', report);
+     * @param {string} template The template.
+     * @param {Report} report The report.
+     * @return {string} The HTML.
+     * @throws {Error} If the template is invalid.
+     */
+    function renderTemplate(template, report) {
+        return renderNodes(parseTemplate(template), [report]);
+    }
+
+    /**
+     * Check a template for errors.
+     * @param {string} template The template.
+     * @return {?string} The error message, or null if the template is valid.
+     */
+    function validateTemplate(template) {
+        try {
+            parseTemplate(template);
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    }
+
+    /**
+     * Get the shipped default template.
+     * @return {{id: string, name: string, html: string}}
+     */
+    function getDefaultTemplate() {
+        return { id: DEFAULT_TEMPLATE_ID, name: 'Default', html: DEFAULT_TEMPLATE };
+    }
+
+    /**
+     * Add or replace a user template, matched by id.
+     * @param {Array<Object>} templates The user templates.
+     * @param {{id: string, name: string, html: string}} template The template to save.
+     * @return {Array<Object>} The updated templates.
+     */
+    function saveTemplate(templates, template) {
+        const index = templates.findIndex((item) => item.id === template.id);
+        const updated = templates.slice();
+        if (index === -1) {
+            updated.push(template);
+        } else {
+            updated[index] = template;
+        }
+        return updated;
+    }
+
+    /**
+     * Remove a user template.
+     * @param {Array<Object>} templates The user templates.
+     * @param {string} id The template id.
+     * @return {Array<Object>} The updated templates.
+     */
+    function deleteTemplate(templates, id) {
+        return templates.filter((item) => item.id !== id);
+    }
+
+    /**
+     * Format a report as HTML for rich text editors and email.
+     * @param {Report} report The report.
+     * @param {string} [template] The report template; defaults to the shipped layout.
+     * @return {string}
+     */
+    function formatHtml(report, template = DEFAULT_TEMPLATE) {
+        return renderTemplate(template, prepareReport(report));
+    }
+
+    /**
+     * Format a report as plain text for CRM notes and chat.
+     * @param {Report} report The report.
+     * @return {string}
+     */
+    function formatPlainText(report) {
+        const { labels, uncertainty, model, breakdown, criteria, nextActions } = prepareReport(report);
+        const lines = [];
+        lines.push(`${labels.entityName}: ${report.entityName}`);
+        lines.push(`${labels.profile}: ${report.profileName}`);
+        lines.push(`${labels.likelihood}: ${report.likelihood}`);
+        if (uncertainty) {
+            lines.push(uncertainty.summary);
+        }
+        if (model) {
+            lines.push(`${labels.model}: ${model.name}. ${model.explanation}`);
+        }
+        lines.push('');
+
+        lines.push(labels.breakdown);
+        const metricWidth = Math.max(6, ...breakdown.map((row) => row.metric.length));
+        breakdown.forEach((row) => {
+            lines.push(`  ${row.metric.padEnd(metricWidth)}  ${row.score}`);
+        });
+        lines.push('');
+
+        lines.push(labels.criteria);
+        criteria.forEach((row) => {
+            lines.push(`- ${row.metric}: ${row.score}${row.descriptor ? ` (${row.descriptor})` : ''}`);
+            if (row.description) {
+                lines.push(`  ${row.description}`);
+            }
+        });
+
+        if (nextActions) {
+            lines.push('');
+            lines.push(labels.nextActions);
+            nextActions.items.forEach((item) => {
+                lines.push(`${item.rank}. ${item.metric}: ${item.step}${item.getTo ? ` - ${item.getTo}` : ''}`);
+            });
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Format a report as Markdown for wikis and chat tools that render it.
+     * Images are left out because most Markdown tools will not display data URLs.
+     * @param {Report} report The report.
+     * @return {string}
+     */
+    function formatMarkdown(report) {
+        const { labels, uncertainty, model, breakdown, criteria, nextActions } = prepareReport(report);
+        const lines = [];
+        lines.push(`## ${escapeMarkdown(labels.entityName)}: ${escapeMarkdown(report.entityName)}`);
+        lines.push('');
+        lines.push(`**${escapeMarkdown(labels.profile)}:** ${escapeMarkdown(report.profileName)}`);
+        lines.push('');
+        lines.push(`**${escapeMarkdown(labels.likelihood)}:** ${escapeMarkdown(report.likelihood)}`);
+        lines.push('');
+        if (uncertainty) {
+            lines.push(escapeMarkdown(uncertainty.summary));
+            lines.push('');
+        }
+        if (model) {
+            lines.push(`**${escapeMarkdown(labels.model)}:** ${escapeMarkdown(model.name)}. ${escapeMarkdown(model.explanation)}`);
+            lines.push('');
+        }
+
+        lines.push(`### ${escapeMarkdown(labels.breakdown)}`);
+        lines.push('');
+        lines.push(`| ${escapeMarkdown(labels.metric)} | ${escapeMarkdown(labels.score)} |`);
+        lines.push('| --- | ---: |');
+        breakdown.forEach((row) => {
+            lines.push(`| ${escapeMarkdown(row.metric)} | ${escapeMarkdown(row.score)} |`);
+        });
+        lines.push('');
+
+        lines.push(`### ${escapeMarkdown(labels.criteria)}`);
+        lines.push('');
+        lines.push(`| ${[labels.metric, labels.description, labels.score, labels.descriptor].map(escapeMarkdown).join(' | ')} |`);
+        lines.push('| --- | --- | ---: | --- |');
+        criteria.forEach((row) => {
+            lines.push(`| ${escapeMarkdown(row.metric)} | ${escapeMarkdown(row.description)} | ${escapeMarkdown(row.score)} | ${escapeMarkdown(row.descriptor)} |`);
+        });
+
+        if (nextActions) {
+            lines.push('');
+            lines.push(`### ${escapeMarkdown(labels.nextActions)}`);
+            lines.push('');
+            nextActions.items.forEach((item) => {
+                lines.push(`${item.rank}. **${escapeMarkdown(item.metric)}** ${escapeMarkdown(item.step)}${item.getTo ? ` - ${escapeMarkdown(item.getTo)}` : ''}`);
+            });
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    return {
+        DEFAULT_TEMPLATE_ID: DEFAULT_TEMPLATE_ID,
+        LABEL_MESSAGES: LABEL_MESSAGES,
+        PLACEHOLDERS: PLACEHOLDERS,
+        getLabels: getLabels,
+        escapeHtml: escapeHtml,
+        escapeMarkdown: escapeMarkdown,
+        renderTemplate: renderTemplate,
+        validateTemplate: validateTemplate,
+        getDefaultTemplate: getDefaultTemplate,
+        saveTemplate: saveTemplate,
+        deleteTemplate: deleteTemplate,
+        formatHtml: formatHtml,
+        formatPlainText: formatPlainText,
+        formatMarkdown: formatMarkdown,
+    };
+}));
@@ -0,0 +1,407 @@
+/**
+ * Filename: scoring.js
+ * Purpose: Provides the scoring engine for the Likelihood Calculator as a standalone module that has no dependency on the DOM.
+ * Description: This module takes a calculation profile (as found in profiles.json) and a set of criterion scores, normalises the criteria weights so they total 100, and returns the total likelihood along with the per-criterion contributions. The profile's `model` chooses how the scores are combined: linear (the default), weighted geometric mean, logistic curve or gated by criterion minimums. It is loaded by the browser as a classic script (exposing the `LikelihoodScoring` global) and by Node through `require()`, so the web app and the command line tool share exactly the same maths.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation, extracted from LikelihoodCalculator: 19 October 2026
+ * - Added the geometric, logistic and gated scoring models: 19 October 2026
+ * - Matched translated profiles by the slug of their en-AU name: 19 October 2026
+ * - Added the score that contributes nothing, for criteria that were never scored: 19 October 2026
+ * - Gave missing scores no contribution, rather than the lowest score, which is the best on inverted criteria: 19 October 2026
+ * - Weighted criteria equally when their weights total 0, and rejected minimums on inverted criteria: 19 October 2026
+ */
+
+(function (root, factory) {
+    'use strict';
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LikelihoodScoring = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /** @const {number} The lowest score a criterion can take. */
+    const MIN_SCORE = 1;
+    /** @const {number} The highest score a criterion can take. */
+    const MAX_SCORE = 5;
+
+    /** @const {string} The model used when a profile does not set one. */
+    const DEFAULT_MODEL = 'linear';
+
+    /** @const {Object<string, {name: string, description: string}>} The scoring models, keyed by the `model` type in profiles.json. */
+    const MODELS = {
+        linear: {
+            name: 'Linear',
+            description: 'Each criterion adds its share of the weight in proportion to its score.',
+        },
+        geometric: {
+            name: 'Weighted geometric mean',
+            description: 'Scores are multiplied together, weighted by importance, so one weak criterion pulls the likelihood down more than one strong criterion lifts it.',
+        },
+        logistic: {
+            name: 'Logistic curve',
+            description: 'The linear total is passed through an S-shaped curve, so changes matter most around the midpoint and have diminishing returns at either end.',
+        },
+        gated: {
+            name: 'Gated',
+            description: 'The linear total, capped when a criterion with a minimum score does not reach it.',
+        },
+    };
+
+    /** @const {{midpoint: number, steepness: number, cap: number}} The default model parameters. */
+    const MODEL_DEFAULTS = {
+        midpoint: 50,
+        steepness: 0.1,
+        cap: 0,
+    };
+
+    /**
+     * Generate a slug from a given string.
+     * Convert to lower-case hyphenated format.
+     * @example
+     * generateSlug('Angel Investors'); // 'angel-investors'
+     * @param {string} name The string to convert to a slug.
+     * @return {string}
+     */
+    function generateSlug(name) {
+        return name.toLowerCase().replace(/[\s]+/g, '-').replace(/[^\w\-]+/g, '');
+    }
+
+    /**
+     * Normalise criteria weights so that they total 100.
+     * Each returned criterion is a shallow copy carrying an `adjustedWeight`. Criteria whose weights total 0 are weighted equally.
+     * @param {Array<Object>} criteria The criteria of a profile.
+     * @return {{totalWeight: number, adjusted: boolean, criteria: Array<Object>}}
+     */
+    function normaliseWeights(criteria) {
+        const totalWeight = criteria.reduce((sum, criterion) => sum + criterion.weight, 0);
+        const adjusted = totalWeight !== 100;
+        const adjustedCriteria = criteria.map((criterion) => {
+            let adjustedWeight = criterion.weight;
+            if (totalWeight === 0) {
+                adjustedWeight = 100 / criteria.length;
+            } else if (adjusted) {
+                adjustedWeight = (criterion.weight / totalWeight) * 100;
+            }
+            return { ...criterion, adjustedWeight: adjustedWeight };
+        });
+        return { totalWeight: totalWeight, adjusted: adjusted, criteria: adjustedCriteria };
+    }
+
+    /**
+     * Calculate the weighted score for a single criterion.
+     * @param {Object} criterion The criterion object, including its `adjustedWeight`.
+     * @param {number} score The score for this criterion.
+     * @return {number} The weighted score.
+     */
+    function calculateCriterionWeightedScore(criterion, score) {
+        if (criterion.invert) {
+            // Inverted criterion: higher scores reduce likelihood
+            // Formula: weighted_score = ((5 - score) * adjustedWeight) / 4
+            return ((MAX_SCORE - score) * criterion.adjustedWeight) / (MAX_SCORE - MIN_SCORE);
+        }
+        // Regular criterion
+        // Formula: weighted_score = ((score - 1) * adjustedWeight) / 4
+        return ((score - MIN_SCORE) * criterion.adjustedWeight) / (MAX_SCORE - MIN_SCORE);
+    }
+
+    /**
+     * Get the score that contributes nothing to the likelihood: the lowest, or the highest on an inverted criterion.
+     * @param {Object} criterion The criterion.
+     * @return {number}
+     */
+    function worstScore(criterion) {
+        return criterion.invert ? MAX_SCORE : MIN_SCORE;
+    }
+
+    /**
+     * Validate a single score value.
+     * @param {*} value The value to validate.
+     * @param {string} metric The metric name, used in the error message.
+     * @return {number} The score as a number.
+     * @throws {RangeError} If the score is not a number between 1 and 5.
+     */
+    function validateScore(value, metric) {
+        const score = typeof value === 'string' ? parseFloat(value) : value;
+        if (typeof score !== 'number' || !Number.isFinite(score) || score < MIN_SCORE || score > MAX_SCORE) {
+            throw new RangeError(`Score for "${metric}" must be a number between ${MIN_SCORE} and ${MAX_SCORE}, got ${JSON.stringify(value)}.`);
+        }
+        return score;
+    }
+
+    /**
+     * Resolve the supplied scores into an array ordered like the criteria.
+     *
+     * Scores may be given as an array (numbers or `{score}` objects, in criteria
+     * order) or as an object keyed by metric name or metric slug. Criteria without
+     * a score are given the score that contributes nothing and listed in `missing`.
+     * @example
+     * // The criteria of Investment › Angel Investors
+     * resolveScores(criteria, { 'Personal Rapport': 4, 'value-add-services': 3.5 });
+     * @param {Array<Object>} criteria The criteria of a profile.
+     * @param {Array<number|Object>|Object<string, number>} scores The supplied scores.
+     * @return {{scores: Array<number>, missing: Array<string>}}
+     * @throws {Error} If a key does not match any criterion.
+     */
+    function resolveScores(criteria, scores) {
+        const resolved = [];
+        const missing = [];
+
+        if (Array.isArray(scores)) {
+            criteria.forEach((criterion, index) => {
+                const item = scores[index];
+                const value = item !== null && typeof item === 'object' ? item.score : item;
+                if (value === undefined || value === null) {
+                    missing.push(criterion.metric);
+                    resolved.push(worstScore(criterion));
+                } else {
+                    resolved.push(validateScore(value, criterion.metric));
+                }
+            });
+            return { scores: resolved, missing: missing };
+        }
+
+        const lookup = new Map();
+        criteria.forEach((criterion, index) => {
+            lookup.set(criterion.metric, index);
+            lookup.set(generateSlug(criterion.metric), index);
+        });
+        const byIndex = {};
+        Object.keys(scores || {}).forEach((key) => {
+            if (!lookup.has(key)) {
+                throw new Error(`Unknown criterion "${key}".`);
+            }
+            byIndex[lookup.get(key)] = scores[key];
+        });
+        criteria.forEach((criterion, index) => {
+            if (byIndex[index] === undefined) {
+                missing.push(criterion.metric);
+                resolved.push(worstScore(criterion));
+            } else {
+                resolved.push(validateScore(byIndex[index], criterion.metric));
+            }
+        });
+        return { scores: resolved, missing: missing };
+    }
+
+    /**
+     * Get the scoring model of a profile with its parameters.
+     * The profile's `model` may be a type name, e.g. 'logistic', or an object such as `{ "type": "logistic", "midpoint": 60 }`.
+     * @param {Object} profile The calculation profile.
+     * @return {{type: string, name: string, description: string, midpoint: number, steepness: number, cap: number}}
+     * @throws {RangeError} If the model type is not known.
+     */
+    function resolveModel(profile) {
+        const setting = profile.model || DEFAULT_MODEL;
+        const options = typeof setting === 'string' ? { type: setting } : setting;
+        const type = options.type || DEFAULT_MODEL;
+        if (!Object.prototype.hasOwnProperty.call(MODELS, type)) {
+            throw new RangeError(`Unknown scoring model "${type}". Use one of: ${Object.keys(MODELS).join(', ')}.`);
+        }
+        return {
+            type: type,
+            name: MODELS[type].name,
+            description: MODELS[type].description,
+            midpoint: Number.isFinite(options.midpoint) ? options.midpoint : MODEL_DEFAULTS.midpoint,
+            steepness: Number.isFinite(options.steepness) && options.steepness > 0 ? options.steepness : MODEL_DEFAULTS.steepness,
+            cap: Number.isFinite(options.cap) ? options.cap : MODEL_DEFAULTS.cap,
+        };
+    }
+
+    /**
+     * Combine the scores with the weighted geometric mean.
+     * Each score becomes a ratio of the maximum (inverted criteria are mirrored), the ratios are multiplied with the
+     * weights as exponents, and the result is rescaled so that all minimum scores give 0 and all maximum scores give 100.
+     * @param {Array<Object>} criteria The normalised criteria.
+     * @param {Array<number>} scores The scores.
+     * @return {number} The likelihood, 0 to 100.
+     */
+    function geometricLikelihood(criteria, scores) {
+        const floor = MIN_SCORE / MAX_SCORE;
+        const product = criteria.reduce((total, criterion, index) => {
+            const score = criterion.invert ? MAX_SCORE + MIN_SCORE - scores[index] : scores[index];
+            return total * Math.pow(score / MAX_SCORE, criterion.adjustedWeight / 100);
+        }, 1);
+        return Math.max(0, ((product - floor) / (1 - floor)) * 100);
+    }
+
+    /**
+     * Pass a linear total through a logistic curve, rescaled so that 0 stays 0 and 100 stays 100.
+     * @param {number} linearScore The linear total, 0 to 100.
+     * @param {{midpoint: number, steepness: number}} model The model parameters.
+     * @return {number} The likelihood, 0 to 100.
+     */
+    function logisticLikelihood(linearScore, model) {
+        const sigmoid = (value) => 1 / (1 + Math.exp(-model.steepness * (value - model.midpoint)));
+        const low = sigmoid(0);
+        const high = sigmoid(100);
+        return ((sigmoid(linearScore) - low) / (high - low)) * 100;
+    }
+
+    /**
+     * Explain how a model produced a likelihood, in one or two sentences.
+     * @param {Object} model The model from resolveModel().
+     * @param {number} linearScore The linear total.
+     * @param {number} likelihood The model's likelihood.
+     * @param {Array<{metric: string, minimum: number, score: number, met: boolean}>} gates The criterion minimums.
+     * @return {string}
+     */
+    function explainModel(model, linearScore, likelihood, gates) {
+        const linear = formatPercentage(linearScore);
+        switch (model.type) {
+            case 'geometric':
+                return `${model.description} The linear total would be ${linear}.`;
+            case 'logistic':
+                return `${model.description} The linear total of ${linear} maps to ${formatPercentage(likelihood)} (midpoint ${model.midpoint}%, steepness ${model.steepness}).`;
+            case 'gated': {
+                const unmet = gates.filter((gate) => !gate.met);
+                if (gates.length === 0) {
+                    return `${model.description} No criterion has a minimum, so the linear total stands.`;
+                }
+                if (unmet.length === 0) {
+                    return `${model.description} Every minimum is met, so the linear total stands.`;
+                }
+                const reasons = unmet.map((gate) => `${gate.metric} scored ${gate.score}, below its minimum of ${gate.minimum}`).join('; ');
+                if (linearScore <= model.cap) {
+                    return `${model.description} ${reasons}, but the linear total of ${linear} is already within the cap of ${formatPercentage(model.cap)}.`;
+                }
+                return `${model.description} ${reasons}, so the likelihood is capped at ${formatPercentage(model.cap)} (the linear total would be ${linear}).`;
+            }
+            default:
+                return model.description;
+        }
+    }
+
+    /**
+     * Score a profile.
+     *
+     * Missing scores contribute nothing: they are the lowest score, or the highest on
+     * inverted criteria, and are listed in `missing`.
+     * @example
+     * // Investment › Angel Investors
+     * const result = scoreProfile(profile, { 'Personal Rapport': 4, 'value-add-services': 3.5 });
+     * console.log(result.percentageLikelihood);
+     * @param {Object} profile The calculation profile.
+     * @param {Array<number|Object>|Object<string, number>} scores The supplied scores.
+     * @return {{
+     *     percentageLikelihood: number,
+     *     totalScore: number,
+     *     linearScore: number,
+     *     model: {type: string, name: string, description: string, explanation: string, midpoint: number, steepness: number, cap: number},
+     *     gates: Array<{index: number, metric: string, minimum: number, score: number, met: boolean}>,
+     *     normalisation: {totalWeight: number, adjusted: boolean},
+     *     contributions: Array<{index: number, metric: string, score: number, weight: number, adjustedWeight: number, invert: boolean, linearScore: number, weightedScore: number}>,
+     *     missing: Array<string>
+     * }}
+     *     `linearScore` is the total from the linear formula. The contributions' `weightedScore`s are their linear scores
+     *     scaled to add up to the model's likelihood, so charts can show each criterion's share of it.
+     * @throws {RangeError} If a score is out of range, the model is not known or an inverted criterion has a minimum.
+     */
+    function scoreProfile(profile, scores) {
+        const model = resolveModel(profile);
+        const normalisation = normaliseWeights(profile.criteria);
+        const resolved = resolveScores(normalisation.criteria, scores);
+
+        const linearScores = normalisation.criteria.map((criterion, index) => calculateCriterionWeightedScore(criterion, resolved.scores[index]));
+        const linearScore = linearScores.reduce((sum, value) => sum + value, 0);
+        const gates = normalisation.criteria
+            .map((criterion, index) => ({ index: index, metric: criterion.metric, minimum: criterion.minimum, score: resolved.scores[index], invert: criterion.invert }))
+            .filter((gate) => typeof gate.minimum === 'number')
+            .map((gate) => {
+                // A higher score is worse on an inverted criterion, so a minimum score would reject the best assessments
+                if (gate.invert) {
+                    throw new RangeError(`"${gate.metric}" is inverted, so it cannot have a minimum score.`);
+                }
+                return { index: gate.index, metric: gate.metric, minimum: gate.minimum, score: gate.score, met: gate.score >= gate.minimum };
+            });
+
+        let likelihood = linearScore;
+        if (model.type === 'geometric') {
+            likelihood = geometricLikelihood(normalisation.criteria, resolved.scores);
+        } else if (model.type === 'logistic') {
+            likelihood = logisticLikelihood(linearScore, model);
+        } else if (model.type === 'gated' && gates.some((gate) => !gate.met)) {
+            likelihood = Math.min(linearScore, model.cap);
+        }
+
+        // Share the model's likelihood between the criteria in proportion to their linear scores
+        const scale = linearScore > 0 ? likelihood / linearScore : 0;
+        const contributions = normalisation.criteria.map((criterion, index) => {
+            return {
+                index: index,
+                metric: criterion.metric,
+                score: resolved.scores[index],
+                weight: criterion.weight,
+                adjustedWeight: criterion.adjustedWeight,
+                invert: Boolean(criterion.invert),
+                linearScore: linearScores[index],
+                weightedScore: linearScores[index] * scale,
+            };
+        });
+        const totalScore = contributions.reduce((sum, item) => sum + item.weightedScore, 0);
+
+        return {
+            percentageLikelihood: totalScore,
+            totalScore: totalScore,
+            linearScore: linearScore,
+            model: { ...model, explanation: explainModel(model, linearScore, totalScore, gates) },
+            gates: gates,
+            normalisation: {
+                totalWeight: normalisation.totalWeight,
+                adjusted: normalisation.adjusted,
+            },
+            contributions: contributions,
+            missing: resolved.missing,
+        };
+    }
+
+    /**
+     * Format a likelihood as a percentage string.
+     * @param {number} percentageLikelihood The likelihood, 0 to 100.
+     * @return {string} e.g. '42.50%'
+     */
+    function formatPercentage(percentageLikelihood) {
+        return percentageLikelihood.toFixed(2) + '%';
+    }
+
+    /**
+     * Find a category by slug or name.
+     * @param {Array<Object>} categories The categories from profiles.json.
+     * @param {string} slugOrName The category slug or name.
+     * @return {Object|undefined}
+     */
+    function findCategory(categories, slugOrName) {
+        return categories.find((category) => category.slug === slugOrName || category.name === slugOrName);
+    }
+
+    /**
+     * Find a profile within a category by slug or name.
+     * Translated profiles keep the slug of their en-AU name in `slug` (see i18n.js), which is matched too.
+     * @param {Object} category The category.
+     * @param {string} slugOrName The profile slug or name.
+     * @return {Object|undefined}
+     */
+    function findProfile(category, slugOrName) {
+        return category.profiles.find((profile) => profile.slug === slugOrName || generateSlug(profile.name) === slugOrName || profile.name === slugOrName);
+    }
+
+    return {
+        MIN_SCORE: MIN_SCORE,
+        MAX_SCORE: MAX_SCORE,
+        DEFAULT_MODEL: DEFAULT_MODEL,
+        MODELS: MODELS,
+        generateSlug: generateSlug,
+        normaliseWeights: normaliseWeights,
+        calculateCriterionWeightedScore: calculateCriterionWeightedScore,
+        worstScore: worstScore,
+        resolveScores: resolveScores,
+        resolveModel: resolveModel,
+        scoreProfile: scoreProfile,
+        formatPercentage: formatPercentage,
+        findCategory: findCategory,
+        findProfile: findProfile,
+    };
+}));
@@ -0,0 +1,104 @@
+/**
+ * Filename: sensitivity.js
+ * Purpose: Works out which criterion to improve next to raise the likelihood the most.
+ * Description: For each criterion of a profile, rescores the assessment with that criterion moved one whole score level in the direction that raises the likelihood (up for normal criteria, down for inverted ones) and measures the gain with the profile's own scoring model, so adjusted weights, inverted criteria and gates are all respected. The criteria are ranked by gain, and each suggestion carries the score descriptor of the level to reach as a concrete next action. Loaded by the browser as a classic script (exposing the `LikelihoodSensitivity` global) and by Node through `require()`.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ */
+
+(function (root, factory) {
+    'use strict';
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./scoring.js'));
+    } else {
+        root.LikelihoodSensitivity = factory(root.LikelihoodScoring);
+    }
+}(typeof self !== 'undefined' ? self : this, function (LikelihoodScoring) {
+    'use strict';
+
+    /**
+     * A suggested next action.
+     * @typedef {Object} Suggestion
+     * @property {number} index The criterion index.
+     * @property {string} metric The criterion metric.
+     * @property {boolean} invert Whether the criterion is inverted.
+     * @property {number} score The current score.
+     * @property {number} target The score to reach.
+     * @property {number} gain How much the likelihood would rise, in percentage points.
+     * @property {number} likelihood The likelihood once the target is reached.
+     * @property {string} descriptor The score descriptor of the target, or an empty string.
+     */
+
+    /**
+     * Get the next whole score level that raises the likelihood.
+     * A score between levels moves to the next level, e.g. 3.25 to 4 (or to 3 for an inverted criterion).
+     * @param {Object} criterion The criterion.
+     * @param {number} score The current score.
+     * @return {?number} The target score, or null if the criterion is already at its best.
+     */
+    function nextLevel(criterion, score) {
+        if (criterion.invert) {
+            return score > LikelihoodScoring.MIN_SCORE ? Math.ceil(score) - 1 : null;
+        }
+        return score < LikelihoodScoring.MAX_SCORE ? Math.floor(score) + 1 : null;
+    }
+
+    /**
+     * Rank the criteria of a profile by how much improving each by one level would raise the likelihood.
+     * @example
+     * const analysis = analyseProfile(profile, [3, 2, 4]);
+     * analysis.suggestions[0]; // { metric: 'Interest Level', score: 2, target: 3, gain: 6.25, descriptor: 'Interested', ... }
+     * @param {Object} profile The calculation profile.
+     * @param {(Array<number>|Array<{score: number}>|Object<string, number>)} scores The scores, in any form scoreProfile() accepts.
+     * @return {{likelihood: number, suggestions: Array<Suggestion>}} The current likelihood and the criteria that can
+     *     still improve, highest gain first (ties in criteria order). Criteria already at their best are left out.
+     * @throws {RangeError} If a score is out of range or the model is not known.
+     */
+    function analyseProfile(profile, scores) {
+        const current = LikelihoodScoring.scoreProfile(profile, scores);
+        const currentScores = current.contributions.map((item) => item.score);
+
+        const suggestions = [];
+        profile.criteria.forEach((criterion, index) => {
+            const target = nextLevel(criterion, currentScores[index]);
+            if (target === null) {
+                return;
+            }
+            const improved = currentScores.slice();
+            improved[index] = target;
+            const likelihood = LikelihoodScoring.scoreProfile(profile, improved).percentageLikelihood;
+            const descriptors = criterion.scoreDescriptors || {};
+            suggestions.push({
+                index: index,
+                metric: criterion.metric,
+                invert: Boolean(criterion.invert),
+                score: currentScores[index],
+                target: target,
+                gain: likelihood - current.percentageLikelihood,
+                likelihood: likelihood,
+                descriptor: descriptors[target.toString()] || '',
+            });
+        });
+
+        // Compare gains with a tolerance so rounding noise does not reorder criteria with equal gains
+        suggestions.sort((a, b) => (Math.abs(b.gain - a.gain) > 1e-9 ? b.gain - a.gain : a.index - b.index));
+        return { likelihood: current.percentageLikelihood, suggestions: suggestions };
+    }
+
+    /**
+     * Format a gain in percentage points for display, e.g. '+6.25%'.
+     * @param {number} gain The gain.
+     * @return {string}
+     */
+    function formatGain(gain) {
+        return `+${LikelihoodScoring.formatPercentage(Math.max(0, gain))}`;
+    }
+
+    return {
+        nextLevel: nextLevel,
+        analyseProfile: analyseProfile,
+        formatGain: formatGain,
+    };
+}));
@@ -0,0 +1,116 @@
+/**
+ * Filename: service-worker.js
+ * Purpose: Makes the calculator work offline and lets it install as an app.
+ * Description: Precaches the app shell, profiles.json and the vendored third-party libraries when it installs, then answers requests as decided by offline.js: calculator addresses get the cached page, profiles.json is served stale-while-revalidate, and other files come from the cache first. A new version waits until the page accepts the "update available" prompt, so a page never runs with a mix of old and new files. Increase CACHE_VERSION whenever a cached file changes, or browsers will keep serving the old files.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ * - Increased the cache version for the translations: 19 October 2026
+ * - Increased the cache version for the accessibility changes: 19 October 2026
+ * - Versioned profiles.json with the shell instead of refreshing it in the background, and increased the cache version for the pinned Chart.js: 19 October 2026
+ * - Refreshed profiles.json in the background again, and increased the cache version for the vendored libraries: 19 October 2026
+ */
+
+/* global LikelihoodOffline */
+importScripts('/offline.js');
+
+/** @const {number} The version of the cached files; increase it on every release. */
+const CACHE_VERSION = 5;
+
+/** @const {string} The cache of the precached files for this version. */
+const PRECACHE = `likelihood-precache-v${CACHE_VERSION}`;
+
+/** @const {string} The cache of files stored as they load, kept across versions. */
+const RUNTIME_CACHE = 'likelihood-runtime';
+
+/**
+ * Create the request used to precache a file, bypassing the HTTP cache so that a new version gets new files.
+ * @param {string} url The file address.
+ * @return {Request}
+ */
+function precacheRequest(url) {
+    return new Request(url, { cache: 'reload' });
+}
+
+/**
+ * Answer from the cache, falling back to the network and storing what it returns.
+ * @param {Request} request The request.
+ * @param {string} cacheName The cache to store network responses in.
+ * @return {Promise<Response>}
+ */
+async function cacheFirst(request, cacheName) {
+    const cached = await caches.match(request);
+    if (cached) {
+        return cached;
+    }
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(cacheName);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Answer from the cache straight away while refreshing the cached copy from the network.
+ * Without a cached copy, the network response is awaited.
+ * @param {FetchEvent} event The fetch event, kept alive until the refresh finishes.
+ * @return {Promise<Response>}
+ */
+async function staleWhileRevalidate(event) {
+    const cache = await caches.open(PRECACHE);
+    const cached = await cache.match(event.request);
+    const refresh = fetch(event.request).then(async (response) => {
+        if (response.ok) {
+            await cache.put(event.request, response.clone());
+        }
+        return response;
+    });
+    if (cached) {
+        event.waitUntil(refresh.catch((error) => console.warn(`Could not refresh ${event.request.url}:`, error)));
+        return cached;
+    }
+    return refresh;
+}
+
+self.addEventListener('install', (event) => {
+    const urls = LikelihoodOffline.SHELL_URLS.concat(LikelihoodOffline.DATA_URLS, LikelihoodOffline.VENDOR_URLS);
+    event.waitUntil(caches.open(PRECACHE).then((cache) => cache.addAll(urls.map(precacheRequest))));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then((names) => Promise.all(names
+            .filter((name) => name.startsWith('likelihood-') && name !== PRECACHE && name !== RUNTIME_CACHE)
+            .map((name) => caches.delete(name))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    switch (LikelihoodOffline.getStrategy(request.method, request.mode, request.url, self.location.origin)) {
+        case 'shell':
+            event.respondWith(caches.match(LikelihoodOffline.SHELL_PAGE, { cacheName: PRECACHE })
+                .then((cached) => cached || fetch(request)));
+            break;
+        case 'precache':
+            event.respondWith(cacheFirst(request, PRECACHE));
+            break;
+        case 'stale-while-revalidate':
+            event.respondWith(staleWhileRevalidate(event));
+            break;
+        case 'runtime':
+            event.respondWith(cacheFirst(request, RUNTIME_CACHE));
+            break;
+        default:
+            // Leave the request to the browser
+            break;
+    }
+});
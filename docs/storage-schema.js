@@ -0,0 +1,307 @@
+/**
+ * Filename: storage-schema.js
+ * Purpose: Gives categories, profiles and criteria stable IDs and upgrades stored entities to the current storage schema.
+ * Description: Stored assessments are keyed by category and profile ID, and each stored score carries the ID of its criterion, so renaming a profile or reordering, adding and removing criteria in profiles.json no longer puts old scores on the wrong sliders. IDs missing from a definition are derived from its name (or the category slug) once, when the definitions are loaded. Schema 1 data, keyed by display names with scores matched by position, is upgraded on load, and stored scores are aligned with the current criteria so criteria that no longer exist or are new and unscored can be flagged. Loaded by the browser as a classic script (exposing the `LikelihoodStorageSchema` global) and by Node through `require()`.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ * - Read and wrote through the IndexedDB entity store: 19 October 2026
+ * - Derived missing IDs from the en-AU text of translated names: 19 October 2026
+ * - Documented that upgrades need the en-AU categories: 19 October 2026
+ */
+
+(function (root, factory) {
+    'use strict';
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./scoring.js'), require('./i18n.js'));
+    } else {
+        root.LikelihoodStorageSchema = factory(root.LikelihoodScoring, root.LikelihoodI18n);
+    }
+}(typeof self !== 'undefined' ? self : this, function (LikelihoodScoring, LikelihoodI18n) {
+    'use strict';
+
+    /** @const {number} The storage schema version written by this module. */
+    const SCHEMA_VERSION = 2;
+
+    /** @const {string} The local storage key holding the schema version of the stored entities. */
+    const VERSION_KEY = 'entitiesSchemaVersion';
+
+    /** @const {string} The local storage key holding the entities. */
+    const ENTITIES_KEY = 'entities';
+
+    /**
+     * Check that a value is a plain object.
+     * @param {*} value The value.
+     * @return {boolean}
+     */
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Make an ID from a name that is not already taken, adding -2, -3 and so on if needed.
+     * @param {string} name The name.
+     * @param {Set<string>} taken The IDs already in use.
+     * @return {string}
+     */
+    function createId(name, taken) {
+        const base = LikelihoodScoring.generateSlug(name || '') || 'item';
+        let id = base;
+        for (let suffix = 2; taken.has(id); suffix++) {
+            id = `${base}-${suffix}`;
+        }
+        return id;
+    }
+
+    /**
+     * Give each of a list of items an ID, keeping those it already has.
+     * @param {Array<Object>} items The items.
+     * @param {function(Object): string} getName Returns the name to derive a missing ID from.
+     */
+    function assignItemIds(items, getName) {
+        const taken = new Set(items.map((item) => item.id).filter(Boolean));
+        items.forEach((item) => {
+            if (!item.id) {
+                item.id = createId(getName(item), taken);
+                taken.add(item.id);
+            }
+        });
+    }
+
+    /**
+     * Give every category, profile and criterion an ID, keeping those set in the definitions.
+     * Missing category IDs default to the slug, and missing profile and criterion IDs are derived from the name and metric.
+     * Translated names and metrics give their en-AU text, so the IDs are the same in every language as long as the
+     * categories are given their IDs before they are translated.
+     * @param {Array<Object>} categories The categories; they are updated in place.
+     * @return {Array<Object>} The same categories.
+     */
+    function assignIds(categories) {
+        const defaultText = (value) => LikelihoodI18n.localiseText(value, LikelihoodI18n.DEFAULT_LOCALE);
+        assignItemIds(categories, (category) => category.slug || defaultText(category.name));
+        categories.forEach((category) => {
+            const profiles = category.profiles || [];
+            assignItemIds(profiles, (profile) => defaultText(profile.name));
+            profiles.forEach((profile) => assignItemIds(profile.criteria || [], (criterion) => defaultText(criterion.metric)));
+        });
+        return categories;
+    }
+
+    /**
+     * Find a category by its storage key, which is its ID, or its name in schema 1 data.
+     * @param {Array<Object>} categories The categories.
+     * @param {string} key The storage key.
+     * @return {Object|undefined}
+     */
+    function findCategory(categories, key) {
+        return categories.find((category) => category.id === key) || categories.find((category) => category.name === key);
+    }
+
+    /**
+     * Find a profile by its storage key, which is its ID, or its name in schema 1 data.
+     * @param {Object} category The category.
+     * @param {string} key The storage key.
+     * @return {Object|undefined}
+     */
+    function findProfile(category, key) {
+        const profiles = category.profiles || [];
+        return profiles.find((profile) => profile.id === key) || profiles.find((profile) => profile.name === key);
+    }
+
+    /**
+     * Align stored scores with a profile's criteria.
+     * Scores are matched by criterion ID, then by metric name for scores stored without an ID, then by position for
+     * scores stored with neither.
+     * @example
+     * const aligned = alignScores(profile.criteria, record.scores);
+     * aligned.scores[2];  // The stored score of the third criterion, or null if it has none
+     * aligned.removed;    // Stored scores whose criterion is no longer in the profile
+     * @param {Array<Object>} criteria The criteria.
+     * @param {Array<Object>} storedScores The stored scores.
+     * @return {{scores: Array<?Object>, unscored: Array<number>, removed: Array<Object>}} The stored score of each
+     *     criterion (null if it has none), the indexes of the criteria without a score (or only a placeholder saved
+     *     before they were scored), and the stored scores that match no criterion.
+     */
+    function alignScores(criteria, storedScores) {
+        const scores = criteria.map(() => null);
+        const removed = [];
+        (Array.isArray(storedScores) ? storedScores : []).forEach((item, position) => {
+            if (!isObject(item)) {
+                return;
+            }
+            let index;
+            if (item.id) {
+                index = criteria.findIndex((criterion) => criterion.id === item.id);
+            } else if (item.metric) {
+                index = criteria.findIndex((criterion) => criterion.metric === item.metric);
+            } else {
+                index = position < criteria.length ? position : -1;
+            }
+            if (index === -1 || scores[index] !== null) {
+                removed.push(item);
+            } else {
+                scores[index] = item;
+            }
+        });
+        const unscored = [];
+        scores.forEach((item, index) => {
+            if (item === null || item.unscored) {
+                unscored.push(index);
+            }
+        });
+        return { scores: scores, unscored: unscored, removed: removed };
+    }
+
+    /**
+     * Add criterion IDs to schema 1 scores, which were stored by position with their metric name.
+     * Scores that match no criterion are kept without an ID.
+     * @param {Array<Object>} criteria The criteria.
+     * @param {Array<Object>} storedScores The stored scores.
+     * @return {Array<Object>}
+     */
+    function upgradeScores(criteria, storedScores) {
+        if (!Array.isArray(storedScores)) {
+            return storedScores;
+        }
+        return storedScores.map((item, position) => {
+            if (!isObject(item) || item.id) {
+                return item;
+            }
+            let criterion = item.metric ? criteria.find((candidate) => candidate.metric === item.metric) : undefined;
+            if (!criterion && !item.metric) {
+                criterion = criteria[Number.isInteger(item.index) ? item.index : position];
+            }
+            return criterion ? { ...item, id: criterion.id } : item;
+        });
+    }
+
+    /**
+     * Upgrade a stored profile record, and every snapshot in its history, to schema 2 scores.
+     * @param {Object} record The record.
+     * @param {Object} profile The profile it belongs to.
+     * @return {Object}
+     */
+    function upgradeRecord(record, profile) {
+        if (!isObject(record)) {
+            return record;
+        }
+        const upgraded = { ...record };
+        if (Array.isArray(record.scores)) {
+            upgraded.scores = upgradeScores(profile.criteria, record.scores);
+        }
+        if (Array.isArray(record.history)) {
+            upgraded.history = record.history.map((snapshot) => (isObject(snapshot)
+                ? { ...snapshot, scores: upgradeScores(profile.criteria, snapshot.scores) }
+                : snapshot));
+        }
+        return upgraded;
+    }
+
+    /**
+     * Upgrade stored entities from schema 1 to the current schema.
+     * Schema 1 keys categories and profiles by their names; they are rekeyed by ID and their scores given criterion IDs.
+     * Categories and profiles that no longer exist keep their old keys so nothing is lost.
+     * Schema 1 was only written in English, so the categories must be in en-AU (see
+     * LikelihoodCustomProfiles.mergeDefaultLocale); translated names would match nothing.
+     * @example
+     * const entities = migrateEntities(JSON.parse(localStorage.getItem('entities')), categories, 1);
+     * @param {Object} entitiesData The stored entities, `entities[category][entity][profileCategory][profile]`.
+     * @param {Array<Object>} categories The categories in en-AU, with IDs assigned.
+     * @param {number} fromVersion The schema version of the entities.
+     * @return {Object} The upgraded entities; the input is not modified.
+     */
+    function migrateEntities(entitiesData, categories, fromVersion) {
+        if (!isObject(entitiesData) || fromVersion >= SCHEMA_VERSION) {
+            return entitiesData;
+        }
+        const migrated = {};
+        Object.keys(entitiesData).forEach((categoryKey) => {
+            const category = findCategory(categories, categoryKey);
+            const key = category ? category.id : categoryKey;
+            const entities = entitiesData[categoryKey];
+            if (!isObject(entities)) {
+                migrated[key] = entities;
+                return;
+            }
+            migrated[key] = migrated[key] || {};
+            Object.keys(entities).forEach((entityName) => {
+                const entityData = entities[entityName];
+                if (!isObject(entityData)) {
+                    migrated[key][entityName] = entityData;
+                    return;
+                }
+                const upgraded = {};
+                Object.keys(entityData).forEach((field) => {
+                    const value = entityData[field];
+                    // Fields other than the image hold the profile records of a category
+                    const profileCategory = isObject(value) ? findCategory(categories, field) : undefined;
+                    if (!profileCategory) {
+                        upgraded[field] = value;
+                        return;
+                    }
+                    const records = {};
+                    Object.keys(value).forEach((profileKey) => {
+                        const profile = findProfile(profileCategory, profileKey);
+                        if (profile) {
+                            records[profile.id] = upgradeRecord(value[profileKey], profile);
+                        } else {
+                            records[profileKey] = value[profileKey];
+                        }
+                    });
+                    upgraded[profileCategory.id] = records;
+                });
+                migrated[key][entityName] = upgraded;
+            });
+        });
+        return migrated;
+    }
+
+    /**
+     * Get the schema version of the entities in storage.
+     * Storage written before versioning is schema 1.
+     * @param {Storage} storage The storage, normally the entity store from storage.js.
+     * @return {number}
+     */
+    function getStoredVersion(storage) {
+        const version = parseInt(storage.getItem(VERSION_KEY), 10);
+        return Number.isInteger(version) ? version : 1;
+    }
+
+    /**
+     * Upgrade the entities in storage to the current schema, if they are older.
+     * @param {Storage} storage The storage, normally the entity store from storage.js.
+     * @param {Array<Object>} categories The categories in en-AU, with IDs assigned.
+     * @return {{from: number, to: number, migrated: boolean}} The versions before and after, and whether anything was upgraded.
+     * @throws {Error} If the stored entities are newer than this version of the app understands.
+     */
+    function migrateStorage(storage, categories) {
+        const version = getStoredVersion(storage);
+        if (version > SCHEMA_VERSION) {
+            throw new Error(`The saved data uses storage schema ${version}, but this version of the app only reads up to schema ${SCHEMA_VERSION}.`);
+        }
+        if (version === SCHEMA_VERSION) {
+            return { from: version, to: version, migrated: false };
+        }
+        const json = storage.getItem(ENTITIES_KEY);
+        if (json) {
+            storage.setItem(ENTITIES_KEY, JSON.stringify(migrateEntities(JSON.parse(json), categories, version)));
+        }
+        storage.setItem(VERSION_KEY, SCHEMA_VERSION.toString());
+        return { from: version, to: SCHEMA_VERSION, migrated: Boolean(json) };
+    }
+
+    return {
+        SCHEMA_VERSION: SCHEMA_VERSION,
+        VERSION_KEY: VERSION_KEY,
+        createId: createId,
+        assignItemIds: assignItemIds,
+        assignIds: assignIds,
+        findCategory: findCategory,
+        findProfile: findProfile,
+        alignScores: alignScores,
+        migrateEntities: migrateEntities,
+        getStoredVersion: getStoredVersion,
+        migrateStorage: migrateStorage,
+    };
+}));
@@ -0,0 +1,833 @@
+/**
+ * Filename: storage.js
+ * Purpose: Stores the entities and their images in IndexedDB, falling back to local storage, and reports how much storage is used.
+ * Description: Local storage holds about 5 MB per site, which a few dozen entity images stored as base64 data URLs used up. The stored entities and their schema version now live in an IndexedDB database, with each image kept as a Blob in its own object store and referenced from its entity as `idb-image:<id>`. The store looks like window.localStorage (`getItem`, `setItem`, `removeItem`, `key` and `length`), so the backup and storage schema modules work with it unchanged: the database keys are served from memory and written to the database in the background, any data URL images written into the entities are turned into Blobs, and images that no stored entity references are deleted. Other keys go straight to local storage. Several tabs can use the store at once: every write rereads the database in the same transaction and keeps the other tabs' changes to entities this tab has not changed, and the other tabs are told through a BroadcastChannel (or the `storage` event, in local storage) so they can reload. Entities in local storage are moved into the database when it opens, and are only removed from local storage once the database copy has been read back and checked. Where IndexedDB is unavailable, everything stays in local storage as before, and the store reports when entities saved in the database cannot be reached. Failed writes, such as a full quota, are reported through a callback rather than thrown. Loaded by the browser as a classic script (exposing the `LikelihoodStorage` global) and by Node through `require()`.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ * - Merged writes from other tabs, kept images other tabs reference and checked the database copy before clearing local storage: 19 October 2026
+ */
+
+(function (root, factory) {
+    'use strict';
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LikelihoodStorage = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /** @const {string} The name of the IndexedDB database. */
+    const DATABASE_NAME = 'likelihood-calculator';
+
+    /** @const {number} The version of the IndexedDB database. */
+    const DATABASE_VERSION = 1;
+
+    /** @const {string} The object store holding the database keys. */
+    const VALUES_STORE = 'values';
+
+    /** @const {string} The object store holding the entity images as Blobs. */
+    const IMAGES_STORE = 'images';
+
+    /** @const {string} The key holding the entities. */
+    const ENTITIES_KEY = 'entities';
+
+    /** @const {string} The key holding the storage schema version of the entities. */
+    const VERSION_KEY = 'entitiesSchemaVersion';
+
+    /** @const {Array<string>} Keys kept in the database rather than local storage. */
+    const DATABASE_KEYS = [ENTITIES_KEY, VERSION_KEY];
+
+    /** @const {string} The database key holding the number of writes so far, which tells a tab whether another has written. */
+    const REVISION_KEY = 'revision';
+
+    /** @const {string} The local storage key marking that entities have been saved in the database. */
+    const DATABASE_MARKER_KEY = 'entitiesInIndexedDB';
+
+    /** @const {string} The BroadcastChannel that tabs announce their writes on. */
+    const CHANNEL_NAME = 'likelihood-storage';
+
+    /** @const {string} The prefix of an entity image stored in the database. */
+    const IMAGE_REF_PREFIX = 'idb-image:';
+
+    /** @const {number} The local storage limit assumed, in bytes; the smallest that browsers commonly apply. */
+    const LOCAL_STORAGE_QUOTA = 5 * 1024 * 1024;
+
+    /** @const {number} The share of the quota in use at which storage is reported as nearly full. */
+    const WARNING_RATIO = 0.8;
+
+    /**
+     * The entity store.
+     * @typedef {Object} EntityStore
+     * @property {string} backend 'indexeddb' or 'localstorage'.
+     * @property {boolean} migrated Whether entities were moved from local storage into the database when it opened.
+     * @property {?Error} fallbackError Why the database could not be used, if the store fell back to local storage.
+     * @property {boolean} unreachable Whether entities saved in the database are out of reach because the store fell back to local storage.
+     * @property {number} length The number of stored keys.
+     * @property {function(number): ?string} key Get the name of a stored key.
+     * @property {function(string): ?string} getItem Read a key.
+     * @property {function(string, string)} setItem Write a key.
+     * @property {function(string)} removeItem Remove a key.
+     * @property {function(string): string} getImageUrl Get a URL an `<img>` can show for an entity image.
+     * @property {function(string): Promise<string>} getImageDataUrl Get an entity image as a data URL.
+     * @property {function(Object): Promise<Object>} inlineImages Copy stored entities with their images as data URLs.
+     * @property {function(): Promise<{usage: number, quota: ?number}>} estimate Get the storage used and available, in bytes.
+     * @property {function(): Promise<void>} flush Wait for pending writes to finish.
+     */
+
+    /**
+     * Options for opening the store.
+     * @typedef {Object} StoreOptions
+     * @property {IDBFactory} [indexedDB] The IndexedDB factory, normally window.indexedDB; without it local storage is used.
+     * @property {Storage} localStorage The local storage, normally window.localStorage.
+     * @property {StorageManager} [storageManager] The storage manager, normally navigator.storage, used to estimate usage.
+     * @property {function(Error)} [onWriteError] Called when a write fails.
+     * @property {function()} [onWrite] Called after stored entities are written.
+     * @property {function()} [onChange] Called when another tab has changed the stored entities.
+     */
+
+    /**
+     * Check that a value is a plain object.
+     * @param {*} value The value.
+     * @return {boolean}
+     */
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Generate a random identifier.
+     * @return {string}
+     */
+    function generateId() {
+        return Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+    }
+
+    /**
+     * Check whether an error means the storage quota was exceeded.
+     * @param {*} error The error.
+     * @return {boolean}
+     */
+    function isQuotaError(error) {
+        return Boolean(error) && (error.name === 'QuotaExceededError'
+            || error.name === 'NS_ERROR_DOM_QUOTA_REACHED'
+            || error.code === 22
+            || error.code === 1014);
+    }
+
+    /**
+     * Check whether storage is nearly full.
+     * @param {{usage: number, quota: ?number}} estimate The storage estimate.
+     * @return {boolean}
+     */
+    function isNearlyFull(estimate) {
+        return Boolean(estimate.quota) && estimate.usage / estimate.quota >= WARNING_RATIO;
+    }
+
+    /**
+     * Format a number of bytes for display.
+     * @example
+     * formatBytes(1536); // '1.5 KB'
+     * @param {number} bytes The number of bytes.
+     * @return {string}
+     */
+    function formatBytes(bytes) {
+        const units = ['bytes', 'KB', 'MB', 'GB', 'TB'];
+        let value = bytes;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return unit === 0 ? `${value} bytes` : `${value.toFixed(1)} ${units[unit]}`;
+    }
+
+    /**
+     * Convert a data URL into a Blob.
+     * @param {string} dataUrl The data URL.
+     * @return {Blob}
+     * @throws {Error} If the value is not a data URL.
+     */
+    function dataUrlToBlob(dataUrl) {
+        const match = /^data:([^,]*),(.*)$/s.exec(dataUrl);
+        if (!match) {
+            throw new Error('The image is not a data URL.');
+        }
+        const parameters = match[1].split(';');
+        const type = parameters[0] || 'text/plain';
+        if (!parameters.includes('base64')) {
+            return new Blob([decodeURIComponent(match[2])], { type: type });
+        }
+        const binary = atob(match[2]);
+        const bytes = new Uint8Array(binary.length);
+        for (let index = 0; index < binary.length; index++) {
+            bytes[index] = binary.charCodeAt(index);
+        }
+        return new Blob([bytes], { type: type });
+    }
+
+    /**
+     * Convert a Blob into a data URL.
+     * @param {Blob} blob The Blob.
+     * @return {Promise<string>}
+     */
+    function blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    /**
+     * Call a function with each stored entity.
+     * @param {Object} entitiesData The stored entities, `entities[categoryId][entityName]`.
+     * @param {function(Object)} callback Called with each entity.
+     */
+    function forEachEntity(entitiesData, callback) {
+        Object.values(isObject(entitiesData) ? entitiesData : {}).forEach((entities) => {
+            Object.values(isObject(entities) ? entities : {}).forEach((entityData) => {
+                if (isObject(entityData)) {
+                    callback(entityData);
+                }
+            });
+        });
+    }
+
+    /**
+     * Get the IDs of the database images referenced by the stored entities.
+     * @param {Object} entitiesData The stored entities.
+     * @return {Set<string>}
+     */
+    function collectImageIds(entitiesData) {
+        const ids = new Set();
+        forEachEntity(entitiesData, (entityData) => {
+            if (typeof entityData.image === 'string' && entityData.image.startsWith(IMAGE_REF_PREFIX)) {
+                ids.add(entityData.image.slice(IMAGE_REF_PREFIX.length));
+            }
+        });
+        return ids;
+    }
+
+    /**
+     * Parse the stored entities, treating missing or damaged JSON as empty.
+     * @param {?string} json The JSON.
+     * @return {Object}
+     */
+    function parseEntities(json) {
+        try {
+            const entitiesData = json ? JSON.parse(json) : {};
+            return isObject(entitiesData) ? entitiesData : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Merge the changes two tabs made to the stored entities, entity by entity.
+     * Entities this tab changed, added or deleted since it last read the database keep its version; every other entity
+     * takes the database's version, so changes made in another tab are kept.
+     * @example
+     * mergeEntities({ a: { X: 1 } }, { a: { X: 2 } }, { a: { X: 1, Y: 3 } }); // { a: { X: 2, Y: 3 } }
+     * @param {Object} base The entities as this tab last read or wrote them.
+     * @param {Object} mine The entities as this tab has them now.
+     * @param {Object} theirs The entities in the database now.
+     * @return {Object}
+     */
+    function mergeEntities(base, mine, theirs) {
+        const merged = {};
+        new Set(Object.keys(mine).concat(Object.keys(theirs))).forEach((categoryId) => {
+            const baseEntities = isObject(base[categoryId]) ? base[categoryId] : {};
+            const myEntities = isObject(mine[categoryId]) ? mine[categoryId] : {};
+            const theirEntities = isObject(theirs[categoryId]) ? theirs[categoryId] : {};
+            const entities = {};
+            new Set(Object.keys(baseEntities).concat(Object.keys(myEntities), Object.keys(theirEntities))).forEach((name) => {
+                const changedHere = JSON.stringify(myEntities[name]) !== JSON.stringify(baseEntities[name]);
+                const value = changedHere ? myEntities[name] : theirEntities[name];
+                if (value !== undefined) {
+                    entities[name] = value;
+                }
+            });
+            merged[categoryId] = entities;
+        });
+        return merged;
+    }
+
+    /**
+     * Measure local storage, counting two bytes for each character of every key and value.
+     * @param {Storage} storage The storage.
+     * @return {number} The bytes used.
+     */
+    function measureLocalStorage(storage) {
+        let usage = 0;
+        for (let index = 0; index < storage.length; index++) {
+            const key = storage.key(index);
+            usage += (key.length + (storage.getItem(key) || '').length) * 2;
+        }
+        return usage;
+    }
+
+    /**
+     * Wait for an IndexedDB request to succeed.
+     * @param {IDBRequest} request The request.
+     * @return {Promise<*>} The request result.
+     */
+    function requestResult(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Wait for an IndexedDB transaction to commit.
+     * @param {IDBTransaction} transaction The transaction.
+     * @return {Promise<void>}
+     */
+    function transactionDone(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('The storage transaction was aborted.'));
+        });
+    }
+
+    /**
+     * Open the database, creating its object stores the first time.
+     * @param {IDBFactory} indexedDB The IndexedDB factory.
+     * @return {Promise<IDBDatabase>}
+     */
+    function openDatabase(indexedDB) {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(VALUES_STORE)) {
+                    db.createObjectStore(VALUES_STORE);
+                }
+                if (!db.objectStoreNames.contains(IMAGES_STORE)) {
+                    db.createObjectStore(IMAGES_STORE);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('The storage database is open in an older version of the app in another tab.'));
+        });
+    }
+
+    /**
+     * Read every key and value of an object store.
+     * @param {IDBDatabase} db The database.
+     * @param {string} storeName The object store.
+     * @return {Promise<Map<string, *>>}
+     */
+    async function readStore(db, storeName) {
+        const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+        const [keys, values] = await Promise.all([requestResult(store.getAllKeys()), requestResult(store.getAll())]);
+        return new Map(keys.map((key, index) => [key, values[index]]));
+    }
+
+    /**
+     * Note in local storage that entities are saved in the database, so that a later fallback to local storage can
+     * report them as out of reach rather than showing an empty store without explanation.
+     * @param {Storage} storage The local storage.
+     */
+    function markDatabaseUsed(storage) {
+        try {
+            if (storage.getItem(DATABASE_MARKER_KEY) !== 'true') {
+                storage.setItem(DATABASE_MARKER_KEY, 'true');
+            }
+        } catch (error) {
+            // Only the fallback warning is lost
+        }
+    }
+
+    /**
+     * Listen for another tab changing local storage.
+     * @param {StoreOptions} options The options.
+     * @param {function(string): void} listener Called with the key that changed, or null if local storage was cleared.
+     */
+    function listenForStorageEvents(options, listener) {
+        if (typeof addEventListener === 'function') {
+            addEventListener('storage', (event) => {
+                if (event.storageArea === options.localStorage) {
+                    listener(event.key);
+                }
+            });
+        }
+    }
+
+    /**
+     * Create a store that keeps everything in local storage.
+     * @param {StoreOptions} options The options.
+     * @param {?Error} fallbackError Why the database is not used, if it was tried.
+     * @return {EntityStore}
+     */
+    function createLocalStore(options, fallbackError) {
+        const storage = options.localStorage;
+        const onWriteError = options.onWriteError || (() => {});
+        const onWrite = options.onWrite || (() => {});
+        const onChange = options.onChange || (() => {});
+        // Local storage is read afresh every time, so other tabs' changes only need to be shown
+        listenForStorageEvents(options, (key) => {
+            if (key === null || key === ENTITIES_KEY) {
+                onChange();
+            }
+        });
+        return {
+            backend: 'localstorage',
+            migrated: false,
+            fallbackError: fallbackError,
+            unreachable: Boolean(fallbackError) && storage.getItem(DATABASE_MARKER_KEY) === 'true',
+            get length() {
+                return storage.length;
+            },
+            key: (index) => storage.key(index),
+            getItem: (key) => storage.getItem(key),
+            setItem(key, value) {
+                try {
+                    storage.setItem(key, value);
+                } catch (error) {
+                    onWriteError(error);
+                    return;
+                }
+                if (DATABASE_KEYS.includes(key)) {
+                    onWrite();
+                }
+            },
+            removeItem: (key) => storage.removeItem(key),
+            getImageUrl: (image) => image || '',
+            getImageDataUrl: (image) => Promise.resolve(image || ''),
+            inlineImages: (entitiesData) => Promise.resolve(JSON.parse(JSON.stringify(entitiesData))),
+            estimate: () => Promise.resolve({ usage: measureLocalStorage(storage), quota: LOCAL_STORAGE_QUOTA }),
+            flush: () => Promise.resolve(),
+        };
+    }
+
+    /**
+     * Create a store that keeps the database keys and images in IndexedDB.
+     * Entities in local storage are moved into the database, merged with any already there, and removed from local
+     * storage once the database copy has been read back and matches.
+     * @param {IDBDatabase} db The open database.
+     * @param {StoreOptions} options The options.
+     * @return {Promise<EntityStore>}
+     * @throws {Error} If the database cannot be read, or the entities cannot be moved into it.
+     */
+    async function createDatabaseStore(db, options) {
+        /** @type {Map<string, string>} The database keys, as this tab has them. */
+        const values = await readStore(db, VALUES_STORE);
+        /** @type {Map<string, Blob>} The images, by ID. */
+        const images = await readStore(db, IMAGES_STORE);
+        /** @type {number} The revision of the database this tab last read or wrote. */
+        let revision = values.get(REVISION_KEY) || 0;
+        values.delete(REVISION_KEY);
+        /** @type {string|undefined} The entities JSON as this tab last read or wrote it, which its changes are measured from. */
+        let base = values.get(ENTITIES_KEY);
+        const storage = options.localStorage;
+        const onWriteError = options.onWriteError || (() => {});
+        const onWrite = options.onWrite || (() => {});
+        const onChange = options.onChange || (() => {});
+        /** @type {Set<string>} Images added since the last write. */
+        const unsavedImages = new Set();
+        /** @type {Map<string, string>} Object URLs of the images shown so far, by ID. */
+        const objectUrls = new Map();
+        /** @type {?BroadcastChannel} Tells the other tabs about writes. */
+        const channel = typeof BroadcastChannel === 'function' ? new BroadcastChannel(CHANNEL_NAME) : null;
+        /** @type {?Promise<void>} The write in progress. */
+        let writing = null;
+        /** @type {boolean} Whether there are changes the write in progress does not include. */
+        let dirty = false;
+        /** @type {boolean} Whether the store has opened, after which local storage no longer holds the entities. */
+        let opened = false;
+
+        /**
+         * Turn data URL images in stored entities JSON into database images.
+         * @param {string} json The entities JSON.
+         * @return {string} The JSON with image references in place of data URLs.
+         */
+        function storeImages(json) {
+            const entitiesData = parseEntities(json);
+            let changed = false;
+            forEachEntity(entitiesData, (entityData) => {
+                if (typeof entityData.image !== 'string' || !entityData.image.startsWith('data:')) {
+                    return;
+                }
+                let blob;
+                try {
+                    blob = dataUrlToBlob(entityData.image);
+                } catch (error) {
+                    // A damaged data URL stays as it is rather than blocking the save
+                    return;
+                }
+                const id = generateId();
+                images.set(id, blob);
+                unsavedImages.add(id);
+                entityData.image = IMAGE_REF_PREFIX + id;
+                changed = true;
+            });
+            return changed ? JSON.stringify(entitiesData) : json;
+        }
+
+        /**
+         * Forget the images no entity references any more, apart from those not yet written.
+         */
+        function releaseImages() {
+            const referenced = collectImageIds(parseEntities(values.get(ENTITIES_KEY)));
+            Array.from(images.keys()).forEach((id) => {
+                if (referenced.has(id) || unsavedImages.has(id)) {
+                    return;
+                }
+                images.delete(id);
+                if (objectUrls.has(id)) {
+                    URL.revokeObjectURL(objectUrls.get(id));
+                    objectUrls.delete(id);
+                }
+            });
+        }
+
+        /**
+         * Take in entities another tab has written, keeping this tab's changes to the entities it has changed.
+         * @param {string|undefined} stored The entities JSON in the database.
+         * @param {string|undefined} storedVersion The schema version in the database.
+         * @param {number} storedRevision The revision of the database.
+         * @return {boolean} Whether this tab has changes the database does not.
+         */
+        function rebase(stored, storedVersion, storedRevision) {
+            const current = values.get(ENTITIES_KEY);
+            const changedHere = current !== base;
+            const merged = changedHere
+                ? JSON.stringify(mergeEntities(parseEntities(base), parseEntities(current), parseEntities(stored)))
+                : stored;
+            if (merged === undefined) {
+                values.delete(ENTITIES_KEY);
+            } else {
+                values.set(ENTITIES_KEY, merged);
+            }
+            if (storedVersion !== undefined && !(parseInt(values.get(VERSION_KEY), 10) > parseInt(storedVersion, 10))) {
+                values.set(VERSION_KEY, storedVersion);
+            }
+            base = stored;
+            revision = storedRevision;
+            return changedHere;
+        }
+
+        /**
+         * Write the database keys and new images, and delete images no stored entity references, in one transaction.
+         * The database is reread in the same transaction, so entities another tab wrote since this tab last read it
+         * are merged in rather than overwritten.
+         * @return {Promise<boolean>} Whether another tab's changes were merged in.
+         */
+        async function write() {
+            const transaction = db.transaction([VALUES_STORE, IMAGES_STORE], 'readwrite');
+            const done = transactionDone(transaction);
+            const valueStore = transaction.objectStore(VALUES_STORE);
+            const imageStore = transaction.objectStore(IMAGES_STORE);
+            const [storedRevision, stored, storedVersion, storedImageIds] = await Promise.all([
+                requestResult(valueStore.get(REVISION_KEY)),
+                requestResult(valueStore.get(ENTITIES_KEY)),
+                requestResult(valueStore.get(VERSION_KEY)),
+                requestResult(imageStore.getAllKeys()),
+            ]);
+            const written = values.get(ENTITIES_KEY);
+            let entitiesJson = written;
+            let version = values.get(VERSION_KEY);
+            const merged = (storedRevision || 0) !== revision;
+            if (merged) {
+                entitiesJson = JSON.stringify(mergeEntities(parseEntities(base), parseEntities(written), parseEntities(stored)));
+                if (storedVersion !== undefined && !(parseInt(version, 10) > parseInt(storedVersion, 10))) {
+                    version = storedVersion;
+                }
+            }
+            const nextRevision = (storedRevision || 0) + 1;
+            const referenced = collectImageIds(parseEntities(entitiesJson));
+            const added = Array.from(unsavedImages).filter((id) => referenced.has(id));
+            const deleted = storedImageIds.filter((id) => !referenced.has(id));
+            const missing = Array.from(referenced).filter((id) => !images.has(id) && storedImageIds.includes(id));
+            [[ENTITIES_KEY, entitiesJson], [VERSION_KEY, version]].forEach(([key, value]) => {
+                if (value === undefined) {
+                    valueStore.delete(key);
+                } else {
+                    valueStore.put(value, key);
+                }
+            });
+            valueStore.put(nextRevision, REVISION_KEY);
+            added.forEach((id) => imageStore.put(images.get(id), id));
+            deleted.forEach((id) => imageStore.delete(id));
+            // Images another tab added are read so this tab can show them
+            const fetched = await Promise.all(missing.map((id) => requestResult(imageStore.get(id))));
+            await done;
+            fetched.forEach((blob, index) => {
+                if (blob) {
+                    images.set(missing[index], blob);
+                }
+            });
+            added.forEach((id) => unsavedImages.delete(id));
+            if (values.get(ENTITIES_KEY) === written) {
+                if (entitiesJson === undefined) {
+                    values.delete(ENTITIES_KEY);
+                } else {
+                    values.set(ENTITIES_KEY, entitiesJson);
+                }
+            } else {
+                // Changes made during the write are kept on top of what was written
+                values.set(ENTITIES_KEY, JSON.stringify(mergeEntities(parseEntities(written), parseEntities(values.get(ENTITIES_KEY)), parseEntities(entitiesJson))));
+            }
+            if (version !== undefined) {
+                values.set(VERSION_KEY, version);
+            }
+            base = entitiesJson;
+            revision = nextRevision;
+            releaseImages();
+            if (opened) {
+                markDatabaseUsed(storage);
+            }
+            if (channel) {
+                channel.postMessage({ revision: revision });
+            }
+            return merged;
+        }
+
+        /**
+         * Write the latest changes, coalescing changes made while a write is in progress into one more write.
+         * @return {Promise<void>}
+         */
+        function scheduleWrite() {
+            dirty = true;
+            if (!writing) {
+                writing = (async () => {
+                    while (dirty) {
+                        dirty = false;
+                        try {
+                            const merged = await write();
+                            onWrite();
+                            if (merged) {
+                                onChange();
+                            }
+                        } catch (error) {
+                            onWriteError(error);
+                        }
+                    }
+                    writing = null;
+                })();
+            }
+            return writing;
+        }
+
+        /**
+         * Reread the database after another tab has written to it.
+         * While this tab is writing, its own write merges the other tab's changes instead.
+         * @return {Promise<void>}
+         */
+        async function reload() {
+            if (writing) {
+                return;
+            }
+            const transaction = db.transaction([VALUES_STORE, IMAGES_STORE], 'readonly');
+            const valueStore = transaction.objectStore(VALUES_STORE);
+            const imageStore = transaction.objectStore(IMAGES_STORE);
+            const [storedRevision, stored, storedVersion, storedImageIds] = await Promise.all([
+                requestResult(valueStore.get(REVISION_KEY)),
+                requestResult(valueStore.get(ENTITIES_KEY)),
+                requestResult(valueStore.get(VERSION_KEY)),
+                requestResult(imageStore.getAllKeys()),
+            ]);
+            const missing = Array.from(collectImageIds(parseEntities(stored))).filter((id) => !images.has(id) && storedImageIds.includes(id));
+            const fetched = await Promise.all(missing.map((id) => requestResult(imageStore.get(id))));
+            if (writing || (storedRevision || 0) === revision) {
+                return;
+            }
+            fetched.forEach((blob, index) => {
+                if (blob) {
+                    images.set(missing[index], blob);
+                }
+            });
+            if (rebase(stored, storedVersion, storedRevision || 0)) {
+                scheduleWrite();
+            }
+            releaseImages();
+            onChange();
+        }
+
+        /**
+         * List every stored key, in local storage and the database.
+         * @return {Array<string>}
+         */
+        function keys() {
+            const result = [];
+            for (let index = 0; index < storage.length; index++) {
+                const key = storage.key(index);
+                if (!DATABASE_KEYS.includes(key)) {
+                    result.push(key);
+                }
+            }
+            return result.concat(DATABASE_KEYS.filter((key) => values.has(key)));
+        }
+
+        const localEntities = storage.getItem(ENTITIES_KEY);
+        if (localEntities !== null) {
+            // Entities saved in the database before are kept, but those in local storage are newer, for example
+            // saved while the database could not be opened
+            const moved = storeImages(localEntities);
+            values.set(ENTITIES_KEY, values.has(ENTITIES_KEY)
+                ? JSON.stringify(mergeEntities({}, parseEntities(moved), parseEntities(values.get(ENTITIES_KEY))))
+                : moved);
+            const localVersion = storage.getItem(VERSION_KEY);
+            if (localVersion !== null && !(parseInt(values.get(VERSION_KEY), 10) > parseInt(localVersion, 10))) {
+                values.set(VERSION_KEY, localVersion);
+            }
+            await write();
+            // Local storage is only cleared once the database holds the same entities and all their images
+            const check = db.transaction([VALUES_STORE, IMAGES_STORE], 'readonly');
+            const [checkedEntities, checkedImageIds] = await Promise.all([
+                requestResult(check.objectStore(VALUES_STORE).get(ENTITIES_KEY)),
+                requestResult(check.objectStore(IMAGES_STORE).getAllKeys()),
+            ]);
+            const allImages = Array.from(collectImageIds(parseEntities(checkedEntities))).every((id) => checkedImageIds.includes(id));
+            if (checkedEntities !== values.get(ENTITIES_KEY) || !allImages) {
+                throw new Error('The entities moved into IndexedDB could not be read back, so they were left in local storage.');
+            }
+            DATABASE_KEYS.forEach((key) => storage.removeItem(key));
+        }
+        opened = true;
+        if (values.has(ENTITIES_KEY)) {
+            markDatabaseUsed(storage);
+        }
+
+        if (channel) {
+            channel.onmessage = () => reload().catch((error) => console.error('Error reading changes from another tab:', error));
+        }
+
+        return {
+            backend: 'indexeddb',
+            migrated: localEntities !== null,
+            fallbackError: null,
+            unreachable: false,
+            get length() {
+                return keys().length;
+            },
+            key: (index) => (index < keys().length ? keys()[index] : null),
+            getItem(key) {
+                if (!DATABASE_KEYS.includes(key)) {
+                    return storage.getItem(key);
+                }
+                return values.has(key) ? values.get(key) : null;
+            },
+            setItem(key, value) {
+                if (!DATABASE_KEYS.includes(key)) {
+                    try {
+                        storage.setItem(key, value);
+                    } catch (error) {
+                        onWriteError(error);
+                    }
+                    return;
+                }
+                values.set(key, key === ENTITIES_KEY ? storeImages(String(value)) : String(value));
+                scheduleWrite();
+            },
+            removeItem(key) {
+                if (!DATABASE_KEYS.includes(key)) {
+                    storage.removeItem(key);
+                    return;
+                }
+                values.delete(key);
+                scheduleWrite();
+            },
+            getImageUrl(image) {
+                if (!image || !image.startsWith(IMAGE_REF_PREFIX)) {
+                    return image || '';
+                }
+                const id = image.slice(IMAGE_REF_PREFIX.length);
+                if (!images.has(id)) {
+                    return '';
+                }
+                if (!objectUrls.has(id)) {
+                    objectUrls.set(id, URL.createObjectURL(images.get(id)));
+                }
+                return objectUrls.get(id);
+            },
+            getImageDataUrl(image) {
+                if (!image || !image.startsWith(IMAGE_REF_PREFIX)) {
+                    return Promise.resolve(image || '');
+                }
+                const blob = images.get(image.slice(IMAGE_REF_PREFIX.length));
+                return blob ? blobToDataUrl(blob) : Promise.resolve('');
+            },
+            async inlineImages(entitiesData) {
+                const copy = JSON.parse(JSON.stringify(entitiesData));
+                const pending = [];
+                forEachEntity(copy, (entityData) => {
+                    if (typeof entityData.image !== 'string' || !entityData.image.startsWith(IMAGE_REF_PREFIX)) {
+                        return;
+                    }
+                    const blob = images.get(entityData.image.slice(IMAGE_REF_PREFIX.length));
+                    if (!blob) {
+                        delete entityData.image;
+                        return;
+                    }
+                    pending.push(blobToDataUrl(blob).then((dataUrl) => {
+                        entityData.image = dataUrl;
+                    }));
+                });
+                await Promise.all(pending);
+                return copy;
+            },
+            async estimate() {
+                if (options.storageManager && typeof options.storageManager.estimate === 'function') {
+                    const estimate = await options.storageManager.estimate();
+                    return { usage: estimate.usage || 0, quota: estimate.quota || null };
+                }
+                let usage = 0;
+                values.forEach((value) => {
+                    usage += value.length * 2;
+                });
+                images.forEach((blob) => {
+                    usage += blob.size;
+                });
+                return { usage: usage, quota: null };
+            },
+            flush: () => writing || Promise.resolve(),
+        };
+    }
+
+    /**
+     * Open the entity store.
+     * IndexedDB is used when it is available and opens; entities already in local storage are moved into it. Otherwise,
+     * or if moving them fails, the store keeps everything in local storage.
+     * @example
+     * const store = await open({ indexedDB: window.indexedDB, localStorage: window.localStorage, onWriteError: report });
+     * store.setItem('entities', JSON.stringify(entities));
+     * @param {StoreOptions} options The options.
+     * @return {Promise<EntityStore>} The store; it never rejects.
+     */
+    async function open(options) {
+        if (!options.indexedDB) {
+            return createLocalStore(options, null);
+        }
+        let db = null;
+        try {
+            db = await openDatabase(options.indexedDB);
+            return await createDatabaseStore(db, options);
+        } catch (error) {
+            if (db) {
+                db.close();
+            }
+            return createLocalStore(options, error);
+        }
+    }
+
+    return {
+        IMAGE_REF_PREFIX: IMAGE_REF_PREFIX,
+        LOCAL_STORAGE_QUOTA: LOCAL_STORAGE_QUOTA,
+        WARNING_RATIO: WARNING_RATIO,
+        isQuotaError: isQuotaError,
+        isNearlyFull: isNearlyFull,
+        formatBytes: formatBytes,
+        mergeEntities: mergeEntities,
+        dataUrlToBlob: dataUrlToBlob,
+        blobToDataUrl: blobToDataUrl,
+        open: open,
+    };
+}));
@@ -0,0 +1,137 @@
+/**
+ * Filename: uncertainty.js
+ * Purpose: Estimates the spread of the likelihood when criterion scores are uncertain.
+ * Description: Each criterion can be given a low and high score instead of a single score. A Monte Carlo simulation draws every criterion's score uniformly from its range, scores each draw with the profile's own scoring model, and summarises the results as the median likelihood, an 80% interval (the 10th to 90th percentiles) and a histogram. The random number generator is seeded so that the same ranges always give the same summary and the display does not jitter while a slider is dragged. Loaded by the browser as a classic script (exposing the `LikelihoodUncertainty` global) and by Node through `require()`.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ */
+
+(function (root, factory) {
+    'use strict';
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./scoring.js'));
+    } else {
+        root.LikelihoodUncertainty = factory(root.LikelihoodScoring);
+    }
+}(typeof self !== 'undefined' ? self : this, function (LikelihoodScoring) {
+    'use strict';
+
+    /** @const {number} The number of simulated assessments. */
+    const DEFAULT_ITERATIONS = 2000;
+
+    /** @const {number} The seed of the default random number generator. */
+    const DEFAULT_SEED = 20261019;
+
+    /** @const {number} The width of each histogram bin, in percentage points. */
+    const BIN_WIDTH = 5;
+
+    /** @const {number} The coverage of the reported interval, in percent. */
+    const INTERVAL = 80;
+
+    /**
+     * Create a seeded random number generator (mulberry32).
+     * @param {number} seed The seed.
+     * @return {function(): number} Returns numbers in [0, 1).
+     */
+    function createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let value = state;
+            value = Math.imul(value ^ (value >>> 15), value | 1);
+            value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+            return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Get a percentile of sorted values, interpolating between neighbours.
+     * @param {Array<number>} sorted The values in ascending order.
+     * @param {number} percent The percentile, 0 to 100.
+     * @return {number}
+     */
+    function percentile(sorted, percent) {
+        if (sorted.length === 0) {
+            return 0;
+        }
+        const position = (sorted.length - 1) * (percent / 100);
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    }
+
+    /**
+     * Resolve a criterion's range, falling back to its score for a missing end.
+     * The ends are clamped to the score range and swapped if given the wrong way round.
+     * @param {{score: number, low: (number|undefined), high: (number|undefined)}} item The score and its optional range.
+     * @return {{low: number, high: number}}
+     */
+    function resolveRange(item) {
+        const clamp = (value) => Math.min(LikelihoodScoring.MAX_SCORE, Math.max(LikelihoodScoring.MIN_SCORE, value));
+        const low = clamp(Number.isFinite(item.low) ? item.low : item.score);
+        const high = clamp(Number.isFinite(item.high) ? item.high : item.score);
+        return low <= high ? { low: low, high: high } : { low: high, high: low };
+    }
+
+    /**
+     * Simulate the likelihood of a profile over uncertain scores.
+     * @example
+     * const summary = simulate(profile, [{ score: 3, low: 2, high: 5 }, { score: 4 }]);
+     * // { median: 61.2, low: 48.9, high: 72.5, histogram: [...], ... }
+     * @param {Object} profile The calculation profile.
+     * @param {Array<{score: number, low: (number|undefined), high: (number|undefined)}>} items The score of each
+     *     criterion, in criteria order, with an optional low and high; a criterion without a range is fixed at its score.
+     * @param {{iterations: (number|undefined), random: (function(): number|undefined)}} [options] The number of
+     *     iterations and the random number generator; both have seeded defaults.
+     * @return {{iterations: number, interval: number, median: number, low: number, high: number, uncertain: boolean,
+     *     histogram: Array<{from: number, to: number, count: number}>}}
+     *     `low` and `high` bound the 80% interval, and `uncertain` is false when no criterion has a range.
+     * @throws {RangeError} If the model is not known.
+     */
+    function simulate(profile, items, options = {}) {
+        const iterations = options.iterations || DEFAULT_ITERATIONS;
+        const random = options.random || createRandom(DEFAULT_SEED);
+        const ranges = items.map(resolveRange);
+        const uncertain = ranges.some((range) => range.high > range.low);
+
+        const results = [];
+        // With no ranges every draw is the same, so one is enough
+        const draws = uncertain ? iterations : 1;
+        for (let iteration = 0; iteration < draws; iteration++) {
+            const scores = ranges.map((range) => range.low + (range.high - range.low) * random());
+            results.push(LikelihoodScoring.scoreProfile(profile, scores).percentageLikelihood);
+        }
+        results.sort((a, b) => a - b);
+
+        const tail = (100 - INTERVAL) / 2;
+        const histogram = [];
+        for (let from = 0; from < 100; from += BIN_WIDTH) {
+            histogram.push({ from: from, to: from + BIN_WIDTH, count: 0 });
+        }
+        results.forEach((value) => {
+            const bin = Math.min(histogram.length - 1, Math.floor(value / BIN_WIDTH));
+            histogram[Math.max(0, bin)].count += uncertain ? 1 : iterations;
+        });
+
+        return {
+            iterations: iterations,
+            interval: INTERVAL,
+            median: percentile(results, 50),
+            low: percentile(results, tail),
+            high: percentile(results, 100 - tail),
+            uncertain: uncertain,
+            histogram: histogram,
+        };
+    }
+
+    return {
+        DEFAULT_ITERATIONS: DEFAULT_ITERATIONS,
+        INTERVAL: INTERVAL,
+        createRandom: createRandom,
+        percentile: percentile,
+        resolveRange: resolveRange,
+        simulate: simulate,
+    };
+}));
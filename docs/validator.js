@@ -0,0 +1,403 @@
+/**
+ * Filename: validator.js
+ * Purpose: Validates profiles.json data against profiles.schema.json and reports problems with readable paths.
+ * Description: Implements the subset of JSON Schema (draft-07) used by profiles.schema.json - $ref to local definitions, type, required, properties, additionalProperties, propertyNames, enum, pattern, minLength, minimum, maximum, exclusiveMinimum, minItems and items - together with the checks a schema cannot express: unique category slugs, unique category, profile and criterion IDs, unique profile names within a category, unique metrics within a profile (both compared by their en-AU text when translated), known scoring model names, no minimum score on inverted criteria, and criteria weights that do not total 100. Loaded by the browser as a classic script (exposing the `LikelihoodValidator` global) and by Node through `require()`, so the web app and the command line tool report the same problems.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ * - Added maximum and the scoring model name check: 19 October 2026
+ * - Added the unique and missing ID checks: 19 October 2026
+ * - Added propertyNames and compared translated names and metrics by their en-AU text: 19 October 2026
+ * - Rejected minimum scores on inverted criteria: 19 October 2026
+ */
+
+(function (root, factory) {
+    'use strict';
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./scoring.js'), require('./i18n.js'));
+    } else {
+        root.LikelihoodValidator = factory(root.LikelihoodScoring, root.LikelihoodI18n);
+    }
+}(typeof self !== 'undefined' ? self : this, function (LikelihoodScoring, LikelihoodI18n) {
+    'use strict';
+
+    /**
+     * @typedef {Object} ValidationIssue
+     * @property {string} severity 'error' or 'warning'.
+     * @property {Array<string|number>} pathSegments The location of the problem, e.g. ['categories', 0, 'slug'].
+     * @property {string} path The location as a string, e.g. 'categories[0].slug'.
+     * @property {string} message What is wrong.
+     */
+
+    /**
+     * Format path segments as a readable path.
+     * @example
+     * formatPath(['categories', 0, 'profiles', 2, 'criteria', 1, 'weight']);
+     * // 'categories[0].profiles[2].criteria[1].weight'
+     * @param {Array<string|number>} segments The path segments.
+     * @return {string}
+     */
+    function formatPath(segments) {
+        if (segments.length === 0) {
+            return '(root)';
+        }
+        return segments.reduce((path, segment) => {
+            if (typeof segment === 'number') {
+                return `${path}[${segment}]`;
+            }
+            const name = /^[A-Za-z_$][\w$]*$/.test(segment) ? segment : `["${segment}"]`;
+            if (name.startsWith('[')) {
+                return path + name;
+            }
+            return path ? `${path}.${name}` : name;
+        }, '');
+    }
+
+    /**
+     * Create a validation issue.
+     * @param {string} severity 'error' or 'warning'.
+     * @param {Array<string|number>} segments The path segments.
+     * @param {string} message What is wrong.
+     * @return {ValidationIssue}
+     */
+    function createIssue(severity, segments, message) {
+        return { severity: severity, pathSegments: segments, path: formatPath(segments), message: message };
+    }
+
+    /**
+     * Describe the JSON type of a value.
+     * @param {*} value The value.
+     * @return {string}
+     */
+    function typeOf(value) {
+        if (value === null) {
+            return 'null';
+        }
+        if (Array.isArray(value)) {
+            return 'array';
+        }
+        if (typeof value === 'number' && Number.isInteger(value)) {
+            return 'integer';
+        }
+        return typeof value;
+    }
+
+    /**
+     * Check whether a value matches a JSON Schema type.
+     * @param {*} value The value.
+     * @param {string} type The schema type.
+     * @return {boolean}
+     */
+    function matchesType(value, type) {
+        const actual = typeOf(value);
+        if (type === 'number') {
+            return (actual === 'number' || actual === 'integer') && Number.isFinite(value);
+        }
+        return actual === type;
+    }
+
+    /**
+     * Resolve a local $ref such as '#/definitions/profile'.
+     * @param {string} ref The reference.
+     * @param {Object} rootSchema The root schema.
+     * @return {Object}
+     * @throws {Error} If the reference cannot be resolved.
+     */
+    function resolveRef(ref, rootSchema) {
+        if (!ref.startsWith('#/')) {
+            throw new Error(`Only local schema references are supported, got "${ref}".`);
+        }
+        const resolved = ref.slice(2).split('/').reduce((node, key) => (node ? node[key] : undefined), rootSchema);
+        if (!resolved) {
+            throw new Error(`Schema reference "${ref}" cannot be resolved.`);
+        }
+        return resolved;
+    }
+
+    /**
+     * Validate a value against a schema, appending any problems to `issues`.
+     * @param {*} value The value.
+     * @param {Object} schema The schema for this value.
+     * @param {Object} rootSchema The root schema, for resolving references.
+     * @param {Array<string|number>} segments The path to this value.
+     * @param {Array<ValidationIssue>} issues Collected issues.
+     */
+    function validateValue(value, schema, rootSchema, segments, issues) {
+        if (schema.$ref) {
+            validateValue(value, resolveRef(schema.$ref, rootSchema), rootSchema, segments, issues);
+            return;
+        }
+
+        if (schema.type) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some((type) => matchesType(value, type))) {
+                const actual = typeOf(value) === 'integer' ? 'number' : typeOf(value);
+                issues.push(createIssue('error', segments, `must be ${types.map((type) => `a ${type}`).join(' or ')}, found ${actual === 'array' || actual === 'object' ? `an ${actual}` : `${actual} ${JSON.stringify(value)}`}`));
+                return;
+            }
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            issues.push(createIssue('error', segments, `must be one of ${schema.enum.map((item) => JSON.stringify(item)).join(', ')}, found ${JSON.stringify(value)}`));
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                issues.push(createIssue('error', segments, schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`));
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                issues.push(createIssue('error', segments, `${JSON.stringify(value)} does not match the pattern ${schema.pattern}`));
+            }
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                issues.push(createIssue('error', segments, `must be at least ${schema.minimum}, found ${value}`));
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                issues.push(createIssue('error', segments, `must be at most ${schema.maximum}, found ${value}`));
+            }
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+                issues.push(createIssue('error', segments, `must be greater than ${schema.exclusiveMinimum}, found ${value}`));
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                issues.push(createIssue('error', segments, value.length === 0 ? 'must not be empty' : `must have at least ${schema.minItems} items`));
+            }
+            if (schema.items) {
+                value.forEach((item, index) => validateValue(item, schema.items, rootSchema, segments.concat(index), issues));
+            }
+        }
+
+        if (typeOf(value) === 'object') {
+            (schema.required || []).forEach((key) => {
+                if (value[key] === undefined) {
+                    issues.push(createIssue('error', segments.concat(key), 'is required'));
+                }
+            });
+            const properties = schema.properties || {};
+            Object.keys(value).forEach((key) => {
+                if (schema.propertyNames) {
+                    const nameIssues = [];
+                    validateValue(key, schema.propertyNames, rootSchema, segments.concat(key), nameIssues);
+                    nameIssues.forEach((issue) => {
+                        issues.push(createIssue('error', issue.pathSegments, `is not an allowed property name: ${issue.message}`));
+                    });
+                }
+                if (properties[key]) {
+                    validateValue(value[key], properties[key], rootSchema, segments.concat(key), issues);
+                } else if (schema.additionalProperties === false) {
+                    issues.push(createIssue('error', segments.concat(key), 'is not an allowed property'));
+                } else if (typeof schema.additionalProperties === 'object') {
+                    validateValue(value[key], schema.additionalProperties, rootSchema, segments.concat(key), issues);
+                }
+            });
+        }
+    }
+
+    /**
+     * Check the rules that the schema cannot express.
+     * Only well-formed parts of the data are checked; malformed parts are reported by the schema.
+     * @param {Object} data The profiles data.
+     * @param {Array<ValidationIssue>} issues Collected issues.
+     */
+    function validateConsistency(data, issues) {
+        if (!data || !Array.isArray(data.categories)) {
+            return;
+        }
+        const isObject = (value) => typeOf(value) === 'object';
+        // IDs key the saved assessments, so a duplicate mixes two sets of scores and a missing one follows the name
+        const checkId = (item, path, ids, what) => {
+            if (typeof item.id !== 'string') {
+                issues.push(createIssue('warning', path, `has no id; saved assessments will be lost if its ${what} changes`));
+            } else if (ids.has(item.id)) {
+                issues.push(createIssue('error', path.concat('id'), `duplicates the id "${item.id}" of ${ids.get(item.id)}`));
+            } else {
+                ids.set(item.id, `${path[path.length - 2]}[${path[path.length - 1]}]`);
+            }
+        };
+
+        const categoryIds = new Map();
+        const categorySlugs = new Map();
+        data.categories.forEach((category, categoryIndex) => {
+            if (!isObject(category)) {
+                return;
+            }
+            const categoryPath = ['categories', categoryIndex];
+            checkId(category, categoryPath, categoryIds, 'slug');
+            if (typeof category.slug === 'string') {
+                if (categorySlugs.has(category.slug)) {
+                    issues.push(createIssue('error', categoryPath.concat('slug'), `duplicates the slug "${category.slug}" of categories[${categorySlugs.get(category.slug)}]`));
+                } else {
+                    categorySlugs.set(category.slug, categoryIndex);
+                }
+            }
+            if (!Array.isArray(category.profiles)) {
+                return;
+            }
+
+            const profileIds = new Map();
+            const profileSlugs = new Map();
+            category.profiles.forEach((profile, profileIndex) => {
+                if (!isObject(profile)) {
+                    return;
+                }
+                const profilePath = categoryPath.concat('profiles', profileIndex);
+                checkId(profile, profilePath, profileIds, 'name');
+                // Addresses use the slug of the en-AU name, so only that text needs to be unique
+                const name = LikelihoodI18n.localiseText(profile.name, LikelihoodI18n.DEFAULT_LOCALE);
+                if (name) {
+                    const slug = LikelihoodScoring.generateSlug(name);
+                    if (profileSlugs.has(slug)) {
+                        issues.push(createIssue('error', profilePath.concat('name'), `"${name}" has the same URL slug "${slug}" as profiles[${profileSlugs.get(slug)}]`));
+                    } else {
+                        profileSlugs.set(slug, profileIndex);
+                    }
+                }
+                // The schema allows any string for the short form of the model, so check the name here
+                if (typeof profile.model === 'string' && !Object.prototype.hasOwnProperty.call(LikelihoodScoring.MODELS, profile.model)) {
+                    issues.push(createIssue('error', profilePath.concat('model'), `must be one of ${Object.keys(LikelihoodScoring.MODELS).map((type) => JSON.stringify(type)).join(', ')}, found ${JSON.stringify(profile.model)}`));
+                }
+                if (!Array.isArray(profile.criteria)) {
+                    return;
+                }
+
+                const criterionIds = new Map();
+                const metrics = new Map();
+                let totalWeight = 0;
+                let weightsValid = true;
+                profile.criteria.forEach((criterion, criterionIndex) => {
+                    if (!isObject(criterion)) {
+                        weightsValid = false;
+                        return;
+                    }
+                    checkId(criterion, profilePath.concat('criteria', criterionIndex), criterionIds, 'metric');
+                    if (criterion.invert === true && criterion.minimum !== undefined) {
+                        issues.push(createIssue('error', profilePath.concat('criteria', criterionIndex, 'minimum'), 'cannot be set on an inverted criterion, where a higher score is worse'));
+                    }
+                    const metric = LikelihoodI18n.localiseText(criterion.metric, LikelihoodI18n.DEFAULT_LOCALE);
+                    if (metric) {
+                        if (metrics.has(metric)) {
+                            issues.push(createIssue('error', profilePath.concat('criteria', criterionIndex, 'metric'), `duplicates the metric "${metric}" of criteria[${metrics.get(metric)}]`));
+                        } else {
+                            metrics.set(metric, criterionIndex);
+                        }
+                    }
+                    if (matchesType(criterion.weight, 'number')) {
+                        totalWeight += criterion.weight;
+                    } else {
+                        weightsValid = false;
+                    }
+                });
+                if (weightsValid && profile.criteria.length > 0 && Math.abs(totalWeight - 100) > 1e-9) {
+                    issues.push(createIssue('warning', profilePath.concat('criteria'), `weights total ${totalWeight}, not 100; they will be scaled proportionally`));
+                }
+            });
+        });
+    }
+
+    /**
+     * Validate profiles data.
+     * @example
+     * const result = validateProfiles(data, schema);
+     * if (!result.valid) {
+     *     result.errors.forEach((issue) => console.log(`${issue.path}: ${issue.message}`));
+     * }
+     * @param {*} data The parsed profiles.json data.
+     * @param {Object} schema The parsed profiles.schema.json.
+     * @return {{valid: boolean, errors: Array<ValidationIssue>, warnings: Array<ValidationIssue>}}
+     */
+    function validateProfiles(data, schema) {
+        const issues = [];
+        validateValue(data, schema, schema, [], issues);
+        validateConsistency(data, issues);
+        const errors = issues.filter((issue) => issue.severity === 'error');
+        return {
+            valid: errors.length === 0,
+            errors: errors,
+            warnings: issues.filter((issue) => issue.severity === 'warning'),
+        };
+    }
+
+    /**
+     * Describe where a path points using the names in the data, e.g. 'Investment › Angel Investors › Transparency'.
+     * @param {Object} data The profiles data.
+     * @param {Array<string|number>} segments The path segments.
+     * @return {string} The description, or an empty string if no names are available.
+     */
+    function describePath(data, segments) {
+        const names = [];
+        let node = data;
+        segments.forEach((segment) => {
+            node = node !== null && node !== undefined ? node[segment] : undefined;
+            if (typeof segment === 'number' && typeOf(node) === 'object') {
+                const name = LikelihoodI18n.localiseText(node.name || node.metric, LikelihoodI18n.DEFAULT_LOCALE);
+                if (name) {
+                    names.push(name);
+                }
+            }
+        });
+        return names.join(' › ');
+    }
+
+    /**
+     * Remove the categories and profiles that have errors, so the rest can still be used.
+     * An error inside a profile removes that profile; any other error inside a category removes the category.
+     * Categories left without profiles are removed too.
+     * @param {Object} data The profiles data.
+     * @param {Array<ValidationIssue>} errors The errors from validateProfiles().
+     * @return {Array<Object>} The usable categories.
+     */
+    function removeInvalid(data, errors) {
+        if (!data || !Array.isArray(data.categories)) {
+            return [];
+        }
+        const invalidCategories = new Set();
+        const invalidProfiles = new Set();
+        errors.forEach((issue) => {
+            const [first, categoryIndex, third, profileIndex] = issue.pathSegments;
+            if (first !== 'categories' || typeof categoryIndex !== 'number') {
+                return;
+            }
+            if (third === 'profiles' && typeof profileIndex === 'number') {
+                invalidProfiles.add(`${categoryIndex}/${profileIndex}`);
+            } else {
+                invalidCategories.add(categoryIndex);
+            }
+        });
+
+        return data.categories
+            .map((category, categoryIndex) => {
+                if (invalidCategories.has(categoryIndex)) {
+                    return null;
+                }
+                const profiles = category.profiles.filter((profile, profileIndex) => !invalidProfiles.has(`${categoryIndex}/${profileIndex}`));
+                return profiles.length > 0 ? { ...category, profiles: profiles } : null;
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Format a validation result as plain text, one line per issue.
+     * @param {{errors: Array<ValidationIssue>, warnings: Array<ValidationIssue>}} result The validation result.
+     * @param {Object} data The profiles data, used to name the offending entries.
+     * @return {string}
+     */
+    function formatReport(result, data) {
+        return result.errors.concat(result.warnings).map((issue) => {
+            const context = describePath(data, issue.pathSegments);
+            return `${issue.severity}: ${issue.path}${context ? ` (${context})` : ''}: ${issue.message}`;
+        }).join('\n');
+    }
+
+    return {
+        formatPath: formatPath,
+        validateProfiles: validateProfiles,
+        describePath: describePath,
+        removeInvalid: removeInvalid,
+        formatReport: formatReport,
+    };
+}));
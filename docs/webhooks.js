@@ -0,0 +1,475 @@
+/**
+ * Filename: webhooks.js
+ * Purpose: Delivers outbound webhooks when entities are created or deleted and when scores are saved.
+ * Description: Each configured webhook subscribes to one or more events and receives a JSON payload with the category and profile IDs and slugs, which are the same in every language, the entity, per-criterion scores and likelihood. Bodies can be signed with HMAC-SHA256 in the `X-Likelihood-Signature` header; the signature covers the `X-Likelihood-Timestamp` header too, so receivers can reject old deliveries replayed by someone who captured them. Deliveries wait in a queue in storage until they succeed: failed deliveries are retried with exponential backoff, deliveries are held while the browser is offline, and every delivery is recorded in a capped log. Only one tab sends at a time, so a delivery is not sent once per open tab. Loaded by the browser as a classic script (exposing the `LikelihoodWebhooks` global) and by Node through `require()`.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ * - Sent IDs and slugs, signed a timestamp and let one tab at a time send: 19 October 2026
+ * - Sent every saved assessment of a deleted entity, not only the current profile's: 19 October 2026
+ */
+
+(function (root, factory) {
+    'use strict';
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LikelihoodWebhooks = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /** @const {Array<{event: string, label: string}>} The events a webhook can subscribe to. */
+    const EVENTS = [
+        { event: 'entity.created', label: 'Entity created' },
+        { event: 'entity.deleted', label: 'Entity deleted' },
+        { event: 'score.saved', label: 'Score saved' },
+    ];
+
+    /** @const {string} Storage key of the configured webhooks. */
+    const HOOKS_KEY = 'webhooks';
+    /** @const {string} Storage key of the deliveries waiting to be sent. */
+    const QUEUE_KEY = 'webhookQueue';
+    /** @const {string} Storage key of the delivery log. */
+    const LOG_KEY = 'webhookLog';
+    /** @const {string} Storage key of the lease held by the tab sending deliveries, where Web Locks are unavailable. */
+    const LEASE_KEY = 'webhookQueueLease';
+    /** @const {string} The Web Lock held by the tab sending deliveries. */
+    const LOCK_NAME = 'likelihood-webhook-queue';
+
+    /** @const {number} How long a tab's lease on the queue lasts without being renewed, in milliseconds. */
+    const LEASE_MS = 60 * 1000;
+
+    /** @const {number} The delay before the first retry, in milliseconds. */
+    const RETRY_BASE_DELAY_MS = 5000;
+    /** @const {number} The longest delay between retries, in milliseconds. */
+    const RETRY_MAX_DELAY_MS = 30 * 60 * 1000;
+    /** @const {number} The number of attempts before a delivery is abandoned. */
+    const MAX_ATTEMPTS = 10;
+    /** @const {number} The number of deliveries kept in the log. */
+    const LOG_LIMIT = 100;
+
+    /**
+     * Read a JSON array from storage.
+     * @param {Storage} storage The storage, usually localStorage.
+     * @param {string} key The key.
+     * @return {Array<Object>}
+     */
+    function readList(storage, key) {
+        try {
+            const value = JSON.parse(storage.getItem(key) || '[]');
+            return Array.isArray(value) ? value : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Generate a random identifier.
+     * @return {string}
+     */
+    function generateId() {
+        return Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+    }
+
+    /**
+     * Get the configured webhooks.
+     * @param {Storage} storage The storage.
+     * @return {Array<{id: string, name: string, url: string, events: Array<string>, secret: string, enabled: boolean}>}
+     */
+    function loadHooks(storage) {
+        return readList(storage, HOOKS_KEY);
+    }
+
+    /**
+     * Check a webhook before saving it.
+     * @param {Object} hook The webhook.
+     * @return {Array<string>} The problems, empty if the webhook is valid.
+     */
+    function validateHook(hook) {
+        const problems = [];
+        if (!hook.name || !hook.name.trim()) {
+            problems.push('Name is required.');
+        }
+        if (!/^https?:\/\/[^/]+/.test(hook.url || '')) {
+            problems.push('The URL must start with http:// or https://.');
+        }
+        if (!Array.isArray(hook.events) || hook.events.length === 0) {
+            problems.push('Choose at least one event.');
+        }
+        return problems;
+    }
+
+    /**
+     * Add or replace a webhook.
+     * @param {Storage} storage The storage.
+     * @param {Object} hook The webhook; one without an id is added.
+     * @return {Object} The saved webhook.
+     * @throws {Error} If the webhook is invalid.
+     */
+    function saveHook(storage, hook) {
+        const problems = validateHook(hook);
+        if (problems.length > 0) {
+            throw new Error(problems.join(' '));
+        }
+        const hooks = loadHooks(storage);
+        const saved = { ...hook, id: hook.id || generateId() };
+        const index = hooks.findIndex((item) => item.id === saved.id);
+        if (index === -1) {
+            hooks.push(saved);
+        } else {
+            hooks[index] = saved;
+        }
+        storage.setItem(HOOKS_KEY, JSON.stringify(hooks));
+        return saved;
+    }
+
+    /**
+     * Delete a webhook and its queued deliveries.
+     * @param {Storage} storage The storage.
+     * @param {string} id The webhook id.
+     */
+    function deleteHook(storage, id) {
+        storage.setItem(HOOKS_KEY, JSON.stringify(loadHooks(storage).filter((hook) => hook.id !== id)));
+        storage.setItem(QUEUE_KEY, JSON.stringify(readList(storage, QUEUE_KEY).filter((delivery) => delivery.hookId !== id)));
+    }
+
+    /**
+     * The data of an event.
+     * @typedef {Object} EventData
+     * @property {string} category The category ID.
+     * @property {string} categorySlug The category slug.
+     * @property {?string} profile The profile ID.
+     * @property {?string} profileSlug The profile slug, from its en-AU name.
+     * @property {string} entity The entity name.
+     * @property {?number} likelihood The likelihood, or null if there is none.
+     * @property {Array<{id: string, metric: string, score: number, weight: number}>} scores The scores.
+     * @property {Array<{profile: string, profileSlug: ?string, likelihood: ?number, scores: Array<Object>}>} [assessments]
+     *     Every saved assessment of the entity in the category, for entity.deleted events.
+     */
+
+    /** @const {string} The ID of this tab, which holds the lease on the queue while it sends. */
+    const TAB_ID = generateId();
+
+    /**
+     * Build the payload sent for an event.
+     * Categories, profiles and criteria are identified by their IDs and slugs, which stay the same in every language;
+     * the metric names are as shown in the chosen language.
+     * @param {string} event The event name.
+     * @param {EventData} data The event data.
+     * @param {number} timestamp When the event happened, in milliseconds since the epoch.
+     * @return {Object}
+     */
+    function buildPayload(event, data, timestamp) {
+        const mapScores = (scores) => (scores || []).map((item) => ({ id: item.id, metric: item.metric, score: item.score, weight: item.weight }));
+        const payload = {
+            event: event,
+            timestamp: new Date(timestamp).toISOString(),
+            category: data.category,
+            categorySlug: data.categorySlug,
+            profile: data.profile || null,
+            profileSlug: data.profileSlug || null,
+            entity: data.entity,
+            likelihood: typeof data.likelihood === 'number' ? data.likelihood : null,
+            scores: mapScores(data.scores),
+        };
+        if (data.assessments) {
+            payload.assessments = data.assessments.map((assessment) => ({
+                profile: assessment.profile,
+                profileSlug: assessment.profileSlug || null,
+                likelihood: typeof assessment.likelihood === 'number' ? assessment.likelihood : null,
+                scores: mapScores(assessment.scores),
+            }));
+        }
+        return payload;
+    }
+
+    /**
+     * Queue a delivery of an event to every enabled webhook subscribed to it.
+     * @param {Storage} storage The storage.
+     * @param {string} event The event name.
+     * @param {Object} data The event data for buildPayload().
+     * @param {number} [now] The current time, in milliseconds since the epoch.
+     * @return {number} The number of deliveries queued.
+     */
+    function enqueue(storage, event, data, now = Date.now()) {
+        const hooks = loadHooks(storage).filter((hook) => hook.enabled !== false && hook.events.includes(event));
+        if (hooks.length === 0) {
+            return 0;
+        }
+        const body = JSON.stringify(buildPayload(event, data, now));
+        const queue = readList(storage, QUEUE_KEY);
+        hooks.forEach((hook) => {
+            queue.push({ id: generateId(), hookId: hook.id, event: event, body: body, attempts: 0, nextAttempt: now, created: now });
+        });
+        storage.setItem(QUEUE_KEY, JSON.stringify(queue));
+        return hooks.length;
+    }
+
+    /**
+     * Get the deliveries waiting to be sent.
+     * @param {Storage} storage The storage.
+     * @return {Array<{id: string, hookId: string, event: string, body: string, attempts: number, nextAttempt: number, created: number}>}
+     */
+    function loadQueue(storage) {
+        return readList(storage, QUEUE_KEY);
+    }
+
+    /**
+     * Get the delay before the next attempt, doubling with each attempt.
+     * @param {number} attempts The attempts made so far.
+     * @return {number} The delay in milliseconds.
+     */
+    function retryDelay(attempts) {
+        return Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, Math.max(0, attempts - 1)), RETRY_MAX_DELAY_MS);
+    }
+
+    /**
+     * Sign a delivery with HMAC-SHA256, over its timestamp and body joined by a full stop.
+     * @example
+     * await sign('secret', '1792400000', '{"event":"score.saved"}'); // the HMAC of '1792400000.{"event":"score.saved"}'
+     * @param {string} secret The shared secret.
+     * @param {string} timestamp The X-Likelihood-Timestamp header, in seconds since the epoch.
+     * @param {string} body The request body.
+     * @return {Promise<string>} The signature as lowercase hex.
+     */
+    async function sign(secret, timestamp, body) {
+        const encoder = new TextEncoder();
+        const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+        const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${body}`));
+        return Array.from(new Uint8Array(signature)).map((byte) => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Send one delivery.
+     * Each attempt carries the time it was sent, so a retry is signed afresh.
+     * @param {Object} hook The webhook.
+     * @param {Object} delivery The queued delivery.
+     * @param {function(string, Object): Promise<Response>} [fetchImpl] The fetch implementation; defaults to the global fetch.
+     * @param {number} [now] The current time, in milliseconds since the epoch.
+     * @return {Promise<{ok: boolean, retry: boolean, status: ?number, error: string}>} Whether it was delivered and, if not, whether to retry.
+     */
+    async function send(hook, delivery, fetchImpl, now = Date.now()) {
+        const timestamp = Math.floor(now / 1000).toString();
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-Likelihood-Event': delivery.event,
+            'X-Likelihood-Delivery': delivery.id,
+            'X-Likelihood-Timestamp': timestamp,
+        };
+        if (hook.secret) {
+            try {
+                headers['X-Likelihood-Signature'] = `sha256=${await sign(hook.secret, timestamp, delivery.body)}`;
+            } catch (error) {
+                // Web Crypto is only available on HTTPS pages and localhost
+                return { ok: false, retry: false, status: null, error: `Could not sign the body: ${error.message}` };
+            }
+        }
+        let response;
+        try {
+            response = await (fetchImpl || fetch)(hook.url, { method: 'POST', headers: headers, body: delivery.body });
+        } catch (error) {
+            return { ok: false, retry: true, status: null, error: `Could not reach ${hook.url}: ${error.message}` };
+        }
+        if (response.ok) {
+            return { ok: true, retry: false, status: response.status, error: '' };
+        }
+        // Retry server errors, timeouts and rate limits; other client errors will not succeed on retry
+        const retry = response.status >= 500 || response.status === 408 || response.status === 429;
+        return { ok: false, retry: retry, status: response.status, error: `HTTP ${response.status} ${response.statusText || ''}`.trim() };
+    }
+
+    /**
+     * Get the delivery log, newest first.
+     * @param {Storage} storage The storage.
+     * @return {Array<{id: string, hookId: string, hookName: string, event: string, status: string, attempts: number, responseStatus: ?number, error: string, updated: number, nextAttempt: ?number}>}
+     */
+    function loadLog(storage) {
+        return readList(storage, LOG_KEY);
+    }
+
+    /**
+     * Add or update the log entry of a delivery.
+     * @param {Storage} storage The storage.
+     * @param {Object} entry The log entry.
+     */
+    function writeLog(storage, entry) {
+        const log = loadLog(storage).filter((item) => item.id !== entry.id);
+        log.unshift(entry);
+        storage.setItem(LOG_KEY, JSON.stringify(log.slice(0, LOG_LIMIT)));
+    }
+
+    /**
+     * Clear the delivery log.
+     * @param {Storage} storage The storage.
+     */
+    function clearLog(storage) {
+        storage.removeItem(LOG_KEY);
+    }
+
+    /**
+     * Make every queued delivery due now.
+     * @param {Storage} storage The storage.
+     */
+    function retryNow(storage) {
+        const now = Date.now();
+        const queue = readList(storage, QUEUE_KEY).map((delivery) => ({ ...delivery, nextAttempt: now }));
+        storage.setItem(QUEUE_KEY, JSON.stringify(queue));
+    }
+
+    /**
+     * Take the lease on the queue for a tab, or renew it, unless another tab holds it.
+     * Used where Web Locks are unavailable; a tab that closes mid-send loses its lease when it runs out.
+     * @param {Storage} storage The storage.
+     * @param {string} owner The tab's ID.
+     * @param {number} now The current time, in milliseconds since the epoch.
+     * @return {?number} When another tab's lease runs out, or null if this tab now holds the lease.
+     */
+    function takeLease(storage, owner, now) {
+        let lease = null;
+        try {
+            lease = JSON.parse(storage.getItem(LEASE_KEY) || 'null');
+        } catch (error) {
+            // A damaged lease is replaced
+        }
+        if (lease && lease.owner !== owner && lease.expires > now) {
+            return lease.expires;
+        }
+        storage.setItem(LEASE_KEY, JSON.stringify({ owner: owner, expires: now + LEASE_MS }));
+        return null;
+    }
+
+    /**
+     * Give up a tab's lease on the queue.
+     * @param {Storage} storage The storage.
+     * @param {string} owner The tab's ID.
+     */
+    function releaseLease(storage, owner) {
+        try {
+            const lease = JSON.parse(storage.getItem(LEASE_KEY) || 'null');
+            if (lease && lease.owner === owner) {
+                storage.removeItem(LEASE_KEY);
+            }
+        } catch (error) {
+            storage.removeItem(LEASE_KEY);
+        }
+    }
+
+    /**
+     * Send every delivery that is due, in one tab at a time.
+     * With Web Locks, a tab waits for any other tab sending to finish; it then only finds the deliveries still queued.
+     * Without them, a tab finding another's lease on the queue leaves the deliveries to it, and reports the lease's
+     * end as the next attempt in case that tab has closed.
+     * @param {Storage} storage The storage.
+     * @param {{now: number, online: boolean, fetchImpl: function, locks: LockManager, owner: string}} [options] The
+     *     current time, whether the browser is online, the fetch implementation, the Web Locks manager (normally
+     *     navigator.locks) and, without it, the ID of this tab; defaults to an ID made when this page loaded.
+     * @return {Promise<{delivered: number, failed: number, pending: number, nextAttempt: ?number}>} The outcome and when the next queued delivery is due.
+     */
+    async function processQueue(storage, options = {}) {
+        if (options.locks) {
+            return options.locks.request(LOCK_NAME, () => deliverDue(storage, options));
+        }
+        const owner = options.owner || TAB_ID;
+        const leaseEnds = takeLease(storage, owner, options.now || Date.now());
+        if (leaseEnds !== null) {
+            const remaining = readList(storage, QUEUE_KEY);
+            return {
+                delivered: 0,
+                failed: 0,
+                pending: remaining.length,
+                nextAttempt: remaining.length > 0 ? Math.max(leaseEnds, Math.min(...remaining.map((delivery) => delivery.nextAttempt))) : null,
+            };
+        }
+        try {
+            return await deliverDue(storage, Object.assign({}, options, { onSent: () => takeLease(storage, owner, Date.now()) }));
+        } finally {
+            releaseLease(storage, owner);
+        }
+    }
+
+    /**
+     * Send every delivery that is due. Deliveries are read back from storage after each send, so events queued meanwhile are kept.
+     * @param {Storage} storage The storage.
+     * @param {{now: number, online: boolean, fetchImpl: function, onSent: function}} options The current time, whether
+     *     the browser is online, the fetch implementation and a function called after each send.
+     * @return {Promise<{delivered: number, failed: number, pending: number, nextAttempt: ?number}>}
+     */
+    async function deliverDue(storage, options) {
+        const online = options.online !== false;
+        const now = options.now || Date.now();
+        const outcome = { delivered: 0, failed: 0, pending: 0, nextAttempt: null };
+
+        if (online) {
+            const hooks = loadHooks(storage);
+            const due = readList(storage, QUEUE_KEY).filter((delivery) => delivery.nextAttempt <= now);
+            for (const delivery of due) {
+                const hook = hooks.find((item) => item.id === delivery.hookId);
+                const result = hook
+                    ? await send(hook, delivery, options.fetchImpl)
+                    : { ok: false, retry: false, status: null, error: 'The webhook was deleted.' };
+                if (options.onSent) {
+                    options.onSent();
+                }
+                const attempts = delivery.attempts + 1;
+                const abandon = !result.ok && (!result.retry || attempts >= MAX_ATTEMPTS);
+                const nextAttempt = result.ok || abandon ? null : Date.now() + retryDelay(attempts);
+
+                const queue = readList(storage, QUEUE_KEY);
+                const index = queue.findIndex((item) => item.id === delivery.id);
+                if (index !== -1) {
+                    if (nextAttempt === null) {
+                        queue.splice(index, 1);
+                    } else {
+                        queue[index] = { ...delivery, attempts: attempts, nextAttempt: nextAttempt };
+                    }
+                    storage.setItem(QUEUE_KEY, JSON.stringify(queue));
+                }
+                writeLog(storage, {
+                    id: delivery.id,
+                    hookId: delivery.hookId,
+                    hookName: hook ? hook.name : '',
+                    event: delivery.event,
+                    status: result.ok ? 'delivered' : (abandon ? 'failed' : 'retrying'),
+                    attempts: attempts,
+                    responseStatus: result.status,
+                    error: result.error,
+                    updated: Date.now(),
+                    nextAttempt: nextAttempt,
+                });
+                if (result.ok) {
+                    outcome.delivered += 1;
+                } else if (abandon) {
+                    outcome.failed += 1;
+                }
+            }
+        }
+
+        const remaining = readList(storage, QUEUE_KEY);
+        outcome.pending = remaining.length;
+        if (remaining.length > 0) {
+            outcome.nextAttempt = Math.min(...remaining.map((delivery) => delivery.nextAttempt));
+        }
+        return outcome;
+    }
+
+    return {
+        EVENTS: EVENTS,
+        MAX_ATTEMPTS: MAX_ATTEMPTS,
+        loadHooks: loadHooks,
+        validateHook: validateHook,
+        saveHook: saveHook,
+        deleteHook: deleteHook,
+        buildPayload: buildPayload,
+        enqueue: enqueue,
+        loadQueue: loadQueue,
+        retryDelay: retryDelay,
+        sign: sign,
+        send: send,
+        loadLog: loadLog,
+        clearLog: clearLog,
+        retryNow: retryNow,
+        processQueue: processQueue,
+    };
+}));
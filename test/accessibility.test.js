@@ -0,0 +1,81 @@
+/**
+ * Filename: accessibility.test.js
+ * Purpose: Tests that the controls, charts and results in docs/index.html can be used with a screen reader.
+ * Description: Run with `node --test test/` from the repository root. Reads docs/index.html as text; the sliders, cards and chart table filled in by app.js are not covered.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const html = fs.readFileSync(path.join(__dirname, '..', 'docs', 'index.html'), 'utf8');
+
+/**
+ * Read the attributes of an element's start tag.
+ * @param {string} tag The start tag, e.g. '<input id="x" type="file">'.
+ * @return {Object<string, string>} The attribute values, keyed by name; attributes without a value are empty strings.
+ */
+function attributes(tag) {
+    const result = {};
+    Array.from(tag.matchAll(/\s([\w:-]+)(?:="([^"]*)")?/g)).forEach((match) => {
+        result[match[1]] = match[2] === undefined ? '' : match[2];
+    });
+    return result;
+}
+
+/**
+ * Find the start tags of every element with a name.
+ * @param {string} name The element name.
+ * @return {Array<Object<string, string>>} The attributes of each element.
+ */
+function elements(name) {
+    return Array.from(html.matchAll(new RegExp(`<${name}\\b[^>]*>`, 'g')), (match) => attributes(match[0]));
+}
+
+test('gives every form control a label', () => {
+    const labelled = new Set(Array.from(html.matchAll(/<label\b[^>]*\sfor="([^"]+)"/g), (match) => match[1]));
+    const unlabelled = ['input', 'select', 'textarea']
+        .flatMap((name) => elements(name).map((element) => ({ name: name, ...element })))
+        // Hidden inputs, and file inputs hidden behind a labelled button, are never focused
+        .filter((element) => element.type !== 'hidden' && !/\bd-none\b/.test(element.class || ''))
+        .filter((element) => !labelled.has(element.id) && !('aria-label' in element) && !('aria-labelledby' in element))
+        .map((element) => element.id || element.name);
+    assert.deepStrictEqual(unlabelled, []);
+});
+
+test('names every button that only shows an icon', () => {
+    const unnamed = Array.from(html.matchAll(/<button\b([^>]*)>([\s\S]*?)<\/button>/g))
+        .filter((match) => !match[2].replace(/<[^>]*>/g, '').trim())
+        .map((match) => attributes(match[1]))
+        .filter((button) => !button['aria-label'])
+        .map((button) => button.id || button.class);
+    assert.deepStrictEqual(unnamed, []);
+});
+
+test('describes every chart as an image with a translated label', () => {
+    const canvases = elements('canvas');
+    assert.ok(canvases.length > 0);
+    canvases.forEach((canvas) => {
+        assert.strictEqual(canvas.role, 'img', canvas.id);
+        assert.ok(canvas['aria-label'] && canvas['data-i18n-aria-label'], canvas.id);
+    });
+});
+
+test('offers the likelihood chart as a table', () => {
+    assert.match(html, /<table id="chartDataTable"[^>]*>\s*<caption[^>]*><\/caption>\s*<thead>\s*<tr>\s*<th scope="col"[^>]*>[^<]*<\/th>\s*<th scope="col"/);
+});
+
+test('announces the likelihood politely and in full', () => {
+    const announcer = elements('div').find((element) => element.id === 'likelihoodAnnouncer');
+    assert.ok(announcer);
+    assert.strictEqual(announcer['aria-live'], 'polite');
+    assert.strictEqual(announcer['aria-atomic'], 'true');
+    assert.match(announcer.class, /\bvisually-hidden\b/);
+});
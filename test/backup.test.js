@@ -0,0 +1,146 @@
+/**
+ * Filename: backup.test.js
+ * Purpose: Tests the backup parsing, merging and conflict resolution of docs/backup.js.
+ * Description: Run with `node --test test/` from the repository root. Merges the assessments of one entity, stored as `entities[category][entity][profileCategory][profile]`, with the timestamps given in each test.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const LikelihoodBackup = require('../docs/backup.js');
+
+/**
+ * Store one assessment record of Acme.
+ * @param {string} profile The profile ID.
+ * @param {Object} record The stored profile record.
+ * @return {Object} The stored entities.
+ */
+function entities(profile, record) {
+    return { investment: { Acme: { investment: { [profile]: record } } } };
+}
+
+/**
+ * Create an assessment record.
+ * @param {number} likelihood The stored likelihood.
+ * @param {number} [updated] When it was last updated; records from before the history have no timestamp.
+ * @return {Object}
+ */
+function record(likelihood, updated) {
+    const result = { likelihood: likelihood, scores: { rapport: 3 } };
+    if (updated !== undefined) {
+        result.updated = updated;
+    }
+    return result;
+}
+
+/** A Storage held in memory. */
+class MemoryStorage {
+    constructor(items = {}) {
+        this.items = new Map(Object.entries(items));
+    }
+
+    get length() {
+        return this.items.size;
+    }
+
+    key(index) {
+        return Array.from(this.items.keys())[index] ?? null;
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+test('rejects files that are not backups or are from a newer version', () => {
+    assert.throws(() => LikelihoodBackup.parseBackup('{'), /not valid JSON/);
+    assert.throws(() => LikelihoodBackup.parseBackup('{"format":"other","version":1}'), /not a Likelihood Calculator backup/);
+    assert.throws(() => LikelihoodBackup.parseBackup(JSON.stringify({ format: LikelihoodBackup.FORMAT, version: LikelihoodBackup.VERSION + 1 })), /only reads up to version/);
+});
+
+test('reads a version 1 backup as holding schema 1 entities', () => {
+    const backup = LikelihoodBackup.parseBackup(JSON.stringify({ format: LikelihoodBackup.FORMAT, version: 1, entities: {} }));
+    assert.strictEqual(backup.entitiesSchemaVersion, 1);
+    assert.deepStrictEqual(backup.customProfiles, { categories: [] });
+    assert.deepStrictEqual(backup.reportTemplates, []);
+});
+
+test('finds only the records that differ on both sides', () => {
+    const local = { investment: { Acme: { investment: { 'angel-investors': record(40, 1), banks: record(10, 1) } } } };
+    const incoming = { investment: { Acme: { investment: { 'angel-investors': record(60, 2), banks: record(10, 1), grants: record(5, 1) } } } };
+    const conflicts = LikelihoodBackup.findConflicts(local, incoming);
+    assert.deepStrictEqual(conflicts.map((conflict) => [conflict.profile, conflict.local.likelihood, conflict.incoming.likelihood]), [['angel-investors', 40, 60]]);
+    assert.strictEqual(conflicts[0].id, JSON.stringify(['investment', 'Acme', 'investment', 'angel-investors']));
+});
+
+test('resolves conflicts by keeping the local record, taking the incoming one or taking the newest', () => {
+    const local = entities('angel-investors', record(40, 200));
+    const incoming = entities('angel-investors', record(60, 100));
+    const likelihood = (result) => result.entities.investment.Acme.investment['angel-investors'].likelihood;
+
+    const kept = LikelihoodBackup.mergeEntities(local, incoming, {}, 'local');
+    assert.deepStrictEqual([likelihood(kept), kept.kept, kept.replaced], [40, 1, 0]);
+    const taken = LikelihoodBackup.mergeEntities(local, incoming, {}, 'incoming');
+    assert.deepStrictEqual([likelihood(taken), taken.kept, taken.replaced], [60, 0, 1]);
+    assert.strictEqual(likelihood(LikelihoodBackup.mergeEntities(local, incoming, {}, 'newest')), 40);
+    assert.strictEqual(likelihood(LikelihoodBackup.mergeEntities(incoming, local)), 40);
+});
+
+test('uses the resolution chosen for a conflict over the default', () => {
+    const id = JSON.stringify(['investment', 'Acme', 'investment', 'angel-investors']);
+    const result = LikelihoodBackup.mergeEntities(entities('angel-investors', record(40, 200)), entities('angel-investors', record(60, 100)), { [id]: 'incoming' }, 'local');
+    assert.strictEqual(result.entities.investment.Acme.investment['angel-investors'].likelihood, 60);
+});
+
+test('counts records without a timestamp as the oldest', () => {
+    const result = LikelihoodBackup.mergeEntities(entities('angel-investors', record(40)), entities('angel-investors', record(60, 1)));
+    assert.strictEqual(result.entities.investment.Acme.investment['angel-investors'].likelihood, 60);
+    assert.strictEqual(LikelihoodBackup.recordUpdated(record(40)), 0);
+    // Two records without timestamps tie, and a tie keeps the local record
+    assert.strictEqual(LikelihoodBackup.mergeEntities(entities('banks', record(40)), entities('banks', record(60))).entities.investment.Acme.investment.banks.likelihood, 40);
+});
+
+test('adds records and entity details that only the backup has', () => {
+    const local = { investment: { Acme: { image: 'local.webp', investment: { banks: record(10, 1) } } } };
+    const incoming = {
+        investment: {
+            Acme: { image: 'incoming.webp', entityDetails: { website: 'acme.example' }, investment: { grants: record(5, 1) } },
+            Beta: { investment: { banks: record(20, 1) } },
+        },
+    };
+    const result = LikelihoodBackup.mergeEntities(local, incoming);
+    assert.strictEqual(result.added, 2);
+    assert.strictEqual(result.entities.investment.Acme.image, 'local.webp');
+    assert.deepStrictEqual(result.entities.investment.Acme.entityDetails, { website: 'acme.example' });
+    assert.deepStrictEqual(Object.keys(result.entities.investment.Acme.investment), ['banks', 'grants']);
+    assert.strictEqual(result.entities.investment.Beta.investment.banks.likelihood, 20);
+});
+
+test('merges a backup into storage without overwriting local settings', () => {
+    const storage = new MemoryStorage({ entities: JSON.stringify(entities('banks', record(10, 1))), uncertaintyMode: 'off' });
+    const backup = LikelihoodBackup.parseBackup(JSON.stringify({
+        format: LikelihoodBackup.FORMAT,
+        version: LikelihoodBackup.VERSION,
+        entities: entities('grants', record(5, 1)),
+        settings: { uncertaintyMode: 'on', visitCount: '3' },
+        disclaimers: { investment: true },
+    }));
+    assert.deepStrictEqual(LikelihoodBackup.applyBackup(storage, backup, { mode: 'merge' }), { added: 1, replaced: 0, kept: 0 });
+    assert.deepStrictEqual(Object.keys(JSON.parse(storage.getItem('entities')).investment.Acme.investment), ['banks', 'grants']);
+    assert.strictEqual(storage.getItem('uncertaintyMode'), 'off');
+    assert.strictEqual(storage.getItem('visitCount'), '3');
+    assert.strictEqual(storage.getItem('disclaimerCollapsed-investment'), 'true');
+});
@@ -0,0 +1,95 @@
+/**
+ * Filename: command-palette.test.js
+ * Purpose: Tests how docs/command-palette.js builds and searches the command palette entries.
+ * Description: Run with `node --test test/` from the repository root. Searches one category with two profiles and one stored entity.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const LikelihoodCommandPalette = require('../docs/command-palette.js');
+
+/** @const {Array<Object>} The categories, as loaded from profiles.json. */
+const CATEGORIES = [{
+    id: 'investment',
+    name: 'Investment',
+    savename: 'Investor',
+    description: 'Tools for founders to calculate investment probability',
+    profiles: [
+        {
+            id: 'angel-investors',
+            name: 'Angel Investors',
+            description: 'Individuals investing their own money',
+            criteria: [{ metric: 'Rapport', description: 'How well you get on' }, { metric: 'Fit' }],
+        },
+        { id: 'y-combinator', name: 'Y Combinator Engagement', criteria: [{ metric: 'Traction' }] },
+    ],
+}];
+
+/** @const {Object} The stored entities; Acme's best assessment is for Y Combinator. */
+const ENTITIES = {
+    investment: {
+        Acme: {
+            investment: {
+                'angel-investors': { percentageLikelihood: '20.00%', scores: [2, 2] },
+                'y-combinator': { percentageLikelihood: '75.00%', scores: [4] },
+            },
+            entityDetails: { tags: ['Fintech'] },
+        },
+    },
+};
+
+const entries = LikelihoodCommandPalette.buildEntries(CATEGORIES, ENTITIES);
+
+/**
+ * Search the entries and list the labels found.
+ * @param {string} query The query.
+ * @return {Array<string>}
+ */
+function labels(query) {
+    return LikelihoodCommandPalette.search(entries, query).map((entry) => entry.label);
+}
+
+test('builds an entry for each category, profile, criterion and stored entity', () => {
+    assert.deepStrictEqual(entries.map((entry) => [entry.type, entry.label, entry.detail, entry.profileIndex]), [
+        ['category', 'Investment', '', null],
+        ['profile', 'Angel Investors', 'Investment', 0],
+        ['criterion', 'Rapport', 'Investment › Angel Investors', 0],
+        ['criterion', 'Fit', 'Investment › Angel Investors', 0],
+        ['profile', 'Y Combinator Engagement', 'Investment', 1],
+        ['criterion', 'Traction', 'Investment › Y Combinator Engagement', 1],
+        ['entity', 'Acme', 'Investment', 1],
+    ]);
+    assert.strictEqual(entries[6].savename, 'Investor');
+    assert.strictEqual(entries[6].entityName, 'Acme');
+});
+
+test('matches letters in order, ignoring case and spaces', () => {
+    assert.ok(LikelihoodCommandPalette.fuzzyScore('yceng', 'Y Combinator Engagement') > 0);
+    assert.ok(LikelihoodCommandPalette.fuzzyScore('ANGEL inv', 'Angel Investors') > 0);
+    assert.strictEqual(LikelihoodCommandPalette.fuzzyScore('xyz', 'Angel Investors'), null);
+    assert.strictEqual(LikelihoodCommandPalette.fuzzyScore('sr', 'Angel Investors'), null);
+    assert.strictEqual(LikelihoodCommandPalette.fuzzyScore('', 'Angel Investors'), 0);
+});
+
+test('ranks word starts and consecutive letters above scattered ones', () => {
+    assert.ok(LikelihoodCommandPalette.fuzzyScore('inv', 'Angel Investors') > LikelihoodCommandPalette.fuzzyScore('ais', 'Angel Investors'));
+    assert.ok(LikelihoodCommandPalette.fuzzyScore('fit', 'Fit') > LikelihoodCommandPalette.fuzzyScore('fit', 'Profitability'));
+    assert.deepStrictEqual(labels('inv'), ['Investment', 'Angel Investors']);
+});
+
+test('falls back to the description and tags, ranked below name matches', () => {
+    assert.deepStrictEqual(labels('get on'), ['Rapport']);
+    assert.deepStrictEqual(labels('fintech'), ['Acme']);
+    assert.deepStrictEqual(labels('ac'), ['Acme', 'Traction']);
+});
+
+test('lists the categories for a blank query and limits the results', () => {
+    assert.deepStrictEqual(labels('  '), ['Investment']);
+    assert.strictEqual(LikelihoodCommandPalette.search(entries, 'n', 2).length, 2);
+});
@@ -0,0 +1,44 @@
+/**
+ * Filename: comparison.test.js
+ * Purpose: Tests how docs/comparison.js recalculates and compares stored assessments.
+ * Description: Run with `node --test test/` from the repository root.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const LikelihoodComparison = require('../docs/comparison.js');
+
+/** @const {Object} A profile with one regular and one inverted criterion of equal weight. */
+const PROFILE = {
+    name: 'Test',
+    criteria: [
+        { id: 'interest', metric: 'Interest', weight: 50 },
+        { id: 'risk', metric: 'Risk', weight: 50, invert: true },
+    ],
+};
+
+test('gives an unscored inverted criterion no credit', () => {
+    const result = LikelihoodComparison.scoreAssessment(PROFILE, [{ id: 'interest', score: 5 }]);
+    assert.deepStrictEqual(result.scores, [5, null]);
+    assert.deepStrictEqual(result.missing, ['Risk']);
+    assert.strictEqual(result.likelihood, 50);
+});
+
+test('leaves unscored criteria out of the differences', () => {
+    const comparison = LikelihoodComparison.compareAssessments(PROFILE, [
+        { name: 'Acme', scores: [{ id: 'interest', score: 5 }] },
+        { name: 'Globex', scores: [{ id: 'interest', score: 3 }, { id: 'risk', score: 1 }] },
+    ]);
+    assert.deepStrictEqual(comparison.entities.map((entity) => entity.likelihood), [50, 75]);
+    assert.deepStrictEqual(comparison.entities.map((entity) => entity.missing), [['Risk'], []]);
+    const risk = comparison.criteria[1];
+    assert.deepStrictEqual(risk.scores, [null, 1]);
+    assert.strictEqual(risk.impact, 0);
+    assert.deepStrictEqual(risk.best, []);
+});
@@ -0,0 +1,71 @@
+/**
+ * Filename: csv-export.test.js
+ * Purpose: Tests the CSV export of docs/csv-export.js.
+ * Description: Run with `node --test test/` from the repository root. Exports a small category of stored entities with the entity names given in each test.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const LikelihoodCsv = require('../docs/csv-export.js');
+
+const categories = [{
+    id: 'investment',
+    name: 'Investment',
+    profiles: [{
+        id: 'angel-investors',
+        name: 'Angel Investors',
+        criteria: [{ id: 'rapport', metric: 'Rapport', weight: 60 }, { id: 'fit', metric: 'Fit', weight: 40 }],
+    }],
+}];
+
+/**
+ * Create the stored entities of the investment category with the same assessment each.
+ * @param {Array<string>} names The entity names.
+ * @return {Object}
+ */
+function createEntities(names) {
+    const entities = {};
+    names.forEach((name) => {
+        entities[name] = {
+            investment: {
+                'angel-investors': {
+                    scores: [{ id: 'rapport', metric: 'Rapport', score: 4 }, { id: 'fit', metric: 'Fit', score: 2 }],
+                    percentageLikelihood: '62.50%',
+                    updated: 1792400000000,
+                },
+            },
+        };
+    });
+    return { investment: entities };
+}
+
+test('writes text that starts like a formula with a leading apostrophe', () => {
+    const names = ['=HYPERLINK("https://example.com")', '+61 Ventures', '-Acme', '@Capital', 'Plain'];
+    const { csv } = LikelihoodCsv.exportAssessments(createEntities(names), categories, ['investment']);
+    const entities = csv.split('\r\n').slice(1, -1).map((line) => line.slice('Investment,'.length, line.indexOf(',Angel Investors,')));
+    assert.deepStrictEqual(entities.sort(), ['"\'=HYPERLINK(""https://example.com"")"', '\'-Acme', '\'@Capital', '\'+61 Ventures', 'Plain'].sort());
+});
+
+test('leaves numbers as they are', () => {
+    assert.strictEqual(LikelihoodCsv.escapeField(-2), '-2');
+    assert.strictEqual(LikelihoodCsv.escapeField('-2'), '\'-2');
+});
+
+test('heads the columns with the headings passed in', () => {
+    const headings = {
+        category: 'Kategorie',
+        entity: 'Eintrag',
+        profile: 'Profil',
+        likelihood: 'Wahrscheinlichkeit (%)',
+        updated: 'Zuletzt aktualisiert',
+        criterion: 'Kriterium {number}',
+    };
+    const { csv } = LikelihoodCsv.exportAssessments(createEntities(['Acme']), categories, ['investment'], headings);
+    assert.strictEqual(csv.split('\r\n')[0], 'Kategorie,Eintrag,Profil,Wahrscheinlichkeit (%),Zuletzt aktualisiert,Rapport,Fit');
+});
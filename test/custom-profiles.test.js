@@ -0,0 +1,105 @@
+/**
+ * Filename: custom-profiles.test.js
+ * Purpose: Tests the custom profile merging, saving and deleting of docs/custom-profiles.js.
+ * Description: Run with `node --test test/` from the repository root. Works against one shipped category with one profile.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const LikelihoodCustomProfiles = require('../docs/custom-profiles.js');
+
+/** @const {Array<Object>} The shipped categories. */
+const SHIPPED = [{
+    id: 'investment',
+    name: 'Investment',
+    slug: 'investment',
+    profiles: [{ id: 'angel-investors', name: 'Angel Investors', criteria: [{ id: 'rapport', metric: 'Rapport', weight: 100 }] }],
+}];
+
+/**
+ * Create a profile with one criterion.
+ * @param {string} name The profile name.
+ * @param {string} [id] The profile ID.
+ * @return {Object}
+ */
+function profile(name, id) {
+    const result = { name: name, criteria: [{ id: 'fit', metric: 'Fit', weight: 100 }] };
+    if (id) {
+        result.id = id;
+    }
+    return result;
+}
+
+test('replaces a shipped profile by ID even when it has been renamed', () => {
+    const custom = { categories: [{ slug: 'investment', profiles: [profile('Business Angels', 'angel-investors')] }] };
+    const merged = LikelihoodCustomProfiles.mergeCategories(SHIPPED, custom);
+    assert.deepStrictEqual(merged[0].profiles.map((item) => [item.name, item.custom, item.overrides]), [['Business Angels', true, true]]);
+    // The shipped categories are left as they were
+    assert.strictEqual(SHIPPED[0].profiles[0].name, 'Angel Investors');
+});
+
+test('replaces a shipped profile by name when the custom profile has no ID', () => {
+    const custom = { categories: [{ slug: 'investment', profiles: [profile('Angel investors'), profile('Family Offices')] }] };
+    const merged = LikelihoodCustomProfiles.mergeCategories(SHIPPED, custom);
+    assert.deepStrictEqual(merged[0].profiles.map((item) => [item.name, item.overrides]), [['Angel investors', true], ['Family Offices', undefined]]);
+});
+
+test('adds a new category only when it has profiles', () => {
+    const custom = {
+        categories: [
+            { slug: 'hiring', name: 'Hiring', profiles: [profile('Engineers')] },
+            { slug: 'empty', name: 'Empty', profiles: [] },
+        ],
+    };
+    const merged = LikelihoodCustomProfiles.mergeCategories(SHIPPED, custom);
+    assert.deepStrictEqual(merged.map((category) => [category.slug, category.custom]), [['investment', undefined], ['hiring', true]]);
+});
+
+test('renames a saved profile in place by its ID', () => {
+    let custom = LikelihoodCustomProfiles.saveProfile(LikelihoodCustomProfiles.createEmpty(), { slug: 'investment' }, profile('Angels', 'angels'));
+    custom = LikelihoodCustomProfiles.saveProfile(custom, { slug: 'investment' }, profile('Business Angels', 'angels'), {
+        categorySlug: 'investment',
+        profileId: 'angels',
+        profileName: 'Angels',
+    });
+    assert.deepStrictEqual(custom.categories[0].profiles.map((item) => item.name), ['Business Angels']);
+});
+
+test('moves a saved profile to another category', () => {
+    let custom = LikelihoodCustomProfiles.saveProfile(LikelihoodCustomProfiles.createEmpty(), { slug: 'investment' }, profile('Angels', 'angels'));
+    custom = LikelihoodCustomProfiles.saveProfile(custom, { slug: 'hiring', name: 'Hiring' }, profile('Angels', 'angels'), {
+        categorySlug: 'investment',
+        profileId: 'angels',
+        profileName: 'Angels',
+    });
+    assert.deepStrictEqual(custom.categories.map((category) => category.slug), ['hiring']);
+});
+
+test('deletes a profile by ID and keeps a category that still overrides details', () => {
+    const custom = {
+        categories: [
+            { slug: 'investment', profiles: [profile('Business Angels', 'angel-investors')] },
+            { slug: 'hiring', name: 'Hiring', profiles: [profile('Engineers', 'engineers')] },
+        ],
+    };
+    const updated = LikelihoodCustomProfiles.deleteProfile(
+        LikelihoodCustomProfiles.deleteProfile(custom, 'investment', { id: 'angel-investors', name: 'Angel Investors' }),
+        'hiring',
+        { id: 'engineers', name: 'Engineers' }
+    );
+    assert.deepStrictEqual(updated.categories, [{ slug: 'hiring', name: 'Hiring', profiles: [] }]);
+});
+
+test('exports custom profiles with the shipped category details and without the merge flags', () => {
+    const custom = { categories: [{ slug: 'investment', profiles: [{ ...profile('Angels', 'angels'), custom: true, overrides: false }] }] };
+    const exported = LikelihoodCustomProfiles.exportCategories(SHIPPED, custom);
+    assert.deepStrictEqual(exported, {
+        categories: [{ id: 'investment', name: 'Investment', slug: 'investment', profiles: [profile('Angels', 'angels')] }],
+    });
+});
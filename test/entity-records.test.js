@@ -0,0 +1,94 @@
+/**
+ * Filename: entity-records.test.js
+ * Purpose: Tests the entity details and search of docs/entity-records.js.
+ * Description: Run with `node --test test/` from the repository root.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const LikelihoodEntityRecords = require('../docs/entity-records.js');
+
+/** @const {Object} The details of an entity as entered. */
+const DETAILS = {
+    website: ' https://acme.example ',
+    contact: 'Jo Citizen',
+    email: 'jo@acme.example',
+    notes: 'Met at the Sydney expo',
+    tags: ['Seed', 'Fintech'],
+    custom: { stage: 'Series A', empty: '' },
+};
+
+/** A Storage held in memory. */
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+}
+
+test('tidies tags, keeping the first spelling of each', () => {
+    assert.deepStrictEqual(LikelihoodEntityRecords.normaliseTags('seed, Fintech, fintech ,'), ['seed', 'Fintech']);
+    assert.deepStrictEqual(LikelihoodEntityRecords.normaliseTags(['  deep   tech ', '']), ['deep tech']);
+});
+
+test('reads missing details as blank and drops empty custom values', () => {
+    assert.deepStrictEqual(LikelihoodEntityRecords.getDetails({ image: 'x' }), { website: '', contact: '', email: '', notes: '', tags: [], custom: {} });
+    const details = LikelihoodEntityRecords.getDetails({ entityDetails: DETAILS });
+    assert.strictEqual(details.website, 'https://acme.example');
+    assert.deepStrictEqual(details.custom, { stage: 'Series A' });
+});
+
+test('matches every word of the query against the name and details, ignoring case', () => {
+    const details = LikelihoodEntityRecords.getDetails({ entityDetails: DETAILS });
+    const matches = (query, tags) => LikelihoodEntityRecords.matches('Acme Ventures', details, { query: query, tags: tags });
+    assert.strictEqual(matches('acme SYDNEY'), true);
+    assert.strictEqual(matches('series jo@acme'), true);
+    assert.strictEqual(matches('acme berlin'), false);
+    assert.strictEqual(matches('', ['fintech', 'SEED']), true);
+    assert.strictEqual(matches('acme', ['Seed', 'Growth']), false);
+    assert.strictEqual(matches('   '), true);
+});
+
+test('lists the tags of every entity once, sorted', () => {
+    const entities = {
+        Acme: { entityDetails: { tags: ['Seed', 'Fintech'] } },
+        Beta: { entityDetails: { tags: ['fintech', 'AI'] } },
+        Gamma: {},
+    };
+    assert.deepStrictEqual(LikelihoodEntityRecords.collectTags(entities), ['AI', 'Fintech', 'Seed']);
+});
+
+test('checks the website and email address', () => {
+    assert.deepStrictEqual(LikelihoodEntityRecords.validateDetails({ website: 'https://acme.example', email: 'jo@acme.example' }), []);
+    assert.strictEqual(LikelihoodEntityRecords.validateDetails({ website: 'ftp://acme.example', email: 'jo' }).length, 2);
+    assert.strictEqual(LikelihoodEntityRecords.normaliseWebsite('acme.example'), 'https://acme.example');
+});
+
+test('removes the details when they are all blank', () => {
+    const entityData = { entityDetails: DETAILS };
+    LikelihoodEntityRecords.setDetails(entityData, { website: ' ', tags: [], custom: { stage: '' } });
+    assert.deepStrictEqual(entityData, {});
+});
+
+test('defines custom fields per savename', () => {
+    const storage = new MemoryStorage();
+    const field = LikelihoodEntityRecords.createField([], ' Funding Stage ', 'select');
+    assert.deepStrictEqual(field, { id: 'funding-stage', label: 'Funding Stage', type: 'text' });
+    assert.throws(() => LikelihoodEntityRecords.createField([field], 'funding stage', 'text'), /already a field called "funding stage"/);
+    LikelihoodEntityRecords.saveFields(storage, 'Investor', [field]);
+    assert.deepStrictEqual(LikelihoodEntityRecords.loadFields(storage, 'Investor'), [field]);
+    assert.deepStrictEqual(LikelihoodEntityRecords.loadFields(storage, 'Candidate'), []);
+});
@@ -0,0 +1,67 @@
+/**
+ * Filename: history.test.js
+ * Purpose: Tests the snapshots recorded by docs/history.js.
+ * Description: Run with `node --test test/` from the repository root. Saves are simulated a minute apart, as when a slider is adjusted steadily.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ * - Added the count of snapshots dropped beyond the maximum: 19 October 2026
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const LikelihoodHistory = require('../docs/history.js');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Save a different score every minute for the given number of minutes.
+ * @param {number} minutes The number of saves.
+ * @return {Object} The stored profile record.
+ */
+function saveEveryMinute(minutes) {
+    let record = {};
+    for (let minute = 0; minute < minutes; minute++) {
+        record = LikelihoodHistory.recordSnapshot(record, {
+            timestamp: 1792400000000 + minute * MINUTE,
+            scores: [{ id: 'rapport', score: 1 + (minute % 2) }],
+            percentageLikelihood: `${minute}.00%`,
+        });
+    }
+    return record;
+}
+
+test('coalesces saves made in quick succession into one snapshot', () => {
+    const history = saveEveryMinute(3).history;
+    assert.strictEqual(history.length, 1);
+    assert.strictEqual(history[0].started, 1792400000000);
+    assert.strictEqual(history[0].timestamp, 1792400000000 + 2 * MINUTE);
+});
+
+test('starts a new snapshot once the last one has waited the maximum time', () => {
+    const minutes = LikelihoodHistory.SNAPSHOT_MAX_WAIT_MS / MINUTE;
+    const history = saveEveryMinute(minutes * 2 + 1).history;
+    assert.deepStrictEqual(history.map((snapshot) => snapshot.timestamp - 1792400000000), [
+        (minutes - 1) * MINUTE,
+        (minutes * 2 - 1) * MINUTE,
+        minutes * 2 * MINUTE,
+    ]);
+});
+
+test('counts the snapshots dropped beyond the maximum', () => {
+    let record = {};
+    for (let save = 0; save < LikelihoodHistory.MAX_SNAPSHOTS + 3; save++) {
+        record = LikelihoodHistory.recordSnapshot(record, {
+            timestamp: 1792400000000 + save * MINUTE,
+            scores: [{ id: 'rapport', score: 1 + (save % 2) }],
+            percentageLikelihood: `${save}.00%`,
+        }, { coalesce: false });
+    }
+    assert.strictEqual(record.history.length, LikelihoodHistory.MAX_SNAPSHOTS);
+    assert.strictEqual(record.droppedSnapshots, 3);
+    assert.strictEqual(record.history[0].percentageLikelihood, '3.00%');
+    assert.strictEqual(saveEveryMinute(3).droppedSnapshots, undefined);
+});
@@ -0,0 +1,64 @@
+/**
+ * Filename: i18n.test.js
+ * Purpose: Tests that the message catalogues in docs/i18n.js and docs/locales agree with each other and with the interface.
+ * Description: Run with `node --test test/` from the repository root. Reads docs/index.html, docs/app.js and docs/odoo.js as text to find the message keys they use.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ * - Checked the report labels and the Odoo error messages: 19 October 2026
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const LikelihoodI18n = require('../docs/i18n.js');
+const LikelihoodReport = require('../docs/report.js');
+
+/**
+ * Read a file in the docs folder.
+ * @param {string} name The path of the file, relative to docs.
+ * @return {string}
+ */
+function readDocs(name) {
+    return fs.readFileSync(path.join(__dirname, '..', 'docs', name), 'utf8');
+}
+
+const englishKeys = Object.keys(LikelihoodI18n.MESSAGES).sort();
+
+LikelihoodI18n.LOCALES.filter((locale) => locale.code !== LikelihoodI18n.DEFAULT_LOCALE).forEach((locale) => {
+    test(`the ${locale.name} catalogue has the same keys as the English one`, () => {
+        const messages = JSON.parse(readDocs(`locales/${locale.code}.json`));
+        assert.deepStrictEqual(Object.keys(messages).sort(), englishKeys);
+    });
+});
+
+test('every key marked in index.html has an English message', () => {
+    const keys = Array.from(readDocs('index.html').matchAll(/data-i18n(?:-[a-z-]+)?="([^"]+)"/g), (match) => match[1]);
+    assert.ok(keys.length > 0);
+    assert.deepStrictEqual(keys.filter((key) => !LikelihoodI18n.MESSAGES[key]), []);
+});
+
+test('every key looked up in app.js has an English message', () => {
+    const keys = Array.from(readDocs('app.js').matchAll(/\bt\('([^']+)'/g), (match) => match[1]);
+    assert.ok(keys.length > 0);
+    assert.deepStrictEqual(keys.filter((key) => !LikelihoodI18n.MESSAGES[key]), []);
+});
+
+test('every report placeholder has an English description', () => {
+    assert.deepStrictEqual(LikelihoodReport.PLACEHOLDERS.filter((item) => !LikelihoodI18n.MESSAGES[item.message]), []);
+});
+
+test('every report label has an English message', () => {
+    const labels = LikelihoodReport.LABEL_MESSAGES;
+    assert.deepStrictEqual(Object.keys(labels).filter((name) => !LikelihoodI18n.MESSAGES[labels[name]]), []);
+});
+
+test('every Odoo error has an English message', () => {
+    const keys = Array.from(readDocs('odoo.js').matchAll(/'(odoo\.error\.\w+)'/g), (match) => match[1]);
+    assert.ok(keys.length > 0);
+    assert.deepStrictEqual(keys.filter((key) => !LikelihoodI18n.MESSAGES[key]), []);
+});
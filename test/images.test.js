@@ -0,0 +1,99 @@
+/**
+ * Filename: images.test.js
+ * Purpose: Tests the crop and size calculations and the WebP metadata removal of docs/images.js.
+ * Description: Run with `node --test test/` from the repository root. Decoding and encoding need a browser canvas, so only the calculations and the byte-level WebP handling are tested.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const LikelihoodImages = require('../docs/images.js');
+
+/**
+ * Build a RIFF chunk, padded to an even length.
+ * @param {string} fourCC The chunk's four-character code.
+ * @param {Array<number>} data The chunk data.
+ * @return {Buffer}
+ */
+function chunk(fourCC, data) {
+    const header = Buffer.alloc(8);
+    header.write(fourCC, 0, 'latin1');
+    header.writeUInt32LE(data.length, 4);
+    return Buffer.concat([header, Buffer.from(data), Buffer.alloc(data.length % 2)]);
+}
+
+/**
+ * Build a WebP data URL from its chunks.
+ * @param {Array<Buffer>} chunks The chunks after the WEBP header.
+ * @return {string}
+ */
+function webp(chunks) {
+    const body = Buffer.concat([Buffer.from('WEBP', 'latin1')].concat(chunks));
+    const header = Buffer.alloc(8);
+    header.write('RIFF', 0, 'latin1');
+    header.writeUInt32LE(body.length, 4);
+    return `data:image/webp;base64,${Buffer.concat([header, body]).toString('base64')}`;
+}
+
+/** @const {Array<number>} VP8X data announcing alpha (0x10), EXIF (0x08) and XMP (0x04). */
+const VP8X = [0x1C, 0, 0, 0, 0, 0, 0, 0, 0, 0];
+
+/** @const {Array<number>} Stand-in image data of an odd length, so its chunk is padded. */
+const IMAGE = [1, 2, 3, 4, 5];
+
+test('fills in and limits a crop', () => {
+    assert.deepStrictEqual(LikelihoodImages.normaliseCrop(), { zoom: 1, x: 0.5, y: 0.5 });
+    assert.deepStrictEqual(LikelihoodImages.normaliseCrop({ zoom: 10, x: -1, y: '0.25' }), { zoom: LikelihoodImages.MAX_ZOOM, x: 0, y: 0.25 });
+    assert.deepStrictEqual(LikelihoodImages.normaliseCrop({ zoom: 'big', x: 2 }), { zoom: 1, x: 1, y: 0.5 });
+});
+
+test('uses the default maximum size for sizes that are not offered', () => {
+    assert.strictEqual(LikelihoodImages.normaliseMaxSize('512'), 512);
+    assert.strictEqual(LikelihoodImages.normaliseMaxSize(300), LikelihoodImages.DEFAULT_MAX_SIZE);
+    assert.strictEqual(LikelihoodImages.normaliseMaxSize(null), LikelihoodImages.DEFAULT_MAX_SIZE);
+});
+
+test('keeps the largest square that fits, zoomed and positioned', () => {
+    assert.deepStrictEqual(LikelihoodImages.cropRect(400, 200, { zoom: 1, x: 0, y: 0.5 }), { x: 0, y: 0, size: 200 });
+    assert.deepStrictEqual(LikelihoodImages.cropRect(400, 200), { x: 100, y: 0, size: 200 });
+    assert.deepStrictEqual(LikelihoodImages.cropRect(200, 400, { zoom: 2, x: 1, y: 1 }), { x: 100, y: 300, size: 100 });
+});
+
+test('never scales an image up', () => {
+    assert.strictEqual(LikelihoodImages.outputSize(1000, 256), 256);
+    assert.strictEqual(LikelihoodImages.outputSize(99.6, 256), 100);
+    assert.strictEqual(LikelihoodImages.outputSize(0.2, 256), 1);
+});
+
+test('measures the bytes a data URL holds', () => {
+    assert.strictEqual(LikelihoodImages.dataUrlBytes(`data:image/png;base64,${Buffer.from('abcd').toString('base64')}`), 4);
+    assert.strictEqual(LikelihoodImages.dataUrlBytes(`data:image/png;base64,${Buffer.from('abcdef').toString('base64')}`), 6);
+});
+
+test('removes the EXIF and XMP chunks from a WebP image and clears their flags', () => {
+    const stripped = LikelihoodImages.stripWebpMetadata(webp([chunk('VP8X', VP8X), chunk('VP8L', IMAGE), chunk('EXIF', [7, 7, 7]), chunk('XMP ', [8, 8])]));
+    // Only the alpha flag is left
+    assert.strictEqual(stripped, webp([chunk('VP8X', [0x10].concat(VP8X.slice(1))), chunk('VP8L', IMAGE)]));
+});
+
+test('leaves a WebP image without metadata as it is', () => {
+    const plain = webp([chunk('VP8L', IMAGE)]);
+    assert.strictEqual(LikelihoodImages.stripWebpMetadata(plain), plain);
+});
+
+test('does not strip images it cannot read', () => {
+    assert.strictEqual(LikelihoodImages.stripWebpMetadata('data:image/png;base64,iVBORw0KGgo='), null);
+    assert.strictEqual(LikelihoodImages.stripWebpMetadata('data:image/webp;base64,%%%'), null);
+    // A chunk that claims to run past the end of the file
+    const truncated = webp([chunk('VP8L', IMAGE)]).replace(/^(data:image\/webp;base64,)(.*)$/, (match, prefix, data) => {
+        const bytes = Buffer.from(data, 'base64');
+        bytes.writeUInt32LE(100, 16);
+        return prefix + bytes.toString('base64');
+    });
+    assert.strictEqual(LikelihoodImages.stripWebpMetadata(truncated), null);
+});
@@ -0,0 +1,87 @@
+/**
+ * Filename: leaderboard.test.js
+ * Purpose: Tests how docs/leaderboard.js builds, filters and sorts the leaderboard rows.
+ * Description: Run with `node --test test/` from the repository root. Ranks three entities of the investment category, one of which has no saved assessments.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const LikelihoodLeaderboard = require('../docs/leaderboard.js');
+
+/** @const {Array<string>} The profile IDs of the category, in column order. */
+const PROFILES = ['angel-investors', 'banks'];
+
+/**
+ * Create a saved assessment record.
+ * @param {string} likelihood The stored percentage likelihood.
+ * @param {number} updated When it was saved.
+ * @return {Object}
+ */
+function record(likelihood, updated) {
+    return { percentageLikelihood: likelihood, scores: [3, 4], updated: updated };
+}
+
+/** @const {Object} The stored entities of the category, keyed by name. */
+const ENTITIES = {
+    Beta: { investment: { 'angel-investors': record('20.00%', 300), banks: record('80.00%', 100) }, entityDetails: { tags: ['Seed'] } },
+    Acme: { investment: { banks: record('60.00%', 200) }, entityDetails: { tags: ['seed', 'Fintech'], notes: 'Met at the expo' } },
+    Gamma: { image: 'data:image/webp;base64,AA==' },
+};
+
+const rows = LikelihoodLeaderboard.buildRows(ENTITIES, 'investment', PROFILES);
+
+/**
+ * Sort the rows and list their names.
+ * @param {string} key The sort key.
+ * @param {string} direction 'asc' or 'desc'.
+ * @return {Array<string>}
+ */
+function sortedNames(key, direction) {
+    return LikelihoodLeaderboard.sortRows(rows, key, direction).map((row) => row.name);
+}
+
+test('builds one row per entity with its best profile, average and last update', () => {
+    assert.deepStrictEqual(rows.map((row) => [row.name, row.likelihoods, row.best, row.average, row.updated]), [
+        ['Beta', { 'angel-investors': 20, banks: 80 }, { profile: 'banks', likelihood: 80 }, 50, 300],
+        ['Acme', { 'angel-investors': null, banks: 60 }, { profile: 'banks', likelihood: 60 }, 60, 200],
+        ['Gamma', { 'angel-investors': null, banks: null }, null, null, null],
+    ]);
+    assert.strictEqual(rows[2].image, 'data:image/webp;base64,AA==');
+});
+
+test('sorts by each column in either direction', () => {
+    assert.deepStrictEqual(sortedNames('name', 'asc'), ['Acme', 'Beta', 'Gamma']);
+    assert.deepStrictEqual(sortedNames('name', 'desc'), ['Gamma', 'Beta', 'Acme']);
+    assert.deepStrictEqual(sortedNames('best', 'desc'), ['Beta', 'Acme', 'Gamma']);
+    assert.deepStrictEqual(sortedNames('average', 'desc'), ['Acme', 'Beta', 'Gamma']);
+    assert.deepStrictEqual(sortedNames('updated', 'asc'), ['Acme', 'Beta', 'Gamma']);
+    assert.deepStrictEqual(sortedNames(LikelihoodLeaderboard.profileKey('banks'), 'asc'), ['Acme', 'Beta', 'Gamma']);
+});
+
+test('sorts entities without a value last in either direction', () => {
+    assert.deepStrictEqual(sortedNames(LikelihoodLeaderboard.profileKey('angel-investors'), 'asc'), ['Beta', 'Acme', 'Gamma']);
+    assert.deepStrictEqual(sortedNames(LikelihoodLeaderboard.profileKey('angel-investors'), 'desc'), ['Beta', 'Acme', 'Gamma']);
+    assert.deepStrictEqual(sortedNames('average', 'asc'), ['Beta', 'Acme', 'Gamma']);
+});
+
+test('breaks ties by name', () => {
+    const tied = LikelihoodLeaderboard.buildRows({ Zeta: { investment: { banks: record('50%', 1) } }, Alpha: { investment: { banks: record('50%', 2) } } }, 'investment', ['banks']);
+    assert.deepStrictEqual(LikelihoodLeaderboard.sortRows(tied, 'best', 'desc').map((row) => row.name), ['Alpha', 'Zeta']);
+});
+
+test('rejects an unknown sort key', () => {
+    assert.throws(() => LikelihoodLeaderboard.sortRows(rows, 'likelihood', 'asc'), /Unknown sort key "likelihood"/);
+});
+
+test('filters by the words of the query and by tag, ignoring case', () => {
+    const names = (query, tags) => LikelihoodLeaderboard.filterRows(rows, query, tags).map((row) => row.name);
+    assert.deepStrictEqual(names('', ['SEED']), ['Beta', 'Acme']);
+    assert.deepStrictEqual(names('expo acme', []), ['Acme']);
+    assert.deepStrictEqual(names('', ['seed', 'fintech']), ['Acme']);
+});
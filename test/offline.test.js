@@ -0,0 +1,79 @@
+/**
+ * Filename: offline.test.js
+ * Purpose: Tests how docs/offline.js answers requests and that it precaches every file the page needs.
+ * Description: Run with `node --test test/` from the repository root. Reads docs/index.html as text to find the scripts and stylesheets it loads.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const LikelihoodI18n = require('../docs/i18n.js');
+const LikelihoodOffline = require('../docs/offline.js');
+
+/** @const {string} The origin of this site. */
+const ORIGIN = 'https://likelihood.tools';
+
+/** @const {string} The docs folder, which is served as the site root. */
+const DOCS = path.join(__dirname, '..', 'docs');
+
+/**
+ * Get the strategy for a GET request from this site.
+ * @param {string} address The path and query of the request.
+ * @param {string} [mode] The request mode.
+ * @return {string}
+ */
+function strategy(address, mode = 'no-cors') {
+    return LikelihoodOffline.getStrategy('GET', mode, ORIGIN + address, ORIGIN);
+}
+
+test('answers every calculator address with the cached page', () => {
+    assert.strictEqual(strategy('/investment/angel-investors', 'navigate'), 'shell');
+    assert.strictEqual(strategy('/ja/investment/angel-investors/report?entity=Acme', 'navigate'), 'shell');
+});
+
+test('refreshes the data files in the background', () => {
+    assert.strictEqual(strategy('/profiles.json', 'cors'), 'stale-while-revalidate');
+    assert.strictEqual(strategy('/profiles.schema.json', 'navigate'), 'stale-while-revalidate');
+});
+
+test('serves precached files from the cache and caches other files from this site', () => {
+    assert.strictEqual(strategy('/app.js'), 'precache');
+    assert.strictEqual(strategy('/vendor/chart.js/chart.umd.min.js'), 'precache');
+    assert.strictEqual(strategy('/site.webmanifest?v=964'), 'precache');
+    // The query is part of the precached address
+    assert.strictEqual(strategy('/site.webmanifest'), 'runtime');
+    assert.strictEqual(strategy('/apple-touch-icon.png?v=964'), 'runtime');
+});
+
+test('leaves other sites and other methods to the browser', () => {
+    assert.strictEqual(LikelihoodOffline.getStrategy('GET', 'cors', 'https://crm.example/web/dataset/call_kw', ORIGIN), 'network');
+    assert.strictEqual(LikelihoodOffline.getStrategy('POST', 'cors', `${ORIGIN}/profiles.json`, ORIGIN), 'network');
+});
+
+test('precaches every script and stylesheet the page loads', () => {
+    const html = fs.readFileSync(path.join(DOCS, 'index.html'), 'utf8');
+    const addresses = Array.from(html.matchAll(/<script src="([^"]+)"|<link rel="stylesheet" href="([^"]+)"/g), (match) => match[1] || match[2]);
+    assert.ok(addresses.length > 0);
+    const precached = LikelihoodOffline.SHELL_URLS.concat(LikelihoodOffline.VENDOR_URLS);
+    assert.deepStrictEqual(addresses.filter((address) => !precached.includes(address)), []);
+});
+
+test('precaches the interface translations', () => {
+    LikelihoodI18n.LOCALES.filter((locale) => locale.code !== LikelihoodI18n.DEFAULT_LOCALE).forEach((locale) => {
+        assert.ok(LikelihoodOffline.SHELL_URLS.includes(`/locales/${locale.code}.json`), locale.code);
+    });
+});
+
+test('precaches only files that exist', () => {
+    const missing = LikelihoodOffline.SHELL_URLS.concat(LikelihoodOffline.VENDOR_URLS, LikelihoodOffline.DATA_URLS)
+        .filter((address) => address !== LikelihoodOffline.SHELL_PAGE)
+        .filter((address) => !fs.existsSync(path.join(DOCS, address.split('?')[0])));
+    assert.deepStrictEqual(missing, []);
+});
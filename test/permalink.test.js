@@ -0,0 +1,54 @@
+/**
+ * Filename: permalink.test.js
+ * Purpose: Tests the share fragments of docs/permalink.js.
+ * Description: Run with `node --test test/` from the repository root. Uses the criteria of the shipped docs/profiles.json, with the IDs the app gives them.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const LikelihoodPermalink = require('../docs/permalink.js');
+const LikelihoodStorageSchema = require('../docs/storage-schema.js');
+
+/**
+ * Load the criteria of the shipped Angel Investors profile, with their IDs.
+ * @return {Array<Object>}
+ */
+function loadCriteria() {
+    const data = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'docs', 'profiles.json'), 'utf8'));
+    const category = LikelihoodStorageSchema.assignIds(data.categories).find((item) => item.slug === 'investment');
+    return LikelihoodStorageSchema.findProfile(category, 'angel-investors').criteria;
+}
+
+test('decodes the calculation it encoded', () => {
+    const criteria = loadCriteria();
+    const calculation = {
+        categorySlug: 'investment',
+        profileSlug: 'angel-investors',
+        criteriaHash: LikelihoodPermalink.hashCriteria(criteria),
+        scores: criteria.map((criterion, index) => 1 + (index % 17) * 0.25),
+        entityName: 'Acme Ventures.com',
+    };
+    assert.deepStrictEqual(LikelihoodPermalink.decodeFragment(`#${LikelihoodPermalink.encodeFragment(calculation)}`), calculation);
+});
+
+test('hashes the criteria differently once they are reordered, added or removed', () => {
+    const criteria = loadCriteria();
+    const hash = LikelihoodPermalink.hashCriteria(criteria);
+    assert.strictEqual(LikelihoodPermalink.hashCriteria(criteria.slice()), hash);
+    assert.notStrictEqual(LikelihoodPermalink.hashCriteria(criteria.slice().reverse()), hash);
+    assert.notStrictEqual(LikelihoodPermalink.hashCriteria(criteria.concat({ id: 'new-criterion' })), hash);
+    assert.notStrictEqual(LikelihoodPermalink.hashCriteria(criteria.slice(1)), hash);
+});
+
+test('rejects links without a criteria hash', () => {
+    assert.throws(() => LikelihoodPermalink.decodeFragment('#share=1.investment.angel-investors.aeimqqa.Acme'), /different version/);
+    assert.throws(() => LikelihoodPermalink.decodeFragment('#share=2.investment.angel-investors.aeimqqa'), /incomplete or damaged/);
+});
@@ -0,0 +1,74 @@
+/**
+ * Filename: print-report.test.js
+ * Purpose: Tests the address and the print stylesheet of the printable report.
+ * Description: Run with `node --test test/` from the repository root. Checks the /category/profile/report addresses with docs/i18n.js, and reads docs/index.html as text to check the print stylesheet.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const LikelihoodI18n = require('../docs/i18n.js');
+
+/**
+ * Read a file in the docs folder.
+ * @param {string} name The path of the file, relative to docs.
+ * @return {string}
+ */
+function readDocs(name) {
+    return fs.readFileSync(path.join(__dirname, '..', 'docs', name), 'utf8');
+}
+
+/**
+ * Find the body of a CSS block, such as an at-rule, by matching its braces.
+ * @param {string} css The style sheet.
+ * @param {string} prelude The text before the block's opening brace, e.g. '@media print'.
+ * @return {string} The text between the braces.
+ */
+function cssBlock(css, prelude) {
+    const start = css.indexOf(`${prelude} {`);
+    assert.notStrictEqual(start, -1, `${prelude} is missing`);
+    let depth = 0;
+    for (let index = css.indexOf('{', start); index < css.length; index++) {
+        if (css[index] === '{') {
+            depth++;
+        } else if (css[index] === '}' && --depth === 0) {
+            return css.slice(css.indexOf('{', start) + 1, index);
+        }
+    }
+    assert.fail(`${prelude} is not closed`);
+}
+
+const html = readDocs('index.html');
+
+test('reads the report address with and without a language prefix', () => {
+    assert.deepStrictEqual(LikelihoodI18n.parsePath('/ja/investment/angel-investors/report'), { locale: 'ja', path: '/investment/angel-investors/report' });
+    assert.deepStrictEqual(LikelihoodI18n.parsePath('/investment/angel-investors/report'), { locale: null, path: '/investment/angel-investors/report' });
+});
+
+test('links to the report in the chosen language', () => {
+    assert.strictEqual(LikelihoodI18n.localisePath('/investment/angel-investors/report', 'de'), '/de/investment/angel-investors/report');
+    assert.strictEqual(LikelihoodI18n.localisePath('/investment/angel-investors/report', LikelihoodI18n.DEFAULT_LOCALE), '/investment/angel-investors/report');
+});
+
+test('serves the report address from the page not found fallback', () => {
+    // GitHub Pages answers unknown paths such as /investment/angel-investors/report with 404.html
+    assert.strictEqual(fs.realpathSync(path.join(__dirname, '..', 'docs', '404.html')), fs.realpathSync(path.join(__dirname, '..', 'docs', 'index.html')));
+});
+
+test('prints the report on A4 without the page controls', () => {
+    const print = cssBlock(html, '@media print');
+    assert.match(cssBlock(print, '@page'), /size: A4;/);
+    assert.match(cssBlock(print, '.no-print'), /display: none !important;/);
+    assert.match(html, /<section id="printReport"[^>]*>\s*<div class="no-print[^"]*">/);
+});
+
+test('hides the rest of the page in report mode', () => {
+    assert.match(html, /body\.report-mode>nav,\s*body\.report-mode>footer,\s*body\.report-mode main>section:not\(#printReport\) \{\s*display: none !important;/);
+});
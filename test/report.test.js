@@ -0,0 +1,125 @@
+/**
+ * Filename: report.test.js
+ * Purpose: Tests the clipboard formats and report templates of docs/report.js.
+ * Description: Run with `node --test test/` from the repository root. Formats one report, whose names hold characters that must be escaped, in each format.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ * - Added the report templates: 19 October 2026
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const LikelihoodI18n = require('../docs/i18n.js');
+const LikelihoodReport = require('../docs/report.js');
+
+/** @const {Object} A report with one criterion and one next best action. */
+const REPORT = {
+    savename: 'Investor',
+    entityName: 'Acme <b>*Co*</b>',
+    categoryName: 'Investment',
+    profileName: 'Angel | Investors',
+    likelihood: '42.50%',
+    uncertainty: null,
+    date: '19/10/2026',
+    imageSrc: '',
+    chartImage: '',
+    breakdown: [{ metric: 'Rapport', score: 4 }],
+    criteria: [{ metric: 'Rapport', description: 'How well you get on', score: 4, descriptor: 'Good', weight: 100 }],
+    disclaimer: null,
+    nextActions: { items: [{ rank: 1, metric: 'Rapport', score: 4, target: 5, gain: '+12.5', descriptor: 'Great' }] },
+};
+
+test('escapes HTML and Markdown', () => {
+    assert.strictEqual(LikelihoodReport.escapeHtml('<a href="x">Tom & Jerry\'s</a>'), '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;');
+    assert.strictEqual(LikelihoodReport.escapeHtml(null), '');
+    assert.strictEqual(LikelihoodReport.escapeMarkdown('*bold* | [link]\nnext'), '\\*bold\\* \\| \\[link\\] next');
+});
+
+test('formats plain text with the English labels by default', () => {
+    assert.strictEqual(LikelihoodReport.formatPlainText(REPORT), [
+        'Investor Name: Acme <b>*Co*</b>',
+        'Profile: Angel | Investors',
+        'Percentage Likelihood: 42.50%',
+        '',
+        'Breakdown',
+        '  Rapport  4',
+        '',
+        'Criteria Details',
+        '- Rapport: 4 (Good)',
+        '  How well you get on',
+        '',
+        'Next Best Actions',
+        '1. Rapport: from 4 to 5 (+12.5) - Get to: Great',
+        '',
+    ].join('\n'));
+});
+
+test('escapes the names in Markdown', () => {
+    const markdown = LikelihoodReport.formatMarkdown(REPORT);
+    assert.match(markdown, /^## Investor Name: Acme \\<b\\>\\\*Co\\\*\\<\/b\\>\n/);
+    assert.ok(markdown.includes('**Profile:** Angel \\| Investors'));
+    assert.ok(markdown.includes('| Rapport | How well you get on | 4 | Good |'));
+    assert.ok(markdown.includes('1. **Rapport** from 4 to 5 (+12.5) - Get to: Great'));
+});
+
+test('escapes the names in HTML', () => {
+    const html = LikelihoodReport.formatHtml(REPORT);
+    assert.ok(html.includes('<h2>Investor Name: Acme &lt;b&gt;*Co*&lt;/b&gt;</h2>'));
+    assert.ok(html.includes('<li><strong>Rapport</strong> from 4 to 5 (+12.5) &ndash; Get to: Great</li>'));
+});
+
+test('adds the uncertainty summary and leaves out the next best actions when they are off', () => {
+    const report = { ...REPORT, uncertainty: { median: '41.00%', low: '30.00%', high: '55.00%', interval: 80 }, nextActions: null };
+    const text = LikelihoodReport.formatPlainText(report);
+    assert.ok(text.includes('Percentage Likelihood: 42.50%\nMedian 41.00% · 80% interval 30.00% to 55.00%\n'));
+    assert.ok(!text.includes('Next Best Actions'));
+});
+
+test('writes the labels in the chosen language', () => {
+    const catalogue = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'docs', 'locales', 'de.json'), 'utf8'));
+    const labels = LikelihoodReport.getLabels(LikelihoodI18n.createTranslator(catalogue));
+    assert.deepStrictEqual(Object.keys(labels), Object.keys(LikelihoodReport.LABEL_MESSAGES));
+    const text = LikelihoodReport.formatPlainText({ ...REPORT, labels: labels });
+    assert.ok(text.startsWith('Name (Investor): Acme'));
+    assert.ok(text.includes(`\n${catalogue['report.criteriaHeading']}\n`));
+});
+
+test('renders values, sections and inverted sections', () => {
+    const template = '{{#criteria}}<p>{{metric}}: {{score}}</p>{{/criteria}}{{^disclaimer}}<p>None</p>{{/disclaimer}}{{#model}}{{name}}{{/model}}';
+    const report = { criteria: [{ metric: 'A & B', score: 4 }, { metric: 'C', score: 2 }], disclaimer: null, model: { name: 'Linear' } };
+    assert.strictEqual(LikelihoodReport.renderTemplate(template, report), '<p>A &amp; B: 4</p><p>C: 2</p><p>None</p>Linear');
+    assert.strictEqual(LikelihoodReport.renderTemplate('{{^criteria}}empty{{/criteria}}', { criteria: [] }), 'empty');
+});
+
+test('escapes values unless they are in triple braces', () => {
+    const report = { entityName: '<b>Acme</b>', model: { name: 'Gated' } };
+    assert.strictEqual(LikelihoodReport.renderTemplate('{{entityName}} {{{entityName}}} {{model.name}} {{missing}}', report), '&lt;b&gt;Acme&lt;/b&gt; <b>Acme</b> Gated ');
+});
+
+test('looks up names in the enclosing sections', () => {
+    const report = { savename: 'Investor', breakdown: [{ metric: 'Rapport' }] };
+    assert.strictEqual(LikelihoodReport.renderTemplate('{{#breakdown}}{{savename}}: {{metric}}{{/breakdown}}', report), 'Investor: Rapport');
+});
+
+test('reports unclosed and mismatched sections', () => {
+    assert.strictEqual(LikelihoodReport.validateTemplate(LikelihoodReport.getDefaultTemplate().html), null);
+    assert.strictEqual(LikelihoodReport.validateTemplate('{{#criteria}}<p>{{metric}}</p>'), '{{#criteria}} is not closed');
+    assert.strictEqual(LikelihoodReport.validateTemplate('{{#criteria}}{{#model}}{{/criteria}}{{/model}}'), '{{/criteria}} closes a section that is not open; expected {{/model}}');
+    assert.strictEqual(LikelihoodReport.validateTemplate('{{/criteria}}'), '{{/criteria}} closes a section that is not open');
+    assert.throws(() => LikelihoodReport.renderTemplate('{{#criteria}}', REPORT), /is not closed/);
+});
+
+test('saves templates by id and deletes them', () => {
+    let templates = LikelihoodReport.saveTemplate([], { id: 'short', name: 'Short', html: '{{entityName}}' });
+    templates = LikelihoodReport.saveTemplate(templates, { id: 'long', name: 'Long', html: '{{entityName}} {{likelihood}}' });
+    templates = LikelihoodReport.saveTemplate(templates, { id: 'short', name: 'Shorter', html: '{{likelihood}}' });
+    assert.deepStrictEqual(templates.map((template) => template.name), ['Shorter', 'Long']);
+    assert.deepStrictEqual(LikelihoodReport.deleteTemplate(templates, 'short').map((template) => template.id), ['long']);
+    assert.strictEqual(LikelihoodReport.getDefaultTemplate().id, LikelihoodReport.DEFAULT_TEMPLATE_ID);
+});
@@ -0,0 +1,115 @@
+/**
+ * Filename: scoring.test.js
+ * Purpose: Tests the scoring engine in docs/scoring.js.
+ * Description: Run with `node --test test/` from the repository root.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ * - Added the scoring models, zero weights and inverted minimums: 19 October 2026
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const LikelihoodScoring = require('../docs/scoring.js');
+
+/** @const {Object} A profile with one regular and one inverted criterion of equal weight. */
+const PROFILE = {
+    name: 'Test',
+    criteria: [
+        { metric: 'Interest', weight: 50 },
+        { metric: 'Risk', weight: 50, invert: true },
+    ],
+};
+
+/**
+ * Copy the test profile with a scoring model, and with extra settings on its regular criterion.
+ * @param {string|Object} model The profile's `model`.
+ * @param {Object} [interest] Settings added to the Interest criterion.
+ * @return {Object}
+ */
+function withModel(model, interest = {}) {
+    return { ...PROFILE, model: model, criteria: [{ ...PROFILE.criteria[0], ...interest }, PROFILE.criteria[1]] };
+}
+
+/**
+ * Assert that a likelihood is within rounding of the expected value.
+ * @param {number} actual The likelihood.
+ * @param {number} expected The expected likelihood.
+ */
+function assertLikelihood(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${expected}, got ${actual}`);
+}
+
+test('gives a missing score on an inverted criterion no credit', () => {
+    const result = LikelihoodScoring.scoreProfile(PROFILE, [5, null]);
+    assert.strictEqual(result.percentageLikelihood, 50);
+    assert.deepStrictEqual(result.missing, ['Risk']);
+    assert.deepStrictEqual(result.contributions.map((item) => item.weightedScore), [50, 0]);
+});
+
+test('gives missing scores keyed by metric no credit', () => {
+    const result = LikelihoodScoring.scoreProfile(PROFILE, { interest: 3 });
+    assert.strictEqual(result.percentageLikelihood, 25);
+    assert.deepStrictEqual(result.missing, ['Risk']);
+});
+
+test('adds each criterion in proportion to its score with the linear model', () => {
+    assertLikelihood(LikelihoodScoring.scoreProfile(PROFILE, [5, 1]).percentageLikelihood, 100);
+    assertLikelihood(LikelihoodScoring.scoreProfile(PROFILE, [3, 3]).percentageLikelihood, 50);
+    assertLikelihood(LikelihoodScoring.scoreProfile(PROFILE, [1, 5]).percentageLikelihood, 0);
+});
+
+test('mirrors inverted criteria and pulls down uneven scores with the geometric model', () => {
+    const profile = withModel('geometric');
+    assertLikelihood(LikelihoodScoring.scoreProfile(profile, [5, 1]).percentageLikelihood, 100);
+    assertLikelihood(LikelihoodScoring.scoreProfile(profile, [1, 5]).percentageLikelihood, 0);
+    assertLikelihood(LikelihoodScoring.scoreProfile(profile, [4, 2]).percentageLikelihood, 75);
+    // The linear model gives 50 for one best and one worst score
+    assertLikelihood(LikelihoodScoring.scoreProfile(profile, [5, 5]).percentageLikelihood, (Math.sqrt(0.2) - 0.2) / 0.8 * 100);
+});
+
+test('keeps the ends and the midpoint and steepens the middle with the logistic model', () => {
+    const profile = withModel('logistic');
+    assertLikelihood(LikelihoodScoring.scoreProfile(profile, [5, 1]).percentageLikelihood, 100);
+    assertLikelihood(LikelihoodScoring.scoreProfile(profile, [1, 5]).percentageLikelihood, 0);
+    assertLikelihood(LikelihoodScoring.scoreProfile(profile, [3, 3]).percentageLikelihood, 50);
+    const result = LikelihoodScoring.scoreProfile(profile, [4, 2]);
+    assert.strictEqual(result.linearScore, 75);
+    assert.ok(result.percentageLikelihood > 90);
+    assertLikelihood(result.contributions.reduce((sum, item) => sum + item.weightedScore, 0), result.percentageLikelihood);
+});
+
+test('caps the likelihood when a minimum is missed with the gated model', () => {
+    const profile = withModel({ type: 'gated', cap: 20 }, { minimum: 3 });
+    const capped = LikelihoodScoring.scoreProfile(profile, [2, 1]);
+    assert.strictEqual(capped.linearScore, 62.5);
+    assert.strictEqual(capped.percentageLikelihood, 20);
+    assert.deepStrictEqual(capped.gates, [{ index: 0, metric: 'Interest', minimum: 3, score: 2, met: false }]);
+    assert.strictEqual(LikelihoodScoring.scoreProfile(profile, [3, 1]).percentageLikelihood, 75);
+    // A missing score contributes nothing, so it misses the minimum too
+    assert.strictEqual(LikelihoodScoring.scoreProfile(profile, [null, 1]).percentageLikelihood, 20);
+});
+
+test('rejects a minimum on an inverted criterion', () => {
+    const profile = { ...PROFILE, model: 'gated', criteria: [PROFILE.criteria[0], { ...PROFILE.criteria[1], minimum: 3 }] };
+    assert.throws(() => LikelihoodScoring.scoreProfile(profile, [5, 1]), /"Risk" is inverted/);
+});
+
+test('gives a criterion with no weight no say in any model', () => {
+    const criteria = [{ metric: 'Interest', weight: 100 }, { metric: 'Notes', weight: 0, invert: true }];
+    ['linear', 'geometric', 'logistic', 'gated'].forEach((model) => {
+        const profile = { name: 'Test', model: model, criteria: criteria };
+        assertLikelihood(LikelihoodScoring.scoreProfile(profile, [3, 5]).percentageLikelihood, LikelihoodScoring.scoreProfile(profile, [3, 1]).percentageLikelihood);
+    });
+    assertLikelihood(LikelihoodScoring.scoreProfile({ name: 'Test', criteria: criteria }, [3, 5]).percentageLikelihood, 50);
+});
+
+test('weights the criteria equally when their weights total 0', () => {
+    const normalisation = LikelihoodScoring.normaliseWeights([{ metric: 'A', weight: 0 }, { metric: 'B', weight: 0 }]);
+    assert.deepStrictEqual(normalisation.criteria.map((criterion) => criterion.adjustedWeight), [50, 50]);
+    const profile = { name: 'Test', criteria: [{ metric: 'Interest', weight: 0 }, { metric: 'Risk', weight: 0, invert: true }] };
+    assertLikelihood(LikelihoodScoring.scoreProfile(profile, [5, 5]).percentageLikelihood, 50);
+});
@@ -0,0 +1,53 @@
+/**
+ * Filename: sensitivity.test.js
+ * Purpose: Tests how docs/sensitivity.js ranks the criteria to improve next.
+ * Description: Run with `node --test test/` from the repository root.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const LikelihoodSensitivity = require('../docs/sensitivity.js');
+
+/** @const {Object} A profile with an inverted criterion that outweighs the other two. */
+const PROFILE = {
+    name: 'Test',
+    criteria: [
+        { metric: 'Interest', weight: 25, scoreDescriptors: { 4: 'Keen' } },
+        { metric: 'Risk', weight: 50, invert: true, scoreDescriptors: { 3: 'Some risk' } },
+        { metric: 'Fit', weight: 25 },
+    ],
+};
+
+test('moves to the next whole level in the direction that raises the likelihood', () => {
+    assert.strictEqual(LikelihoodSensitivity.nextLevel({}, 3), 4);
+    assert.strictEqual(LikelihoodSensitivity.nextLevel({}, 3.25), 4);
+    assert.strictEqual(LikelihoodSensitivity.nextLevel({}, 5), null);
+    assert.strictEqual(LikelihoodSensitivity.nextLevel({ invert: true }, 3.25), 3);
+    assert.strictEqual(LikelihoodSensitivity.nextLevel({ invert: true }, 3), 2);
+    assert.strictEqual(LikelihoodSensitivity.nextLevel({ invert: true }, 1), null);
+});
+
+test('ranks the criteria by gain, lowering inverted criteria and leaving out those at their best', () => {
+    const analysis = LikelihoodSensitivity.analyseProfile(PROFILE, [3, 4, 5]);
+    assert.strictEqual(analysis.likelihood, 50);
+    assert.deepStrictEqual(analysis.suggestions.map((item) => [item.metric, item.invert, item.score, item.target, item.gain, item.likelihood, item.descriptor]), [
+        ['Risk', true, 4, 3, 12.5, 62.5, 'Some risk'],
+        ['Interest', false, 3, 4, 6.25, 56.25, 'Keen'],
+    ]);
+});
+
+test('keeps criteria with equal gains in criteria order', () => {
+    const profile = { name: 'Even', criteria: [{ metric: 'A', weight: 50 }, { metric: 'B', weight: 50 }] };
+    assert.deepStrictEqual(LikelihoodSensitivity.analyseProfile(profile, [2, 2]).suggestions.map((item) => item.metric), ['A', 'B']);
+});
+
+test('formats gains as positive percentages', () => {
+    assert.strictEqual(LikelihoodSensitivity.formatGain(6.25), '+6.25%');
+    assert.strictEqual(LikelihoodSensitivity.formatGain(-1e-12), '+0.00%');
+});
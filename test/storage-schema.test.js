@@ -0,0 +1,82 @@
+/**
+ * Filename: storage-schema.test.js
+ * Purpose: Tests the storage schema upgrades in docs/storage-schema.js.
+ * Description: Run with `node --test test/` from the repository root. Uses the shipped docs/profiles.json, so the upgrades are checked against the real, translated profiles.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const LikelihoodI18n = require('../docs/i18n.js');
+const LikelihoodStorageSchema = require('../docs/storage-schema.js');
+const LikelihoodCustomProfiles = require('../docs/custom-profiles.js');
+
+/**
+ * Load the shipped categories with their IDs, untranslated, as the app does.
+ * @return {Array<Object>}
+ */
+function loadShippedSource() {
+    const data = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'docs', 'profiles.json'), 'utf8'));
+    return LikelihoodStorageSchema.assignIds(data.categories);
+}
+
+/**
+ * Create an in-memory stand-in for the entity store.
+ * @param {Object<string, string>} values The stored values.
+ * @return {{getItem: function(string): ?string, setItem: function(string, string): void}}
+ */
+function createStorage(values) {
+    return {
+        getItem: (key) => (Object.prototype.hasOwnProperty.call(values, key) ? values[key] : null),
+        setItem: (key, value) => {
+            values[key] = String(value);
+        },
+    };
+}
+
+/** Schema 1 entities, keyed by the English names and scored by metric name. */
+const SCHEMA_1_ENTITIES = {
+    Investment: {
+        'Acme Ventures': {
+            Investment: {
+                'General Investor Engagement': {
+                    scores: [{ metric: 'Responsiveness', score: 4 }, { metric: 'Interest Level', score: 3 }],
+                    percentageLikelihood: '20.00%',
+                },
+            },
+        },
+    },
+};
+
+test('upgrades schema 1 entities while a language other than English is chosen', () => {
+    const source = loadShippedSource();
+    const translated = LikelihoodI18n.localiseCategories(source, 'de');
+    assert.notStrictEqual(translated[0].name, 'Investment', 'the shipped profiles should translate the category name');
+
+    const values = { entities: JSON.stringify(SCHEMA_1_ENTITIES) };
+    const storage = createStorage(values);
+    const categories = LikelihoodStorageSchema.assignIds(LikelihoodCustomProfiles.mergeDefaultLocale(source, { categories: [] }));
+    const result = LikelihoodStorageSchema.migrateStorage(storage, categories);
+
+    assert.deepStrictEqual(result, { from: 1, to: LikelihoodStorageSchema.SCHEMA_VERSION, migrated: true });
+    const entities = JSON.parse(values.entities);
+    assert.deepStrictEqual(Object.keys(entities), ['investment']);
+    const records = entities.investment['Acme Ventures'].investment;
+    assert.deepStrictEqual(Object.keys(records), ['general-investor-engagement']);
+    assert.deepStrictEqual(records['general-investor-engagement'].scores.map((item) => item.id), ['responsiveness', 'interest-level']);
+});
+
+test('keeps the IDs of the translated categories the same as those of the en-AU categories', () => {
+    const source = loadShippedSource();
+    const ids = (categories) => categories.map((category) => [category.id, category.profiles.map((profile) => profile.id)]);
+    const translated = LikelihoodStorageSchema.assignIds(LikelihoodCustomProfiles.mergeCategories(LikelihoodI18n.localiseCategories(source, 'ja'), { categories: [] }));
+    const english = LikelihoodStorageSchema.assignIds(LikelihoodCustomProfiles.mergeDefaultLocale(source, { categories: [] }));
+    assert.deepStrictEqual(ids(translated), ids(english));
+});
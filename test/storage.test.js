@@ -0,0 +1,41 @@
+/**
+ * Filename: storage.test.js
+ * Purpose: Tests how docs/storage.js merges the entities written by several tabs.
+ * Description: Run with `node --test test/` from the repository root.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const LikelihoodStorage = require('../docs/storage.js');
+
+test('keeps the entities another tab changed', () => {
+    const base = { investment: { Acme: { score: 1 }, Beta: { score: 1 } } };
+    const mine = { investment: { Acme: { score: 2 }, Beta: { score: 1 } } };
+    const theirs = { investment: { Acme: { score: 1 }, Beta: { score: 3 }, Gamma: { score: 1 } } };
+    assert.deepStrictEqual(LikelihoodStorage.mergeEntities(base, mine, theirs), {
+        investment: { Acme: { score: 2 }, Beta: { score: 3 }, Gamma: { score: 1 } },
+    });
+});
+
+test('keeps deletions made in either tab', () => {
+    const base = { investment: { Acme: { score: 1 }, Beta: { score: 1 } } };
+    const mine = { investment: { Beta: { score: 1 } } };
+    const theirs = { investment: { Acme: { score: 1 } } };
+    assert.deepStrictEqual(LikelihoodStorage.mergeEntities(base, mine, theirs), { investment: {} });
+});
+
+test('prefers this tab when both tabs changed the same entity', () => {
+    const base = { travel: { Trip: { score: 1 } } };
+    const mine = { travel: { Trip: { score: 2 } } };
+    const theirs = { travel: { Trip: { score: 3 } }, investment: { Acme: {} } };
+    assert.deepStrictEqual(LikelihoodStorage.mergeEntities(base, mine, theirs), {
+        travel: { Trip: { score: 2 } },
+        investment: { Acme: {} },
+    });
+});
@@ -0,0 +1,79 @@
+/**
+ * Filename: uncertainty.test.js
+ * Purpose: Tests the Monte Carlo simulation of docs/uncertainty.js.
+ * Description: Run with `node --test test/` from the repository root. Uses a profile with one criterion, whose likelihood with the linear model is the random draw as a percentage, so evenly spaced draws give known percentiles.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const LikelihoodUncertainty = require('../docs/uncertainty.js');
+
+/** @const {Object} A profile with a single criterion. */
+const PROFILE = { name: 'Test', criteria: [{ metric: 'Interest', weight: 100 }] };
+
+/**
+ * Create a generator that returns evenly spaced numbers across [0, 1), in order.
+ * @param {number} count How many numbers to spread across the range.
+ * @return {function(): number}
+ */
+function evenlySpaced(count) {
+    let index = 0;
+    return () => ((index++ % count) + 0.5) / count;
+}
+
+/**
+ * Assert that a value is within a tolerance of the expected value.
+ * @param {number} actual The value.
+ * @param {number} expected The expected value.
+ * @param {number} [tolerance] The largest difference allowed.
+ */
+function assertNear(actual, expected, tolerance = 1e-9) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected}, got ${actual}`);
+}
+
+test('interpolates percentiles between neighbouring values', () => {
+    const sorted = [0, 10, 20, 30, 40];
+    assert.strictEqual(LikelihoodUncertainty.percentile(sorted, 50), 20);
+    assertNear(LikelihoodUncertainty.percentile(sorted, 10), 4);
+    assertNear(LikelihoodUncertainty.percentile(sorted, 90), 36);
+    assert.strictEqual(LikelihoodUncertainty.percentile([], 50), 0);
+});
+
+test('clamps ranges to the score range and puts their ends in order', () => {
+    assert.deepStrictEqual(LikelihoodUncertainty.resolveRange({ score: 3 }), { low: 3, high: 3 });
+    assert.deepStrictEqual(LikelihoodUncertainty.resolveRange({ score: 3, low: 0, high: 4 }), { low: 1, high: 4 });
+    assert.deepStrictEqual(LikelihoodUncertainty.resolveRange({ score: 3, low: 5, high: 2 }), { low: 2, high: 5 });
+    assert.deepStrictEqual(LikelihoodUncertainty.resolveRange({ score: 2, high: 9 }), { low: 2, high: 5 });
+});
+
+test('gives the median and the 80% interval of the simulated likelihoods', () => {
+    const summary = LikelihoodUncertainty.simulate(PROFILE, [{ score: 3, low: 1, high: 5 }], { iterations: 1000, random: evenlySpaced(1000) });
+    assert.strictEqual(summary.uncertain, true);
+    assert.strictEqual(summary.interval, 80);
+    assertNear(summary.median, 50);
+    assertNear(summary.low, 10, 0.1);
+    assertNear(summary.high, 90, 0.1);
+    assert.ok(summary.histogram.every((bin) => bin.count === 50));
+});
+
+test('gives the fixed likelihood when no criterion has a range', () => {
+    const summary = LikelihoodUncertainty.simulate(PROFILE, [{ score: 4, low: 4, high: 4 }], { iterations: 100 });
+    assert.strictEqual(summary.uncertain, false);
+    assert.deepStrictEqual([summary.median, summary.low, summary.high], [75, 75, 75]);
+    assert.deepStrictEqual(summary.histogram.filter((bin) => bin.count > 0), [{ from: 75, to: 80, count: 100 }]);
+});
+
+test('gives the same summary for the same ranges', () => {
+    const items = [{ score: 3, low: 2, high: 5 }];
+    assert.deepStrictEqual(LikelihoodUncertainty.simulate(PROFILE, items), LikelihoodUncertainty.simulate(PROFILE, items));
+    const random = LikelihoodUncertainty.createRandom(1);
+    const values = Array.from({ length: 5 }, random);
+    assert.deepStrictEqual(Array.from({ length: 5 }, LikelihoodUncertainty.createRandom(1)), values);
+    assert.ok(values.every((value) => value >= 0 && value < 1));
+});
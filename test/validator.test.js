@@ -0,0 +1,102 @@
+/**
+ * Filename: validator.test.js
+ * Purpose: Tests the profiles.json validation of docs/validator.js against docs/profiles.schema.json.
+ * Description: Run with `node --test test/` from the repository root. Validates the shipped profiles.json and a small category with the problems given in each test.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const LikelihoodValidator = require('../docs/validator.js');
+
+/**
+ * Read and parse a JSON file from docs/.
+ * @param {string} name The file name.
+ * @return {Object}
+ */
+function readJson(name) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'docs', name), 'utf8'));
+}
+
+const schema = readJson('profiles.schema.json');
+
+/**
+ * Create a criterion with all its score descriptors.
+ * @param {string} id The criterion ID, also used for its metric.
+ * @param {number} weight The weight.
+ * @return {Object}
+ */
+function criterion(id, weight) {
+    return { id: id, metric: id, weight: weight, scoreDescriptors: { 1: 'One', 2: 'Two', 3: 'Three', 4: 'Four', 5: 'Five' } };
+}
+
+/**
+ * Create profiles data with one category and one profile holding the given criteria.
+ * @param {Array<Object>} criteria The criteria.
+ * @return {Object}
+ */
+function withCriteria(criteria) {
+    return {
+        categories: [{
+            id: 'investment',
+            name: 'Investment',
+            slug: 'investment',
+            weight: 1,
+            profiles: [{ id: 'angel-investors', name: 'Angel Investors', criteria: criteria }],
+        }],
+    };
+}
+
+test('accepts the shipped profiles.json without errors', () => {
+    const result = LikelihoodValidator.validateProfiles(readJson('profiles.json'), schema);
+    assert.deepStrictEqual(result.errors, []);
+    assert.strictEqual(result.valid, true);
+});
+
+test('reports schema problems with readable paths', () => {
+    const data = withCriteria([criterion('rapport', 60), { ...criterion('fit', 40), weight: 0 }]);
+    delete data.categories[0].profiles[0].criteria[0].scoreDescriptors[3];
+    const result = LikelihoodValidator.validateProfiles(data, schema);
+    assert.strictEqual(result.valid, false);
+    assert.deepStrictEqual(result.errors.map((issue) => issue.path), [
+        'categories[0].profiles[0].criteria[0].scoreDescriptors["3"]',
+        'categories[0].profiles[0].criteria[1].weight',
+    ]);
+    assert.match(LikelihoodValidator.formatReport(result, data), /^error: categories\[0\]\.profiles\[0\]\.criteria\[0\]\.scoreDescriptors\["3"\] \(Investment › Angel Investors › rapport\): /);
+});
+
+test('formats paths with indexes and quoted keys', () => {
+    assert.strictEqual(LikelihoodValidator.formatPath([]), '(root)');
+    assert.strictEqual(LikelihoodValidator.formatPath(['categories', 0, 'profiles', 2, 'criteria', 1, 'weight']), 'categories[0].profiles[2].criteria[1].weight');
+    assert.strictEqual(LikelihoodValidator.formatPath(['scoreDescriptors', '1']), 'scoreDescriptors["1"]');
+});
+
+test('rejects duplicate metrics and a minimum on an inverted criterion', () => {
+    const data = withCriteria([criterion('rapport', 50), { ...criterion('risk', 50), metric: 'rapport', invert: true, minimum: 3 }]);
+    const result = LikelihoodValidator.validateProfiles(data, schema);
+    assert.deepStrictEqual(result.errors.map((issue) => [issue.path, issue.message]), [
+        ['categories[0].profiles[0].criteria[1].minimum', 'cannot be set on an inverted criterion, where a higher score is worse'],
+        ['categories[0].profiles[0].criteria[1].metric', 'duplicates the metric "rapport" of criteria[0]'],
+    ]);
+});
+
+test('warns when the weights do not total 100', () => {
+    const result = LikelihoodValidator.validateProfiles(withCriteria([criterion('rapport', 30), criterion('fit', 40)]), schema);
+    assert.strictEqual(result.valid, true);
+    assert.deepStrictEqual(result.warnings.map((issue) => issue.message), ['weights total 70, not 100; they will be scaled proportionally']);
+});
+
+test('removes only the profiles and categories with errors', () => {
+    const data = withCriteria([criterion('rapport', 100)]);
+    data.categories[0].profiles.push({ id: 'banks', name: 'Banks', criteria: [{ ...criterion('fit', 100), weight: -1 }] });
+    const result = LikelihoodValidator.validateProfiles(data, schema);
+    const usable = LikelihoodValidator.removeInvalid(data, result.errors);
+    assert.deepStrictEqual(usable.map((category) => category.profiles.map((profile) => profile.id)), [['angel-investors']]);
+});
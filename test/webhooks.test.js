@@ -0,0 +1,132 @@
+/**
+ * Filename: webhooks.test.js
+ * Purpose: Tests the payloads, signatures and delivery queue of docs/webhooks.js.
+ * Description: Run with `node --test test/` from the repository root. Deliveries go to a fake fetch, and storage is an in-memory stand-in for localStorage shared by the simulated tabs.
+ * Author: Troy Kelly
+ * Contact: troy@aperim.com
+ * Code history:
+ * - Initial creation: 19 October 2026
+ * - Added the saved assessments of deleted entities: 19 October 2026
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const LikelihoodWebhooks = require('../docs/webhooks.js');
+
+/**
+ * Create an in-memory storage with the methods of localStorage used by the webhooks.
+ * @return {{getItem: function(string): ?string, setItem: function(string, string), removeItem: function(string)}}
+ */
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+    };
+}
+
+/**
+ * Create a storage with one signed webhook subscribed to score.saved, and one event queued for it.
+ * @return {Object}
+ */
+function createQueuedStorage() {
+    const storage = createStorage();
+    storage.setItem('webhooks', JSON.stringify([
+        { id: 'hook', name: 'Automation', url: 'https://example.com/hook', events: ['score.saved'], secret: 'secret', enabled: true },
+    ]));
+    LikelihoodWebhooks.enqueue(storage, 'score.saved', {
+        category: 'investment',
+        categorySlug: 'investment',
+        profile: 'angel-investors',
+        profileSlug: 'angel-investors',
+        entity: 'Acme Ventures',
+        likelihood: 62.5,
+        scores: [{ id: 'personal-rapport', metric: 'Persönliche Beziehung', score: 4, weight: 20, index: 0 }],
+    }, 1792400000000);
+    return storage;
+}
+
+test('identifies the category, profile and criteria by ID and slug', () => {
+    const storage = createQueuedStorage();
+    const payload = JSON.parse(LikelihoodWebhooks.loadQueue(storage)[0].body);
+    assert.deepStrictEqual(payload, {
+        event: 'score.saved',
+        timestamp: '2026-10-19T08:53:20.000Z',
+        category: 'investment',
+        categorySlug: 'investment',
+        profile: 'angel-investors',
+        profileSlug: 'angel-investors',
+        entity: 'Acme Ventures',
+        likelihood: 62.5,
+        scores: [{ id: 'personal-rapport', metric: 'Persönliche Beziehung', score: 4, weight: 20 }],
+    });
+});
+
+test('sends every saved assessment of a deleted entity', () => {
+    const payload = LikelihoodWebhooks.buildPayload('entity.deleted', {
+        category: 'investment',
+        categorySlug: 'investment',
+        profile: 'angel-investors',
+        profileSlug: 'angel-investors',
+        entity: 'Acme Ventures',
+        likelihood: null,
+        scores: [],
+        assessments: [
+            { profile: 'venture-capital', profileSlug: 'venture-capital', likelihood: 40, scores: [{ id: 'fund-size', metric: 'Fund Size', score: 3, weight: 50, index: 1 }] },
+            { profile: 'removed-profile', profileSlug: null, likelihood: null, scores: [] },
+        ],
+    }, 1792400000000);
+    assert.strictEqual(payload.likelihood, null);
+    assert.deepStrictEqual(payload.assessments, [
+        { profile: 'venture-capital', profileSlug: 'venture-capital', likelihood: 40, scores: [{ id: 'fund-size', metric: 'Fund Size', score: 3, weight: 50 }] },
+        { profile: 'removed-profile', profileSlug: null, likelihood: null, scores: [] },
+    ]);
+    assert.ok(!('assessments' in LikelihoodWebhooks.buildPayload('entity.created', { category: 'investment', entity: 'Acme Ventures' }, 0)));
+});
+
+test('signs the timestamp header with the body', async () => {
+    const storage = createQueuedStorage();
+    const requests = [];
+    const fetchImpl = async (url, init) => {
+        requests.push(init);
+        return { ok: true, status: 200 };
+    };
+    const outcome = await LikelihoodWebhooks.processQueue(storage, { now: 1792400000000, fetchImpl: fetchImpl });
+    assert.strictEqual(outcome.delivered, 1);
+    const headers = requests[0].headers;
+    const timestamp = headers['X-Likelihood-Timestamp'];
+    assert.match(timestamp, /^\d+$/);
+    const expected = crypto.createHmac('sha256', 'secret').update(`${timestamp}.${requests[0].body}`).digest('hex');
+    assert.strictEqual(headers['X-Likelihood-Signature'], `sha256=${expected}`);
+});
+
+test('leaves the deliveries to the tab holding the lease', async () => {
+    const storage = createQueuedStorage();
+    let sends = 0;
+    let release;
+    let sending;
+    const sent = new Promise((resolve) => {
+        sending = resolve;
+    });
+    const fetchImpl = () => {
+        sends++;
+        sending();
+        return new Promise((resolve) => {
+            release = () => resolve({ ok: true, status: 200 });
+        });
+    };
+    const first = LikelihoodWebhooks.processQueue(storage, { now: 1792400000000, fetchImpl: fetchImpl, owner: 'first' });
+    const second = await LikelihoodWebhooks.processQueue(storage, { now: 1792400000000, fetchImpl: fetchImpl, owner: 'second' });
+    assert.strictEqual(second.delivered, 0);
+    assert.strictEqual(second.pending, 1);
+    assert.ok(second.nextAttempt > 1792400000000);
+    await sent;
+    release();
+    assert.strictEqual((await first).delivered, 1);
+    assert.strictEqual(sends, 1);
+    assert.strictEqual(storage.getItem('webhookQueueLease'), null);
+});